@@ -1,6 +1,11 @@
 /**
  * How It Lands - Backend Server
  * Express server for React + Elasticsearch Agent Builder demo
+ *
+ * Everything under /api except sign-up and sign-in requires a bearer token
+ * (see lib/auth.js). Data routes work in the workspace named by the
+ * X-Workspace-Id header (the caller's personal workspace without one) and
+ * check the caller's role there (see lib/workspaces.js).
  */
 
 import 'dotenv/config';
@@ -8,20 +13,44 @@ import express from 'express';
 import cors from 'cors';
 import { v4 as uuidv4 } from 'uuid';
 
-import { validateESConfig, ensureIndex, storeDocsToES, fetchDocsFromES, fetchHistory, deleteBySetId, findSimilarJokes } from './lib/elasticsearch.js';
-import { validateAgentConfig, callAgentBuilderConverse } from './lib/agentBuilder.js';
-import { validateReviewerConfig, getReview } from './lib/reviewerAgent.js';
-import { getAllInsights } from './lib/analytics.js';
+import { validateStorageConfig, ensureStorage, fetchDocs, fetchSet, fetchVariants, fetchJokeRevisions, fetchHistory, findCachedAnalysis, deleteBySetId, deleteByJokeId, findSimilarJokes, fetchImportedEntries, getAllInsights } from './lib/storage.js';
+import { validateLLMConfig } from './lib/llm.js';
+import { validateReviewerConfig } from './lib/reviewerAgent.js';
+import { analyzeLine, analyzeSet, connectSet, retryPersona, mergeRun, punchUpLine } from './lib/pipeline.js';
+import { isPunchUpAvailable, normalizeVariantCount, scoreAnalysis, rankVariants } from './lib/punchup.js';
+import { isSensitivityAvailable } from './lib/sensitivity.js';
+import { isCallbackWriterAvailable } from './lib/callbacks.js';
+import { contentHash } from './lib/contentHash.js';
+import { startJob, getJob, findRunningJobBySetId, cancelJob, subscribeToJob, toJobStatus, JOB_END_EVENT } from './lib/jobs.js';
+import { listPersonas, getPersona, createPersona, updatePersona, deletePersona, resolvePersonas, validatePersonaInput, slugifyPersonaName } from './lib/personas.js';
+import { buildSetSummary } from './lib/setSummary.js';
+import { detectFormat, parseImport, markDuplicates, createImportStatus, runImport, reserveForAnalysis, MAX_IMPORT_ROWS } from './lib/imports.js';
+import { buildComparison, MAX_COMPARE_ITEMS } from './lib/compare.js';
+import { parseHistoryQuery, encodeHistoryCursor } from './lib/history.js';
+import { listSetlists, getSetlist, createSetlist, updateSetlist, deleteSetlist, analyzeSetlist, validateSetlistInput, validateSetlistItems } from './lib/setlists.js';
+import { buildReport, renderMarkdown, renderHtml, renderPdf, reportFilename, EXPORT_FORMATS } from './lib/report.js';
+import { AUDIENCE_PRESETS, CUSTOM_AUDIENCE, resolveAudience, audienceFromDoc, isAudienceContext } from './lib/audiences.js';
+import { requireAuth, bearerToken, isSignupAllowed, validateCredentials, validateTokenName, registerUser, authenticateUser, issueToken, revokeToken, listApiTokens, revokeApiToken, toPublicUser, findUser } from './lib/auth.js';
+import { activeWorkspace, requireRole, getWorkspace, listWorkspaces, createWorkspace, renameWorkspace, deleteWorkspace, addMember, setMemberRole, removeMember, memberRole, toWorkspaceSummary, validateWorkspaceName, validateRole } from './lib/workspaces.js';
 
 // Track if reviewer agent is available
 let reviewerEnabled = false;
 
+// Track if the punch-up writer is available
+let punchUpEnabled = false;
+
+// Track if the sensitivity classifier is available
+let sensitivityEnabled = false;
+
+// Track if the callback writer is available
+let callbackWriterEnabled = false;
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '2mb' })); // Room for bulk imports
 
 // Request logging
 app.use((req, res, next) => {
@@ -30,241 +59,1945 @@ app.use((req, res, next) => {
     next();
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+/**
+ * Start a Server-Sent Events response
+ * Sends a heartbeat every 15s so proxies don't time out long-running work.
+ * @param {Object} res - Express response
+ * @param {Function} [onDisconnect] - Called if the client goes away before close()
+ * @returns {{sendEvent: Function, close: Function}}
+ */
+function openEventStream(res, onDisconnect) {
+    // Set up SSE headers
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    // Helper to send SSE events (dropped once the client is gone)
+    const sendEvent = (type, data, id) => {
+        if (res.writableEnded || res.destroyed) return;
+        res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Keep-alive interval to prevent timeout
+    const keepAlive = setInterval(() => {
+        sendEvent('ping', { timestamp: Date.now() });
+    }, 15000); // Send heartbeat every 15s
+
+    res.on('close', () => {
+        clearInterval(keepAlive);
+        if (!res.writableEnded) onDisconnect?.();
+    });
+
+    const close = () => {
+        clearInterval(keepAlive);
+        if (!res.writableEnded) res.end();
+    };
+
+    return { sendEvent, close };
+}
+
+/**
+ * Reply to a request that started a job
+ */
+function sendJobAccepted(res, job) {
+    res.status(202).json({
+        ...toJobStatus(job),
+        events_url: `/api/jobs/${job.job_id}/events`
+    });
+}
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+/**
+ * POST /api/auth/register
+ * Create an account and sign in (disabled with AUTH_ALLOW_SIGNUP=false)
+ *
+ * Body: { username: string, password: string }
+ * Returns: { token, expires_at, user: { user_id, username, created_at } }
+ */
+app.post('/api/auth/register', async (req, res) => {
+    if (!isSignupAllowed()) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Sign-up is disabled on this server'
+        });
+    }
+
+    const validationError = validateCredentials(req.body);
+    if (validationError) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: validationError
+        });
+    }
+
+    try {
+        const user = await registerUser(req.body);
+        if (!user) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `The username "${req.body.username}" is taken`
+            });
+        }
+
+        const { token, expires_at } = await issueToken({ user, kind: 'session' });
+        console.log(`[Auth] Registered ${user.username}`);
+        res.status(201).json({ token, expires_at, user: toPublicUser(user) });
+    } catch (error) {
+        console.error('[Auth] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to register',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/login
+ * Sign in with a username and password
+ *
+ * Body: { username: string, password: string }
+ * Returns: { token, expires_at, user: { user_id, username, created_at } }
+ */
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const user = await authenticateUser(req.body || {});
+        if (!user) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Wrong username or password'
+            });
+        }
+
+        const { token, expires_at } = await issueToken({ user, kind: 'session' });
+        res.json({ token, expires_at, user: toPublicUser(user) });
+    } catch (error) {
+        console.error('[Auth] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to sign in',
+            message: error.message
+        });
+    }
+});
+
+// Every other /api route needs a signed-in user
+app.use('/api', requireAuth);
+
+/**
+ * GET /api/auth/me
+ * The signed-in user
+ *
+ * Returns: { user_id, username, token_kind }
+ */
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the token this request was made with
+ */
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await revokeToken(bearerToken(req), req.user.user_id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[Auth] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to sign out',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/auth/tokens
+ * The signed-in user's API tokens (the tokens themselves are never shown again)
+ *
+ * Returns: { tokens: [{ token_id, name, created_at, last_used_at }] }
+ */
+app.get('/api/auth/tokens', async (req, res) => {
+    try {
+        const tokens = await listApiTokens(req.user.user_id);
+        res.json({ tokens });
+    } catch (error) {
+        console.error('[Auth] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch tokens',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/tokens
+ * Create an API token for scripts; it does not expire until revoked
+ *
+ * Body: { name: string }
+ * Returns: { token, token_id, name, created_at } - copy the token now
+ */
+app.post('/api/auth/tokens', async (req, res) => {
+    const validationError = validateTokenName(req.body?.name);
+    if (validationError) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: validationError
+        });
+    }
+
+    try {
+        const { expires_at, ...token } = await issueToken({ user: req.user, kind: 'api', name: req.body.name.trim() });
+        res.status(201).json(token);
+    } catch (error) {
+        console.error('[Auth] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to create token',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/tokens/:token_id
+ * Revoke an API token
+ */
+app.delete('/api/auth/tokens/:token_id', async (req, res) => {
+    try {
+        const { deleted } = await revokeApiToken(req.params.token_id, req.user.user_id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Token ${req.params.token_id} does not exist`
+            });
+        }
+
+        res.json({ deleted: true, token_id: req.params.token_id });
+    } catch (error) {
+        console.error('[Auth] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to revoke token',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Load a workspace named in the URL for the signed-in user
+ * Replies 404 (and returns null) if it doesn't exist or they aren't a member,
+ * or 403 if their role there is weaker than `role`.
+ */
+async function loadWorkspace(req, res, role = 'viewer') {
+    const workspace = await getWorkspace(req.params.workspace_id, req.user);
+
+    if (!workspace) {
+        res.status(404).json({
+            error: 'Not found',
+            message: `Workspace ${req.params.workspace_id} does not exist`
+        });
+        return null;
+    }
+
+    if (role === 'owner' && memberRole(workspace, req.user.user_id) !== 'owner') {
+        res.status(403).json({
+            error: 'Forbidden',
+            message: `This needs the owner role in workspace "${workspace.name}"`
+        });
+        return null;
+    }
+
+    return workspace;
+}
+
+/**
+ * A workspace with its members, as shown to one of them
+ */
+function toWorkspaceDetail(workspace, user_id) {
+    return {
+        ...toWorkspaceSummary(workspace, user_id),
+        members: workspace.members
+    };
+}
+
+/**
+ * GET /api/workspaces
+ * The signed-in user's workspaces, personal one first
+ *
+ * Returns: { workspaces: [{ workspace_id, name, personal, role, member_count, created_at }] }
+ */
+app.get('/api/workspaces', async (req, res) => {
+    try {
+        const workspaces = await listWorkspaces(req.user);
+        res.json({ workspaces: workspaces.map(w => toWorkspaceSummary(w, req.user.user_id)) });
+    } catch (error) {
+        console.error('[Workspaces] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch workspaces',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/workspaces
+ * Create a team workspace; the caller becomes its owner
+ *
+ * Body: { name: string }
+ */
+app.post('/api/workspaces', async (req, res) => {
+    const validationError = validateWorkspaceName(req.body?.name);
+    if (validationError) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: validationError
+        });
+    }
+
+    try {
+        const workspace = await createWorkspace(req.body.name, req.user);
+        res.status(201).json(toWorkspaceDetail(workspace, req.user.user_id));
+    } catch (error) {
+        console.error('[Workspaces] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to create workspace',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/workspaces/:workspace_id
+ * A workspace with its members
+ *
+ * Returns: { workspace_id, name, personal, role, member_count, created_at,
+ *            members: [{ user_id, username, role, added_at }] }
+ */
+app.get('/api/workspaces/:workspace_id', async (req, res) => {
+    try {
+        const workspace = await loadWorkspace(req, res);
+        if (!workspace) return;
+
+        res.json(toWorkspaceDetail(workspace, req.user.user_id));
+    } catch (error) {
+        console.error('[Workspaces] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch workspace',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/workspaces/:workspace_id
+ * Rename a workspace (owners only)
+ *
+ * Body: { name: string }
+ */
+app.put('/api/workspaces/:workspace_id', async (req, res) => {
+    const validationError = validateWorkspaceName(req.body?.name);
+    if (validationError) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: validationError
+        });
+    }
+
+    try {
+        const workspace = await loadWorkspace(req, res, 'owner');
+        if (!workspace) return;
+
+        const renamed = await renameWorkspace(workspace, req.body.name);
+        res.json(toWorkspaceDetail(renamed, req.user.user_id));
+    } catch (error) {
+        console.error('[Workspaces] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to rename workspace',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/workspaces/:workspace_id
+ * Delete a team workspace with all of its analyses and custom personas
+ * (owners only; personal workspaces can't be deleted)
+ */
+app.delete('/api/workspaces/:workspace_id', async (req, res) => {
+    try {
+        const workspace = await loadWorkspace(req, res, 'owner');
+        if (!workspace) return;
+
+        if (workspace.personal) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'Personal workspaces cannot be deleted'
+            });
+        }
+
+        const { deleted } = await deleteWorkspace(workspace);
+        res.json({ deleted: true, workspace_id: workspace.workspace_id, documents_deleted: deleted });
+    } catch (error) {
+        console.error('[Workspaces] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to delete workspace',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/workspaces/:workspace_id/members
+ * Add an existing account to a workspace (owners only)
+ *
+ * Body: { username: string, role: 'viewer' | 'editor' | 'owner' }
+ */
+app.post('/api/workspaces/:workspace_id/members', async (req, res) => {
+    const validationError = validateRole(req.body?.role);
+    if (validationError) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: validationError
+        });
+    }
+
+    try {
+        const workspace = await loadWorkspace(req, res, 'owner');
+        if (!workspace) return;
+
+        const member = await findUser(req.body.username);
+        if (!member) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `No user named '${req.body.username}'`
+            });
+        }
+
+        if (memberRole(workspace, member.user_id)) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `${member.username} is already a member of "${workspace.name}"`
+            });
+        }
+
+        const { workspace: updated, error } = await addMember(workspace, member, req.body.role);
+        if (error) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: error
+            });
+        }
+
+        res.status(201).json(toWorkspaceDetail(updated, req.user.user_id));
+    } catch (error) {
+        console.error('[Workspaces] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to add member',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/workspaces/:workspace_id/members/:user_id
+ * Change a member's role (owners only)
+ *
+ * Body: { role: 'viewer' | 'editor' | 'owner' }
+ */
+app.put('/api/workspaces/:workspace_id/members/:user_id', async (req, res) => {
+    const validationError = validateRole(req.body?.role);
+    if (validationError) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: validationError
+        });
+    }
+
+    try {
+        const workspace = await loadWorkspace(req, res, 'owner');
+        if (!workspace) return;
+
+        if (!memberRole(workspace, req.params.user_id)) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `User ${req.params.user_id} is not a member of "${workspace.name}"`
+            });
+        }
+
+        const { workspace: updated, error } = await setMemberRole(workspace, req.params.user_id, req.body.role);
+        if (error) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: error
+            });
+        }
+
+        res.json(toWorkspaceDetail(updated, req.user.user_id));
+    } catch (error) {
+        console.error('[Workspaces] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to change role',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/workspaces/:workspace_id/members/:user_id
+ * Remove a member (owners only), or leave a workspace (any member, with
+ * their own user_id). Their analyses stay in the workspace.
+ */
+app.delete('/api/workspaces/:workspace_id/members/:user_id', async (req, res) => {
+    const leaving = req.params.user_id === req.user.user_id;
+
+    try {
+        const workspace = await loadWorkspace(req, res, leaving ? 'viewer' : 'owner');
+        if (!workspace) return;
+
+        if (!memberRole(workspace, req.params.user_id)) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `User ${req.params.user_id} is not a member of "${workspace.name}"`
+            });
+        }
+
+        const { workspace: updated, error } = await removeMember(workspace, req.params.user_id);
+        if (error) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: error
+            });
+        }
+
+        res.json(leaving ? { left: true, workspace_id: workspace.workspace_id } : toWorkspaceDetail(updated, req.user.user_id));
+    } catch (error) {
+        console.error('[Workspaces] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to remove member',
+            message: error.message
+        });
+    }
+});
+
+// Every route below works in the active workspace (X-Workspace-Id header)
+app.use('/api', activeWorkspace);
+
+/**
+ * Maximum number of bits accepted in a single set analysis
+ */
+const MAX_SET_LINES = 50;
+
+/**
+ * What /api/analyze does with an earlier analysis of the same line
+ */
+const CACHE_MODES = ['reuse', 'force', 'merge'];
+
+/**
+ * Stream a stored analysis back as the events a fresh run would send
+ * @returns {Object} - The analysis
+ */
+function replayAnalysis(sendEvent, line_id, analysis) {
+    sendEvent('result_stage1', { line_id, stage1: analysis.stage1, stage2: analysis.stage2 });
+    if (analysis.sensitivity) {
+        sendEvent('result_sensitivity', { line_id, sensitivity: analysis.sensitivity });
+    }
+    if (analysis.stage3) {
+        sendEvent('result_stage3', { line_id, stage3: analysis.stage3 });
+    }
+    return analysis;
+}
+
+/**
+ * POST /api/analyze
+ * Starts a background job that analyzes a joke line, or a whole set of
+ * lines, using Agent Builder agents. Responds 202 with the job; progress and
+ * results stream from GET /api/jobs/:job_id/events.
+ *
+ * Body: { line_text: string } or { lines: string[], title?: string }
+ * Optional: personas - persona ids from /api/personas and/or inline
+ * { name, voice, prompt_fragment } objects (defaults to the built-in six).
+ * In set mode each line is analyzed in order under one set_id (l1, l2, ...),
+ * then a `set_summary` event and a `set_connections` event (callbacks,
+ * running themes and repeated premises across the set) close the stream.
+ * Optional (single line only): punchup - true or { count } to run the
+ * punch-up stage after the review (see /api/analyze/:set_id/punchup).
+ * Optional: audience - a preset id from /api/audiences or { description }
+ * for a custom venue; every persona and reviewer prompt plays to that room.
+ * Optional (single line only): cache - what to do when the same line (after
+ * whitespace and case normalization) was already analyzed for the same room
+ * and panel: 'reuse' (default) streams the stored analysis back, 'force'
+ * runs a fresh analysis, 'merge' runs the panel again and merges the new
+ * reactions into the stored analysis. The `start` event reports the lookup
+ * as `cache`.
+ */
+app.post('/api/analyze', requireRole('editor'), async (req, res) => {
+    const { line_text, lines, title } = req.body;
+    const isSet = Array.isArray(lines);
+
+    const { audience, error: audienceError } = resolveAudience(req.body.audience);
+    if (audienceError) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: audienceError
+        });
+    }
+
+    let personas;
+    try {
+        const resolved = await resolvePersonas(req.body.personas, req.workspace.workspace_id);
+        if (resolved.error) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: resolved.error
+            });
+        }
+        personas = resolved.personas;
+    } catch (error) {
+        console.error('[Analyze] Failed to resolve personas:', error.message);
+        return res.status(500).json({
+            error: 'Failed to load personas',
+            message: error.message
+        });
+    }
+
+    if (isSet) {
+        if (lines.length === 0 || lines.length > MAX_SET_LINES) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: `lines must contain between 1 and ${MAX_SET_LINES} entries`
+            });
+        }
+        if (lines.some(l => typeof l !== 'string' || l.trim().length === 0)) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'Every entry in lines must be a non-empty string'
+            });
+        }
+    } else if (!line_text || typeof line_text !== 'string' || line_text.trim().length === 0) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: 'line_text is required and must be a non-empty string'
+        });
+    }
+
+    const punchup = req.body.punchup;
+    if (punchup) {
+        if (isSet) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'punchup is only supported for single lines'
+            });
+        }
+        if (!punchUpEnabled) {
+            return res.status(503).json({
+                error: 'Punch-up unavailable',
+                message: 'The configured LLM provider has no punch-up agent'
+            });
+        }
+    }
+
+    const cacheMode = req.body.cache ?? 'reuse';
+    if (!CACHE_MODES.includes(cacheMode)) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: `cache must be one of: ${CACHE_MODES.join(', ')}`
+        });
+    }
+
+    const { user_id } = req.user;
+    const { workspace_id } = req.workspace;
+
+    if (!isSet) {
+        const text = line_text.trim();
+
+        // An earlier analysis of the same line, for the same room and panel
+        let cached = null;
+        try {
+            cached = await findCachedAnalysis({
+                content_hash: contentHash(text),
+                audience_context: audience?.audience_context || null,
+                persona_ids: personas.map(p => p.persona_id),
+                workspace_id
+            });
+        } catch (error) {
+            console.error('[Analyze] Cache lookup failed:', error.message);
+        }
+
+        const cache = cached
+            ? { status: 'hit', mode: cacheMode, set_id: cached.set_id, line_id: cached.line_id, created_at: cached.created_at, run_count: cached.run_count }
+            : { status: 'miss', mode: cacheMode };
+        const useCached = cached && cacheMode !== 'force';
+
+        const set_id = useCached ? cached.set_id : uuidv4();
+        const line_id = useCached ? cached.line_id : 'l1';
+
+        const job = startJob({
+            kind: 'analyze',
+            user_id,
+            set_id,
+            meta: { mode: 'line', cache: cache.status === 'hit' ? cacheMode : 'miss' },
+            work: async ({ sendEvent, signal }) => {
+                let analysis;
+
+                if (useCached) {
+                    const existing = await fetchDocs({ set_id, line_id, workspace_id });
+                    const original = existing.stage1[0] || {};
+                    console.log(`[Analyze] Cache hit for set_id=${set_id} (${cacheMode})`);
+                    sendEvent('start', {
+                        set_id,
+                        line_id,
+                        line_text: original.line_text || text,
+                        joke_id: original.joke_id || set_id,
+                        revision: original.revision || 1,
+                        personas,
+                        audience,
+                        cache,
+                        message: cacheMode === 'reuse' ? 'Reusing the earlier analysis...' : 'Re-running and merging with the earlier analysis...'
+                    });
+
+                    analysis = cacheMode === 'reuse'
+                        ? replayAnalysis(sendEvent, line_id, existing)
+                        : await mergeRun({ set_id, line_id, existing, personas, sendEvent, reviewerEnabled, sensitivityEnabled, signal });
+                } else {
+                    console.log(`[Analyze] Starting analysis for set_id=${set_id}`);
+                    sendEvent('start', { set_id, line_id, line_text: text, joke_id: set_id, revision: 1, personas, audience, cache, message: 'Analysis started...' });
+
+                    // A new joke: this analysis is its first revision
+                    analysis = await analyzeLine({
+                        set_id,
+                        line_id,
+                        line_text: text,
+                        personas,
+                        sendEvent,
+                        reviewerEnabled,
+                        sensitivityEnabled,
+                        docFields: { workspace_id, user_id, joke_id: set_id, revision: 1 },
+                        audience,
+                        signal
+                    });
+                }
+
+                if (punchup) {
+                    await punchUpLine({
+                        set_id,
+                        line_id,
+                        line_text: text,
+                        stage1: analysis.stage1,
+                        stage3: analysis.stage3,
+                        personas,
+                        count: normalizeVariantCount(punchup.count),
+                        sendEvent,
+                        reviewerEnabled,
+                        sensitivityEnabled,
+                        audience,
+                        docFields: { workspace_id, user_id },
+                        signal
+                    });
+                }
+
+                sendEvent('done', { set_id });
+            }
+        });
+
+        return sendJobAccepted(res, job);
+    }
+
+    const set_id = uuidv4();
+
+    const set_title = (typeof title === 'string' && title.trim()) || null;
+
+    const job = startJob({
+        kind: 'analyze',
+        user_id,
+        set_id,
+        meta: { mode: 'set', line_count: lines.length },
+        work: async ({ sendEvent, signal }) => {
+            await analyzeSet({ set_id, lines, set_title, personas, sendEvent, reviewerEnabled, sensitivityEnabled, callbackWriterEnabled, audience, docFields: { workspace_id, user_id }, signal });
+            sendEvent('done', { set_id });
+        }
+    });
+
+    sendJobAccepted(res, job);
+});
+
+/**
+ * DELETE /api/analyze/:set_id
+ * Cancel the running analysis of a set: pending agent calls and store writes
+ * are aborted and its job ends with a `cancelled` event.
+ */
+app.delete('/api/analyze/:set_id', requireRole('editor'), (req, res) => {
+    const { set_id } = req.params;
+    const job = findRunningJobBySetId(set_id, req.user.user_id);
+
+    if (!job) {
+        return res.status(404).json({
+            error: 'Not found',
+            message: `No analysis in progress for set_id ${set_id}`
+        });
+    }
+
+    console.log(`[Analyze] Cancel requested for set_id=${set_id}`);
+    cancelJob(job);
+
+    res.json({ success: true, set_id, job_id: job.job_id, cancelled: true });
+});
+
+/**
+ * POST /api/analyze/:set_id/personas/:persona/retry
+ * Starts a job that re-runs one persona for an existing line (typically one
+ * that failed), merges the result into the stored analysis and re-runs the
+ * reviewer. Responds 202 with the job, like /api/analyze.
+ *
+ * Body: { line_id?: string, persona?: { name, voice, prompt_fragment } }
+ * `persona` is only needed for inline personas that aren't in the registry.
+ */
+app.post('/api/analyze/:set_id/personas/:persona/retry', requireRole('editor'), async (req, res) => {
+    const { set_id, persona: persona_id } = req.params;
+    const line_id = req.body?.line_id || 'l1';
+    const { user_id } = req.user;
+    const { workspace_id } = req.workspace;
+
+    let persona;
+    let existing;
+    try {
+        persona = await getPersona(persona_id, workspace_id);
+        if (!persona && req.body?.persona) {
+            const resolved = await resolvePersonas([req.body.persona], workspace_id);
+            if (resolved.error) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: resolved.error
+                });
+            }
+            persona = resolved.personas[0];
+        }
+        if (!persona) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Persona ${persona_id} does not exist`
+            });
+        }
+
+        existing = await fetchDocs({ set_id, line_id, workspace_id });
+        if (existing.stage1.length === 0) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `No analysis found for set_id ${set_id}, line_id ${line_id}`
+            });
+        }
+    } catch (error) {
+        console.error('[Retry] Error:', error.message);
+        return res.status(500).json({
+            error: 'Failed to load analysis',
+            message: error.message
+        });
+    }
+
+    const job = startJob({
+        kind: 'retry',
+        user_id,
+        set_id,
+        meta: { line_id, persona_id: persona.persona_id },
+        work: async ({ sendEvent, signal }) => {
+            console.log(`[Retry] Re-running ${persona.persona_id} for set_id=${set_id}, line_id=${line_id}`);
+            sendEvent('start', { set_id, line_id, persona, message: `Retrying ${persona.name}...` });
+
+            await retryPersona({ set_id, line_id, persona, existing, sendEvent, reviewerEnabled, signal });
+
+            sendEvent('done', { set_id });
+        }
+    });
+
+    sendJobAccepted(res, job);
+});
+
+/**
+ * POST /api/analyze/:set_id/punchup
+ * Starts a job that punches up an analyzed line: the punch-up agent writes
+ * 3-5 rewrites (guided by the reviewer's recommendation), each is re-run
+ * through the same persona panel and reviewer as its own analysis, and the
+ * variants are ranked against the original by laugh potential and divergence.
+ *
+ * Body: { line_id?: string, count?: number }
+ */
+app.post('/api/analyze/:set_id/punchup', requireRole('editor'), async (req, res) => {
+    const { set_id } = req.params;
+    const line_id = req.body?.line_id || 'l1';
+    const { user_id } = req.user;
+    const { workspace_id } = req.workspace;
+
+    if (!punchUpEnabled) {
+        return res.status(503).json({
+            error: 'Punch-up unavailable',
+            message: 'The configured LLM provider has no punch-up agent'
+        });
+    }
+
+    let original;
+    let personas;
+    try {
+        original = await fetchDocs({ set_id, line_id, workspace_id });
+        if (original.stage1.length === 0) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `No analysis found for set_id ${set_id}, line_id ${line_id}`
+            });
+        }
+
+        // Re-test with the panel the original was run with (inline personas can't be recovered)
+        const panelIds = [...new Set(original.stage1.map(d => d.agent_mode))];
+        personas = (await Promise.all(panelIds.map(id => getPersona(id, workspace_id)))).filter(Boolean);
+        if (personas.length === 0) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'None of the personas from the original analysis exist anymore'
+            });
+        }
+    } catch (error) {
+        console.error('[PunchUp] Error:', error.message);
+        return res.status(500).json({
+            error: 'Failed to load analysis',
+            message: error.message
+        });
+    }
+
+    const line_text = original.stage1[0].line_text;
+
+    const job = startJob({
+        kind: 'punchup',
+        user_id,
+        set_id,
+        meta: { line_id },
+        work: async ({ sendEvent, signal }) => {
+            console.log(`[PunchUp] Starting punch-up for set_id=${set_id}, line_id=${line_id}`);
+            sendEvent('start', { set_id, line_id, line_text, personas, message: 'Punch-up started...' });
+
+            await punchUpLine({
+                set_id,
+                line_id,
+                line_text,
+                stage1: original.stage1,
+                stage3: original.stage3,
+                personas,
+                count: normalizeVariantCount(req.body?.count),
+                sendEvent,
+                reviewerEnabled,
+                sensitivityEnabled,
+                audience: audienceFromDoc(original.stage1[0]),
+                docFields: { workspace_id, user_id },
+                signal
+            });
+
+            sendEvent('done', { set_id });
+        }
+    });
+
+    sendJobAccepted(res, job);
+});
+
+/**
+ * GET /api/analyze/:set_id/punchup
+ * Stored punch-up variants of a line, ranked against the original
+ *
+ * Query params: line_id (optional, default l1)
+ */
+app.get('/api/analyze/:set_id/punchup', async (req, res) => {
+    const { set_id } = req.params;
+    const line_id = req.query.line_id || 'l1';
+    const { workspace_id } = req.workspace;
+
+    try {
+        const original = await fetchDocs({ set_id, line_id, workspace_id });
+        if (original.stage1.length === 0) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `No analysis found for set_id ${set_id}, line_id ${line_id}`
+            });
+        }
+
+        const stored = await fetchVariants({ set_id, line_id, workspace_id });
+        const variants = stored.map(v => ({
+            ...scoreAnalysis(v),
+            technique: v.technique,
+            rationale: v.rationale || null
+        }));
+
+        const originalScore = scoreAnalysis({ set_id, line_text: original.stage1[0].line_text, ...original });
+
+        res.json({
+            set_id,
+            line_id,
+            original: originalScore,
+            variants: rankVariants(originalScore, variants)
+        });
+    } catch (error) {
+        console.error('[PunchUp] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch variants',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/compare
+ * Starts a job that compares two or more versions of a bit head to head.
+ * Each version is either new text (analyzed now, with the same persona
+ * panel) or an existing analysis. Responds 202 with the job; a `comparison`
+ * event carries the per-persona, per-metric diff with winners (see
+ * lib/compare.js) before the stream closes.
+ *
+ * Body: { items: Array<string | { line_text } | { set_id, line_id? }> }
+ * Optional: personas, audience - as for /api/analyze, used for new text only
+ */
+app.post('/api/compare', requireRole('editor'), async (req, res) => {
+    const { items } = req.body;
+
+    const { audience, error: audienceError } = resolveAudience(req.body.audience);
+    if (audienceError) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: audienceError
+        });
+    }
+
+    if (!Array.isArray(items) || items.length < 2 || items.length > MAX_COMPARE_ITEMS) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: `items must contain between 2 and ${MAX_COMPARE_ITEMS} entries`
+        });
+    }
+
+    const versions = items.map(item => {
+        const text = typeof item === 'string' ? item : item?.line_text;
+        if (typeof text === 'string' && text.trim().length > 0) {
+            return { line_text: text.trim() };
+        }
+        if (typeof item?.set_id === 'string' && item.set_id) {
+            return { set_id: item.set_id, line_id: item.line_id || 'l1' };
+        }
+        return null;
+    });
+
+    if (versions.includes(null)) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: 'Every item must be a non-empty line_text or an existing set_id'
+        });
+    }
+
+    const { user_id } = req.user;
+    const { workspace_id } = req.workspace;
+
+    let personas = [];
+    try {
+        // Existing analyses are loaded up front so a bad set_id fails fast
+        for (const version of versions.filter(v => v.set_id)) {
+            const existing = await fetchDocs({ set_id: version.set_id, line_id: version.line_id, workspace_id });
+            if (existing.stage1.length === 0) {
+                return res.status(404).json({
+                    error: 'Not found',
+                    message: `No analysis found for set_id ${version.set_id}, line_id ${version.line_id}`
+                });
+            }
+            version.line_text = existing.stage1[0].line_text;
+            version.analysis = existing;
+        }
+
+        if (versions.some(v => !v.set_id)) {
+            const resolved = await resolvePersonas(req.body.personas, workspace_id);
+            if (resolved.error) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: resolved.error
+                });
+            }
+            personas = resolved.personas;
+        }
+    } catch (error) {
+        console.error('[Compare] Error:', error.message);
+        return res.status(500).json({
+            error: 'Failed to load comparison',
+            message: error.message
+        });
+    }
+
+    const job = startJob({
+        kind: 'compare',
+        user_id,
+        set_id: null,
+        meta: { item_count: versions.length },
+        work: async ({ sendEvent, signal }) => {
+            console.log(`[Compare] Comparing ${versions.length} versions`);
+            sendEvent('start', {
+                items: versions.map(({ set_id, line_id, line_text }) => ({ set_id: set_id || null, line_id: line_id || null, line_text })),
+                personas,
+                audience,
+                message: 'Comparison started...'
+            });
+
+            const analyses = [];
+            // New versions run one after another, like the lines of a set
+            for (const [idx, version] of versions.entries()) {
+                signal.throwIfAborted();
+
+                if (version.analysis) {
+                    analyses.push({ ...version.analysis, set_id: version.set_id, line_id: version.line_id, line_text: version.line_text });
+                    continue;
+                }
+
+                const set_id = uuidv4();
+                const line_id = 'l1';
+
+                // Only progress is forwarded; results arrive with the comparison
+                const forwardProgress = (type, data) => {
+                    if (type === 'progress') sendEvent('progress', { ...data, item_index: idx });
+                };
+
+                const analysis = await analyzeLine({
+                    set_id,
+                    line_id,
+                    line_text: version.line_text,
+                    personas,
+                    sendEvent: forwardProgress,
+                    reviewerEnabled,
+                    sensitivityEnabled,
+                    docFields: { workspace_id, user_id },
+                    progressPrefix: `Version ${idx + 1}/${versions.length}: `,
+                    audience,
+                    signal
+                });
+
+                analyses.push({ ...analysis, set_id, line_id, line_text: version.line_text });
+                sendEvent('compare_item', { item_index: idx, set_id, line_id });
+            }
+
+            sendEvent('comparison', buildComparison(analyses));
+            sendEvent('done', {});
+        }
+    });
+
+    sendJobAccepted(res, job);
+});
+
+/**
+ * Revisions of a joke, scored for charting
+ * @param {Array} revisions - fetchJokeRevisions() output
+ */
+function toRevisionSummaries(revisions) {
+    return revisions.map(r => ({
+        ...scoreAnalysis(r),
+        revision: r.revision,
+        parent_set_id: r.parent_set_id,
+        created_at: r.created_at
+    }));
+}
+
+/**
+ * GET /api/jokes/:joke_id
+ * Every revision of a joke, oldest first, with its laugh score and
+ * divergence. joke_id is the set_id of the first draft.
+ */
+app.get('/api/jokes/:joke_id', async (req, res) => {
+    const { joke_id } = req.params;
+
+    try {
+        const revisions = await fetchJokeRevisions(joke_id, req.workspace.workspace_id);
+        if (revisions.length === 0) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Joke ${joke_id} does not exist`
+            });
+        }
+
+        res.json({ joke_id, revisions: toRevisionSummaries(revisions) });
+    } catch (error) {
+        console.error('[Jokes] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch joke',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/jokes/:joke_id/revisions
+ * Starts a job that analyzes a new draft of a joke as its next revision.
+ * Responds 202 with the job; the stream is the same as a single-line
+ * /api/analyze, with joke_id and revision on the `start` event.
+ *
+ * Body: { line_text: string, parent_set_id?: string }
+ * parent_set_id defaults to the latest revision. Optional: personas and
+ * audience - as for /api/analyze; they default to the parent's panel and
+ * room so drafts stay comparable.
+ */
+app.post('/api/jokes/:joke_id/revisions', requireRole('editor'), async (req, res) => {
+    const { joke_id } = req.params;
+    const { line_text, parent_set_id } = req.body;
+    const { user_id } = req.user;
+    const { workspace_id } = req.workspace;
+
+    if (!line_text || typeof line_text !== 'string' || line_text.trim().length === 0) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: 'line_text is required and must be a non-empty string'
+        });
+    }
+
+    let revisions;
+    let parent;
+    let personas;
+    let audience;
+    try {
+        revisions = await fetchJokeRevisions(joke_id, workspace_id);
+        if (revisions.length === 0) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Joke ${joke_id} does not exist`
+            });
+        }
+        if (revisions.some(r => r.line_ids.length > 1)) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'Revisions are only supported for single jokes, not sets'
+            });
+        }
+
+        parent = parent_set_id
+            ? revisions.find(r => r.set_id === parent_set_id)
+            : revisions[revisions.length - 1];
+        if (!parent) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Revision ${parent_set_id} is not part of joke ${joke_id}`
+            });
+        }
+
+        if (req.body.personas) {
+            const resolved = await resolvePersonas(req.body.personas, workspace_id);
+            if (resolved.error) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: resolved.error
+                });
+            }
+            personas = resolved.personas;
+        } else {
+            const panelIds = [...new Set(parent.stage1.map(d => d.agent_mode))];
+            personas = (await Promise.all(panelIds.map(id => getPersona(id, workspace_id)))).filter(Boolean);
+            if (personas.length === 0) {
+                ({ personas } = await resolvePersonas());
+            }
+        }
+
+        if (req.body.audience !== undefined) {
+            const resolved = resolveAudience(req.body.audience);
+            if (resolved.error) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: resolved.error
+                });
+            }
+            audience = resolved.audience;
+        } else {
+            audience = audienceFromDoc(parent.stage1[0]);
+        }
+    } catch (error) {
+        console.error('[Jokes] Error:', error.message);
+        return res.status(500).json({
+            error: 'Failed to load joke',
+            message: error.message
+        });
+    }
+
+    const set_id = uuidv4();
+    const line_id = 'l1';
+    const text = line_text.trim();
+    const revision = Math.max(...revisions.map(r => r.revision)) + 1;
+
+    const job = startJob({
+        kind: 'analyze',
+        user_id,
+        set_id,
+        meta: { mode: 'revision', joke_id, revision },
+        work: async ({ sendEvent, signal }) => {
+            console.log(`[Jokes] Analyzing revision ${revision} of joke ${joke_id} as set_id=${set_id}`);
+            sendEvent('start', {
+                set_id,
+                line_id,
+                line_text: text,
+                joke_id,
+                revision,
+                parent_set_id: parent.set_id,
+                personas,
+                audience,
+                message: `Analyzing revision ${revision}...`
+            });
+
+            await analyzeLine({
+                set_id,
+                line_id,
+                line_text: text,
+                personas,
+                sendEvent,
+                reviewerEnabled,
+                sensitivityEnabled,
+                docFields: { workspace_id, user_id, joke_id, parent_set_id: parent.set_id, revision },
+                audience,
+                signal
+            });
+
+            sendEvent('done', { set_id });
+        }
+    });
+
+    sendJobAccepted(res, job);
+});
+
+/**
+ * DELETE /api/jokes/:joke_id
+ * Delete every revision of a joke
+ */
+app.delete('/api/jokes/:joke_id', requireRole('editor'), async (req, res) => {
+    const { joke_id } = req.params;
+
+    try {
+        const { deleted } = await deleteByJokeId(joke_id, req.workspace.workspace_id);
+
+        if (deleted === 0) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Joke ${joke_id} does not exist`
+            });
+        }
+
+        res.json({ success: true, joke_id, deleted });
+    } catch (error) {
+        console.error('[Jokes] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to delete joke',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Resolve the panel and room an import analyzes with (`personas` and
+ * `audience` in the body, as for /api/analyze)
+ * Replies with an error (and returns null) if either is invalid.
+ */
+async function resolveImportRun(req, res) {
+    const { audience, error: audienceError } = resolveAudience(req.body.audience);
+    if (audienceError) {
+        res.status(400).json({
+            error: 'Invalid request',
+            message: audienceError
+        });
+        return null;
+    }
+
+    try {
+        const resolved = await resolvePersonas(req.body.personas, req.workspace.workspace_id);
+        if (resolved.error) {
+            res.status(400).json({
+                error: 'Invalid request',
+                message: resolved.error
+            });
+            return null;
+        }
+        return { personas: resolved.personas, audience };
+    } catch (error) {
+        console.error('[Import] Failed to resolve personas:', error.message);
+        res.status(500).json({
+            error: 'Failed to load personas',
+            message: error.message
+        });
+        return null;
+    }
+}
+
+/**
+ * Start a detached import job (it keeps going when the page is closed)
+ */
+function startImportJob(req, { rows, status, skipDuplicates, run }) {
+    const { user_id } = req.user;
+    const { workspace_id } = req.workspace;
+
+    return startJob({
+        kind: 'import',
+        user_id,
+        set_id: null,
+        meta: status,
+        detached: true,
+        work: async ({ sendEvent, signal }) => {
+            sendEvent('start', {
+                import_id: status.import_id,
+                total: status.total,
+                analyze: status.analyze,
+                message: 'Import started...'
+            });
+
+            await runImport({
+                rows,
+                status,
+                skipDuplicates,
+                personas: run?.personas,
+                audience: run?.audience,
+                workspace_id,
+                user_id,
+                reviewerEnabled,
+                sensitivityEnabled,
+                sendEvent,
+                signal
+            });
+
+            sendEvent('done', { import_id: status.import_id, counts: status.counts });
+        }
+    });
+}
+
+/**
+ * POST /api/import
+ * Import jokes from a CSV, Markdown or plain-text file
+ *
+ * Body: { content: string, format?: 'csv' | 'markdown' | 'text', filename?: string }
+ * The format is taken from `format`, the filename's extension, or the content.
+ *   csv      - header row with a `text` column; `title`, `tags` (split on ; , or |)
+ *              and `date` are optional
+ *   markdown - one joke per top-level bullet; indented lines continue it, the
+ *              heading above is its title, trailing #tags are its tags
+ *   text     - one joke per paragraph
+ * Optional: dry_run - parse only; responds 200 with { format, rows, errors }
+ * where each row is { row, line_text, set_title, tags, written_at, duplicate }
+ * (`row` is the line of the file it starts on).
+ * Optional: analyze - queue every imported joke for analysis (with
+ * `personas` and `audience` as for /api/analyze); skip_duplicates (default
+ * true) - leave out jokes already in the workspace or repeated in the file.
+ *
+ * Otherwise responds 202 with the job; GET /api/jobs/:job_id reports each
+ * row's status (pending, imported, skipped, queued, analyzing, analyzed,
+ * failed) and error.
+ */
+app.post('/api/import', requireRole('editor'), async (req, res) => {
+    const { content, filename } = req.body;
+
+    if (typeof content !== 'string' || content.trim().length === 0) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: 'content is required and must be a non-empty string'
+        });
+    }
+
+    const format = detectFormat(content, { format: req.body.format, filename });
+    if (!format) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: 'format must be one of: csv, markdown, text'
+        });
+    }
+
+    const { rows: parsed, errors } = parseImport(content, format);
+    if (parsed.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: `Found ${parsed.length} jokes; an import takes at most ${MAX_IMPORT_ROWS}`
+        });
+    }
+
+    const { workspace_id } = req.workspace;
+
+    let rows;
+    try {
+        rows = await markDuplicates(parsed, workspace_id);
+    } catch (error) {
+        console.error('[Import] Duplicate check failed:', error.message);
+        return res.status(500).json({
+            error: 'Failed to check for duplicates',
+            message: error.message
+        });
+    }
+
+    if (req.body.dry_run) {
+        return res.json({
+            format,
+            rows: rows.map(({ content_hash, ...row }) => row),
+            errors
+        });
+    }
+
+    if (rows.length === 0) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: errors.length > 0 ? `No importable jokes: ${errors[0].message} (row ${errors[0].row})` : 'No jokes found'
+        });
+    }
+
+    const analyze = Boolean(req.body.analyze);
+    const run = analyze ? await resolveImportRun(req, res) : null;
+    if (analyze && !run) return;
+
+    const status = createImportStatus({ import_id: uuidv4(), format, rows, analyze, errors });
+    const job = startImportJob(req, { rows, status, skipDuplicates: req.body.skip_duplicates ?? true, run });
+
+    sendJobAccepted(res, job);
+});
+
+/**
+ * POST /api/import/analyze
+ * Queue imported jokes that were stored without an analysis
+ *
+ * Body: { set_ids: string[] } - optional personas and audience as for /api/analyze
+ * Responds 202 with a job reporting each row like /api/import.
+ */
+app.post('/api/import/analyze', requireRole('editor'), async (req, res) => {
+    const { set_ids } = req.body;
+
+    if (!Array.isArray(set_ids) || set_ids.length === 0 || set_ids.length > MAX_IMPORT_ROWS ||
+        set_ids.some(id => typeof id !== 'string')) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: `set_ids must contain between 1 and ${MAX_IMPORT_ROWS} set ids`
+        });
+    }
+
+    const run = await resolveImportRun(req, res);
+    if (!run) return;
+
+    let entries;
+    try {
+        entries = await fetchImportedEntries(set_ids, req.workspace.workspace_id);
+    } catch (error) {
+        console.error('[Import] Failed to load entries:', error.message);
+        return res.status(500).json({
+            error: 'Failed to load imported jokes',
+            message: error.message
+        });
+    }
+
+    const pending = reserveForAnalysis(entries.filter(entry => !entry.analyzed));
+    if (pending.length === 0) {
+        return res.status(404).json({
+            error: 'Not found',
+            message: 'None of these set_ids is an imported joke waiting for analysis (it may already be queued)'
+        });
+    }
+
+    const rows = pending.map((entry, index) => ({
+        row: index + 1,
+        line_text: entry.line_text,
+        set_title: entry.set_title || null,
+        tags: entry.tags || [],
+        written_at: entry.written_at || null,
+        set_id: entry.set_id,
+        import_id: entry.import_id
+    }));
+    const status = createImportStatus({ import_id: null, rows, analyze: true });
+    const job = startImportJob(req, { rows, status, skipDuplicates: false, run });
+
+    sendJobAccepted(res, job);
+});
+
+/**
+ * GET /api/jobs/:job_id
+ * Status of an analysis job (import jobs also list every row's progress)
+ */
+app.get('/api/jobs/:job_id', (req, res) => {
+    const job = getJob(req.params.job_id, req.user.user_id);
+
+    if (!job) {
+        return res.status(404).json({
+            error: 'Not found',
+            message: `Job ${req.params.job_id} does not exist or has expired`
+        });
+    }
+
+    res.json(toJobStatus(job));
+});
+
+/**
+ * GET /api/jobs/:job_id/events
+ * Server-Sent Events stream of a job. Every event carries an id; reconnect
+ * with a Last-Event-ID header (or ?last_event_id=) to replay only what was
+ * missed. Finished jobs replay their log and close after `job_end`.
+ * Disconnecting does not cancel the job.
+ */
+app.get('/api/jobs/:job_id/events', (req, res) => {
+    const job = getJob(req.params.job_id, req.user.user_id);
+
+    if (!job) {
+        return res.status(404).json({
+            error: 'Not found',
+            message: `Job ${req.params.job_id} does not exist or has expired`
+        });
+    }
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.last_event_id, 10) || 0;
+
+    let unsubscribe = () => {};
+    const { sendEvent, close } = openEventStream(res, () => unsubscribe());
+
+    unsubscribe = subscribeToJob(job, lastEventId, (event) => {
+        sendEvent(event.type, event.data, event.id);
+        if (event.type === JOB_END_EVENT) {
+            unsubscribe();
+            close();
+        }
+    });
+});
+
+/**
+ * DELETE /api/jobs/:job_id
+ * Cancel a running job
+ */
+app.delete('/api/jobs/:job_id', (req, res) => {
+    const job = getJob(req.params.job_id, req.user.user_id);
+
+    if (!job) {
+        return res.status(404).json({
+            error: 'Not found',
+            message: `Job ${req.params.job_id} does not exist or has expired`
+        });
+    }
+
+    if (!cancelJob(job)) {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: `Job ${job.job_id} already ${job.status}`
+        });
+    }
+
+    res.json({ success: true, job_id: job.job_id, cancelled: true });
+});
+
+/**
+ * GET /api/audiences
+ * Audience context presets for /api/analyze
+ *
+ * Returns: { audiences: [...], custom: 'custom' }
+ */
+app.get('/api/audiences', (req, res) => {
+    res.json({ audiences: AUDIENCE_PRESETS, custom: CUSTOM_AUDIENCE });
+});
+
+/**
+ * GET /api/personas
+ * List built-in and custom audience personas
+ *
+ * Returns: { personas: [...] }
+ */
+app.get('/api/personas', async (req, res) => {
+    try {
+        const personas = await listPersonas(req.workspace.workspace_id);
+        res.json({ personas });
+    } catch (error) {
+        console.error('[Personas] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch personas',
+            message: error.message
+        });
+    }
 });
 
 /**
- * POST /api/analyze
- * Analyze a standup line using the Agent Builder agent
- * 
- * Body: { line_text: string }
- * Returns: { set_id, line_id, stage1: [...], stage2: [...], stage3: {...} }
+ * GET /api/personas/:persona_id
+ * Fetch a single persona
  */
+app.get('/api/personas/:persona_id', async (req, res) => {
+    try {
+        const persona = await getPersona(req.params.persona_id, req.workspace.workspace_id);
+
+        if (!persona) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Persona ${req.params.persona_id} does not exist`
+            });
+        }
+
+        res.json(persona);
+    } catch (error) {
+        console.error('[Personas] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch persona',
+            message: error.message
+        });
+    }
+});
+
 /**
- * POST /api/analyze
- * Analyzes a joke line using Agent Builder agents.
- * Uses Server-Sent Events (SSE) to stream progress and results,
- * preventing timeouts on long-running requests.
+ * POST /api/personas
+ * Create a custom persona
+ *
+ * Body: { name: string, voice: string, prompt_fragment: string }
+ * Returns: the created persona (persona_id is derived from name)
  */
-app.post('/api/analyze', async (req, res) => {
-    const { line_text } = req.body;
+app.post('/api/personas', requireRole('editor'), async (req, res) => {
+    try {
+        const validationError = validatePersonaInput(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: validationError
+            });
+        }
 
-    if (!line_text || typeof line_text !== 'string' || line_text.trim().length === 0) {
-        return res.status(400).json({
-            error: 'Invalid request',
-            message: 'line_text is required and must be a non-empty string'
+        if (await getPersona(slugifyPersonaName(req.body.name), req.workspace.workspace_id)) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `A persona named "${req.body.name}" already exists`
+            });
+        }
+
+        const persona = await createPersona(req.body, { workspace_id: req.workspace.workspace_id, user_id: req.user.user_id });
+        res.status(201).json(persona);
+    } catch (error) {
+        console.error('[Personas] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to create persona',
+            message: error.message
         });
     }
+});
 
-    // Set up SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders();
+/**
+ * PUT /api/personas/:persona_id
+ * Update a custom persona (built-ins are read-only)
+ *
+ * Body: any of { name, voice, prompt_fragment }
+ */
+app.put('/api/personas/:persona_id', requireRole('editor'), async (req, res) => {
+    try {
+        const existing = await getPersona(req.params.persona_id, req.workspace.workspace_id);
 
-    // Helper to send SSE events
-    const sendEvent = (type, data) => {
-        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
-    };
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Persona ${req.params.persona_id} does not exist`
+            });
+        }
+        if (existing.builtin) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Built-in personas cannot be modified'
+            });
+        }
 
-    // Keep-alive interval to prevent timeout
-    const keepAlive = setInterval(() => {
-        sendEvent('ping', { timestamp: Date.now() });
-    }, 15000); // Send heartbeat every 15s
+        const validationError = validatePersonaInput(req.body, { partial: true });
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: validationError
+            });
+        }
 
-    const set_id = uuidv4();
-    const line_id = 'l1';
+        const persona = await updatePersona(existing, req.body);
+        res.json(persona);
+    } catch (error) {
+        console.error('[Personas] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to update persona',
+            message: error.message
+        });
+    }
+});
 
+/**
+ * DELETE /api/personas/:persona_id
+ * Delete a custom persona (stored analyses keep their agent_mode)
+ */
+app.delete('/api/personas/:persona_id', requireRole('editor'), async (req, res) => {
     try {
-        console.log(`[Analyze] Starting analysis for set_id=${set_id}`);
-        sendEvent('start', { set_id, line_id, message: 'Analysis started...' });
-
-        // --- Stage 1: Parallel Perspectives ---
-        sendEvent('progress', { message: 'Consulting the council of comedy (6 perspectives)...' });
-
-        const perspectives = [
-            'Literal',
-            'Inferred',
-            'Ambiguity Spotter',
-            'The Skeptic',
-            'The Fan',
-            'The Surrealist'
-        ];
-
-        const stage1Results = [];
-        const stage2Results = [];
-        let completedCount = 0;
-
-        // Helper to run a single perspective analysis
-        const analyzePerspective = async (role) => {
-            try {
-                const roleId = role.toLowerCase().replace(/ /g, '_');
-                console.log(`[Analyze] Starting perspective: ${role}`);
-
-                // Specific prompt for this role
-                const specificInput = `Act as the "${role}" audience persona.
-Analyze this standup line: "${line_text.trim()}"
-
-Return a SINGLE JSON object with this structure:
-{
-  "agent_mode": "${roleId}",
-  "feedback_text": "Your reaction as ${role}...",
-  "relatability": "High/Medium/Low",
-  "laugh_potential": "High/Medium/Low",
-  "crowd_energy": "Hot/Warm/Cold",
-  "reason_codes": ["tag1", "tag2"],
-  "concepts": [
-    {
-       "angle_name": "Name of the comedy angle spotted",
-       "explanation": "Why this angle works from your perspective",
-       "exploration_direction": "How to expand on this"
-    }
-  ]
-}
-`;
-                const agentResponse = await callAgentBuilderConverse({
-                    set_id: `${set_id}-${roleId}`, // Unique conversation ID per role to avoid context pollution
-                    line_id,
-                    line_text: specificInput
-                });
+        const existing = await getPersona(req.params.persona_id, req.workspace.workspace_id);
 
-                // Parse Result
-                let result = null;
-
-                const parseCandidate = (text) => {
-                    try {
-                        const clean = text.replace(/^```json\s*/, '').replace(/^```\s*/, '').replace(/\s*```$/, '').trim();
-                        const parsed = JSON.parse(clean);
-                        // Validate it has expected keys
-                        if (parsed.feedback_text || parsed.relatability) return parsed;
-                        return null;
-                    } catch (e) {
-                        try {
-                            const match = text.match(/\{[\s\S]*\}/);
-                            if (match) {
-                                const parsed = JSON.parse(match[0]);
-                                if (parsed.feedback_text || parsed.relatability) return parsed;
-                            }
-                        } catch (e2) { }
-                        return null;
-                    }
-                };
-
-                // Strategy 1: Top level fields
-                if (agentResponse.output) result = parseCandidate(agentResponse.output);
-                if (!result && agentResponse.message) result = parseCandidate(agentResponse.message);
-
-                // Strategy 2: Nested response object
-                if (!result && agentResponse.response?.message) result = parseCandidate(agentResponse.response.message);
-                if (!result && agentResponse.response?.output) result = parseCandidate(agentResponse.response.output);
-
-                // Strategy 3: Search in steps (if any)
-                if (!result && agentResponse.steps && Array.isArray(agentResponse.steps)) {
-                    for (const step of agentResponse.steps) {
-                        // Check for tool output or message creation
-                        if (step.type === 'message_creation' && step.content) {
-                            result = parseCandidate(step.content);
-                            if (result) break;
-                        }
-                    }
-                }
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Persona ${req.params.persona_id} does not exist`
+            });
+        }
+        if (existing.builtin) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Built-in personas cannot be deleted'
+            });
+        }
 
-                // Strategy 4: Fallback - treat entire response as string and regex search
-                if (!result) {
-                    const stringified = JSON.stringify(agentResponse);
-                    result = parseCandidate(stringified);
-                }
+        await deletePersona(existing.persona_id, req.workspace.workspace_id);
+        res.json({ deleted: true, message: `Deleted persona ${existing.persona_id}` });
+    } catch (error) {
+        console.error('[Personas] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to delete persona',
+            message: error.message
+        });
+    }
+});
 
-                // Final cleanup: if we somehow got a "wrapped" string, try parsing one more time
-                if (result && typeof result === 'string') {
-                    const reParsed = parseCandidate(result);
-                    if (reParsed) result = reParsed;
-                }
+/**
+ * GET /api/setlists
+ * List the workspace's setlists
+ *
+ * Returns: { setlists: [{ setlist_id, name, joke_count, created_at, updated_at }] }
+ */
+app.get('/api/setlists', async (req, res) => {
+    try {
+        const setlists = await listSetlists(req.workspace.workspace_id);
+        res.json({ setlists });
+    } catch (error) {
+        console.error('[Setlists] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch setlists',
+            message: error.message
+        });
+    }
+});
 
-                if (result) {
-                    // Ensure feedback_id
-                    const feedbackId = `f_${roleId}_${Date.now()}`;
-                    result.feedback_id = feedbackId;
-                    result.agent_mode = roleId; // Enforce correct ID
-
-                    stage1Results.push(result);
-
-                    // Extract concepts to Stage 2
-                    if (result.concepts && Array.isArray(result.concepts)) {
-                        result.concepts.forEach((concept, idx) => {
-                            stage2Results.push({
-                                concept_id: `c_${feedbackId}_${idx}`,
-                                parent_feedback_id: feedbackId,
-                                set_id: set_id,
-                                angle_name: concept.angle_name,
-                                explanation: concept.explanation,
-                                exploration_direction: concept.exploration_direction
-                            });
-                        });
-                    }
-
-                    completedCount++;
-
-                    // Stream incremental update w/ Stage 2 data
-                    sendEvent('result_stage1', { stage1: stage1Results, stage2: stage2Results });
-                    sendEvent('progress', { message: `Received ${role} perspective (${completedCount}/6)...` });
-                }
+/**
+ * POST /api/setlists/plan
+ * Plan a running order without saving it (e.g. while it is being dragged
+ * around)
+ *
+ * Body: { items: [{ set_id, line_id? }] }
+ * Returns: { jokes, avg_energy, flags, suggestion } (see setlists.js)
+ */
+app.post('/api/setlists/plan', async (req, res) => {
+    try {
+        const validationError = validateSetlistItems(req.body?.items);
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: validationError
+            });
+        }
 
-            } catch (err) {
-                console.error(`[Analyze] Failed perspective ${role}:`, err.message);
-                // We do not throw here, we just log and continue so other perspectives can finish
-            }
-        };
+        res.json(await analyzeSetlist(req.body.items, req.workspace.workspace_id));
+    } catch (error) {
+        console.error('[Setlists] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to plan setlist',
+            message: error.message
+        });
+    }
+});
 
-        // Launch all 6 in parallel
-        await Promise.all(perspectives.map(p => analyzePerspective(p)));
+/**
+ * GET /api/setlists/:setlist_id
+ * Fetch a setlist with its predicted energy arc, problems and suggested order
+ *
+ * Returns: { setlist_id, name, items, ..., plan: { jokes, avg_energy, flags, suggestion } }
+ */
+app.get('/api/setlists/:setlist_id', async (req, res) => {
+    try {
+        const setlist = await getSetlist(req.params.setlist_id, req.workspace.workspace_id);
 
-        console.log(`[Analyze] Stage 1 complete. ${stage1Results.length} results.`);
+        if (!setlist) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Setlist ${req.params.setlist_id} does not exist`
+            });
+        }
 
-        // Store Stage 1 Results
-        await storeDocsToES({
-            set_id,
-            line_id,
-            line_text: line_text.trim(),
-            stage1: stage1Results,
-            stage2: stage2Results,
-            stage3: null
+        res.json({ ...setlist, plan: await analyzeSetlist(setlist.items, req.workspace.workspace_id) });
+    } catch (error) {
+        console.error('[Setlists] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch setlist',
+            message: error.message
         });
+    }
+});
+
+/**
+ * POST /api/setlists
+ * Save a setlist
+ *
+ * Body: { name: string, items: [{ set_id, line_id? }] } (line_id defaults to l1)
+ * Returns: the created setlist with its plan
+ */
+app.post('/api/setlists', requireRole('editor'), async (req, res) => {
+    try {
+        const validationError = validateSetlistInput(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: validationError
+            });
+        }
 
-        // --- Stage 3: Reviewer Agent ---
-        if (reviewerEnabled && stage1Results.length > 0) {
-            sendEvent('progress', { message: 'Synthesizing reviews...' });
+        const { workspace_id } = req.workspace;
+        const setlist = await createSetlist(req.body, { workspace_id, user_id: req.user.user_id });
+        res.status(201).json({ ...setlist, plan: await analyzeSetlist(setlist.items, workspace_id) });
+    } catch (error) {
+        console.error('[Setlists] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to create setlist',
+            message: error.message
+        });
+    }
+});
 
-            try {
-                const stage3 = await getReview({ set_id, line_text: line_text.trim(), stage1: stage1Results });
+/**
+ * PUT /api/setlists/:setlist_id
+ * Rename a setlist or save a new running order
+ *
+ * Body: any of { name, items }
+ * Returns: the updated setlist with its plan
+ */
+app.put('/api/setlists/:setlist_id', requireRole('editor'), async (req, res) => {
+    try {
+        const { workspace_id } = req.workspace;
+        const existing = await getSetlist(req.params.setlist_id, workspace_id);
 
-                // Store Stage 3
-                await storeDocsToES({
-                    set_id,
-                    line_id: 'l1',
-                    line_text: line_text.trim(),
-                    stage1: [], // Keep previous
-                    stage2: [],
-                    stage3
-                });
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Setlist ${req.params.setlist_id} does not exist`
+            });
+        }
 
-                sendEvent('result_stage3', { stage3 });
-            } catch (reviewError) {
-                console.error('[Analyze] Reviewer error:', reviewError);
-                sendEvent('error', { message: 'Review generation failed, but perspectives are available.' });
-            }
+        const validationError = validateSetlistInput(req.body, { partial: true });
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: validationError
+            });
         }
 
-        sendEvent('done', { set_id });
+        const setlist = await updateSetlist(existing, req.body);
+        res.json({ ...setlist, plan: await analyzeSetlist(setlist.items, workspace_id) });
+    } catch (error) {
+        console.error('[Setlists] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to update setlist',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/setlists/:setlist_id
+ * Delete a setlist (the jokes in it are untouched)
+ */
+app.delete('/api/setlists/:setlist_id', requireRole('editor'), async (req, res) => {
+    try {
+        const { deleted } = await deleteSetlist(req.params.setlist_id, req.workspace.workspace_id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Setlist ${req.params.setlist_id} does not exist`
+            });
+        }
 
+        res.json({ deleted: true, message: `Deleted setlist ${req.params.setlist_id}` });
     } catch (error) {
-        console.error('[Analyze] Error:', error);
-        sendEvent('error', { message: error.message || 'Analysis failed' });
-    } finally {
-        clearInterval(keepAlive);
-        res.end();
+        console.error('[Setlists] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to delete setlist',
+            message: error.message
+        });
     }
 });
 
@@ -273,7 +2006,7 @@ Return a SINGLE JSON object with this structure:
  * Fetch existing results for a set_id/line_id
  * 
  * Query: ?set_id=...&line_id=...
- * Returns: { set_id, line_id, stage1: [...], stage2: [...] }
+ * Returns: { set_id, line_id, stage1: [...], stage2: [...], stage3, sensitivity }
  */
 app.get('/api/results', async (req, res) => {
     try {
@@ -286,9 +2019,10 @@ app.get('/api/results', async (req, res) => {
             });
         }
 
-        const { stage1, stage2, stage3 } = await fetchDocsFromES({
+        const { stage1, stage2, stage3, sensitivity } = await fetchDocs({
             set_id,
-            line_id: line_id || 'l1'
+            line_id: line_id || 'l1',
+            workspace_id: req.workspace.workspace_id
         });
 
         res.json({
@@ -296,7 +2030,8 @@ app.get('/api/results', async (req, res) => {
             line_id: line_id || 'l1',
             stage1,
             stage2,
-            stage3
+            stage3,
+            sensitivity
         });
 
     } catch (error) {
@@ -308,26 +2043,190 @@ app.get('/api/results', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/results/:set_id/export
+ * Download an analysis as a shareable report: the line (or every line of a
+ * set), persona reactions with metrics and reason codes, angles, the
+ * reviewer verdict, sensitive topics and similar jokes
+ *
+ * Query: ?format=md|html|json|pdf (default md) &line_id=... (only that line of a set)
+ * Returns: The report as an attachment
+ */
+app.get('/api/results/:set_id/export', async (req, res) => {
+    try {
+        const { set_id } = req.params;
+        const format = req.query.format || 'md';
+        const { line_id } = req.query;
+
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+            });
+        }
+
+        const { workspace_id } = req.workspace;
+        const { set_title, lines: setLines } = await fetchSet(set_id, workspace_id);
+        const lines = line_id ? setLines.filter(line => line.line_id === line_id) : setLines;
+
+        if (lines.length === 0) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `No analysis found for set_id ${set_id}${line_id ? ` and line_id ${line_id}` : ''}`
+            });
+        }
+
+        // Same lookup as the Similar Jokes panel: this room, other jokes only
+        const audience_context = lines[0].stage1.find(doc => doc.audience_context)?.audience_context || null;
+        const similar = await Promise.all(
+            lines.map(line => findSimilarJokes(line.line_text, 3, set_id, audience_context, workspace_id))
+        );
+        const similarByLine = Object.fromEntries(lines.map((line, i) => [line.line_id, similar[i]]));
+
+        const report = buildReport({ set_id, set_title, lines, similarByLine });
+
+        const body = format === 'md' ? renderMarkdown(report)
+            : format === 'html' ? renderHtml(report)
+            : format === 'pdf' ? renderPdf(report)
+            : JSON.stringify(report, null, 2);
+
+        res.type(EXPORT_FORMATS[format].type);
+        res.attachment(reportFilename(report, format));
+        res.send(body);
+
+    } catch (error) {
+        console.error('[Export] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to export analysis',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/sets/:set_id
+ * Fetch every line of a set with its results, the set summary and the
+ * callbacks and themes found across it (null if it was never checked)
+ *
+ * Returns: { set_id, set_title, lines: [...], summary: {...}, connections }
+ */
+app.get('/api/sets/:set_id', async (req, res) => {
+    try {
+        const { set_id } = req.params;
+
+        const { set_title, lines, connections } = await fetchSet(set_id, req.workspace.workspace_id);
+
+        if (lines.length === 0) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `No analysis found for set_id ${set_id}`
+            });
+        }
+
+        res.json({
+            set_id,
+            set_title,
+            lines,
+            summary: buildSetSummary(lines),
+            connections
+        });
+
+    } catch (error) {
+        console.error('[Sets] Error:', error.message);
+        res.status(500).json({
+            error: 'Failed to fetch set',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/sets/:set_id/connections
+ * Starts a job that looks across a stored set again for callbacks, running
+ * themes and repeated premises (e.g. for sets analyzed before the lookup
+ * existed), replacing the stored result. The job streams a
+ * `set_connections` event.
+ */
+app.post('/api/sets/:set_id/connections', requireRole('editor'), async (req, res) => {
+    const { set_id } = req.params;
+    const { user_id } = req.user;
+    const { workspace_id } = req.workspace;
+
+    let set;
+    try {
+        set = await fetchSet(set_id, workspace_id);
+    } catch (error) {
+        console.error('[Callbacks] Error:', error.message);
+        return res.status(500).json({
+            error: 'Failed to load set',
+            message: error.message
+        });
+    }
+
+    if (set.lines.length === 0) {
+        return res.status(404).json({
+            error: 'Not found',
+            message: `No analysis found for set_id ${set_id}`
+        });
+    }
+    if (set.lines.length < 2) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: 'Callbacks and themes need a set of at least two lines'
+        });
+    }
+
+    const job = startJob({
+        kind: 'connections',
+        user_id,
+        set_id,
+        meta: { line_count: set.lines.length },
+        work: async ({ sendEvent, signal }) => {
+            await connectSet({
+                set_id,
+                set_title: set.set_title,
+                lines: set.lines,
+                sendEvent,
+                callbackWriterEnabled,
+                audience: audienceFromDoc(set.lines[0].stage1[0]),
+                docFields: { workspace_id, user_id },
+                signal
+            });
+            sendEvent('done', { set_id });
+        }
+    });
+
+    sendJobAccepted(res, job);
+});
+
 /**
  * GET /api/history
- * Fetch history of past jokes
+ * Fetch a page of past jokes (one entry per joke, its latest revision)
  * 
- * Query: ?limit=20&offset=0
- * Returns: { items: [...], total: number }
+ * Query: ?limit=20&cursor=...&q=...&risk=low,high&divergence_min=0&divergence_max=100
+ *   &from=2024-01-01&to=2024-12-31&metric=laugh_potential:high&tag=crowd-work
+ *   &sort=date|divergence|laugh&order=desc|asc (see lib/history.js)
+ * Returns: { items: [...], total: number, limit: number, next_cursor: string|null, hasMore: boolean }
  */
 app.get('/api/history', async (req, res) => {
-    try {
-        const limit = parseInt(req.query.limit) || 20;
-        const offset = parseInt(req.query.offset) || 0;
+    const { params, error } = parseHistoryQuery(req.query);
+    if (error) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: error
+        });
+    }
 
-        const { items, total } = await fetchHistory(limit, offset);
+    try {
+        const { items, total, after } = await fetchHistory(params, req.workspace.workspace_id);
+        const next_cursor = encodeHistoryCursor(after);
 
         res.json({
             items,
             total,
-            limit,
-            offset,
-            hasMore: offset + items.length < total
+            limit: params.limit,
+            next_cursor,
+            hasMore: next_cursor !== null
         });
 
     } catch (error) {
@@ -345,7 +2244,7 @@ app.get('/api/history', async (req, res) => {
  * 
  * Returns: { deleted: number, message: string }
  */
-app.delete('/api/history/:set_id', async (req, res) => {
+app.delete('/api/history/:set_id', requireRole('editor'), async (req, res) => {
     try {
         const { set_id } = req.params;
 
@@ -356,7 +2255,7 @@ app.delete('/api/history/:set_id', async (req, res) => {
             });
         }
 
-        const { deleted } = await deleteBySetId(set_id);
+        const { deleted } = await deleteBySetId(set_id, req.workspace.workspace_id);
 
         res.json({
             deleted,
@@ -376,12 +2275,12 @@ app.delete('/api/history/:set_id', async (req, res) => {
  * GET /api/similar
  * Find jokes similar to the given text
  * 
- * Query: ?line_text=...&limit=5&exclude_set_id=...
+ * Query: ?line_text=...&limit=5&exclude_set_id=...&audience_context=...
  * Returns: { similar: [...] }
  */
 app.get('/api/similar', async (req, res) => {
     try {
-        const { line_text, limit, exclude_set_id } = req.query;
+        const { line_text, limit, exclude_set_id, audience_context } = req.query;
 
         if (!line_text) {
             return res.status(400).json({
@@ -390,8 +2289,15 @@ app.get('/api/similar', async (req, res) => {
             });
         }
 
+        if (audience_context && !isAudienceContext(audience_context)) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: `Unknown audience_context: ${audience_context}`
+            });
+        }
+
         const maxLimit = Math.min(parseInt(limit) || 5, 10);
-        const similarJokes = await findSimilarJokes(line_text, maxLimit, exclude_set_id || null);
+        const similarJokes = await findSimilarJokes(line_text, maxLimit, exclude_set_id || null, audience_context || null, req.workspace.workspace_id);
 
         res.json({
             similar: similarJokes,
@@ -409,11 +2315,21 @@ app.get('/api/similar', async (req, res) => {
 
 /**
  * GET /api/insights
- * Get analytics and trends via ES|QL
+ * Get analytics and trends (ES|QL on Elasticsearch, computed in JS by the local store)
+ *
+ * Query: ?audience_context=... (optional, only analyses played to that room)
  */
 app.get('/api/insights', async (req, res) => {
+    const audience_context = req.query.audience_context || null;
+    if (audience_context && !isAudienceContext(audience_context)) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: `Unknown audience_context: ${audience_context}`
+        });
+    }
+
     try {
-        const insights = await getAllInsights();
+        const insights = await getAllInsights({ audience_context, workspace_id: req.workspace.workspace_id });
         res.json(insights);
     } catch (error) {
         console.error('[Insights] Error:', error.message);
@@ -442,21 +2358,30 @@ async function start() {
     try {
         // Validate configuration
         console.log('[Startup] Validating configuration...');
-        validateESConfig();
-        validateAgentConfig();
+        validateStorageConfig();
+        validateLLMConfig();
 
         // Reviewer Agent is optional - validate but don't fail if not configured
         reviewerEnabled = validateReviewerConfig();
         if (reviewerEnabled) {
             console.log('[Startup] Reviewer Agent enabled');
         } else {
-            console.log('[Startup] Reviewer Agent not configured (Stage 3 will be skipped)');
+            console.log('[Startup] Reviewer Agent not configured (Stage 3 will use the computed divergence only)');
         }
 
+        punchUpEnabled = isPunchUpAvailable();
+        console.log(`[Startup] Punch-up ${punchUpEnabled ? 'enabled' : 'not configured'}`);
+
+        sensitivityEnabled = isSensitivityAvailable();
+        console.log(`[Startup] Sensitivity classifier ${sensitivityEnabled ? 'enabled' : 'not configured'}`);
+
+        callbackWriterEnabled = isCallbackWriterAvailable();
+        console.log(`[Startup] Callback writer ${callbackWriterEnabled ? 'enabled' : 'not configured'}`);
+
         console.log('[Startup] Configuration valid');
 
-        // Ensure ES index exists
-        await ensureIndex();
+        // Create or check the analysis index (or load the local data files)
+        await ensureStorage();
 
         // Start server
         app.listen(PORT, () => {
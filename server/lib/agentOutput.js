@@ -0,0 +1,148 @@
+/**
+ * Agent output handling
+ * Extracts the JSON payload from an agent response, validates it against a
+ * schema and, when validation fails, sends the agent a "repair" turn listing
+ * the errors before falling back.
+ *
+ * Every result carries a validation_status:
+ * - valid: passed on the first reply
+ * - repaired: passed after one or more repair turns
+ * - fallback: never passed; only the fields that validated are kept
+ */
+
+import { converse } from './llm.js';
+import { validateSchema } from './schemas.js';
+
+const AGENT_REPAIR_ATTEMPTS = parseInt(process.env.AGENT_REPAIR_ATTEMPTS ?? '1', 10);
+
+/**
+ * Parse a JSON object out of agent text, tolerating markdown fences and chatter
+ * @param {string} text
+ * @returns {Object|null}
+ */
+function parseJsonText(text) {
+    if (typeof text !== 'string') return null;
+
+    const clean = text.replace(/^```json\s*/, '').replace(/^```\s*/, '').replace(/\s*```$/, '').trim();
+    try {
+        const parsed = JSON.parse(clean);
+        // A double-encoded reply is still a reply
+        if (typeof parsed === 'string') return parseJsonText(parsed);
+        return typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (e) {
+        const match = clean.match(/\{[\s\S]*\}/);
+        if (!match) return null;
+        try {
+            return JSON.parse(match[0]);
+        } catch (e2) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Find the agent's JSON payload in a provider response
+ * Looks only where an agent reply can live (output, message, nested response,
+ * message steps, tool call data), never in the response envelope itself.
+ * @param {Object} agentResponse - Raw response from the LLM provider
+ * @returns {{payload: Object|null, text: string}} - Parsed payload and the raw reply text
+ */
+export function extractAgentPayload(agentResponse) {
+    const candidates = [
+        agentResponse?.output,
+        agentResponse?.message,
+        agentResponse?.response?.message,
+        agentResponse?.response?.output
+    ];
+
+    for (const step of agentResponse?.steps || []) {
+        if (step.type === 'message_creation' && step.content) candidates.push(step.content);
+        if (step.type === 'tool_call' && step.params?.data) candidates.push(step.params.data);
+    }
+
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        if (typeof candidate === 'object') return { payload: candidate, text: JSON.stringify(candidate) };
+
+        const payload = parseJsonText(candidate);
+        if (payload) return { payload, text: candidate };
+    }
+
+    const text = candidates.find(c => typeof c === 'string') || '';
+    return { payload: null, text };
+}
+
+/**
+ * Build the follow-up turn that asks the agent to fix its reply
+ */
+function buildRepairInput({ input, replyText, errors, hasConversation }) {
+    const instructions = `Your previous reply did not match the required JSON schema.
+
+Validation errors:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return ONLY the corrected JSON object with the same structure as requested. No markdown. No explanation.`;
+
+    // Stateless providers need the original request and reply repeated
+    if (hasConversation) return instructions;
+
+    return `${input}
+
+--- Your previous reply ---
+${replyText || '(empty)'}
+
+${instructions}`;
+}
+
+/**
+ * Call an agent and validate its reply, repairing when needed
+ * @param {Object} params
+ * @param {string} params.agent - Agent role ('persona' | 'reviewer')
+ * @param {string} params.input - Full input text for the agent
+ * @param {Object} params.schema - Schema the payload must satisfy
+ * @param {string} [params.label] - Name used in logs
+ * @param {AbortSignal} [params.signal] - Cancels the call and any repair turns
+ * @returns {Promise<{value: Object|null, validation_status: string, validation_errors: string[]}>}
+ */
+export async function converseWithSchema({ agent, input, schema, label = agent, signal }) {
+    let response = await converse({ agent, input, signal });
+    let attempt = 0;
+    let lastValue = null;
+    let errors = [];
+
+    while (true) {
+        const { payload, text } = extractAgentPayload(response);
+        const result = payload
+            ? validateSchema(schema, payload)
+            : { value: null, errors: ['Reply did not contain a JSON object'] };
+
+        if (result.errors.length === 0) {
+            return {
+                value: result.value,
+                validation_status: attempt === 0 ? 'valid' : 'repaired',
+                validation_errors: attempt === 0 ? [] : errors
+            };
+        }
+
+        errors = result.errors;
+        if (result.value) lastValue = result.value;
+        console.warn(`[Validate] ${label} reply failed validation (attempt ${attempt + 1}):`, errors.join('; '));
+
+        if (attempt >= AGENT_REPAIR_ATTEMPTS) break;
+        attempt++;
+
+        const conversation_id = response?.conversation_id;
+        response = await converse({
+            agent,
+            conversation_id,
+            signal,
+            input: buildRepairInput({ input, replyText: text, errors, hasConversation: Boolean(conversation_id) })
+        });
+    }
+
+    return {
+        value: lastValue,
+        validation_status: 'fallback',
+        validation_errors: errors
+    };
+}
@@ -1,12 +1,26 @@
 /**
  * Analytics module - ES|QL queries for trend analysis
- * Provides insights on joke patterns, risk distribution, and crowd energy trends
+ * Provides insights on joke patterns, risk distribution, crowd energy trends
+ * and the sensitive topics jokes touch
+ * Every query is scoped to one workspace and can be narrowed to one audience context.
+ * Each analyzed line is one doc; per-persona numbers come from the counts
+ * kept next to its panel (crowd_energy_counts, high_laugh_modes), since
+ * ES|QL can't open up the nested personas.
+ * These are the Elasticsearch store's insights; the local store computes the
+ * same shapes in stores/localInsights.js.
  */
 
+import { isAudienceContext } from './audiences.js';
+import { ENERGIES } from './schemas.js';
+
 const ES_URL = process.env.ES_URL;
 const ES_API_KEY = process.env.ES_API_KEY;
 const INDEX_NAME = 'how-it-lands';
 
+// A reviewed line's divergence, as scoring.js reviewDivergence() reads it
+// for History: the computed score, else the reviewer agent's
+const DIVERGENCE = 'divergence = COALESCE(reviewer.computed_divergence_score, reviewer.divergence_score)';
+
 /**
  * Execute an ES|QL query
  * @param {string} query - ES|QL query string
@@ -49,16 +63,41 @@ function transformEsqlResponse(esqlResponse) {
     });
 }
 
+const WORKSPACE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Extra WHERE conditions restricting a query to one workspace's analyses and,
+ * optionally, one audience context
+ * Punch-up variants are left out, so Insights counts the jokes History lists.
+ * Values are checked before they reach ES|QL.
+ * @param {Object} scope
+ * @param {string} scope.workspace_id - Workspace of the analyses
+ * @param {string|null} [scope.audience_context]
+ * @returns {string}
+ */
+function scopeConditions({ workspace_id, audience_context = null }) {
+    if (!WORKSPACE_ID_PATTERN.test(workspace_id || '')) {
+        throw new Error('A valid workspace_id is required for analytics');
+    }
+    let conditions = ` AND doc_type == "analysis" AND workspace_id == "${workspace_id}" AND variant_of_set_id IS NULL`;
+    if (!audience_context) return conditions;
+    if (!isAudienceContext(audience_context)) {
+        throw new Error(`Unknown audience_context: ${audience_context}`);
+    }
+    conditions += ` AND audience_context == "${audience_context}"`;
+    return conditions;
+}
+
 /**
  * Get risk level distribution across all analyzed jokes
  */
-export async function getRiskDistribution() {
+export async function getRiskDistribution({ audience_context = null, workspace_id } = {}) {
     console.log('[Analytics] Fetching risk distribution...');
 
     const query = `
         FROM ${INDEX_NAME}
-        | WHERE stage == 3 AND risk_level IS NOT NULL
-        | STATS count = COUNT(*) BY risk_level
+        | WHERE reviewer.risk_level IS NOT NULL${scopeConditions({ workspace_id, audience_context })}
+        | STATS count = COUNT(*) BY risk_level = reviewer.risk_level
         | SORT count DESC
     `;
 
@@ -77,23 +116,27 @@ export async function getRiskDistribution() {
 /**
  * Get crowd energy distribution
  */
-export async function getEnergyDistribution() {
+export async function getEnergyDistribution({ audience_context = null, workspace_id } = {}) {
     console.log('[Analytics] Fetching energy distribution...');
 
+    // One reaction per persona, so the per-line counts are summed
     const query = `
         FROM ${INDEX_NAME}
-        | WHERE stage == 1 AND crowd_energy IS NOT NULL
-        | STATS count = COUNT(*) BY crowd_energy
-        | SORT count DESC
+        | WHERE persona_count > 0${scopeConditions({ workspace_id, audience_context })}
+        | STATS ${ENERGIES.map(energy => `${energy} = SUM(crowd_energy_counts.${energy})`).join(', ')}
     `;
 
     const response = await esqlQuery(query);
-    const results = transformEsqlResponse(response);
+    const sums = transformEsqlResponse(response)[0] || {};
+
+    const results = ENERGIES
+        .map(energy => ({ energy, count: sums[energy] || 0 }))
+        .filter(r => r.count > 0)
+        .sort((a, b) => b.count - a.count);
 
     const total = results.reduce((sum, r) => sum + r.count, 0);
     return results.map(r => ({
-        energy: r.crowd_energy,
-        count: r.count,
+        ...r,
         percentage: total > 0 ? Math.round((r.count / total) * 100) : 0
     }));
 }
@@ -101,14 +144,15 @@ export async function getEnergyDistribution() {
 /**
  * Get average divergence score over time (last 7 days)
  */
-export async function getDivergenceTrend() {
+export async function getDivergenceTrend({ audience_context = null, workspace_id } = {}) {
     console.log('[Analytics] Fetching divergence trend...');
 
     const query = `
         FROM ${INDEX_NAME}
-        | WHERE stage == 3 AND divergence_score IS NOT NULL
-        | EVAL day = DATE_TRUNC(1 day, created_at)
-        | STATS avg_divergence = AVG(divergence_score), joke_count = COUNT(*) BY day
+        | EVAL ${DIVERGENCE}
+        | WHERE divergence IS NOT NULL${scopeConditions({ workspace_id, audience_context })}
+        | EVAL day = DATE_TRUNC(1 day, reviewer.created_at)
+        | STATS avg_divergence = AVG(divergence), joke_count = COUNT(*) BY day
         | SORT day DESC
         | LIMIT 7
     `;
@@ -126,13 +170,13 @@ export async function getDivergenceTrend() {
 /**
  * Get most common primary conflicts
  */
-export async function getTopConflicts() {
+export async function getTopConflicts({ audience_context = null, workspace_id } = {}) {
     console.log('[Analytics] Fetching top conflicts...');
 
     const query = `
         FROM ${INDEX_NAME}
-        | WHERE stage == 3 AND primary_conflict IS NOT NULL
-        | EVAL primary_conflict = TO_LOWER(primary_conflict)
+        | WHERE reviewer.primary_conflict IS NOT NULL${scopeConditions({ workspace_id, audience_context })}
+        | EVAL primary_conflict = TO_LOWER(reviewer.primary_conflict)
         | STATS count = COUNT(*) BY primary_conflict
         | SORT count DESC
         | LIMIT 5
@@ -144,14 +188,16 @@ export async function getTopConflicts() {
 
 /**
  * Get most common agent modes with high laugh potential
+ * Counts lines, so a persona re-run on the same line counts once.
  */
-export async function getSuccessfulModes() {
+export async function getSuccessfulModes({ audience_context = null, workspace_id } = {}) {
     console.log('[Analytics] Fetching successful modes...');
 
     const query = `
         FROM ${INDEX_NAME}
-        | WHERE stage == 1 AND laugh_potential == "high"
-        | STATS high_laugh_count = COUNT(*) BY agent_mode
+        | WHERE high_laugh_modes IS NOT NULL${scopeConditions({ workspace_id, audience_context })}
+        | MV_EXPAND high_laugh_modes
+        | STATS high_laugh_count = COUNT(*) BY agent_mode = high_laugh_modes
         | SORT high_laugh_count DESC
     `;
 
@@ -159,16 +205,64 @@ export async function getSuccessfulModes() {
     return transformEsqlResponse(response);
 }
 
+/**
+ * Get how often each sensitivity category is tagged, split by severity
+ * Percentages are of classified lines, so a line can count toward several categories.
+ */
+export async function getSensitivityBreakdown({ audience_context = null, workspace_id } = {}) {
+    console.log('[Analytics] Fetching sensitivity breakdown...');
+
+    const totalQuery = `
+        FROM ${INDEX_NAME}
+        | WHERE sensitivity.status == "ok"${scopeConditions({ workspace_id, audience_context })}
+        | EVAL is_flagged = CASE(sensitivity.tags IS NOT NULL, 1, 0)
+        | STATS classified = COUNT(*), flagged = SUM(is_flagged)
+    `;
+
+    const tagQuery = `
+        FROM ${INDEX_NAME}
+        | WHERE sensitivity.tags IS NOT NULL${scopeConditions({ workspace_id, audience_context })}
+        | RENAME sensitivity.tags AS sensitivity_tags
+        | MV_EXPAND sensitivity_tags
+        | STATS count = COUNT(*) BY sensitivity_tags
+        | SORT count DESC
+    `;
+
+    const [totalResponse, tagResponse] = await Promise.all([esqlQuery(totalQuery), esqlQuery(tagQuery)]);
+    const totals = transformEsqlResponse(totalResponse)[0] || {};
+    const classified = totals.classified || 0;
+
+    // Tags are "category:severity"; fold the severities into one row per category
+    const byCategory = new Map();
+    for (const { sensitivity_tags: tag, count } of transformEsqlResponse(tagResponse)) {
+        const [category, severity] = tag.split(':');
+        if (!byCategory.has(category)) {
+            byCategory.set(category, { category, count: 0, severities: { low: 0, medium: 0, high: 0 } });
+        }
+        const row = byCategory.get(category);
+        row.count += count;
+        row.severities[severity] = (row.severities[severity] || 0) + count;
+    }
+
+    return {
+        classified,
+        flagged: totals.flagged || 0,
+        categories: [...byCategory.values()]
+            .map(row => ({ ...row, percentage: classified > 0 ? Math.round((row.count / classified) * 100) : 0 }))
+            .sort((a, b) => b.count - a.count)
+    };
+}
+
 /**
  * Get overall stats summary
  */
-export async function getOverallStats() {
+export async function getOverallStats({ audience_context = null, workspace_id } = {}) {
     console.log('[Analytics] Fetching overall stats...');
 
     // Count unique jokes (set_ids)
     const countQuery = `
         FROM ${INDEX_NAME}
-        | WHERE stage == 1
+        | WHERE persona_count > 0${scopeConditions({ workspace_id, audience_context })}
         | STATS unique_jokes = COUNT_DISTINCT(set_id)
     `;
 
@@ -178,8 +272,9 @@ export async function getOverallStats() {
     // Average divergence
     const avgQuery = `
         FROM ${INDEX_NAME}
-        | WHERE stage == 3 AND divergence_score IS NOT NULL
-        | STATS avg_divergence = AVG(divergence_score)
+        | EVAL ${DIVERGENCE}
+        | WHERE divergence IS NOT NULL${scopeConditions({ workspace_id, audience_context })}
+        | STATS avg_divergence = AVG(divergence)
     `;
 
     const avgResponse = await esqlQuery(avgQuery);
@@ -193,8 +288,11 @@ export async function getOverallStats() {
 
 /**
  * Get all insights in one call
+ * @param {Object} filters
+ * @param {string} filters.workspace_id - Workspace whose analyses to summarize
+ * @param {string|null} [filters.audience_context] - Only analyses played to this audience
  */
-export async function getAllInsights() {
+export async function getAllInsights(filters) {
     console.log('[Analytics] Fetching all insights...');
 
     try {
@@ -204,14 +302,16 @@ export async function getAllInsights() {
             divergenceTrend,
             topConflicts,
             successfulModes,
+            sensitivityBreakdown,
             overallStats
         ] = await Promise.all([
-            getRiskDistribution().catch(() => []),
-            getEnergyDistribution().catch(() => []),
-            getDivergenceTrend().catch(() => []),
-            getTopConflicts().catch(() => []),
-            getSuccessfulModes().catch(() => []),
-            getOverallStats().catch(() => ({ total_jokes: 0, avg_divergence: 0 }))
+            getRiskDistribution(filters).catch(() => []),
+            getEnergyDistribution(filters).catch(() => []),
+            getDivergenceTrend(filters).catch(() => []),
+            getTopConflicts(filters).catch(() => []),
+            getSuccessfulModes(filters).catch(() => []),
+            getSensitivityBreakdown(filters).catch(() => ({ classified: 0, flagged: 0, categories: [] })),
+            getOverallStats(filters).catch(() => ({ total_jokes: 0, avg_divergence: 0 }))
         ]);
 
         return {
@@ -220,7 +320,8 @@ export async function getAllInsights() {
             energyDistribution,
             divergenceTrend,
             topConflicts,
-            successfulModes
+            successfulModes,
+            sensitivityBreakdown
         };
     } catch (error) {
         console.error('[Analytics] Error fetching insights:', error.message);
@@ -0,0 +1,80 @@
+/**
+ * Stage 2 angles
+ * One shape for the comedy angles a persona spots, from the persona's reply
+ * through the stored doc to the UI:
+ *   { angle_id, parent_feedback_id, angle_name, explanation, direction, schema_version }
+ *
+ * Docs stored without a schema_version come in two older shapes: the first
+ * pipeline's path_id / exploration_type / direction_summary, and angles whose
+ * id, explanation and direction never reached the index. toAngle() reads
+ * both; upgradeAngleDoc() rewrites them when the index is migrated to
+ * version 2 (see indexMigrations.js).
+ */
+
+export const ANGLE_SCHEMA_VERSION = 2;
+
+// Fields an angle is not much use without; upgraded docs missing them are flagged
+export const REQUIRED_ANGLE_FIELDS = ['angle_name', 'explanation', 'direction'];
+
+/**
+ * Build Stage 2 angles from a persona's validated reply
+ * @param {Array} replyAngles - The reply's `angles` ({ angle_name, explanation, direction })
+ * @param {Object} params
+ * @param {string} params.feedback_id - Stage 1 reaction the angles come from
+ * @param {string} params.set_id - Set identifier
+ * @param {string} params.validation_status - Validation outcome of the reply
+ * @returns {Array}
+ */
+export function buildAngles(replyAngles, { feedback_id, set_id, validation_status }) {
+    return (replyAngles || []).map((angle, idx) => ({
+        angle_id: `a_${feedback_id}_${idx}`,
+        parent_feedback_id: feedback_id,
+        set_id,
+        angle_name: angle.angle_name,
+        explanation: angle.explanation,
+        direction: angle.direction,
+        schema_version: ANGLE_SCHEMA_VERSION,
+        validation_status
+    }));
+}
+
+/**
+ * Read a stored Stage 2 doc, of any schema version, as a current angle
+ * Fields that were never stored come back null.
+ * @param {Object} doc - Stored doc (with its ES `id`)
+ * @returns {Object}
+ */
+export function toAngle(doc) {
+    return {
+        ...doc,
+        angle_id: doc.angle_id || doc.path_id || doc.id || null,
+        angle_name: doc.angle_name || doc.exploration_type || null,
+        explanation: doc.explanation || null,
+        direction: doc.direction || doc.direction_summary || null,
+        schema_version: doc.schema_version || 1
+    };
+}
+
+/**
+ * Rewrite a stored Stage 2 doc in the current schema
+ * Legacy fields are renamed, angles without an id get their doc id, and
+ * fields that were never stored (they can't be recovered) are listed in
+ * missing_fields. Re-running the line gives it complete angles.
+ * @param {Object} doc - Stored doc source
+ * @param {string} doc_id - Its ES id
+ * @returns {Object}
+ */
+export function upgradeAngleDoc(doc, doc_id) {
+    const { path_id, exploration_type, direction_summary, missing_fields, ...rest } = doc;
+    const angle = {
+        ...rest,
+        angle_id: doc.angle_id || path_id || doc_id,
+        angle_name: doc.angle_name || exploration_type || null,
+        explanation: doc.explanation || null,
+        direction: doc.direction || direction_summary || null,
+        schema_version: ANGLE_SCHEMA_VERSION
+    };
+
+    const missing = REQUIRED_ANGLE_FIELDS.filter(field => !angle[field]);
+    return missing.length > 0 ? { ...angle, missing_fields: missing } : angle;
+}
@@ -0,0 +1,121 @@
+/**
+ * Audience contexts
+ * Named rooms (corporate, college, ...) or a free-text venue description,
+ * woven into every persona and reviewer prompt so reactions reflect who is
+ * actually in the seats. Without one, prompts assume a generic comedy club.
+ */
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * audience_context value stored for free-text venues
+ */
+export const CUSTOM_AUDIENCE = 'custom';
+
+/**
+ * Built-in audience presets
+ */
+export const AUDIENCE_PRESETS = [
+    {
+        audience_context: 'corporate',
+        name: 'Corporate Event',
+        description: 'A corporate holiday party or offsite. Coworkers and their managers are in the room, HR is listening, and people have to see each other on Monday. Edgy material about sex, drugs, politics or the company itself is risky.'
+    },
+    {
+        audience_context: 'college',
+        name: 'College Show',
+        description: 'A student union or campus show. Young, online and quick to catch references, but sensitive to punching down and to anything that reads as dated.'
+    },
+    {
+        audience_context: 'late_night_club',
+        name: 'Late-Night Club',
+        description: 'A late show at a comedy club. Adults who have been drinking, have seen a lot of comedy and reward dark, dirty or risky material that is actually clever.'
+    },
+    {
+        audience_context: 'family_friendly',
+        name: 'Family-Friendly',
+        description: 'An all-ages show with kids, parents and grandparents. No profanity or sexual content; observational and absurd material plays best.'
+    }
+];
+
+/**
+ * Resolve the audience requested for a run
+ * @param {string|Object|undefined} requested - A preset id, or { description } for a custom venue
+ * @returns {{audience: Object|null, error: string|null}}
+ *   audience is { audience_context, name, description }, or null for the generic default.
+ */
+export function resolveAudience(requested) {
+    if (requested === undefined || requested === null || requested === '') {
+        return { audience: null, error: null };
+    }
+
+    if (typeof requested === 'string') {
+        const preset = AUDIENCE_PRESETS.find(a => a.audience_context === requested);
+        if (!preset) {
+            return {
+                audience: null,
+                error: `Unknown audience "${requested}". Use one of: ${AUDIENCE_PRESETS.map(a => a.audience_context).join(', ')}, or { description } for a custom venue`
+            };
+        }
+        return { audience: preset, error: null };
+    }
+
+    const description = requested?.description;
+    if (typeof description !== 'string' || description.trim().length === 0) {
+        return { audience: null, error: 'A custom audience needs a non-empty description' };
+    }
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+        return { audience: null, error: `Audience description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+
+    return {
+        audience: { audience_context: CUSTOM_AUDIENCE, name: 'Custom Venue', description: description.trim() },
+        error: null
+    };
+}
+
+/**
+ * Whether a value is a storable audience_context (a preset id or 'custom')
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isAudienceContext(value) {
+    return value === CUSTOM_AUDIENCE || AUDIENCE_PRESETS.some(a => a.audience_context === value);
+}
+
+/**
+ * Fields stamped on every stored doc of a run
+ * @param {Object|null} audience - From resolveAudience()
+ * @returns {Object}
+ */
+export function audienceDocFields(audience) {
+    if (!audience) return {};
+    return {
+        audience_context: audience.audience_context,
+        ...(audience.audience_context === CUSTOM_AUDIENCE ? { audience_description: audience.description } : {})
+    };
+}
+
+/**
+ * Rebuild the audience of a stored analysis from one of its docs
+ * @param {Object} doc - Any stored doc of the analysis
+ * @returns {Object|null}
+ */
+export function audienceFromDoc(doc) {
+    if (!doc?.audience_context) return null;
+    if (doc.audience_context === CUSTOM_AUDIENCE) {
+        return { audience_context: CUSTOM_AUDIENCE, name: 'Custom Venue', description: doc.audience_description || '' };
+    }
+    return AUDIENCE_PRESETS.find(a => a.audience_context === doc.audience_context) || null;
+}
+
+/**
+ * Prompt paragraph describing the room, or an empty string for the default
+ * @param {Object|null} audience
+ * @returns {string}
+ */
+export function buildAudiencePrompt(audience) {
+    if (!audience) return '';
+    return `The room: ${audience.name}. ${audience.description}
+Judge the line as it would play in this room, not in a generic comedy club.`;
+}
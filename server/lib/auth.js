@@ -0,0 +1,298 @@
+/**
+ * Accounts and authentication
+ * Local username / password accounts. Signing in issues a session token; users
+ * can also create long-lived API tokens for scripts. Both are sent as
+ * `Authorization: Bearer <token>` and only their SHA-256 hash is stored.
+ * Every analysis, persona and job belongs to the user_id of the caller.
+ */
+
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import { v4 as uuidv4 } from 'uuid';
+import {
+    fetchStoredUser, createStoredUser,
+    storeToken, fetchToken, touchToken, fetchUserTokens, deleteTokens
+} from './storage.js';
+
+const SESSION_TTL_MS = parseInt(process.env.AUTH_SESSION_TTL_MS) || 30 * 24 * 60 * 60 * 1000;
+const ALLOW_SIGNUP = process.env.AUTH_ALLOW_SIGNUP !== 'false';
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{2,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_TOKEN_NAME_LENGTH = 60;
+const TOKEN_PREFIX = 'hil_';
+
+// last_used_at is only written back once per interval, not on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Whether new accounts may be registered
+ */
+export function isSignupAllowed() {
+    return ALLOW_SIGNUP;
+}
+
+/**
+ * Usernames are case-insensitive
+ * @param {string} username
+ * @returns {string}
+ */
+export function normalizeUsername(username) {
+    return String(username ?? '').trim().toLowerCase();
+}
+
+/**
+ * Validate credentials from a register request
+ * @param {Object} input - { username, password }
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateCredentials(input) {
+    if (!input || typeof input !== 'object') {
+        return 'username and password are required';
+    }
+    if (!USERNAME_PATTERN.test(normalizeUsername(input.username))) {
+        return 'username must be 3-32 characters: letters, digits, "_", "." or "-"';
+    }
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+        return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (input.password.length > MAX_PASSWORD_LENGTH) {
+        return `password must be at most ${MAX_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Hash a password as "scrypt$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+    const expectedBuffer = Buffer.from(expected, 'base64');
+    const hash = await scryptAsync(password, Buffer.from(salt, 'base64'), expectedBuffer.length);
+    return timingSafeEqual(hash, expectedBuffer);
+}
+
+/**
+ * Public view of a user account (no password hash)
+ * @param {Object} user
+ * @returns {Object} - { user_id, username, created_at }
+ */
+export function toPublicUser(user) {
+    return {
+        user_id: user.user_id,
+        username: user.username,
+        created_at: user.created_at || null
+    };
+}
+
+/**
+ * Create an account
+ * @param {Object} input - Validated { username, password }
+ * @returns {Promise<Object|null>} - The new user, or null if the username is taken
+ */
+export async function registerUser({ username, password }) {
+    const user = {
+        user_id: uuidv4(),
+        username: normalizeUsername(username),
+        password_hash: await hashPassword(password),
+        created_at: new Date().toISOString()
+    };
+
+    const { created } = await createStoredUser(user);
+    return created ? user : null;
+}
+
+/**
+ * Look up an account by username (e.g. to invite it to a workspace)
+ * @param {string} username
+ * @returns {Promise<Object|null>} - The public user, or null if there is none
+ */
+export async function findUser(username) {
+    if (typeof username !== 'string' || !username.trim()) return null;
+
+    const user = await fetchStoredUser(normalizeUsername(username));
+    return user ? toPublicUser(user) : null;
+}
+
+/**
+ * Check a username and password
+ * @param {Object} input - { username, password }
+ * @returns {Promise<Object|null>} - The user, or null if the credentials are wrong
+ */
+export async function authenticateUser({ username, password }) {
+    if (typeof password !== 'string') return null;
+
+    const user = await fetchStoredUser(normalizeUsername(username));
+    if (!user) {
+        // Spend the same time as a real check so unknown usernames don't stand out
+        await hashPassword(password);
+        return null;
+    }
+
+    return await verifyPassword(password, user.password_hash) ? user : null;
+}
+
+/**
+ * Hash under which a token is stored
+ */
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Public view of an API token (never the token itself)
+ */
+function toPublicToken(token) {
+    return {
+        token_id: token.token_id,
+        name: token.name || null,
+        created_at: token.created_at,
+        last_used_at: token.last_used_at || null
+    };
+}
+
+/**
+ * Issue a new token for a user
+ * The plain token is only ever returned here.
+ * @param {Object} params
+ * @param {Object} params.user - { user_id, username }
+ * @param {string} params.kind - 'session' (expires after AUTH_SESSION_TTL_MS) or 'api' (until revoked)
+ * @param {string} [params.name] - Label for an API token
+ * @returns {Promise<Object>} - { token, token_id, name, created_at, expires_at }
+ */
+export async function issueToken({ user, kind, name = null }) {
+    const token = `${TOKEN_PREFIX}${randomBytes(32).toString('base64url')}`;
+    const now = Date.now();
+    const record = {
+        token_id: uuidv4(),
+        user_id: user.user_id,
+        username: user.username,
+        kind,
+        name,
+        created_at: new Date(now).toISOString(),
+        expires_at: kind === 'session' ? new Date(now + SESSION_TTL_MS).toISOString() : null,
+        last_used_at: null
+    };
+
+    await storeToken(hashToken(token), record);
+    return { token, ...toPublicToken(record), expires_at: record.expires_at };
+}
+
+/**
+ * Validate an API token name from a request body
+ * @param {*} name
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateTokenName(name) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        return 'name is required and must be a non-empty string';
+    }
+    if (name.length > MAX_TOKEN_NAME_LENGTH) {
+        return `name must be at most ${MAX_TOKEN_NAME_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Look up the user a bearer token belongs to
+ * Expired session tokens are removed on sight.
+ * @param {string} token
+ * @returns {Promise<Object|null>} - { user_id, username, token_kind } or null
+ */
+export async function resolveToken(token) {
+    if (!token?.startsWith(TOKEN_PREFIX)) return null;
+
+    const token_hash = hashToken(token);
+    const record = await fetchToken(token_hash);
+    if (!record) return null;
+
+    const now = Date.now();
+    if (record.expires_at && new Date(record.expires_at).getTime() <= now) {
+        await deleteTokens({ user_id: record.user_id, token_hash });
+        return null;
+    }
+
+    if (!record.last_used_at || now - new Date(record.last_used_at).getTime() > TOUCH_INTERVAL_MS) {
+        touchToken(token_hash, new Date(now).toISOString())
+            .catch(err => console.error('[Auth] Failed to update last_used_at:', err.message));
+    }
+
+    return { user_id: record.user_id, username: record.username, token_kind: record.kind };
+}
+
+/**
+ * Revoke the token a request was made with (sign out)
+ * @param {string} token
+ * @param {string} user_id
+ */
+export async function revokeToken(token, user_id) {
+    return await deleteTokens({ user_id, token_hash: hashToken(token) });
+}
+
+/**
+ * List a user's API tokens
+ * @param {string} user_id
+ * @returns {Promise<Array>} - [{ token_id, name, created_at, last_used_at }]
+ */
+export async function listApiTokens(user_id) {
+    return (await fetchUserTokens(user_id, 'api')).map(toPublicToken);
+}
+
+/**
+ * Revoke one of a user's API tokens
+ * @param {string} token_id
+ * @param {string} user_id
+ * @returns {Promise<{deleted: boolean}>}
+ */
+export async function revokeApiToken(token_id, user_id) {
+    const { deleted } = await deleteTokens({ user_id, token_id });
+    return { deleted: deleted > 0 };
+}
+
+/**
+ * Bearer token from an Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export function bearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Express middleware: reject requests without a valid token, otherwise set
+ * req.user = { user_id, username, token_kind }
+ */
+export async function requireAuth(req, res, next) {
+    try {
+        const user = await resolveToken(bearerToken(req));
+        if (!user) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Sign in or send an API token as "Authorization: Bearer <token>"'
+            });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('[Auth] Error checking token:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,343 @@
+/**
+ * Callback and running-theme detection
+ * Looks across the lines of an analyzed set for bits a later line could call
+ * back to, premises that run through three or more bits, and premises the
+ * set tells twice. Lines are compared on the reason codes their panel gave
+ * (Stage 1), the angles it suggested (Stage 2) and the ELSER similarity of
+ * their text. The callback writer agent, when configured, then phrases each
+ * suggested callback.
+ */
+
+import { isAgentAvailable } from './llm.js';
+import { converseWithSchema } from './agentOutput.js';
+import { CALLBACK_SCHEMA } from './schemas.js';
+import { buildAudiencePrompt } from './audiences.js';
+import { embedTexts } from './storage.js';
+
+/**
+ * Share of a line's panel that must raise a reason code or angle for it to
+ * count as part of the line
+ */
+const TERM_SHARE = 1 / 3;
+
+/**
+ * Lines between a callback's reference and its target; right after the
+ * reference it's a tag, not a callback
+ */
+const MIN_CALLBACK_GAP = 2;
+
+/**
+ * Connection strength (0-1) a pair of lines needs to be a callback candidate
+ */
+const CALLBACK_STRENGTH = 0.3;
+
+/**
+ * ELSER similarity (0-1) above which two lines tell the same premise, and the
+ * term overlap used instead when ELSER isn't available
+ */
+const REPEAT_SIMILARITY = 0.75;
+const REPEAT_OVERLAP = 0.6;
+
+/**
+ * Lines that must share a reason code or angle to make a running theme
+ */
+const MIN_THEME_LINES = 3;
+
+const MAX_CALLBACKS = 5;
+const MAX_THEMES = 3;
+
+/**
+ * Whether the configured LLM provider can run the callback writer
+ */
+export function isCallbackWriterAvailable() {
+    return isAgentAvailable('callbacks');
+}
+
+/**
+ * Key of a reason code or angle name, so "Airport Security" and
+ * "airport_security" match
+ */
+function termKey(kind, text) {
+    return `${kind}:${String(text).trim().toLowerCase().replace(/[\s_-]+/g, '_')}`;
+}
+
+/**
+ * Reason codes and angles a line's panel agreed on
+ * @param {Object} line - { stage1, stage2 }
+ * @returns {Map<string, {kind: string, label: string, share: number}>}
+ */
+function lineTerms(line) {
+    const reactions = (line.stage1 || []).filter(r => r.status !== 'failed');
+    const terms = new Map();
+    if (reactions.length === 0) return terms;
+
+    // Who raised each term, so a persona repeating itself counts once
+    const raisedBy = new Map();
+    const raise = (kind, text, persona) => {
+        if (typeof text !== 'string' || !text.trim()) return;
+        const key = termKey(kind, text);
+        if (!raisedBy.has(key)) raisedBy.set(key, { kind, label: text.trim().replace(/_/g, ' '), personas: new Set() });
+        raisedBy.get(key).personas.add(persona);
+    };
+
+    for (const reaction of reactions) {
+        for (const code of reaction.reason_codes || []) raise('reason', code, reaction.feedback_id);
+    }
+    const okFeedbackIds = new Set(reactions.map(r => r.feedback_id));
+    for (const angle of line.stage2 || []) {
+        if (okFeedbackIds.has(angle.parent_feedback_id)) {
+            raise('angle', angle.angle_name, angle.parent_feedback_id);
+        }
+    }
+
+    for (const [key, { kind, label, personas }] of raisedBy) {
+        const share = personas.size / reactions.length;
+        if (share >= TERM_SHARE) terms.set(key, { kind, label, share });
+    }
+    return terms;
+}
+
+/**
+ * Cosine similarity of two ELSER sparse embeddings
+ */
+function cosine(a, b) {
+    let dot = 0;
+    for (const [token, weight] of Object.entries(a)) dot += weight * (b[token] || 0);
+    const norm = (v) => Math.sqrt(Object.values(v).reduce((sum, w) => sum + w * w, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator > 0 ? dot / denominator : 0;
+}
+
+/**
+ * Terms two lines share, angles first, then the rarest in the set
+ */
+function sharedTerms(a, b, weights) {
+    return [...a.keys()]
+        .filter(key => b.has(key))
+        .sort((x, y) => (
+            (b.get(y).kind === 'angle') - (b.get(x).kind === 'angle') ||
+            weights.get(y) - weights.get(x)
+        ))
+        .map(key => a.get(key));
+}
+
+/**
+ * Weighted overlap (0-1) of two lines' terms; terms raised on every line
+ * of the set weigh next to nothing
+ */
+function termOverlap(a, b, weights) {
+    let shared = 0;
+    let union = 0;
+    for (const key of new Set([...a.keys(), ...b.keys()])) {
+        const weight = weights.get(key);
+        union += weight;
+        if (a.has(key) && b.has(key)) shared += weight;
+    }
+    return union > 0 ? shared / union : 0;
+}
+
+/**
+ * Find callback candidates, running themes and repeated premises in a set
+ * @param {Array} lines - [{ line_id, line_index, line_text, stage1, stage2 }] in running order
+ * @param {Array<Object>|null} [embeddings] - ELSER embedding of each line, or null to compare terms only
+ * @returns {Object} - { callbacks, themes, repeats }; callbacks have no phrasing yet
+ */
+export function detectConnections(lines, embeddings = null) {
+    const terms = lines.map(lineTerms);
+
+    // Inverse line frequency of each term across the set
+    const lineCounts = new Map();
+    for (const lineTermMap of terms) {
+        for (const key of lineTermMap.keys()) lineCounts.set(key, (lineCounts.get(key) || 0) + 1);
+    }
+    const weights = new Map([...lineCounts].map(([key, count]) => [key, Math.log((lines.length + 1) / count)]));
+
+    const number = (i) => (lines[i].line_index ?? i) + 1;
+    const candidates = [];
+    const repeats = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        for (let j = i + 1; j < lines.length; j++) {
+            const similarity = embeddings ? cosine(embeddings[i], embeddings[j]) : null;
+            const overlap = termOverlap(terms[i], terms[j], weights);
+            const shared = sharedTerms(terms[i], terms[j], weights);
+            const hook = shared[0]?.label || null;
+
+            const repeated = similarity !== null ? similarity >= REPEAT_SIMILARITY : overlap >= REPEAT_OVERLAP;
+            if (repeated) {
+                repeats.push({
+                    line_ids: [lines[i].line_id, lines[j].line_id],
+                    similarity: similarity !== null ? Math.round(similarity * 100) : null,
+                    overlap: Math.round(overlap * 100),
+                    hook,
+                    message: `#${number(i)} and #${number(j)} tell the same premise${hook ? ` (${hook})` : ''}; cut one or make them a deliberate run`
+                });
+                continue;
+            }
+
+            const strength = similarity !== null ? (similarity + overlap) / 2 : overlap;
+            if (j - i >= MIN_CALLBACK_GAP && strength >= CALLBACK_STRENGTH) {
+                candidates.push({
+                    reference_line_id: lines[i].line_id,
+                    target_line_id: lines[j].line_id,
+                    reference_line: number(i),
+                    target_line: number(j),
+                    hook,
+                    strength: Math.round(strength * 100),
+                    similarity: similarity !== null ? Math.round(similarity * 100) : null,
+                    shared_reason_codes: shared.filter(t => t.kind === 'reason').map(t => t.label),
+                    shared_angles: shared.filter(t => t.kind === 'angle').map(t => t.label),
+                    phrasing: null,
+                    rationale: null
+                });
+            }
+        }
+    }
+
+    // The strongest callback into each line
+    const byTarget = new Map();
+    for (const candidate of candidates.sort((a, b) => b.strength - a.strength)) {
+        if (!byTarget.has(candidate.target_line_id)) byTarget.set(candidate.target_line_id, candidate);
+    }
+    const callbacks = [...byTarget.values()]
+        .slice(0, MAX_CALLBACKS)
+        .sort((a, b) => a.target_line - b.target_line);
+
+    // Running themes: a term shared by enough lines. Lines holding the same
+    // terms make one theme. A term on every line of a longer set says more
+    // about the panel than about the set.
+    const themesByLines = new Map();
+    for (const [key, count] of lineCounts) {
+        if (count < MIN_THEME_LINES) continue;
+        if (count === lines.length && lines.length > MIN_THEME_LINES) continue;
+
+        const holders = lines.map((line, i) => (terms[i].has(key) ? i : -1)).filter(i => i >= 0);
+        const lineKey = holders.join(',');
+        const term = terms[holders[0]].get(key);
+        const share = holders.reduce((sum, i) => sum + terms[i].get(key).share, 0) / holders.length;
+
+        if (!themesByLines.has(lineKey)) themesByLines.set(lineKey, { holders, terms: [] });
+        themesByLines.get(lineKey).terms.push({ ...term, share });
+    }
+
+    const themes = [...themesByLines.values()]
+        .map(({ holders, terms: themeTerms }) => {
+            themeTerms.sort((a, b) => (b.kind === 'angle') - (a.kind === 'angle') || b.share - a.share);
+            return {
+                label: themeTerms[0].label,
+                line_ids: holders.map(i => lines[i].line_id),
+                terms: themeTerms.map(t => t.label),
+                share: themeTerms[0].share
+            };
+        })
+        .sort((a, b) => b.line_ids.length - a.line_ids.length || b.share - a.share)
+        .slice(0, MAX_THEMES)
+        .map(({ share, ...theme }) => theme);
+
+    return { callbacks, themes, repeats };
+}
+
+/**
+ * Format input for the callback writer
+ */
+function buildCallbackInput({ set_id, set_title, lines, candidates, audience }) {
+    const room = buildAudiencePrompt(audience);
+    return `set_id=${set_id}
+set_title=${set_title || ''}
+lines:
+${lines.map((line, i) => `${(line.line_index ?? i) + 1}. ${line.line_text}`).join('\n')}
+candidates:
+${candidates.map(c => `${c.reference_line} -> ${c.target_line}${c.hook ? ` (${c.hook})` : ''}`).join('\n')}
+${room ? `\n${room}\n` : ''}`;
+}
+
+/**
+ * Ask the callback writer to phrase the candidates
+ * Candidates the writer skips are dropped.
+ * @returns {Promise<Object>} - { callbacks, validation_status, validation_errors }
+ */
+async function writeCallbacks({ set_id, set_title, lines, candidates, audience, signal }) {
+    const { value, validation_status, validation_errors } = await converseWithSchema({
+        agent: 'callbacks',
+        input: buildCallbackInput({ set_id, set_title, lines, candidates, audience }),
+        schema: CALLBACK_SCHEMA,
+        label: 'Callbacks',
+        signal
+    });
+
+    if (!Array.isArray(value?.callbacks)) {
+        throw new Error(`No usable reply: ${validation_errors.join('; ')}`);
+    }
+
+    const written = new Map(value.callbacks.map(c => [`${c.reference_line}->${c.target_line}`, c]));
+    const callbacks = candidates
+        .filter(c => written.has(`${c.reference_line}->${c.target_line}`))
+        .map(c => {
+            const { phrasing, rationale } = written.get(`${c.reference_line}->${c.target_line}`);
+            return { ...c, phrasing, rationale: rationale || null };
+        });
+
+    return { callbacks, validation_status, validation_errors };
+}
+
+/**
+ * Look across a set for callbacks, running themes and repeated premises
+ * Never throws (except on cancellation): a failure comes back with status
+ * 'failed' and a failure_reason. A failed callback writer only leaves the
+ * callbacks without phrasing (writer: 'failed').
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier
+ * @param {string|null} [params.set_title] - Set title
+ * @param {Array} params.lines - [{ line_id, line_index, line_text, stage1, stage2 }]
+ * @param {boolean} [params.writerEnabled] - Whether the callback writer should phrase the callbacks
+ * @param {Object|null} [params.audience] - Room the set plays to
+ * @param {AbortSignal} [params.signal] - Cancels the lookups
+ * @returns {Promise<Object>} - { status, callbacks, themes, repeats, semantic, writer, validation_status }
+ */
+export async function findSetConnections({ set_id, set_title = null, lines, writerEnabled = false, audience = null, signal }) {
+    console.log(`[Callbacks] Looking across set_id=${set_id} (${lines.length} lines)`);
+
+    try {
+        const ordered = [...lines].sort((a, b) => (a.line_index ?? 0) - (b.line_index ?? 0));
+        const embeddings = ordered.length > 1 ? await embedTexts(ordered.map(l => l.line_text), signal) : null;
+        const { callbacks, themes, repeats } = detectConnections(ordered, embeddings);
+
+        let result = { callbacks, validation_status: undefined, validation_errors: [] };
+        let writer = 'disabled';
+        if (writerEnabled && callbacks.length > 0) {
+            try {
+                result = await writeCallbacks({ set_id, set_title, lines: ordered, candidates: callbacks, audience, signal });
+                writer = 'ok';
+            } catch (err) {
+                if (signal?.aborted) throw signal.reason;
+                console.error('[Callbacks] Writer failed:', err.message);
+                writer = 'failed';
+            }
+        }
+
+        console.log(`[Callbacks] ${result.callbacks.length} callbacks, ${themes.length} themes, ${repeats.length} repeats for set_id=${set_id}`);
+
+        return {
+            status: 'ok',
+            callbacks: result.callbacks,
+            themes,
+            repeats,
+            semantic: embeddings !== null,
+            writer,
+            validation_status: result.validation_status,
+            validation_errors: result.validation_errors
+        };
+    } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        console.error('[Callbacks] Detection failed:', err.message);
+        return {
+            status: 'failed',
+            failure_reason: err.message,
+            callbacks: [],
+            themes: [],
+            repeats: [],
+            semantic: false,
+            writer: 'disabled'
+        };
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * Head-to-head comparison
+ * Diffs two or more analyzed versions of a bit per persona and per metric,
+ * picking a winner for each metric and overall.
+ */
+
+import { METRICS, scoreMetric, computeDivergence } from './scoring.js';
+import { isSuccessfulReaction } from './pipeline.js';
+
+/**
+ * Maximum number of versions in one comparison
+ */
+export const MAX_COMPARE_ITEMS = 4;
+
+function average(values) {
+    const present = values.filter(v => v !== undefined && v !== null);
+    if (present.length === 0) return null;
+    return Math.round(present.reduce((sum, v) => sum + v, 0) / present.length);
+}
+
+/**
+ * Index of the best value, or null when missing or tied
+ * @param {Array<number|null>} values - One value per version
+ * @param {boolean} higherIsBetter
+ */
+function pickWinner(values, higherIsBetter = true) {
+    let best = null;
+    let tied = false;
+
+    values.forEach((value, idx) => {
+        if (value === null || value === undefined) return;
+        if (best === null) {
+            best = idx;
+            return;
+        }
+        const diff = higherIsBetter ? value - values[best] : values[best] - value;
+        if (diff > 0) {
+            best = idx;
+            tied = false;
+        } else if (diff === 0) {
+            tied = true;
+        }
+    });
+
+    return tied ? null : best;
+}
+
+/**
+ * Build a metric entry: values per version, winner and spread
+ */
+function compareValues(values, higherIsBetter = true) {
+    const present = values.filter(v => v !== null && v !== undefined);
+    return {
+        values,
+        winner: pickWinner(values, higherIsBetter),
+        delta: present.length > 1 ? Math.max(...present) - Math.min(...present) : 0
+    };
+}
+
+/**
+ * Compare analyzed versions of a bit
+ * @param {Array} analyses - [{ set_id, line_id, line_text, stage1, stage3 }], two or more
+ * @returns {Object} - { items, metrics, personas, overall }
+ *   Metric values are 0-100 (see scoring.js); winners are version indexes,
+ *   null on a tie. Lower divergence wins. personas[].reactions holds each
+ *   version's Stage 1 reaction (null if that persona didn't react).
+ */
+export function buildComparison(analyses) {
+    const reactionsPerItem = analyses.map(a => (a.stage1 || []).filter(isSuccessfulReaction));
+
+    const items = analyses.map((analysis, idx) => {
+        const reactions = reactionsPerItem[idx];
+        const scores = Object.fromEntries(
+            METRICS.map(metric => [metric, average(reactions.map(r => scoreMetric(metric, r[metric]) * 100))])
+        );
+
+        return {
+            index: idx,
+            set_id: analysis.set_id,
+            line_id: analysis.line_id,
+            line_text: analysis.line_text,
+            persona_count: reactions.length,
+            scores,
+            divergence: analysis.stage3?.computed_divergence_score ?? computeDivergence(reactions).score,
+            reviewer: analysis.stage3?.risk_level
+                ? {
+                    divergence_score: analysis.stage3.divergence_score,
+                    risk_level: analysis.stage3.risk_level,
+                    primary_conflict: analysis.stage3.primary_conflict,
+                    recommendation: analysis.stage3.recommendation
+                }
+                : null
+        };
+    });
+
+    // Per metric across the whole panel
+    const metrics = {
+        ...Object.fromEntries(METRICS.map(metric => [metric, compareValues(items.map(i => i.scores[metric]))])),
+        divergence: compareValues(items.map(i => i.divergence), false)
+    };
+
+    // Per persona, per metric
+    const personaIds = [...new Set(reactionsPerItem.flat().map(r => r.agent_mode))];
+    const personas = personaIds.map(agent_mode => {
+        const reactions = reactionsPerItem.map(list => list.find(r => r.agent_mode === agent_mode) || null);
+        const named = reactions.find(Boolean);
+
+        return {
+            agent_mode,
+            persona_name: named?.persona_name || agent_mode,
+            reactions,
+            metrics: Object.fromEntries(METRICS.map(metric => [
+                metric,
+                compareValues(reactions.map(r => {
+                    const value = r ? scoreMetric(metric, r[metric]) : undefined;
+                    return value === undefined ? null : Math.round(value * 100);
+                }))
+            ]))
+        };
+    });
+
+    // Overall: most metric wins, then the best average score
+    const wins = items.map(() => 0);
+    for (const metric of Object.values(metrics)) {
+        if (metric.winner !== null) wins[metric.winner]++;
+    }
+    const overallScores = items.map(i => average(METRICS.map(m => i.scores[m])));
+    const mostWins = Math.max(...wins);
+    const leaderScores = overallScores.map((score, idx) => (wins[idx] === mostWins ? score : null));
+    const leaderCount = wins.filter(w => w === mostWins).length;
+
+    let overallWinner = null;
+    if (mostWins > 0) {
+        overallWinner = leaderCount === 1 ? wins.indexOf(mostWins) : pickWinner(leaderScores);
+    }
+
+    return {
+        items,
+        metrics,
+        personas,
+        overall: {
+            winner: overallWinner,
+            wins,
+            scores: overallScores
+        }
+    };
+}
@@ -0,0 +1,26 @@
+/**
+ * Content hashing
+ * Identifies repeated lines so /api/analyze can reuse an earlier analysis
+ * instead of calling every agent again. Lines that differ only in case or
+ * whitespace hash the same.
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Normalize a line for hashing: trimmed, lowercased, whitespace collapsed
+ * @param {string} line_text
+ * @returns {string}
+ */
+export function normalizeLineText(line_text) {
+    return line_text.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Content hash of a line (hex SHA-256 of the normalized text)
+ * @param {string} line_text
+ * @returns {string}
+ */
+export function contentHash(line_text) {
+    return createHash('sha256').update(normalizeLineText(line_text)).digest('hex');
+}
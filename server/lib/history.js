@@ -0,0 +1,201 @@
+/**
+ * History queries
+ * Parses the /api/history query string into the params every store's
+ * fetchHistory() takes, and the opaque cursor that pages through it.
+ *
+ * History lists one entry per joke (its latest revision), found through the
+ * `history` roll-up kept on the first line of each set (see
+ * stores/analysisDocs.js). Pages are keyset-paginated: the cursor holds the
+ * sort values of the last entry of the previous page, so a page costs the
+ * same however deep it is and entries added meanwhile don't shift it.
+ */
+
+import { RISK_LEVELS } from './schemas.js';
+import { METRIC_VALUES } from './scoring.js';
+
+export const DEFAULT_HISTORY_LIMIT = 20;
+export const MAX_HISTORY_LIMIT = 100;
+
+/**
+ * Orders History can be sorted in
+ * - date: when the joke was first analyzed (or imported)
+ * - divergence: how split the panel was (0-100)
+ * - laugh: average laugh potential across the panel (0-100)
+ */
+export const HISTORY_SORTS = ['date', 'divergence', 'laugh'];
+export const HISTORY_ORDERS = ['asc', 'desc'];
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_LIST_VALUES = 20;
+
+/**
+ * Comma-separated query values (repeated params are joined first)
+ */
+function listParam(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return [...new Set(values
+        .flatMap(v => String(v ?? '').split(','))
+        .map(v => v.trim())
+        .filter(Boolean))];
+}
+
+/**
+ * Read a persona metric filter: "metric:level" or "persona_id:metric:level"
+ * @returns {string|null} - The filter, lowercased, or null if it isn't valid
+ */
+function parseMetricFilter(value) {
+    const parts = value.toLowerCase().split(':');
+    if (parts.length < 2 || parts.length > 3 || parts.some(part => !part)) return null;
+
+    const [metric, level] = parts.slice(-2);
+    if (METRIC_VALUES[metric]?.[level] === undefined) return null;
+    return parts.join(':');
+}
+
+/**
+ * Read a date bound
+ * A bare date (YYYY-MM-DD) covers the whole day, so `to` moves to the end of it.
+ * @returns {string|null} - ISO timestamp, or null if it isn't a date
+ */
+function parseDate(value, { endOfDay = false } = {}) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCMilliseconds(-1);
+    }
+    return date.toISOString();
+}
+
+/**
+ * Lowercased words of a text, as History search compares them
+ * Every word of `q` must start a word of the joke's text, so "gym" finds
+ * "gyms" in either store.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function historySearchWords(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+/**
+ * Encode the sort values of a page's last entry as the cursor of the next page
+ * @param {Array|null} after - Sort values from a store's fetchHistory()
+ * @returns {string|null}
+ */
+export function encodeHistoryCursor(after) {
+    return after ? Buffer.from(JSON.stringify(after)).toString('base64url') : null;
+}
+
+function decodeHistoryCursor(cursor) {
+    try {
+        const after = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Array.isArray(after) && after.length > 0 ? after : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Parse and validate the /api/history query string
+ * @param {Object} query - req.query:
+ *   limit, cursor, q (search), risk (comma list of risk levels),
+ *   divergence_min, divergence_max (0-100), from, to (dates),
+ *   metric (comma list of "metric:level" or "persona_id:metric:level"),
+ *   tag (comma list), sort (date | divergence | laugh), order (asc | desc)
+ * @returns {{params: Object|null, error: string|null}} - params for fetchHistory(); every filter is ANDed
+ *   except risk levels, which match any of the listed ones
+ */
+export function parseHistoryQuery(query = {}) {
+    const fail = error => ({ params: null, error });
+
+    const limit = query.limit === undefined ? DEFAULT_HISTORY_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+        return fail(`limit must be an integer from 1 to ${MAX_HISTORY_LIMIT}`);
+    }
+
+    let after = null;
+    if (query.cursor) {
+        after = decodeHistoryCursor(String(query.cursor));
+        if (!after) return fail('cursor is not valid; use next_cursor from the previous page');
+    }
+
+    const q = String(query.q ?? '').trim();
+    if (q.length > MAX_QUERY_LENGTH) {
+        return fail(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    const risk = listParam(query.risk).map(level => level.toLowerCase());
+    const unknownRisk = risk.find(level => !RISK_LEVELS.includes(level));
+    if (unknownRisk) {
+        return fail(`Unknown risk level "${unknownRisk}" (expected: ${RISK_LEVELS.join(', ')})`);
+    }
+
+    const divergence = {};
+    for (const bound of ['min', 'max']) {
+        const value = query[`divergence_${bound}`];
+        if (value === undefined || value === '') continue;
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0 || number > 100) {
+            return fail(`divergence_${bound} must be a number from 0 to 100`);
+        }
+        divergence[bound] = number;
+    }
+    if (divergence.min !== undefined && divergence.max !== undefined && divergence.min > divergence.max) {
+        return fail('divergence_min must not be above divergence_max');
+    }
+
+    const dates = {};
+    for (const bound of ['from', 'to']) {
+        const value = query[bound];
+        if (value === undefined || value === '') continue;
+        dates[bound] = parseDate(String(value), { endOfDay: bound === 'to' });
+        if (!dates[bound]) return fail(`${bound} must be a date (YYYY-MM-DD or ISO 8601)`);
+    }
+    if (dates.from && dates.to && dates.from > dates.to) {
+        return fail('from must not be after to');
+    }
+
+    const metrics = [];
+    for (const value of listParam(query.metric)) {
+        const metric = parseMetricFilter(value);
+        if (!metric) {
+            return fail(`metric "${value}" must be metric:level or persona_id:metric:level (metrics: ${Object.keys(METRIC_VALUES).join(', ')})`);
+        }
+        metrics.push(metric);
+    }
+
+    const tags = listParam(query.tag);
+
+    for (const [name, values] of [['risk', risk], ['metric', metrics], ['tag', tags]]) {
+        if (values.length > MAX_LIST_VALUES) return fail(`${name} takes at most ${MAX_LIST_VALUES} values`);
+    }
+
+    const sort = query.sort === undefined ? 'date' : String(query.sort);
+    if (!HISTORY_SORTS.includes(sort)) {
+        return fail(`sort must be one of: ${HISTORY_SORTS.join(', ')}`);
+    }
+
+    const order = query.order === undefined ? 'desc' : String(query.order);
+    if (!HISTORY_ORDERS.includes(order)) {
+        return fail(`order must be one of: ${HISTORY_ORDERS.join(', ')}`);
+    }
+
+    return {
+        params: {
+            limit,
+            after,
+            q: q || null,
+            risk,
+            divergence_min: divergence.min ?? null,
+            divergence_max: divergence.max ?? null,
+            from: dates.from ?? null,
+            to: dates.to ?? null,
+            metrics,
+            tags,
+            sort,
+            order
+        },
+        error: null
+    };
+}
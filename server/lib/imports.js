@@ -0,0 +1,504 @@
+/**
+ * Bulk import
+ * Turns existing material (a CSV export, a Markdown setlist or a plain-text
+ * file with one bit per paragraph) into joke entries, and optionally queues
+ * them for analysis.
+ *
+ * Every imported row is stored right away as an analysis doc with no
+ * personas yet, so it shows up in History. Analysis is throttled: rows are
+ * analyzed one at a time with IMPORT_ANALYSIS_DELAY_MS between them, and
+ * only one import analyzes at a time across the server, so a big import
+ * can't flood the agents.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { analyzeLine } from './pipeline.js';
+import { contentHash } from './contentHash.js';
+import { storeImportedEntries, countRunsByContentHash } from './storage.js';
+
+const IMPORT_ANALYSIS_DELAY_MS = parseInt(process.env.IMPORT_ANALYSIS_DELAY_MS ?? '2000', 10);
+
+/**
+ * Most rows accepted in one import
+ */
+export const MAX_IMPORT_ROWS = 200;
+
+/**
+ * Longest joke accepted from an import
+ */
+const MAX_LINE_LENGTH = 2000;
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Accepted formats
+ */
+export const IMPORT_FORMATS = ['csv', 'markdown', 'text'];
+
+/**
+ * CSV header names accepted for each column
+ */
+const CSV_COLUMNS = {
+    text: ['text', 'joke', 'line', 'line_text'],
+    title: ['title', 'set_title', 'bit'],
+    tags: ['tags', 'tag'],
+    date: ['date', 'written', 'written_at']
+};
+
+/**
+ * Pick the format from an explicit value, the file name, or the content
+ * @param {string} content
+ * @param {Object} [hints] - { format, filename }
+ * @returns {string|null} - One of IMPORT_FORMATS, or null if `format` is unknown
+ */
+export function detectFormat(content, { format, filename } = {}) {
+    if (format) return IMPORT_FORMATS.includes(format) ? format : null;
+
+    const extension = typeof filename === 'string' ? filename.toLowerCase().split('.').pop() : '';
+    if (extension === 'csv') return 'csv';
+    if (extension === 'md' || extension === 'markdown') return 'markdown';
+    if (extension === 'txt') return 'text';
+
+    const firstLine = content.split(/\r?\n/).find(l => l.trim()) || '';
+    const headers = firstLine.toLowerCase().split(',').map(h => h.trim().replace(/^"|"$/g, ''));
+    if (headers.length > 1 && headers.some(h => CSV_COLUMNS.text.includes(h))) return 'csv';
+    if (content.split(/\r?\n/).some(l => MARKDOWN_BULLET.test(l))) return 'markdown';
+    return 'text';
+}
+
+/**
+ * Split CSV into records, honoring quoted fields with commas, quotes ("")
+ * and line breaks
+ * @returns {Array<{line: number, fields: Array<string>}>} - line is where the record starts (1-based)
+ */
+function parseCsvRecords(content) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        fields.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        if (fields.some(f => f.trim())) records.push({ line: recordLine, fields });
+        fields = [];
+    };
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field.trim() === '') {
+            field = '';
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    endRecord();
+
+    return records;
+}
+
+/**
+ * Normalize a tags cell ("club; crowd work, dating") into unique lowercase tags
+ */
+function parseTags(value) {
+    if (!value) return [];
+    const tags = value.split(/[;,|]/)
+        .map(t => t.trim().replace(/^#/, '').toLowerCase().slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean);
+    return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Build a row, or an error if its text or date is unusable
+ * @returns {{row: Object|null, error: string|null}}
+ */
+function buildRow({ row, text, title, tags, date }) {
+    const line_text = (text || '').trim();
+    if (!line_text) return { row: null, error: 'Row has no joke text' };
+    if (line_text.length > MAX_LINE_LENGTH) {
+        return { row: null, error: `Joke text is longer than ${MAX_LINE_LENGTH} characters` };
+    }
+
+    let written_at = null;
+    if (date && date.trim()) {
+        const parsed = new Date(date.trim());
+        if (Number.isNaN(parsed.getTime())) return { row: null, error: `"${date.trim()}" is not a valid date` };
+        written_at = parsed.toISOString();
+    }
+
+    return {
+        row: {
+            row,
+            line_text,
+            set_title: (title || '').trim() || null,
+            tags: tags || [],
+            written_at
+        },
+        error: null
+    };
+}
+
+function parseCsv(content) {
+    const records = parseCsvRecords(content);
+    if (records.length === 0) return { rows: [], errors: [] };
+
+    const header = records[0].fields.map(h => h.trim().toLowerCase());
+    const column = (name) => header.findIndex(h => CSV_COLUMNS[name].includes(h));
+    const columns = { text: column('text'), title: column('title'), tags: column('tags'), date: column('date') };
+
+    if (columns.text === -1) {
+        return {
+            rows: [],
+            errors: [{ row: records[0].line, message: 'The first row must be a header with a "text" column (optional: title, tags, date)' }]
+        };
+    }
+
+    const rows = [];
+    const errors = [];
+    for (const { line, fields } of records.slice(1)) {
+        const cell = (name) => (columns[name] === -1 ? '' : fields[columns[name]] || '');
+        const { row, error } = buildRow({
+            row: line,
+            text: cell('text'),
+            title: cell('title'),
+            tags: parseTags(cell('tags')),
+            date: cell('date')
+        });
+        if (error) errors.push({ row: line, message: error });
+        else rows.push(row);
+    }
+
+    return { rows, errors };
+}
+
+const MARKDOWN_BULLET = /^ ?(?:[-*+]|\d+[.)])\s+(.*)$/;
+const MARKDOWN_HEADING = /^#{1,6}\s+(.*?)\s*#*\s*$/;
+// Trailing #tags on a bullet ("Airport bit #travel #crowd-work")
+const MARKDOWN_TAGS = /(?:\s+#[a-z][\w-]*)+\s*$/i;
+
+/**
+ * Markdown: every top-level bullet is a joke. Indented lines continue it, the
+ * nearest heading above becomes its title, and trailing #tags become tags.
+ */
+function parseMarkdown(content) {
+    const rows = [];
+    const errors = [];
+    let title = null;
+    let current = null;
+
+    const flush = () => {
+        if (!current) return;
+        const { row, error } = buildRow(current);
+        if (error) errors.push({ row: current.row, message: error });
+        else rows.push(row);
+        current = null;
+    };
+
+    content.split(/\r?\n/).forEach((text, index) => {
+        const heading = text.match(MARKDOWN_HEADING);
+        const bullet = text.match(MARKDOWN_BULLET);
+
+        if (heading) {
+            flush();
+            title = heading[1];
+        } else if (bullet) {
+            flush();
+            let body = bullet[1].replace(/^\[[ xX]\]\s*/, '');
+            const tagMatch = body.match(MARKDOWN_TAGS);
+            const tags = tagMatch ? parseTags(tagMatch[0].trim().split(/\s+/).join(',')) : [];
+            if (tagMatch) body = body.slice(0, tagMatch.index);
+            current = { row: index + 1, text: body, title, tags, date: null };
+        } else if (current && /^\s+\S/.test(text)) {
+            current.text += `\n${text.trim()}`;
+        } else {
+            flush();
+        }
+    });
+    flush();
+
+    return { rows, errors };
+}
+
+/**
+ * Plain text: one joke per paragraph (blocks separated by blank lines)
+ */
+function parseText(content) {
+    const rows = [];
+    const errors = [];
+    let current = null;
+
+    const flush = () => {
+        if (!current) return;
+        const { row, error } = buildRow(current);
+        if (error) errors.push({ row: current.row, message: error });
+        else rows.push(row);
+        current = null;
+    };
+
+    content.split(/\r?\n/).forEach((text, index) => {
+        if (!text.trim()) {
+            flush();
+        } else if (current) {
+            current.text += `\n${text.trim()}`;
+        } else {
+            current = { row: index + 1, text: text.trim(), title: null, tags: [], date: null };
+        }
+    });
+    flush();
+
+    return { rows, errors };
+}
+
+/**
+ * Parse an upload into rows
+ * @param {string} content - The file's text
+ * @param {string} format - One of IMPORT_FORMATS
+ * @returns {{rows: Array, errors: Array}} - rows: [{ row, line_text, set_title, tags, written_at }]
+ *   (row is the line of the file the joke starts on); errors: [{ row, message }]
+ */
+export function parseImport(content, format) {
+    const parsers = { csv: parseCsv, markdown: parseMarkdown, text: parseText };
+    return parsers[format](content.replace(/^\uFEFF/, ''));
+}
+
+/**
+ * Flag rows whose joke is already in the workspace (imported or analyzed)
+ * or appears earlier in the same file
+ * @param {Array} rows - Parsed rows
+ * @param {string} workspace_id
+ * @returns {Promise<Array>} - The rows with `content_hash` and `duplicate` set
+ */
+export async function markDuplicates(rows, workspace_id) {
+    const hashed = rows.map(row => ({ ...row, content_hash: contentHash(row.line_text) }));
+    const existing = await countRunsByContentHash(hashed.map(r => r.content_hash), workspace_id);
+
+    const seen = new Set();
+    return hashed.map(row => {
+        const duplicate = existing.has(row.content_hash) || seen.has(row.content_hash);
+        seen.add(row.content_hash);
+        return { ...row, duplicate };
+    });
+}
+
+/**
+ * The job status for an import: one entry per row, updated as it runs
+ * (returned by GET /api/jobs/:job_id)
+ * @param {Object} params
+ * @param {Array} params.rows - Rows to import or analyze
+ * @param {boolean} params.analyze - Whether the rows get analyzed
+ * @param {Array} [params.errors] - Rows that failed to parse
+ * @returns {Object}
+ */
+export function createImportStatus({ import_id, format = null, rows, analyze, errors = [] }) {
+    return {
+        import_id,
+        format,
+        analyze,
+        state: 'importing',
+        total: rows.length,
+        counts: { imported: 0, skipped: 0, analyzed: 0, failed: 0 },
+        rows: rows.map(row => ({
+            row: row.row,
+            line_text: row.line_text,
+            status: 'pending',
+            set_id: row.set_id || null,
+            error: null
+        })),
+        errors
+    };
+}
+
+/**
+ * Fields stamped on an imported joke's entry and on its analysis
+ */
+function entryDocFields(row, { import_id, workspace_id, user_id }) {
+    return {
+        workspace_id,
+        user_id,
+        joke_id: row.set_id,
+        revision: 1,
+        import_id: row.import_id || import_id,
+        ...(row.set_title && { set_title: row.set_title }),
+        ...(row.tags?.length && { tags: row.tags }),
+        ...(row.written_at && { written_at: row.written_at })
+    };
+}
+
+/**
+ * Wait between analyses, rejecting as soon as the signal aborts
+ */
+function pause(ms, signal) {
+    return new Promise((resolve, reject) => {
+        signal.throwIfAborted();
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Imports take turns analyzing; each waits for the one before it
+let analysisQueue = Promise.resolve();
+
+// set_ids of entries queued or being analyzed, so none is analyzed twice
+const reservedSetIds = new Set();
+
+/**
+ * Reserve stored entries for analysis
+ * @param {Array} entries - Entry docs ({ set_id, ... })
+ * @returns {Array} - The entries that weren't already queued by another import
+ */
+export function reserveForAnalysis(entries) {
+    const free = entries.filter(entry => !reservedSetIds.has(entry.set_id));
+    for (const entry of free) reservedSetIds.add(entry.set_id);
+    return free;
+}
+
+function whenAnalysisTurn(task) {
+    const turn = analysisQueue.then(task, task);
+    analysisQueue = turn.catch(() => {});
+    return turn;
+}
+
+/**
+ * Store rows as joke entries and, if asked, analyze them one by one
+ * Rows that already carry a set_id are stored entries being analyzed later.
+ * Progress is written to `status` (see createImportStatus) and sent as
+ * `import_row` events.
+ * @param {Object} params
+ * @param {Array} params.rows - [{ row, line_text, set_title, tags, written_at, duplicate?, set_id? }]
+ * @param {Object} params.status - From createImportStatus (updated in place)
+ * @param {boolean} params.skipDuplicates - Leave out rows flagged as duplicates
+ * @param {Array} params.personas - Resolved panel for the analyses
+ * @param {Object|null} params.audience - Room for the analyses
+ * @param {string} params.workspace_id
+ * @param {string} params.user_id
+ * @param {boolean} params.reviewerEnabled
+ * @param {boolean} params.sensitivityEnabled
+ * @param {Function} params.sendEvent - Job event callback (type, data)
+ * @param {AbortSignal} params.signal
+ */
+export async function runImport({ rows, status, skipDuplicates = false, personas, audience = null, workspace_id, user_id, reviewerEnabled, sensitivityEnabled, sendEvent, signal }) {
+    const scope = { import_id: status.import_id, workspace_id, user_id };
+
+    // Each row passes through a counted status at most once
+    const update = (index, changes) => {
+        const entry = Object.assign(status.rows[index], changes);
+        if (changes.status in status.counts) status.counts[changes.status]++;
+        sendEvent('import_row', entry);
+    };
+
+    // Store new rows as entries in one write
+    const pending = [];
+    rows.forEach((row, index) => {
+        if (row.set_id) return;
+        if (skipDuplicates && row.duplicate) {
+            update(index, { status: 'skipped', error: 'Already in this workspace' });
+            return;
+        }
+        row.set_id = uuidv4();
+        pending.push({ row, index });
+    });
+
+    if (pending.length > 0) {
+        await storeImportedEntries(pending.map(({ row }) => ({
+            set_id: row.set_id,
+            line_text: row.line_text,
+            docFields: entryDocFields(row, scope)
+        })), signal);
+    }
+    for (const { row, index } of pending) {
+        update(index, { status: 'imported', set_id: row.set_id });
+    }
+
+    if (!status.analyze) {
+        status.state = 'done';
+        return;
+    }
+
+    const toAnalyze = rows
+        .map((row, index) => ({ row, index }))
+        .filter(({ index }) => status.rows[index].status !== 'skipped');
+    for (const { row, index } of toAnalyze) {
+        reservedSetIds.add(row.set_id);
+        update(index, { status: 'queued' });
+    }
+
+    status.state = 'queued';
+    sendEvent('progress', { message: `Waiting to analyze ${toAnalyze.length} jokes...` });
+
+    const analyzeRows = async () => {
+        signal.throwIfAborted();
+        status.state = 'analyzing';
+
+        for (const [position, { row, index }] of toAnalyze.entries()) {
+            if (position > 0) await pause(IMPORT_ANALYSIS_DELAY_MS, signal);
+            signal.throwIfAborted();
+
+            update(index, { status: 'analyzing' });
+            sendEvent('progress', { message: `Analyzing ${position + 1}/${toAnalyze.length}...` });
+
+            try {
+                await analyzeLine({
+                    set_id: row.set_id,
+                    line_id: 'l1',
+                    line_text: row.line_text,
+                    personas,
+                    // Per-reaction events would swamp the job log; rows report progress instead
+                    sendEvent: () => {},
+                    reviewerEnabled,
+                    sensitivityEnabled,
+                    docFields: entryDocFields(row, scope),
+                    audience,
+                    signal
+                });
+                update(index, { status: 'analyzed' });
+            } catch (error) {
+                if (signal.aborted) throw error;
+                console.error(`[Import] Row ${row.row} failed:`, error.message);
+                update(index, { status: 'failed', error: error.message });
+            }
+        }
+    };
+
+    try {
+        await whenAnalysisTurn(analyzeRows);
+    } finally {
+        for (const { row } of toAnalyze) reservedSetIds.delete(row.set_id);
+    }
+
+    status.state = 'done';
+}
@@ -0,0 +1,135 @@
+/**
+ * Analysis index versions
+ * The analysis index is read and written through an alias (how-it-lands)
+ * pointing at one versioned physical index (how-it-lands-v3, ...). Fields can
+ * be added to the current version in place. Anything else (a changed field
+ * type, a dropped field, docs that need rewriting) is a new version: bump
+ * INDEX_VERSION, add a transform to MIGRATIONS and run
+ * `node scripts/migrate-index.js`, which reindexes into the new physical
+ * index and swaps the alias (see migrateIndex() in stores/elasticsearch.js).
+ *
+ * Version 1 is the plain how-it-lands index every install had before the
+ * alias existed. The local store keeps its analyses at a version too and
+ * runs the same transforms when it loads older files.
+ */
+
+import { upgradeAngleDoc } from './angles.js';
+import { combineStageDocs, rollUpSetDocs } from './stores/analysisDocs.js';
+
+export const INDEX_VERSION = 4;
+
+/**
+ * Transforms per version: MIGRATIONS[n] turns the version n - 1 docs of one
+ * set ([{ id, source }], oldest first) into its version n docs
+ */
+const MIGRATIONS = {
+    // Stage 2 angles move to the versioned angle schema; the legacy
+    // path_id / exploration_type / direction_summary fields go away
+    2: docs => docs.map(({ id, source }) => ({ id, source: source.stage === 2 ? upgradeAngleDoc(source, id) : source })),
+    // One doc per analysis: each line's per-stage docs become one doc with
+    // its personas, angles, review and sensitivity tags
+    3: docs => [...groupBy(docs, doc => doc.source.line_id ?? '').values()].map(combineStageDocs),
+    // Panels get their laugh_score and each set's head line its History
+    // roll-up (superseded revisions are marked after the copy, since that
+    // depends on the joke's other sets)
+    4: docs => rollUpSetDocs(docs)
+};
+
+// Order docs are read in for a migration, so each set's docs come together, a line at a time, oldest first
+export const MIGRATION_SORT = [{ set_id: 'asc' }, { line_id: 'asc' }, { created_at: 'asc' }];
+
+/**
+ * Key of the set a doc belongs to
+ * @param {Object} source - Doc source
+ * @returns {string}
+ */
+export function migrationSetKey(source) {
+    return source.set_id;
+}
+
+function groupBy(docs, key) {
+    const groups = new Map();
+    for (const doc of docs) {
+        const value = key(doc);
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(doc);
+    }
+    return groups;
+}
+
+/**
+ * Physical index holding one version of the analysis index
+ * @param {string} alias - The alias it is read through
+ * @param {number} version
+ * @returns {string}
+ */
+export function versionedIndexName(alias, version) {
+    return `${alias}-v${version}`;
+}
+
+/**
+ * Version of a physical analysis index, from its name
+ * @param {string} index
+ * @returns {number} - 1 for the unversioned index
+ */
+export function indexVersionOf(index) {
+    const match = index.match(/-v(\d+)$/);
+    return match ? Number(match[1]) : 1;
+}
+
+/**
+ * Bring docs from one index version to another
+ * Each set's docs must all be in the same call (see MIGRATION_SORT).
+ * @param {Array<{id: string, source: Object}>} docs - In MIGRATION_SORT order
+ * @param {number} fromVersion
+ * @param {number} [toVersion]
+ * @returns {Array<{id: string, source: Object}>} - The migrated docs
+ */
+export function migrateDocs(docs, fromVersion, toVersion = INDEX_VERSION) {
+    return [...groupBy(docs, doc => migrationSetKey(doc.source)).values()].flatMap(set => {
+        let migrated = set;
+        for (let version = fromVersion + 1; version <= toVersion && migrated.length > 0; version++) {
+            migrated = MIGRATIONS[version] ? MIGRATIONS[version](migrated) : migrated;
+        }
+        return migrated;
+    });
+}
+
+/**
+ * Settings of a field mapping that can't change on an existing index
+ */
+function fixedSettings(field) {
+    return {
+        type: field.type || 'object',
+        index: field.index ?? true,
+        enabled: field.enabled ?? true
+    };
+}
+
+/**
+ * Fields an index already maps differently from the wanted mapping
+ * Fields the index doesn't have yet are not conflicts: they are added in place.
+ * @param {Object} actual - `properties` of the index's current mapping
+ * @param {Object} expected - `properties` of the wanted mapping
+ * @returns {Array<string>} - One description per conflicting field
+ */
+export function findMappingConflicts(actual = {}, expected = {}, prefix = '') {
+    const conflicts = [];
+
+    for (const [name, want] of Object.entries(expected)) {
+        const have = actual[name];
+        if (!have) continue;
+
+        const wanted = fixedSettings(want);
+        const found = fixedSettings(have);
+        const changed = Object.keys(wanted).filter(key => wanted[key] !== found[key]);
+
+        if (changed.length > 0) {
+            conflicts.push(`${prefix}${name} (${changed.map(key => `${key} is ${found[key]}, wants ${wanted[key]}`).join(', ')})`);
+        } else if (want.properties) {
+            conflicts.push(...findMappingConflicts(have.properties, want.properties, `${prefix}${name}.`));
+        }
+    }
+
+    return conflicts;
+}
@@ -0,0 +1,208 @@
+/**
+ * Background analysis jobs
+ * Analyses run as in-memory jobs that outlive the HTTP connection that started
+ * them. Every event a job emits is numbered and kept, so an SSE client that
+ * drops can reconnect with Last-Event-ID and replay what it missed.
+ *
+ * A running job that has no listener for JOB_ORPHAN_TIMEOUT_MS (e.g. the tab
+ * was closed and never came back) is cancelled. Finished jobs are forgotten
+ * after JOB_TTL_MS; their results stay in Elasticsearch.
+ *
+ * Every job belongs to the user who started it; lookups by anyone else find
+ * nothing.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS) || 60 * 60 * 1000;
+const JOB_ORPHAN_TIMEOUT_MS = parseInt(process.env.JOB_ORPHAN_TIMEOUT_MS ?? '120000', 10);
+
+const jobs = new Map();
+
+/**
+ * Event emitted last by every job, carrying its final status
+ */
+export const JOB_END_EVENT = 'job_end';
+
+/**
+ * Create a job and start its work in the background
+ * @param {Object} params
+ * @param {string} params.kind - Job type ('analyze' | 'retry' | 'punchup' | 'compare' | 'import')
+ * @param {string} params.user_id - User who started the job
+ * @param {string|null} params.set_id - Set the job works on (null if none)
+ * @param {Object} [params.meta] - Extra fields returned with the job status
+ * @param {boolean} [params.detached] - Never cancel for lack of listeners
+ * @param {Function} params.work - async ({ sendEvent, signal }) => void
+ * @returns {Object} - The job
+ */
+export function startJob({ kind, user_id, set_id, meta = {}, detached = false, work }) {
+    const now = new Date().toISOString();
+    const job = {
+        job_id: uuidv4(),
+        kind,
+        user_id,
+        set_id,
+        meta,
+        status: 'running',
+        error: null,
+        created_at: now,
+        updated_at: now,
+        finished_at: null,
+        events: [],
+        listeners: new Set(),
+        controller: new AbortController(),
+        detached,
+        orphanTimer: null
+    };
+    jobs.set(job.job_id, job);
+
+    // The client is expected to attach right away; start the clock until it does
+    armOrphanTimer(job);
+
+    const sendEvent = (type, data) => emitJobEvent(job, type, data);
+
+    Promise.resolve()
+        .then(() => work({ sendEvent, signal: job.controller.signal }))
+        .then(
+            () => finishJob(job, 'done'),
+            (error) => {
+                if (job.controller.signal.aborted) {
+                    console.log(`[Jobs] ${kind} job ${job.job_id} cancelled: ${job.controller.signal.reason?.message}`);
+                    sendEvent('cancelled', {
+                        set_id,
+                        message: job.controller.signal.reason?.message || 'Analysis cancelled'
+                    });
+                    finishJob(job, 'cancelled');
+                    return;
+                }
+                console.error(`[Jobs] ${kind} job ${job.job_id} failed:`, error);
+                sendEvent('error', { message: error.message || 'Analysis failed' });
+                finishJob(job, 'failed', error.message);
+            }
+        );
+
+    return job;
+}
+
+/**
+ * Append an event to a job's log and push it to every listener
+ */
+function emitJobEvent(job, type, data) {
+    const event = { id: job.events.length + 1, type, data };
+    job.events.push(event);
+    job.updated_at = new Date().toISOString();
+
+    for (const listener of job.listeners) {
+        listener(event);
+    }
+    return event;
+}
+
+/**
+ * Mark a job finished, emit the closing event and schedule its eviction
+ */
+function finishJob(job, status, error = null) {
+    clearTimeout(job.orphanTimer);
+    job.status = status;
+    job.error = error;
+    job.finished_at = new Date().toISOString();
+    emitJobEvent(job, JOB_END_EVENT, { job_id: job.job_id, status, error });
+
+    setTimeout(() => jobs.delete(job.job_id), JOB_TTL_MS).unref();
+}
+
+/**
+ * Cancel a running job if nobody attaches within the orphan timeout
+ */
+function armOrphanTimer(job) {
+    if (job.detached || JOB_ORPHAN_TIMEOUT_MS <= 0) return;
+
+    clearTimeout(job.orphanTimer);
+    job.orphanTimer = setTimeout(() => {
+        if (job.status === 'running' && job.listeners.size === 0) {
+            cancelJob(job, 'No client connected');
+        }
+    }, JOB_ORPHAN_TIMEOUT_MS);
+    job.orphanTimer.unref();
+}
+
+/**
+ * Get one of a user's jobs by id
+ * @param {string} job_id
+ * @param {string} user_id
+ * @returns {Object|null}
+ */
+export function getJob(job_id, user_id) {
+    const job = jobs.get(job_id);
+    return job && job.user_id === user_id ? job : null;
+}
+
+/**
+ * Find the user's running job working on a set
+ * @param {string} set_id
+ * @param {string} user_id
+ * @returns {Object|null}
+ */
+export function findRunningJobBySetId(set_id, user_id) {
+    for (const job of jobs.values()) {
+        if (job.set_id === set_id && job.user_id === user_id && job.status === 'running') return job;
+    }
+    return null;
+}
+
+/**
+ * Abort a running job; it finishes with status 'cancelled'
+ * @param {Object} job
+ * @param {string} [reason]
+ * @returns {boolean} - false if the job had already finished
+ */
+export function cancelJob(job, reason = 'Analysis cancelled') {
+    if (job.status !== 'running') return false;
+    job.controller.abort(new Error(reason));
+    return true;
+}
+
+/**
+ * Listen to a job's events, replaying those after lastEventId first
+ * @param {Object} job
+ * @param {number} lastEventId - Last event id the client has seen (0 for all)
+ * @param {Function} listener - (event) => void
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToJob(job, lastEventId, listener) {
+    for (const event of job.events) {
+        if (event.id > lastEventId) listener(event);
+    }
+
+    if (job.status !== 'running') return () => {};
+
+    clearTimeout(job.orphanTimer);
+    job.listeners.add(listener);
+
+    return () => {
+        job.listeners.delete(listener);
+        if (job.listeners.size === 0 && job.status === 'running') {
+            armOrphanTimer(job);
+        }
+    };
+}
+
+/**
+ * Public view of a job (no event log or internals)
+ * @param {Object} job
+ * @returns {Object}
+ */
+export function toJobStatus(job) {
+    return {
+        job_id: job.job_id,
+        kind: job.kind,
+        set_id: job.set_id,
+        status: job.status,
+        error: job.error,
+        ...job.meta,
+        event_count: job.events.length,
+        created_at: job.created_at,
+        updated_at: job.updated_at,
+        finished_at: job.finished_at
+    };
+}
@@ -0,0 +1,80 @@
+/**
+ * LLM provider selection
+ * Routes agent calls to the configured backend (LLM_PROVIDER):
+ * - agent-builder (default): Kibana Agent Builder
+ * - openai: any OpenAI-compatible /chat/completions endpoint
+ * - mock: deterministic offline responses
+ *
+ * Every provider exposes the same interface:
+ *   name, validateConfig(), supportsAgent(agent), converse({ agent, input, conversation_id, signal })
+ * and returns responses in the Agent Builder shape so the parsers stay provider-agnostic.
+ */
+
+import * as agentBuilder from './providers/agentBuilder.js';
+import * as openai from './providers/openai.js';
+import * as mock from './providers/mock.js';
+
+const PROVIDERS = {
+    [agentBuilder.name]: agentBuilder,
+    [openai.name]: openai,
+    [mock.name]: mock
+};
+
+const LLM_PROVIDER = process.env.LLM_PROVIDER || agentBuilder.name;
+
+/**
+ * Get the configured provider module
+ */
+export function getProvider() {
+    const provider = PROVIDERS[LLM_PROVIDER];
+    if (!provider) {
+        throw new Error(`Unknown LLM_PROVIDER "${LLM_PROVIDER}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return provider;
+}
+
+/**
+ * Validates the configured provider's environment variables
+ */
+export function validateLLMConfig() {
+    const provider = getProvider();
+    provider.validateConfig();
+    console.log(`[LLM] Using provider: ${provider.name}`);
+}
+
+/**
+ * Whether the configured provider can play the given agent role
+ * @param {string} agent - Agent role ('persona' | 'reviewer' | 'punchup' | 'sensitivity' | 'callbacks')
+ */
+export function isAgentAvailable(agent) {
+    return getProvider().supportsAgent(agent);
+}
+
+/**
+ * Send input to an agent through the configured provider
+ * @param {Object} params
+ * @param {string} params.agent - Agent role ('persona' | 'reviewer' | 'punchup' | 'sensitivity' | 'callbacks')
+ * @param {string} params.input - Full input text for the agent
+ * @param {string} [params.conversation_id] - Continue an existing conversation (if the provider supports it)
+ * @param {AbortSignal} [params.signal] - Cancels the call (e.g. when the client disconnects)
+ * @returns {Promise<Object>} - Agent response
+ */
+export async function converse({ agent, input, conversation_id, signal }) {
+    signal?.throwIfAborted();
+    return await getProvider().converse({ agent, input, conversation_id, signal });
+}
+
+/**
+ * Format input for the persona (listening) agent
+ * @param {Object} params
+ * @param {string} params.set_id - Unique set identifier
+ * @param {string} params.line_id - Line identifier within the set
+ * @param {string} params.line_text - The persona prompt for the line
+ * @returns {string}
+ */
+export function formatPersonaInput({ set_id, line_id, line_text }) {
+    // Format input as the agent expects
+    return `set_id=${set_id}
+line_id=${line_id}
+line_text=${line_text}`;
+}
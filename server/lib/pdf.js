@@ -0,0 +1,294 @@
+/**
+ * Minimal PDF writer
+ * Lays out wrapped text on Letter pages with the standard Helvetica fonts,
+ * which every PDF reader ships, so reports render locally without a
+ * browser or a conversion service. Text is WinAnsi-encoded: characters
+ * outside it (emoji, most non-Latin scripts) are replaced with "?".
+ */
+
+import { deflateSync } from 'node:zlib';
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 56;
+const FOOTER_SIZE = 8;
+
+/**
+ * Resource names of the fonts, by style
+ */
+const FONTS = {
+    regular: { resource: 'F1', base: 'Helvetica' },
+    bold: { resource: 'F2', base: 'Helvetica-Bold' },
+    italic: { resource: 'F3', base: 'Helvetica-Oblique' }
+};
+
+/**
+ * Advance widths (1/1000 em) of WinAnsi codes 32-126
+ * Helvetica-Oblique shares the regular widths.
+ */
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Width used for accented Latin-1 letters and punctuation above 126
+const DEFAULT_WIDTH = 556;
+
+/**
+ * WinAnsi codes of the typographic characters outside Latin-1
+ */
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '•': 0x95, '–': 0x96, '—': 0x97,
+    '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '™': 0x99
+};
+
+/**
+ * Encode text as WinAnsi byte values
+ * @param {string} text
+ * @returns {number[]}
+ */
+function encodeWinAnsi(text) {
+    const codes = [];
+    for (const char of String(text).normalize('NFC')) {
+        const code = char.codePointAt(0);
+        if (code >= 32 && code <= 126) codes.push(code);
+        else if (code >= 160 && code <= 255) codes.push(code);
+        else if (WIN_ANSI_EXTRAS[char]) codes.push(WIN_ANSI_EXTRAS[char]);
+        else if (char === '\t') codes.push(32);
+        // Variation selectors and joiners only make sense next to an emoji
+        else if (code === 0xfe0f || code === 0x200d) continue;
+        else codes.push(63);
+    }
+    return codes;
+}
+
+/**
+ * Width of encoded text in points
+ */
+function measure(codes, style, size) {
+    const widths = WIDTHS[style === 'bold' ? 'bold' : 'regular'];
+    const units = codes.reduce((sum, code) => sum + (code <= 126 ? widths[code - 32] : DEFAULT_WIDTH), 0);
+    return units * size / 1000;
+}
+
+/**
+ * Split encoded text into lines no wider than maxWidth, breaking at spaces
+ * (or mid-word for words longer than a line)
+ */
+function wrap(codes, style, size, maxWidth) {
+    const lines = [];
+    let line = [];
+
+    const words = [];
+    let word = [];
+    for (const code of codes) {
+        if (code === 32) {
+            if (word.length) words.push(word);
+            word = [];
+        } else {
+            word.push(code);
+        }
+    }
+    if (word.length) words.push(word);
+
+    for (let current of words) {
+        const candidate = line.length ? [...line, 32, ...current] : current;
+        if (measure(candidate, style, size) <= maxWidth) {
+            line = candidate;
+            continue;
+        }
+        if (line.length) lines.push(line);
+        line = [];
+
+        while (measure(current, style, size) > maxWidth) {
+            let cut = current.length - 1;
+            while (cut > 1 && measure(current.slice(0, cut), style, size) > maxWidth) cut--;
+            lines.push(current.slice(0, cut));
+            current = current.slice(cut);
+        }
+        line = current;
+    }
+    if (line.length || lines.length === 0) lines.push(line);
+
+    return lines;
+}
+
+/**
+ * PDF string literal of encoded text
+ */
+function literal(codes) {
+    let out = '(';
+    for (const code of codes) {
+        if (code === 40 || code === 41 || code === 92) out += `\\${String.fromCharCode(code)}`;
+        else if (code > 126) out += `\\${code.toString(8).padStart(3, '0')}`;
+        else out += String.fromCharCode(code);
+    }
+    return `${out})`;
+}
+
+/**
+ * Format a number for a content stream
+ */
+function num(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Start a PDF document
+ * Content is added top to bottom; pages break automatically.
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title (metadata)
+ * @param {string} [options.footer] - Text shown at the bottom of every page, before the page number
+ * @returns {Object} - { text, rule, space, toBuffer }
+ */
+export function createPdf({ title = '', footer = '' } = {}) {
+    const pages = [];
+    let page = null;
+    let y = 0;
+
+    const contentWidth = PAGE_WIDTH - 2 * MARGIN;
+
+    const newPage = () => {
+        page = [];
+        pages.push(page);
+        y = PAGE_HEIGHT - MARGIN;
+    };
+
+    // Make room for `height` points, starting a page if they don't fit
+    const ensure = (height) => {
+        if (!page || y - height < MARGIN + FOOTER_SIZE * 2) newPage();
+    };
+
+    return {
+        /**
+         * Add a paragraph of wrapped text
+         * @param {string} content
+         * @param {Object} [options]
+         * @param {string} [options.style] - 'regular' | 'bold' | 'italic'
+         * @param {number} [options.size] - Font size in points
+         * @param {number} [options.indent] - Left indent in points
+         * @param {number} [options.gray] - 0 (black) to 1 (white)
+         * @param {number} [options.after] - Space after the paragraph
+         */
+        text(content, { style = 'regular', size = 10, indent = 0, gray = 0, after = 4 } = {}) {
+            const leading = size * 1.35;
+            const font = FONTS[style] || FONTS.regular;
+
+            for (const paragraph of String(content ?? '').split('\n')) {
+                for (const line of wrap(encodeWinAnsi(paragraph), style, size, contentWidth - indent)) {
+                    ensure(leading);
+                    y -= leading;
+                    page.push(
+                        `BT /${font.resource} ${size} Tf ${num(gray)} g ${num(MARGIN + indent)} ${num(y + (leading - size) / 2)} Td ${literal(line)} Tj ET`
+                    );
+                }
+            }
+            y -= after;
+        },
+
+        /**
+         * Add a thin horizontal line
+         */
+        rule() {
+            ensure(12);
+            y -= 6;
+            page.push(`0.8 G 0.5 w ${MARGIN} ${num(y)} m ${PAGE_WIDTH - MARGIN} ${num(y)} l S`);
+            y -= 6;
+        },
+
+        /**
+         * Add vertical space (ignored at the top of a page)
+         * @param {number} height - Points
+         */
+        space(height) {
+            if (page && y < PAGE_HEIGHT - MARGIN) y -= height;
+        },
+
+        /**
+         * Serialize the document
+         * @returns {Buffer}
+         */
+        toBuffer() {
+            if (pages.length === 0) newPage();
+
+            const objects = [];
+            const add = (body) => {
+                objects.push(body);
+                return objects.length;
+            };
+
+            const catalogId = add(null);
+            const pagesId = add(null);
+            const fontIds = Object.fromEntries(Object.entries(FONTS).map(([style, font]) => [
+                style,
+                add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`)
+            ]));
+            const fontResources = Object.entries(FONTS)
+                .map(([style, font]) => `/${font.resource} ${fontIds[style]} 0 R`)
+                .join(' ');
+
+            const pageIds = pages.map((commands, index) => {
+                const label = encodeWinAnsi(`${footer}${footer ? ' - ' : ''}page ${index + 1} of ${pages.length}`);
+                const footerLine = `BT /F1 ${FOOTER_SIZE} Tf 0.5 g ${MARGIN} ${MARGIN - FOOTER_SIZE * 2} Td ${literal(label)} Tj ET`;
+                const stream = deflateSync(Buffer.from([...commands, footerLine].join('\n'), 'latin1'));
+                const contentId = add({ dict: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream });
+                return add(
+                    `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                    `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+                );
+            });
+
+            objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+            objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+            const infoId = add(`<< /Title ${literal(encodeWinAnsi(title))} /Producer (How It Lands) >>`);
+
+            const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+            let offset = chunks[0].length;
+            const offsets = [];
+
+            objects.forEach((object, index) => {
+                offsets.push(offset);
+                const parts = typeof object === 'string'
+                    ? [Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`, 'latin1')]
+                    : [
+                        Buffer.from(`${index + 1} 0 obj\n${object.dict}\nstream\n`, 'latin1'),
+                        object.stream,
+                        Buffer.from('\nendstream\nendobj\n', 'latin1')
+                    ];
+                for (const part of parts) {
+                    chunks.push(part);
+                    offset += part.length;
+                }
+            });
+
+            const xref = [
+                'xref',
+                `0 ${objects.length + 1}`,
+                '0000000000 65535 f ',
+                ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+                'trailer',
+                `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+                'startxref',
+                String(offset),
+                '%%EOF\n'
+            ].join('\n');
+            chunks.push(Buffer.from(xref, 'latin1'));
+
+            return Buffer.concat(chunks);
+        }
+    };
+}
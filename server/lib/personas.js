@@ -0,0 +1,260 @@
+/**
+ * Persona registry
+ * Built-in audience personas plus user-defined ones stored in Elasticsearch,
+ * and the prompt template used to put the agent in character. Custom personas
+ * belong to the workspace they were created in; built-ins are shared by everyone.
+ */
+
+import { fetchStoredPersonas, fetchStoredPersona, storePersona, deleteStoredPersona } from './storage.js';
+import { buildAudiencePrompt } from './audiences.js';
+
+const MAX_NAME_LENGTH = 60;
+const MAX_VOICE_LENGTH = 500;
+const MAX_FRAGMENT_LENGTH = 2000;
+
+/**
+ * Default audience personas, consulted when a run doesn't ask for specific ones
+ */
+export const BUILTIN_PERSONAS = [
+    {
+        persona_id: 'literal',
+        name: 'Literal',
+        voice: 'Reacts to exactly what was said, word for word.',
+        prompt_fragment: 'Take every word at face value. Do not fill in implied meaning or assume what the comic intended.'
+    },
+    {
+        persona_id: 'inferred',
+        name: 'Inferred',
+        voice: 'Reacts to what they think the comic meant.',
+        prompt_fragment: 'Read between the lines and react to the intended meaning, not just the literal words.'
+    },
+    {
+        persona_id: 'ambiguity_spotter',
+        name: 'Ambiguity Spotter',
+        voice: 'Notices the parts that could confuse a room.',
+        prompt_fragment: 'Point out wording, references or structure that could be misheard or misunderstood.'
+    },
+    {
+        persona_id: 'the_skeptic',
+        name: 'The Skeptic',
+        voice: 'Doubts the premise and finds holes in the logic.',
+        prompt_fragment: 'Push back on the premise. Call out anything that feels unearned, implausible or lazy.'
+    },
+    {
+        persona_id: 'the_fan',
+        name: 'The Fan',
+        voice: 'Optimistic, charitable and supportive.',
+        prompt_fragment: 'Give the comic the benefit of the doubt and react with generous, supportive energy.'
+    },
+    {
+        persona_id: 'the_surrealist',
+        name: 'The Surrealist',
+        voice: 'Drawn to the absurd, abstract and weird.',
+        prompt_fragment: 'Latch onto the strangest, most absurd elements and react to where they could go.'
+    }
+].map(p => ({ ...p, builtin: true }));
+
+/**
+ * Turn a display name into a persona id (e.g. "The Fan" -> "the_fan")
+ */
+export function slugifyPersonaName(name) {
+    return String(name)
+        .toLowerCase()
+        .trim()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Validate persona input from a request body
+ * @param {Object} input - { name, voice, prompt_fragment }
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow missing fields (for updates)
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validatePersonaInput(input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object') {
+        return 'Persona must be an object';
+    }
+
+    const fields = [
+        ['name', MAX_NAME_LENGTH],
+        ['voice', MAX_VOICE_LENGTH],
+        ['prompt_fragment', MAX_FRAGMENT_LENGTH]
+    ];
+
+    for (const [field, maxLength] of fields) {
+        const value = input[field];
+        if (value === undefined && partial) continue;
+        if (typeof value !== 'string' || value.trim().length === 0) {
+            return `${field} is required and must be a non-empty string`;
+        }
+        if (value.length > maxLength) {
+            return `${field} must be at most ${maxLength} characters`;
+        }
+    }
+
+    if (input.name !== undefined && !slugifyPersonaName(input.name)) {
+        return 'name must contain at least one letter or digit';
+    }
+
+    return null;
+}
+
+/**
+ * List a workspace's personas: built-ins first, then its custom ones
+ * @param {string} workspace_id
+ * @returns {Promise<Array>}
+ */
+export async function listPersonas(workspace_id) {
+    const custom = await fetchStoredPersonas(workspace_id);
+    return [...BUILTIN_PERSONAS, ...custom];
+}
+
+/**
+ * Look up a single persona by id
+ * @param {string} persona_id
+ * @param {string} workspace_id - Whose custom personas to look in
+ * @returns {Promise<Object|null>}
+ */
+export async function getPersona(persona_id, workspace_id) {
+    const builtin = BUILTIN_PERSONAS.find(p => p.persona_id === persona_id);
+    if (builtin) return builtin;
+    return await fetchStoredPersona(persona_id, workspace_id);
+}
+
+/**
+ * Create a custom persona
+ * @param {Object} input - { name, voice, prompt_fragment }
+ * @param {Object} owner - { workspace_id, user_id } the persona is created in and by
+ * @returns {Promise<Object>} - The stored persona
+ */
+export async function createPersona({ name, voice, prompt_fragment }, { workspace_id, user_id }) {
+    const now = new Date().toISOString();
+    const persona = {
+        workspace_id,
+        user_id,
+        persona_id: slugifyPersonaName(name),
+        name: name.trim(),
+        voice: voice.trim(),
+        prompt_fragment: prompt_fragment.trim(),
+        builtin: false,
+        created_at: now,
+        updated_at: now
+    };
+
+    await storePersona(persona);
+    return persona;
+}
+
+/**
+ * Update a custom persona's name, voice or prompt fragment
+ * The persona id stays the same so stored analyses keep pointing at it.
+ * @param {Object} existing - The current persona
+ * @param {Object} changes - Partial { name, voice, prompt_fragment }
+ * @returns {Promise<Object>} - The updated persona
+ */
+export async function updatePersona(existing, changes) {
+    const persona = { ...existing, updated_at: new Date().toISOString() };
+    for (const field of ['name', 'voice', 'prompt_fragment']) {
+        if (changes[field] !== undefined) persona[field] = changes[field].trim();
+    }
+
+    await storePersona(persona);
+    return persona;
+}
+
+/**
+ * Delete a custom persona
+ * @param {string} persona_id
+ * @param {string} workspace_id - Workspace of the persona
+ */
+export async function deletePersona(persona_id, workspace_id) {
+    return await deleteStoredPersona(persona_id, workspace_id);
+}
+
+/**
+ * Resolve the personas requested for an analysis run
+ * Entries may be persona ids from the registry or inline persona objects.
+ * @param {Array|undefined} requested - From the request body
+ * @param {string} workspace_id - Whose custom personas ids may refer to
+ * @returns {Promise<{personas: Array, error: string|null}>}
+ */
+export async function resolvePersonas(requested, workspace_id) {
+    if (requested === undefined || requested === null) {
+        return { personas: BUILTIN_PERSONAS, error: null };
+    }
+
+    if (!Array.isArray(requested) || requested.length === 0) {
+        return { personas: [], error: 'personas must be a non-empty array' };
+    }
+
+    const personas = [];
+    const seen = new Set();
+
+    for (const entry of requested) {
+        let persona;
+
+        if (typeof entry === 'string') {
+            persona = await getPersona(entry, workspace_id);
+            if (!persona) {
+                return { personas: [], error: `Unknown persona: ${entry}` };
+            }
+        } else {
+            const validationError = validatePersonaInput(entry);
+            if (validationError) {
+                return { personas: [], error: `Invalid inline persona: ${validationError}` };
+            }
+            persona = {
+                persona_id: slugifyPersonaName(entry.name),
+                name: entry.name.trim(),
+                voice: entry.voice.trim(),
+                prompt_fragment: entry.prompt_fragment.trim(),
+                builtin: false,
+                inline: true
+            };
+        }
+
+        if (seen.has(persona.persona_id)) continue;
+        seen.add(persona.persona_id);
+        personas.push(persona);
+    }
+
+    return { personas, error: null };
+}
+
+/**
+ * Build the Stage 1 prompt that puts the agent in character
+ * @param {Object} persona - Persona from the registry
+ * @param {string} line_text - The standup line to analyze
+ * @param {Object|null} [audience] - Audience context (see audiences.js)
+ * @returns {string}
+ */
+export function buildPersonaPrompt(persona, line_text, audience = null) {
+    const { persona_id, name, voice, prompt_fragment } = persona;
+    const room = buildAudiencePrompt(audience);
+
+    return `Act as the "${name}" audience persona.
+Who you are: ${voice}
+${prompt_fragment}
+${room ? `\n${room}\n` : ''}
+Analyze this standup line: "${line_text}"
+
+Return a SINGLE JSON object with this structure:
+{
+  "agent_mode": "${persona_id}",
+  "feedback_text": "Your reaction as ${name}...",
+  "relatability": "High/Medium/Low",
+  "laugh_potential": "High/Medium/Low",
+  "crowd_energy": "Hot/Warm/Cold",
+  "reason_codes": ["tag1", "tag2"],
+  "angles": [
+    {
+       "angle_name": "Name of the comedy angle spotted",
+       "explanation": "Why this angle works from your perspective",
+       "direction": "How to expand on this"
+    }
+  ]
+}
+`;
+}
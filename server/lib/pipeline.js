@@ -0,0 +1,625 @@
+/**
+ * Analysis pipeline
+ * Runs the persona panel (Stage 1 + 2) and the sensitivity classifier, then
+ * scores the reactions and runs the reviewer (Stage 3) for a single line, storing results and streaming progress via a sendEvent callback.
+ *
+ * Every step takes an optional AbortSignal. Once it aborts, agent calls and
+ * store writes stop and the abort reason is thrown to the caller instead of
+ * being recorded as a failed persona or review.
+ */
+
+import { storePanel, storeReview, storeSetConnections } from './storage.js';
+import { formatPersonaInput } from './llm.js';
+import { converseWithSchema } from './agentOutput.js';
+import { PERSONA_SCHEMA } from './schemas.js';
+import { buildAngles } from './angles.js';
+import { getReview } from './reviewerAgent.js';
+import { buildPersonaPrompt } from './personas.js';
+import { buildSetSummary } from './setSummary.js';
+import { computeDivergence } from './scoring.js';
+import { audienceDocFields, audienceFromDoc } from './audiences.js';
+import { getPunchUpVariants, scoreAnalysis, rankVariants } from './punchup.js';
+import { classifyLine } from './sensitivity.js';
+import { findSetConnections } from './callbacks.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Whether a Stage 1 entry holds a real reaction (older docs have no status)
+ */
+export function isSuccessfulReaction(feedback) {
+    return feedback.status !== 'failed';
+}
+
+/**
+ * Run one persona against a line
+ * Never throws (except on cancellation): a failed call or unusable reply
+ * comes back as a Stage 1 entry with status 'failed' and a failure_reason.
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier
+ * @param {string} params.line_id - Line identifier within the set
+ * @param {string} params.line_text - The standup line to analyze (trimmed)
+ * @param {Object} params.persona - Persona from the registry
+ * @param {Object|null} [params.audience] - Audience context (see audiences.js)
+ * @param {AbortSignal} [params.signal] - Cancels the call
+ * @returns {Promise<{feedback: Object, angles: Array}>}
+ */
+export async function runPersona({ set_id, line_id, line_text, persona, audience = null, signal }) {
+    const { persona_id: roleId, name: role } = persona;
+    const feedbackId = `f_${roleId}_${Date.now()}`;
+    // Inline personas aren't in the registry, so their reactions keep the
+    // definition a retry needs
+    const definition = persona.inline
+        ? { persona_definition: { name: role, voice: persona.voice, prompt_fragment: persona.prompt_fragment } }
+        : {};
+
+    const failed = (reason) => {
+        console.error(`[Analyze] Failed perspective ${role}:`, reason);
+        return {
+            feedback: {
+                feedback_id: feedbackId,
+                agent_mode: roleId,
+                persona_name: role,
+                ...definition,
+                status: 'failed',
+                failure_reason: reason
+            },
+            angles: []
+        };
+    };
+
+    try {
+        console.log(`[Analyze] Starting perspective: ${role} (${line_id})`);
+
+        const specificInput = buildPersonaPrompt(persona, line_text, audience);
+        const { value, validation_status, validation_errors } = await converseWithSchema({
+            agent: 'persona',
+            input: formatPersonaInput({
+                set_id: `${set_id}-${line_id}-${roleId}`, // Unique conversation ID per role to avoid context pollution
+                line_id,
+                line_text: specificInput
+            }),
+            schema: PERSONA_SCHEMA,
+            label: role,
+            signal
+        });
+
+        // A fallback is only usable if the reaction itself survived validation
+        if (!value?.feedback_text) {
+            return failed(`No usable reply: ${validation_errors.join('; ')}`);
+        }
+
+        const { angles: replyAngles, ...reaction } = value;
+        const feedback = {
+            ...reaction,
+            feedback_id: feedbackId,
+            agent_mode: roleId, // Enforce correct ID
+            persona_name: role,
+            ...definition,
+            status: 'ok',
+            validation_status,
+            validation_errors
+        };
+
+        const angles = buildAngles(replyAngles, { feedback_id: feedbackId, set_id, validation_status });
+
+        return { feedback, angles };
+
+    } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        return failed(err.message);
+    }
+}
+
+/**
+ * Score a line's successful reactions (computed divergence, always) and run
+ * the reviewer over them (when enabled), then store the review
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier
+ * @param {string} params.line_id - Line identifier within the set
+ * @param {string} params.line_text - The standup line
+ * @param {Array} params.stage1 - Stage 1 entries (failed ones are skipped)
+ * @param {Function} params.sendEvent - SSE callback (type, data)
+ * @param {boolean} params.reviewerEnabled - Whether the reviewer agent should run
+ * @param {Object} [params.docFields] - Line fields stamped on the analysis doc
+ * @param {string} [params.progressPrefix] - Prefix for progress messages
+ * @param {Object|null} [params.audience] - Audience context the reviewer judges for
+ * @param {AbortSignal} [params.signal] - Cancels the review and its write
+ * @returns {Promise<Object|null>} - Stage 3 assessment, or null if nothing could be stored
+ */
+export async function reviewLine({ set_id, line_id, line_text, stage1, sendEvent, reviewerEnabled, docFields = {}, progressPrefix = '', audience = null, signal }) {
+    const reactions = stage1.filter(isSuccessfulReaction);
+    if (reactions.length === 0) return null;
+
+    // Deterministic score, stored next to the reviewer's (or on its own)
+    const divergence = computeDivergence(reactions);
+    let stage3 = {
+        computed_divergence_score: divergence.score,
+        divergence_breakdown: divergence
+    };
+
+    if (reviewerEnabled) {
+        sendEvent('progress', { line_id, message: `${progressPrefix}Synthesizing reviews...` });
+
+        try {
+            const review = await getReview({ set_id, line_text, stage1: reactions, audience, signal });
+            stage3 = { ...review, ...stage3 };
+        } catch (reviewError) {
+            if (signal?.aborted) throw signal.reason;
+            console.error('[Analyze] Reviewer error:', reviewError);
+            sendEvent('error', { line_id, message: 'Review generation failed, but perspectives are available.' });
+        }
+    }
+
+    try {
+        await storeReview({ set_id, line_id, line_text, stage3, docFields, signal });
+
+        sendEvent('result_stage3', { line_id, stage3 });
+        return stage3;
+    } catch (storeError) {
+        if (signal?.aborted) throw signal.reason;
+        console.error('[Analyze] Failed to store review:', storeError);
+        sendEvent('error', { line_id, message: 'Review could not be saved, but perspectives are available.' });
+        return null;
+    }
+}
+
+/**
+ * Run the persona panel (and the sensitivity classifier) over a line,
+ * streaming each reaction as it lands. Nothing is stored.
+ * @param {Object} params - See analyzeLine()
+ * @param {Object} [params.previous] - Reactions already on screen ({ stage1, stage2 }); streamed ahead of the new ones
+ * @returns {Promise<{stage1: Array, stage2: Array, sensitivity: Object|null}>} - The new results only
+ */
+async function runPanel({ set_id, line_id, line_text, personas, sendEvent, sensitivityEnabled, progressPrefix, audience, previous = { stage1: [], stage2: [] }, signal }) {
+    sendEvent('progress', { line_id, message: `${progressPrefix}Consulting the council of comedy (${personas.length} perspectives)...` });
+
+    const stage1Results = [];
+    const stage2Results = [];
+    let completedCount = 0;
+    let failedCount = 0;
+
+    // The classifier only needs the line, so it runs next to the panel
+    const classification = sensitivityEnabled
+        ? classifyLine({ set_id, line_text, audience, signal }).then(sensitivity => {
+            sendEvent('result_sensitivity', { line_id, sensitivity });
+            return sensitivity;
+        })
+        : Promise.resolve(null);
+
+    // Launch all personas in parallel, streaming each as it lands
+    const panel = Promise.all(personas.map(async (persona) => {
+        const { feedback, angles } = await runPersona({ set_id, line_id, line_text, persona, audience, signal });
+
+        stage1Results.push(feedback);
+        stage2Results.push(...angles);
+
+        const succeeded = isSuccessfulReaction(feedback);
+        if (succeeded) completedCount++;
+        else failedCount++;
+
+        // Stream incremental update w/ Stage 2 data
+        sendEvent('result_stage1', {
+            line_id,
+            stage1: [...previous.stage1, ...stage1Results],
+            stage2: [...previous.stage2, ...stage2Results]
+        });
+
+        if (!succeeded) {
+            sendEvent('perspective_failed', {
+                line_id,
+                persona: { persona_id: persona.persona_id, name: persona.name },
+                feedback_id: feedback.feedback_id,
+                reason: feedback.failure_reason
+            });
+        }
+
+        const tally = `${completedCount}/${personas.length}${failedCount > 0 ? `, ${failedCount} failed` : ''}`;
+        sendEvent('progress', {
+            line_id,
+            message: succeeded
+                ? `${progressPrefix}Received ${persona.name} perspective (${tally})...`
+                : `${progressPrefix}${persona.name} didn't respond (${tally})...`
+        });
+    }));
+
+    const [sensitivity] = await Promise.all([classification, panel]);
+
+    console.log(`[Analyze] Stage 1 complete for ${line_id}. ${completedCount} results, ${failedCount} failed.`);
+
+    return { stage1: stage1Results, stage2: stage2Results, sensitivity };
+}
+
+/**
+ * Analyze a single line: run every persona (and the sensitivity classifier)
+ * in parallel, store the results, then run the reviewer.
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier
+ * @param {string} params.line_id - Line identifier within the set
+ * @param {string} params.line_text - The standup line to analyze (trimmed)
+ * @param {Array} params.personas - Resolved personas from the registry
+ * @param {Function} params.sendEvent - SSE callback (type, data)
+ * @param {boolean} params.reviewerEnabled - Whether the reviewer agent should run
+ * @param {boolean} [params.sensitivityEnabled] - Whether the sensitivity classifier should run
+ * @param {Object} [params.docFields] - Line fields stamped on the analysis doc
+ * @param {string} [params.progressPrefix] - Prefix for progress messages (e.g. "Line 2/8: ")
+ * @param {Object|null} [params.audience] - Audience context for every prompt, stored on the analysis doc
+ * @param {AbortSignal} [params.signal] - Cancels every agent call and store write for the line
+ * @returns {Promise<{stage1: Array, stage2: Array, stage3: Object|null, sensitivity: Object|null}>}
+ */
+export async function analyzeLine({ set_id, line_id, line_text, personas, sendEvent, reviewerEnabled, sensitivityEnabled = false, docFields = {}, progressPrefix = '', audience = null, signal }) {
+    // Every run gets its own run_id, so re-runs of a line can be counted
+    docFields = { ...docFields, ...audienceDocFields(audience), run_id: uuidv4() };
+
+    const { stage1: stage1Results, stage2: stage2Results, sensitivity } = await runPanel({
+        set_id,
+        line_id,
+        line_text,
+        personas,
+        sendEvent,
+        sensitivityEnabled,
+        progressPrefix,
+        audience,
+        signal
+    });
+
+    // Store the panel (failures included, so they can be retried later)
+    await storePanel({
+        set_id,
+        line_id,
+        line_text,
+        stage1: stage1Results,
+        stage2: stage2Results,
+        sensitivity,
+        docFields,
+        signal
+    });
+
+    // --- Stage 3: Divergence + Reviewer Agent ---
+    const stage3 = await reviewLine({
+        set_id,
+        line_id,
+        line_text,
+        stage1: stage1Results,
+        sendEvent,
+        reviewerEnabled,
+        docFields,
+        progressPrefix,
+        audience,
+        signal
+    });
+
+    return { stage1: stage1Results, stage2: stage2Results, stage3, sensitivity };
+}
+
+/**
+ * Look across an analyzed set for callbacks, running themes and repeated
+ * premises, store them and stream a `set_connections` event. A failed
+ * lookup is stored too, so it shows up as failed rather than missing.
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier
+ * @param {string|null} params.set_title - Set title
+ * @param {Array} params.lines - [{ line_id, line_index, line_text, stage1, stage2 }]
+ * @param {Function} params.sendEvent - SSE callback (type, data)
+ * @param {boolean} [params.callbackWriterEnabled] - Whether the callback writer should phrase the callbacks
+ * @param {Object|null} [params.audience] - Room the set plays to
+ * @param {Object} [params.docFields] - Extra fields stamped on the stored doc (e.g. workspace_id)
+ * @param {AbortSignal} [params.signal] - Cancels the lookup and its write
+ * @returns {Promise<Object>} - findSetConnections() result
+ */
+export async function connectSet({ set_id, set_title, lines, sendEvent, callbackWriterEnabled = false, audience = null, docFields = {}, signal }) {
+    sendEvent('progress', { message: 'Looking for callbacks and running themes...' });
+
+    const connections = await findSetConnections({ set_id, set_title, lines, writerEnabled: callbackWriterEnabled, audience, signal });
+
+    try {
+        await storeSetConnections({
+            set_id,
+            connections,
+            docFields: { ...docFields, ...audienceDocFields(audience), ...(set_title ? { set_title } : {}) },
+            signal
+        });
+    } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        console.error('[Callbacks] Failed to store connections:', err.message);
+    }
+
+    sendEvent('set_connections', { set_id, connections });
+    return connections;
+}
+
+/**
+ * Analyze a whole set: every line in running order under one set_id
+ * (l1, l2, ...), followed by a `set_summary` event with the energy curve
+ * and a `set_connections` event with the callbacks and themes across it.
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier
+ * @param {Array<string>} params.lines - Bits in running order
+ * @param {string|null} params.set_title - Optional set title
+ * @param {Array} params.personas - Resolved personas from the registry
+ * @param {Function} params.sendEvent - SSE callback (type, data)
+ * @param {boolean} params.reviewerEnabled - Whether the reviewer agent should run
+ * @param {boolean} [params.sensitivityEnabled] - Whether the sensitivity classifier should run
+ * @param {boolean} [params.callbackWriterEnabled] - Whether the callback writer should phrase the set's callbacks
+ * @param {Object|null} [params.audience] - Audience context for every line
+ * @param {Object} [params.docFields] - Extra fields stamped on every stored doc (e.g. workspace_id)
+ * @param {AbortSignal} [params.signal] - Cancels the remaining lines
+ * @returns {Promise<Object>} - Set summary
+ */
+export async function analyzeSet({ set_id, lines, set_title, personas, sendEvent, reviewerEnabled, sensitivityEnabled = false, callbackWriterEnabled = false, audience = null, docFields = {}, signal }) {
+    const setLines = lines.map((text, idx) => ({
+        line_id: `l${idx + 1}`,
+        line_index: idx,
+        line_text: text.trim()
+    }));
+
+    console.log(`[Analyze] Starting set analysis for set_id=${set_id} (${setLines.length} lines)`);
+    sendEvent('start', {
+        set_id,
+        mode: 'set',
+        set_title,
+        lines: setLines,
+        personas,
+        audience,
+        message: `Set analysis started (${setLines.length} lines)...`
+    });
+
+    const analyzed = [];
+
+    // Lines run one after another so a long set doesn't flood Agent Builder
+    for (const line of setLines) {
+        signal?.throwIfAborted();
+        sendEvent('line_start', line);
+
+        const { stage1, stage2 } = await analyzeLine({
+            set_id,
+            line_id: line.line_id,
+            line_text: line.line_text,
+            personas,
+            sendEvent,
+            reviewerEnabled,
+            sensitivityEnabled,
+            docFields: { ...docFields, line_index: line.line_index, line_count: setLines.length, ...(set_title ? { set_title } : {}) },
+            progressPrefix: `Line ${line.line_index + 1}/${setLines.length}: `,
+            audience,
+            signal
+        });
+
+        analyzed.push({ ...line, stage1, stage2 });
+        sendEvent('line_done', { line_id: line.line_id });
+    }
+
+    const summary = buildSetSummary(analyzed);
+    sendEvent('set_summary', { set_id, summary });
+
+    if (analyzed.length > 1) {
+        await connectSet({ set_id, set_title, lines: analyzed, sendEvent, callbackWriterEnabled, audience, docFields, signal });
+    }
+
+    return summary;
+}
+
+/**
+ * Line-level fields a retry or merge writes back with the panel (workspace and
+ * author, set position, punch-up and revision lineage, audience)
+ */
+const CARRIED_DOC_FIELDS = [
+    'workspace_id', 'user_id',
+    'line_index', 'line_count', 'set_title',
+    'variant_of_set_id', 'variant_of_line_id', 'variant_technique', 'variant_rationale',
+    'joke_id', 'parent_set_id', 'revision',
+    'import_id', 'tags', 'written_at',
+    'audience_context', 'audience_description'
+];
+
+/**
+ * The CARRIED_DOC_FIELDS set on a stored line
+ */
+function carriedDocFields(doc) {
+    return Object.fromEntries(
+        CARRIED_DOC_FIELDS
+            .filter(field => doc[field] !== undefined && doc[field] !== null)
+            .map(field => [field, doc[field]])
+    );
+}
+
+/**
+ * Re-run one persona for an existing line, replace its stored reaction and
+ * re-score / re-review the merged reactions.
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier
+ * @param {string} params.line_id - Line identifier within the set
+ * @param {Object} params.persona - Persona to re-run
+ * @param {Object} params.existing - Current { stage1, stage2, stage3 } for the line
+ * @param {Function} params.sendEvent - SSE callback (type, data)
+ * @param {boolean} params.reviewerEnabled - Whether the reviewer agent should re-run
+ * @param {AbortSignal} [params.signal] - Cancels the retry
+ * @returns {Promise<{stage1: Array, stage2: Array, stage3: Object|null}>}
+ */
+export async function retryPersona({ set_id, line_id, persona, existing, sendEvent, reviewerEnabled, signal }) {
+    const line_text = existing.stage1[0]?.line_text || existing.stage2[0]?.line_text;
+    const original = existing.stage1[0] || {};
+    const audience = audienceFromDoc(original);
+    sendEvent('progress', { line_id, message: `Retrying ${persona.name}...` });
+
+    const { feedback, angles } = await runPersona({ set_id, line_id, line_text, persona, audience, signal });
+
+    // Swap the persona's previous entry (and its angles) for the new one
+    const previous = existing.stage1.filter(d => d.agent_mode === persona.persona_id);
+    const previousIds = new Set(previous.map(d => d.feedback_id));
+    // The retried reaction stays part of the run it replaces
+    const docFields = { ...carriedDocFields(original), run_id: previous[0]?.run_id };
+
+    const stage1 = [];
+    let replaced = false;
+    for (const doc of existing.stage1) {
+        if (!previousIds.has(doc.feedback_id)) {
+            stage1.push(doc);
+        } else if (!replaced) {
+            stage1.push(feedback); // Keep the persona's original position
+            replaced = true;
+        }
+    }
+    if (!replaced) stage1.push(feedback);
+    const stage2 = [...existing.stage2.filter(a => !previousIds.has(a.parent_feedback_id)), ...angles];
+
+    await storePanel({ set_id, line_id, line_text, stage1, stage2, docFields, signal });
+
+    sendEvent('result_stage1', { line_id, stage1, stage2 });
+
+    if (!isSuccessfulReaction(feedback)) {
+        sendEvent('perspective_failed', {
+            line_id,
+            persona: { persona_id: persona.persona_id, name: persona.name },
+            feedback_id: feedback.feedback_id,
+            reason: feedback.failure_reason
+        });
+        return { stage1, stage2, stage3: existing.stage3 || null };
+    }
+
+    // --- Stage 3: re-score and re-review with the merged panel ---
+    const stage3 = await reviewLine({ set_id, line_id, line_text, stage1, sendEvent, reviewerEnabled, docFields, audience, signal });
+
+    return { stage1, stage2, stage3 };
+}
+
+/**
+ * Run the panel over an already analyzed line again and merge the new
+ * reactions into it: they are stored next to the earlier ones in the line's
+ * analysis (as a new run), and the line is re-scored and re-reviewed
+ * over all of them. The line is only classified if it never was.
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier of the stored analysis
+ * @param {string} params.line_id - Line identifier of the stored analysis
+ * @param {Object} params.existing - Current { stage1, stage2, stage3, sensitivity } for the line
+ * @param {Array} params.personas - Panel to run
+ * @param {Function} params.sendEvent - SSE callback (type, data)
+ * @param {boolean} params.reviewerEnabled - Whether the reviewer agent should re-run
+ * @param {boolean} [params.sensitivityEnabled] - Whether the sensitivity classifier may run
+ * @param {AbortSignal} [params.signal] - Cancels the run
+ * @returns {Promise<{stage1: Array, stage2: Array, stage3: Object|null, sensitivity: Object|null}>} - The merged line
+ */
+export async function mergeRun({ set_id, line_id, existing, personas, sendEvent, reviewerEnabled, sensitivityEnabled = false, signal }) {
+    const original = existing.stage1[0] || {};
+    const line_text = original.line_text;
+    const audience = audienceFromDoc(original);
+    const docFields = { ...carriedDocFields(original), run_id: uuidv4() };
+
+    if (existing.sensitivity) {
+        sendEvent('result_sensitivity', { line_id, sensitivity: existing.sensitivity });
+    }
+
+    const fresh = await runPanel({
+        set_id,
+        line_id,
+        line_text,
+        personas,
+        sendEvent,
+        sensitivityEnabled: sensitivityEnabled && !existing.sensitivity,
+        progressPrefix: 'Re-run: ',
+        audience,
+        previous: existing,
+        signal
+    });
+
+    const stage1 = [...existing.stage1, ...fresh.stage1];
+    const stage2 = [...existing.stage2, ...fresh.stage2];
+
+    await storePanel({ set_id, line_id, line_text, stage1, stage2, sensitivity: fresh.sensitivity, docFields, signal });
+
+    // --- Stage 3: re-score and re-review over both runs ---
+    const stage3 = await reviewLine({ set_id, line_id, line_text, stage1, sendEvent, reviewerEnabled, docFields, audience, signal });
+
+    return { stage1, stage2, stage3, sensitivity: existing.sensitivity || fresh.sensitivity };
+}
+
+/**
+ * Punch up a line: ask for 3-5 rewrites, run each back through the persona
+ * panel and reviewer as its own analysis (linked by variant_of_set_id /
+ * variant_of_line_id), then rank them against the original.
+ * Streams `punchup_variants`, one `punchup_variant` per re-test and a final
+ * `punchup_result` with the ranking.
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier of the original
+ * @param {string} params.line_id - Line identifier of the original
+ * @param {string} params.line_text - The original line
+ * @param {Array} params.stage1 - Stage 1 reactions of the original
+ * @param {Object|null} params.stage3 - Stage 3 of the original (its recommendation guides the rewrites)
+ * @param {Array} params.personas - Panel to re-test the variants with
+ * @param {number} [params.count] - Number of rewrites (3-5)
+ * @param {Function} params.sendEvent - SSE callback (type, data)
+ * @param {boolean} params.reviewerEnabled - Whether the reviewer agent should run
+ * @param {boolean} [params.sensitivityEnabled] - Whether the variants are classified too
+ * @param {Object|null} [params.audience] - Audience context of the original; variants play to the same room
+ * @param {Object} [params.docFields] - Extra fields stamped on every variant doc (e.g. workspace_id)
+ * @param {AbortSignal} [params.signal] - Cancels the remaining variants
+ * @returns {Promise<{original: Object, variants: Array}>}
+ */
+export async function punchUpLine({ set_id, line_id, line_text, stage1, stage3, personas, count, sendEvent, reviewerEnabled, sensitivityEnabled = false, audience = null, docFields = {}, signal }) {
+
+    sendEvent('progress', { line_id, message: 'Writing punch-up variants...' });
+
+    const rewrites = await getPunchUpVariants({
+        set_id,
+        line_text,
+        recommendation: stage3?.recommendation,
+        count,
+        signal
+    });
+
+    sendEvent('punchup_variants', {
+        set_id,
+        line_id,
+        variants: rewrites.map((v, idx) => ({ variant_index: idx, ...v }))
+    });
+
+    const results = [];
+
+    // Variants run one after another, like the lines of a set
+    for (const [idx, rewrite] of rewrites.entries()) {
+        signal?.throwIfAborted();
+
+        const variant_set_id = uuidv4();
+        const prefix = `Variant ${idx + 1}/${rewrites.length}: `;
+
+        // Only progress is forwarded; the variant's own results arrive as one punchup_variant event
+        const forwardProgress = (type, data) => {
+            if (type === 'progress') sendEvent('progress', { ...data, line_id });
+        };
+
+        const analysis = await analyzeLine({
+            set_id: variant_set_id,
+            line_id: 'l1',
+            line_text: rewrite.variant_text,
+            personas,
+            sendEvent: forwardProgress,
+            reviewerEnabled,
+            sensitivityEnabled,
+            docFields: {
+                ...docFields,
+                variant_of_set_id: set_id,
+                variant_of_line_id: line_id,
+                variant_technique: rewrite.technique,
+                ...(rewrite.rationale ? { variant_rationale: rewrite.rationale } : {})
+            },
+            progressPrefix: prefix,
+            audience,
+            signal
+        });
+
+        const variant = {
+            ...scoreAnalysis({ set_id: variant_set_id, line_text: rewrite.variant_text, ...analysis }),
+            variant_index: idx,
+            technique: rewrite.technique,
+            rationale: rewrite.rationale || null
+        };
+        results.push(variant);
+
+        sendEvent('punchup_variant', { set_id, line_id, variant });
+    }
+
+    const original = scoreAnalysis({ set_id, line_text, stage1, stage3 });
+    const variants = rankVariants(original, results);
+
+    sendEvent('punchup_result', { set_id, line_id, original, variants });
+    return { original, variants };
+}
@@ -0,0 +1,101 @@
+/**
+ * Agent Builder provider
+ * Handles communication with Kibana Agent Builder API
+ */
+
+const KIBANA_URL = process.env.KIBANA_URL;
+const KIBANA_API_KEY = process.env.KIBANA_API_KEY;
+
+/**
+ * Agent Builder agent ids, keyed by agent role
+ */
+const AGENT_IDS = {
+    persona: process.env.AGENT_ID || 'how-it-lands-agent',
+    reviewer: process.env.REVIEWER_AGENT_ID || 'how-it-lands-reviewer',
+    punchup: process.env.PUNCHUP_AGENT_ID || 'how-it-lands-punchup',
+    sensitivity: process.env.SENSITIVITY_AGENT_ID || 'how-it-lands-sensitivity',
+    callbacks: process.env.CALLBACK_AGENT_ID || 'how-it-lands-callbacks'
+};
+
+export const name = 'agent-builder';
+
+/**
+ * Validates Agent Builder environment variables
+ */
+export function validateConfig() {
+    if (!KIBANA_URL) {
+        throw new Error('Missing required environment variable: KIBANA_URL');
+    }
+    if (!KIBANA_API_KEY) {
+        throw new Error('Missing required environment variable: KIBANA_API_KEY');
+    }
+}
+
+/**
+ * Whether the given agent role can be called with the current config
+ */
+export function supportsAgent(agent) {
+    if (!AGENT_IDS[agent]) return false;
+    if (!KIBANA_URL) {
+        console.warn(`[Agent] KIBANA_URL not set - ${agent} agent will be unavailable`);
+        return false;
+    }
+    if (!KIBANA_API_KEY) {
+        console.warn(`[Agent] KIBANA_API_KEY not set - ${agent} agent will be unavailable`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Call the Agent Builder converse API
+ * @param {Object} params
+ * @param {string} params.agent - Agent role ('persona' | 'reviewer' | 'punchup' | 'sensitivity' | 'callbacks')
+ * @param {string} params.input - Full input text for the agent
+ * @param {string} [params.conversation_id] - Continue an existing conversation
+ * @param {AbortSignal} [params.signal] - Aborts the request
+ * @returns {Promise<Object>} - Agent response
+ */
+export async function converse({ agent, input, conversation_id, signal }) {
+    const url = `https://${KIBANA_URL}/api/agent_builder/converse`;
+    const agentId = AGENT_IDS[agent];
+
+    if (!agentId) {
+        throw new Error(`Unknown agent: ${agent}`);
+    }
+
+    const body = {
+        agent_id: agentId,
+        input
+    };
+    if (conversation_id) {
+        body.conversation_id = conversation_id;
+    }
+
+    console.log(`[Agent] Calling Agent Builder at ${url}`);
+    console.log(`[Agent] Agent ID: ${agentId}`);
+    console.log(`[Agent] Input:\n${input}`);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Authorization': `ApiKey ${KIBANA_API_KEY}`,
+            'kbn-xsrf': 'true',
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`[Agent] Error response: ${response.status}`, errorText);
+        throw new Error(`Agent Builder error: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    console.log(`[Agent] Response received successfully`);
+    console.log(`[Agent] Full response:`, JSON.stringify(data, null, 2).substring(0, 2000));
+
+    return data;
+}
@@ -0,0 +1,274 @@
+/**
+ * Mock provider
+ * Deterministic, offline stand-in for the LLM. Returns schema-valid persona,
+ * reviewer, punch-up, sensitivity and callback JSON derived from a hash of the input, so the same line always gets
+ * the same reactions. Useful for UI work and integration tests without a cloud account.
+ */
+
+const MOCK_LLM_DELAY_MS = parseInt(process.env.MOCK_LLM_DELAY_MS) || 0;
+
+const LEVELS = ['low', 'medium', 'high'];
+const ENERGIES = ['cold', 'warm', 'hot'];
+const LEVEL_VALUES = { low: 0, medium: 1, high: 2, cold: 0, warm: 1, hot: 2 };
+
+const REASON_CODES = [
+    'relatable_premise', 'clear_setup', 'weak_punchline', 'surprise_twist', 'wordplay',
+    'observational', 'needs_act_out', 'dark_edge', 'callback_potential', 'too_long'
+];
+
+const PUNCHUP_TECHNIQUES = ['tighten', 'new_punchline', 'tag', 'reframe'];
+
+/**
+ * Words that make the mock classifier tag a category
+ */
+const SENSITIVITY_KEYWORDS = {
+    religion: ['god', 'church', 'jesus', 'pray', 'religion', 'priest', 'rabbi', 'imam'],
+    politics: ['president', 'election', 'congress', 'vote', 'democrats', 'republicans', 'politics'],
+    body_image: ['fat', 'diet', 'weight', 'skinny', 'bald', 'ugly', 'gym'],
+    profanity: ['damn', 'hell', 'shit', 'fuck', 'ass', 'crap'],
+    sexual_content: ['sex', 'naked', 'dating', 'hookup', 'bedroom'],
+    drugs_alcohol: ['drunk', 'beer', 'wine', 'weed', 'vodka', 'hangover', 'bar'],
+    death_tragedy: ['funeral', 'died', 'dead', 'death', 'cancer', 'grave']
+};
+
+const ANGLE_NAMES = [
+    'Heighten the Stakes', 'Flip the Perspective', 'Add a Tag', 'Act It Out',
+    'Personal Confession', 'Absurd Escalation', 'Specific Detail', 'Rule of Three'
+];
+
+export const name = 'mock';
+
+/**
+ * Nothing to configure
+ */
+export function validateConfig() {
+    console.log('[Mock] Using deterministic mock LLM provider');
+}
+
+/**
+ * The mock can play every agent role
+ */
+export function supportsAgent() {
+    return true;
+}
+
+/**
+ * FNV-1a string hash, used as a seed
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so every pick is reproducible
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Wait like a real call would, rejecting as soon as the signal aborts
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function pick(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Build a persona reaction from the Stage 1 prompt
+ */
+function mockPersonaResponse(input) {
+    const personaId = input.match(/"agent_mode":\s*"([^"]+)"/)?.[1] || 'unknown';
+    const personaName = input.match(/Act as the "([^"]+)"/)?.[1] || personaId;
+    const lineText = input.match(/Analyze this standup line: "([\s\S]*?)"\n/)?.[1] || input;
+
+    const random = seededRandom(hashString(`${personaId}|${lineText}`));
+    const laugh = pick(random, LEVELS);
+
+    return {
+        agent_mode: personaId,
+        feedback_text: `[mock] As ${personaName}, I'd give "${lineText.slice(0, 40)}${lineText.length > 40 ? '...' : ''}" a ${laugh} laugh.`,
+        relatability: pick(random, LEVELS),
+        laugh_potential: laugh,
+        crowd_energy: pick(random, ENERGIES),
+        reason_codes: [pick(random, REASON_CODES), pick(random, REASON_CODES)].filter((c, i, all) => all.indexOf(c) === i),
+        angles: [0, 1, 2].map(i => {
+            const angleName = ANGLE_NAMES[(hashString(`${personaId}|${lineText}|${i}`)) % ANGLE_NAMES.length];
+            return {
+                angle_name: angleName,
+                explanation: `[mock] ${personaName} sees room to ${angleName.toLowerCase()}.`,
+                direction: `[mock] Try a version that leans into "${angleName}".`
+            };
+        })
+    };
+}
+
+/**
+ * Build a reviewer assessment from the formatted Stage 1 reactions
+ * Divergence is the spread of per-persona scores, mirroring the reviewer's scoring guidelines.
+ */
+function mockReviewerResponse(input) {
+    const reactionPattern = /^([^\n:]+):\n\s+Feedback:[^\n]*\n\s+Relatability: (\w+), Laugh Potential: (\w+), Crowd Energy: (\w+)/gm;
+    const reactions = [...input.matchAll(reactionPattern)].map(m => ({
+        mode: m[1].trim().toLowerCase(),
+        score: [m[2], m[3], m[4]].reduce((sum, level) => sum + (LEVEL_VALUES[level.toLowerCase()] ?? 1), 0)
+    }));
+
+    if (reactions.length < 2) {
+        return {
+            reasoning: '[mock] Not enough reactions to compare.',
+            divergence_score: 0,
+            risk_level: 'low',
+            primary_conflict: 'N/A',
+            conflict_summary: 'Insufficient data for analysis',
+            recommendation: 'Run more personas to get a meaningful review.'
+        };
+    }
+
+    const sorted = [...reactions].sort((a, b) => a.score - b.score);
+    const low = sorted[0];
+    const high = sorted[sorted.length - 1];
+    // Per-persona scores range 0-6
+    const divergence = Math.round(((high.score - low.score) / 6) * 100);
+    const riskLevel = divergence > 60 ? 'high' : divergence > 30 ? 'medium' : 'low';
+
+    return {
+        reasoning: `[mock] ${reactions.length} reactions compared; ${high.mode} liked it most, ${low.mode} least.`,
+        divergence_score: divergence,
+        risk_level: riskLevel,
+        primary_conflict: `${low.mode} vs ${high.mode}`,
+        conflict_summary: `[mock] ${high.mode} and ${low.mode} read the line very differently.`,
+        recommendation: riskLevel === 'low'
+            ? '[mock] The room agrees - tighten the wording and keep it.'
+            : `[mock] Clarify the setup so ${low.mode} gets there too.`
+    };
+}
+
+/**
+ * Build punch-up rewrites from the punch-up input
+ * The variants are tagged copies of the line, so each re-tests differently.
+ */
+function mockPunchupResponse(input) {
+    const lineText = input.match(/^line_text=(.*)$/m)?.[1] || input;
+    const count = Math.min(5, Math.max(3, parseInt(input.match(/^count=(\d+)$/m)?.[1]) || 4));
+
+    return {
+        variants: Array.from({ length: count }, (_, i) => {
+            const technique = PUNCHUP_TECHNIQUES[i % PUNCHUP_TECHNIQUES.length];
+            return {
+                variant_text: `${lineText} [mock ${technique.replace('_', ' ')} #${i + 1}]`,
+                technique,
+                rationale: `[mock] A ${technique.replace('_', ' ')} pass on the original.`
+            };
+        })
+    };
+}
+
+/**
+ * Classify a line by whole-word keyword: each matched category gets a seeded severity
+ */
+function mockSensitivityResponse(input) {
+    const lineText = input.match(/^line_text=(.*)$/m)?.[1] || input;
+    const words = lineText.toLowerCase().match(/[a-z]+/g) || [];
+    const random = seededRandom(hashString(`sensitivity|${lineText}`));
+
+    const tags = Object.entries(SENSITIVITY_KEYWORDS)
+        .filter(([, keywords]) => keywords.some(keyword => words.includes(keyword)))
+        .map(([category]) => ({
+            category,
+            severity: pick(random, LEVELS),
+            rationale: `[mock] The line mentions ${category.replace('_', ' ')}.`
+        }));
+
+    return {
+        tags,
+        summary: tags.length > 0
+            ? `[mock] Touches ${tags.map(t => t.category.replace('_', ' ')).join(', ')}.`
+            : '[mock] Nothing sensitive here.'
+    };
+}
+
+/**
+ * Write a callback for every candidate pair in the callback input
+ * The phrasing quotes the start of the reference line, so it's clear which bit it calls back to.
+ */
+function mockCallbackResponse(input) {
+    const lines = new Map([...input.matchAll(/^(\d+)\. (.*)$/gm)].map(m => [parseInt(m[1]), m[2]]));
+    const candidates = [...input.matchAll(/^(\d+) -> (\d+)(?: \((.*)\))?$/gm)];
+
+    return {
+        callbacks: candidates.map(([, reference, target, hook]) => {
+            const referenceText = lines.get(parseInt(reference)) || '';
+            return {
+                reference_line: parseInt(reference),
+                target_line: parseInt(target),
+                phrasing: `[mock] Speaking of "${referenceText.slice(0, 30)}${referenceText.length > 30 ? '...' : ''}" - it's happening again.`,
+                rationale: `[mock] Both lines lean on ${hook || 'the same premise'}.`
+            };
+        })
+    };
+}
+
+/**
+ * Produce a deterministic response for the given agent role
+ * @param {Object} params
+ * @param {string} params.agent - Agent role ('persona' | 'reviewer' | 'punchup' | 'sensitivity' | 'callbacks')
+ * @param {string} params.input - Full input text for the agent
+ * @param {AbortSignal} [params.signal] - Cuts the simulated delay short
+ * @returns {Promise<Object>} - Response in the Agent Builder shape ({ response: { message } })
+ */
+export async function converse({ agent, input, signal }) {
+    if (MOCK_LLM_DELAY_MS > 0) {
+        await delay(MOCK_LLM_DELAY_MS, signal);
+    }
+    signal?.throwIfAborted();
+
+    let payload;
+    switch (agent) {
+        case 'persona':
+            payload = mockPersonaResponse(input);
+            break;
+        case 'reviewer':
+            payload = mockReviewerResponse(input);
+            break;
+        case 'punchup':
+            payload = mockPunchupResponse(input);
+            break;
+        case 'sensitivity':
+            payload = mockSensitivityResponse(input);
+            break;
+        case 'callbacks':
+            payload = mockCallbackResponse(input);
+            break;
+        default:
+            throw new Error(`Unknown agent: ${agent}`);
+    }
+
+    return { response: { message: JSON.stringify(payload) } };
+}
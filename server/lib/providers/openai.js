@@ -0,0 +1,99 @@
+/**
+ * OpenAI-compatible provider
+ * Calls any /chat/completions endpoint (OpenAI, Azure-style gateways, Ollama, vLLM, LM Studio...)
+ */
+
+import { getAgentDefinition } from '../agentPrompts.js';
+
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+/**
+ * System prompts per agent role
+ * Persona calls carry their full instructions in the input, so they only need
+ * a short framing; the reviewer, punch-up writer, sensitivity classifier and
+ * callback writer reuse the Agent Builder instructions.
+ */
+const SYSTEM_PROMPTS = {
+    persona: 'You simulate how a comedy club audience member reacts to a comic. Follow the instructions in the message and respond ONLY with the JSON object requested. No markdown. No explanation.',
+    reviewer: getAgentDefinition('reviewer')?.prompt,
+    punchup: getAgentDefinition('punchup')?.prompt,
+    sensitivity: getAgentDefinition('sensitivity')?.prompt,
+    callbacks: getAgentDefinition('callbacks')?.prompt
+};
+
+export const name = 'openai';
+
+/**
+ * Validates OpenAI-compatible provider environment variables
+ * The API key is optional so local servers without auth work.
+ */
+export function validateConfig() {
+    if (!OPENAI_BASE_URL.startsWith('http')) {
+        throw new Error(`Invalid OPENAI_BASE_URL: ${OPENAI_BASE_URL}`);
+    }
+    if (!OPENAI_API_KEY) {
+        console.warn('[OpenAI] OPENAI_API_KEY not set - sending requests without Authorization header');
+    }
+}
+
+/**
+ * Whether the given agent role can be called
+ */
+export function supportsAgent(agent) {
+    return Boolean(SYSTEM_PROMPTS[agent]);
+}
+
+/**
+ * Call the chat completions endpoint
+ * @param {Object} params
+ * @param {string} params.agent - Agent role ('persona' | 'reviewer' | 'punchup' | 'sensitivity' | 'callbacks')
+ * @param {string} params.input - Full input text for the agent
+ * @param {AbortSignal} [params.signal] - Aborts the request
+ * @returns {Promise<Object>} - Response normalized to the Agent Builder shape ({ response: { message } })
+ */
+export async function converse({ agent, input, signal }) {
+    const url = `${OPENAI_BASE_URL}/chat/completions`;
+    const systemPrompt = SYSTEM_PROMPTS[agent];
+
+    if (!systemPrompt) {
+        throw new Error(`Unknown agent: ${agent}`);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (OPENAI_API_KEY) {
+        headers['Authorization'] = `Bearer ${OPENAI_API_KEY}`;
+    }
+
+    console.log(`[OpenAI] Calling ${url} (model: ${OPENAI_MODEL}, agent: ${agent})`);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            model: OPENAI_MODEL,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: input }
+            ]
+        }),
+        signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`[OpenAI] Error response: ${response.status}`, errorText);
+        throw new Error(`OpenAI provider error: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    const message = data.choices?.[0]?.message?.content || '';
+    console.log(`[OpenAI] Response received successfully`);
+
+    return {
+        response: { message },
+        model: data.model,
+        usage: data.usage
+    };
+}
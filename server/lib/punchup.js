@@ -0,0 +1,132 @@
+/**
+ * Punch-up helpers
+ * Asks the punch-up agent for concrete rewrites of a line and ranks the
+ * re-tested variants against the original.
+ */
+
+import { isAgentAvailable } from './llm.js';
+import { converseWithSchema } from './agentOutput.js';
+import { PUNCHUP_SCHEMA } from './schemas.js';
+import { scoreMetric, computeDivergence } from './scoring.js';
+
+/**
+ * Allowed number of rewrites per punch-up
+ */
+export const MIN_VARIANTS = 3;
+export const MAX_VARIANTS = 5;
+const DEFAULT_VARIANTS = 4;
+
+/**
+ * Whether the configured LLM provider can run the punch-up writer
+ */
+export function isPunchUpAvailable() {
+    return isAgentAvailable('punchup');
+}
+
+/**
+ * Clamp a requested variant count into the allowed range
+ * @param {*} count
+ * @returns {number}
+ */
+export function normalizeVariantCount(count) {
+    const parsed = parseInt(count);
+    if (!Number.isFinite(parsed)) return DEFAULT_VARIANTS;
+    return Math.min(MAX_VARIANTS, Math.max(MIN_VARIANTS, parsed));
+}
+
+/**
+ * Format input for the punch-up agent
+ */
+function buildPunchUpInput({ set_id, line_text, recommendation, count }) {
+    return `set_id=${set_id}
+count=${count}
+line_text=${line_text}
+recommendation=${recommendation || ''}`;
+}
+
+/**
+ * Ask the punch-up agent for rewrites of a line
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier of the original
+ * @param {string} params.line_text - The original line
+ * @param {string} [params.recommendation] - Reviewer recommendation, if any
+ * @param {number} [params.count] - Number of rewrites (3-5)
+ * @param {AbortSignal} [params.signal] - Cancels the call
+ * @returns {Promise<Array>} - [{ variant_text, technique, rationale }]
+ */
+export async function getPunchUpVariants({ set_id, line_text, recommendation, count = DEFAULT_VARIANTS, signal }) {
+    console.log(`[PunchUp] Requesting ${count} variants for set_id=${set_id}`);
+
+    const { value, validation_status } = await converseWithSchema({
+        agent: 'punchup',
+        input: buildPunchUpInput({ set_id, line_text, recommendation, count }),
+        schema: PUNCHUP_SCHEMA,
+        label: 'PunchUp',
+        signal
+    });
+
+    // Drop rewrites that just repeat the original
+    const original = line_text.trim().toLowerCase();
+    const variants = (value?.variants || [])
+        .filter(v => v.variant_text.toLowerCase() !== original)
+        .slice(0, count);
+
+    if (variants.length === 0) {
+        throw new Error(`Punch-up agent returned no usable variants (${validation_status})`);
+    }
+
+    return variants;
+}
+
+/**
+ * Score an analysis for ranking: average laugh potential and divergence
+ * @param {Object} analysis - { set_id, line_text, stage1, stage3 }
+ * @returns {Object} - { set_id, line_text, laugh_score, divergence, reviewer_divergence }
+ */
+export function scoreAnalysis({ set_id, line_text, stage1 = [], stage3 = null }) {
+    const laughs = stage1
+        .map(r => scoreMetric('laugh_potential', r.laugh_potential))
+        .filter(v => v !== undefined);
+
+    return {
+        set_id,
+        line_text,
+        laugh_score: laughs.length > 0
+            ? Math.round((laughs.reduce((sum, v) => sum + v, 0) / laughs.length) * 100)
+            : null,
+        divergence: stage3?.computed_divergence_score ?? computeDivergence(stage1).score,
+        reviewer_divergence: stage3?.divergence_score ?? null
+    };
+}
+
+/**
+ * Rank variants against the original
+ * Higher laugh potential wins; lower divergence breaks ties.
+ * @param {Object} original - scoreAnalysis() of the original
+ * @param {Array} variants - scoreAnalysis() of each variant, plus variant fields
+ * @returns {Array} - Variants in rank order with rank, deltas and beats_original
+ */
+export function rankVariants(original, variants) {
+    const byRank = (a, b) =>
+        (b.laugh_score ?? -1) - (a.laugh_score ?? -1) ||
+        (a.divergence ?? 101) - (b.divergence ?? 101);
+
+    return [...variants]
+        .sort(byRank)
+        .map((variant, idx) => {
+            const laughDelta = variant.laugh_score !== null && original.laugh_score !== null
+                ? variant.laugh_score - original.laugh_score
+                : null;
+            const divergenceDelta = variant.divergence !== null && original.divergence !== null
+                ? variant.divergence - original.divergence
+                : null;
+
+            return {
+                ...variant,
+                rank: idx + 1,
+                laugh_delta: laughDelta,
+                divergence_delta: divergenceDelta,
+                beats_original: byRank(variant, original) < 0
+            };
+        });
+}
@@ -0,0 +1,362 @@
+/**
+ * Shareable reports
+ * Renders a stored analysis (one line, or every line of a set) as Markdown,
+ * standalone HTML, JSON or PDF: the line, each persona's reaction with its
+ * metrics and reason codes, the angles per persona, the reviewer verdict,
+ * sensitive topics and similar jokes.
+ *
+ * buildReport() collects the data; reportBlocks() turns it into a short list
+ * of headings, paragraphs and lists that every text format renders the same
+ * way, so the formats never drift apart.
+ */
+
+import { audienceFromDoc } from './audiences.js';
+import { buildSetSummary } from './setSummary.js';
+import { createPdf } from './pdf.js';
+
+/**
+ * Accepted export formats, with the response type and file extension of each
+ */
+export const EXPORT_FORMATS = {
+    md: { type: 'text/markdown; charset=utf-8', extension: 'md' },
+    html: { type: 'text/html; charset=utf-8', extension: 'html' },
+    json: { type: 'application/json; charset=utf-8', extension: 'json' },
+    pdf: { type: 'application/pdf', extension: 'pdf' }
+};
+
+const METRIC_LABELS = {
+    relatability: 'Relatability',
+    laugh_potential: 'Laugh potential',
+    crowd_energy: 'Crowd energy'
+};
+
+/**
+ * Collect the report data for a stored analysis
+ * @param {Object} params
+ * @param {string} params.set_id
+ * @param {string|null} params.set_title
+ * @param {Array} params.lines - From fetchSetFromES(), in running order
+ * @param {Object} [params.similarByLine] - line_id -> similar jokes from findSimilarJokes()
+ * @returns {Object}
+ */
+export function buildReport({ set_id, set_title, lines, similarByLine = {} }) {
+    const firstDoc = lines[0]?.stage1[0] || lines[0]?.stage3 || null;
+
+    return {
+        set_id,
+        set_title: set_title || null,
+        joke_id: firstDoc?.joke_id || null,
+        revision: firstDoc?.revision || null,
+        audience: audienceFromDoc(firstDoc),
+        analyzed_at: firstDoc?.created_at || null,
+        generated_at: new Date().toISOString(),
+        lines: lines.map(line => ({
+            line_id: line.line_id,
+            line_index: line.line_index,
+            line_text: line.line_text,
+            reactions: line.stage1.map(reaction => ({
+                persona: reaction.persona_name || reaction.agent_mode,
+                agent_mode: reaction.agent_mode,
+                status: reaction.status || 'ok',
+                feedback_text: reaction.feedback_text || null,
+                relatability: reaction.relatability || null,
+                laugh_potential: reaction.laugh_potential || null,
+                crowd_energy: reaction.crowd_energy || null,
+                reason_codes: reaction.reason_codes || [],
+                failure_reason: reaction.failure_reason || null,
+                angles: line.stage2
+                    .filter(angle => angle.parent_feedback_id === reaction.feedback_id)
+                    .map(angle => ({ name: angle.angle_name || null, explanation: angle.explanation || null, direction: angle.direction || null }))
+            })),
+            review: line.stage3 && {
+                divergence_score: line.stage3.divergence_score ?? null,
+                computed_divergence_score: line.stage3.computed_divergence_score ?? null,
+                risk_level: line.stage3.risk_level || null,
+                primary_conflict: line.stage3.primary_conflict || null,
+                conflict_summary: line.stage3.conflict_summary || null,
+                recommendation: line.stage3.recommendation || null
+            },
+            sensitivity: line.sensitivity,
+            similar: (similarByLine[line.line_id] || []).map(joke => ({
+                set_id: joke.set_id,
+                line_text: joke.line_text,
+                risk_level: joke.risk_level || null,
+                divergence_score: joke.divergence_score ?? null
+            }))
+        })),
+        summary: lines.length > 1 ? buildSetSummary(lines) : null
+    };
+}
+
+/**
+ * Capitalize a stored level ("high" -> "High")
+ */
+function level(value) {
+    return value ? value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ') : 'n/a';
+}
+
+/**
+ * Turn report data into renderable blocks
+ * Block types: heading { level, text }, quote { text }, paragraph { text, muted },
+ * list { items: [{ label, text }] }, rule.
+ * @param {Object} report - From buildReport()
+ * @returns {Array}
+ */
+export function reportBlocks(report) {
+    const isSet = report.lines.length > 1;
+    const blocks = [];
+
+    const details = [
+        report.audience && `Room: ${report.audience.name}${report.audience.audience_context === 'custom' ? ` (${report.audience.description})` : ''}`,
+        report.revision > 1 && `Revision ${report.revision}`,
+        report.analyzed_at && `Analyzed ${report.analyzed_at.slice(0, 10)}`
+    ].filter(Boolean);
+
+    blocks.push({ type: 'heading', level: 1, text: isSet ? (report.set_title || 'Set report') : 'How It Lands report' });
+    if (details.length) blocks.push({ type: 'paragraph', text: details.join(' · '), muted: true });
+
+    if (report.summary) {
+        const { avg_energy, weakest_line, dips } = report.summary;
+        const number = (line_id) => report.lines.findIndex(line => line.line_id === line_id) + 1;
+        blocks.push({ type: 'heading', level: 2, text: 'Set summary' });
+        blocks.push({
+            type: 'list',
+            items: [
+                { label: 'Lines', text: String(report.lines.length) },
+                avg_energy !== null && { label: 'Average energy', text: `${avg_energy}/100` },
+                weakest_line && { label: 'Weakest line', text: `#${weakest_line.line_index + 1} (${weakest_line.energy}/100) ${weakest_line.line_text}` },
+                ...dips.map(dip => ({ label: 'Dip', text: `#${number(dip.from_line_id)} to #${number(dip.to_line_id)}, energy drops ${dip.drop}` }))
+            ].filter(Boolean)
+        });
+    }
+
+    for (const line of report.lines) {
+        const sectionLevel = isSet ? 3 : 2;
+
+        if (isSet) {
+            blocks.push({ type: 'rule' });
+            blocks.push({ type: 'heading', level: 2, text: `Line ${line.line_index + 1}` });
+        }
+        blocks.push({ type: 'quote', text: line.line_text });
+
+        blocks.push({ type: 'heading', level: sectionLevel, text: 'Audience reactions' });
+        if (line.reactions.length === 0) {
+            blocks.push({ type: 'paragraph', text: 'No reactions were stored.', muted: true });
+        }
+        for (const reaction of line.reactions) {
+            blocks.push({ type: 'heading', level: sectionLevel + 1, text: reaction.persona });
+
+            if (reaction.status === 'failed') {
+                blocks.push({ type: 'paragraph', text: `No reaction: ${reaction.failure_reason || 'the persona failed'}`, muted: true });
+                continue;
+            }
+
+            blocks.push({
+                type: 'paragraph',
+                text: ['relatability', 'laugh_potential', 'crowd_energy']
+                    .map(metric => `${METRIC_LABELS[metric]}: ${level(reaction[metric])}`)
+                    .join(' · '),
+                muted: true
+            });
+            if (reaction.feedback_text) blocks.push({ type: 'paragraph', text: reaction.feedback_text });
+            if (reaction.reason_codes.length) {
+                blocks.push({ type: 'paragraph', text: `Reason codes: ${reaction.reason_codes.join(', ')}`, muted: true });
+            }
+            if (reaction.angles.length) {
+                blocks.push({
+                    type: 'list',
+                    items: reaction.angles.map(angle => ({ label: angle.name || 'Angle', text: angle.direction || angle.explanation || '' }))
+                });
+            }
+        }
+
+        if (line.review) {
+            const { review } = line;
+            blocks.push({ type: 'heading', level: sectionLevel, text: 'Reviewer verdict' });
+            blocks.push({
+                type: 'list',
+                items: [
+                    { label: 'Risk', text: level(review.risk_level) },
+                    review.divergence_score !== null && { label: 'Divergence', text: `${review.divergence_score}/100` },
+                    review.computed_divergence_score !== null && { label: 'Computed divergence', text: `${review.computed_divergence_score}/100` },
+                    review.primary_conflict && { label: 'Primary conflict', text: review.primary_conflict },
+                    review.conflict_summary && { label: 'Conflict', text: review.conflict_summary },
+                    review.recommendation && { label: 'Recommendation', text: review.recommendation }
+                ].filter(Boolean)
+            });
+        }
+
+        if (line.sensitivity?.status === 'ok' && line.sensitivity.tags.length > 0) {
+            blocks.push({ type: 'heading', level: sectionLevel, text: 'Sensitive topics' });
+            blocks.push({
+                type: 'list',
+                items: line.sensitivity.tags.map(tag => ({
+                    label: `${level(tag.category)} (${tag.severity})`,
+                    text: tag.rationale || ''
+                }))
+            });
+        }
+
+        if (line.similar.length) {
+            blocks.push({ type: 'heading', level: sectionLevel, text: 'Similar jokes' });
+            blocks.push({
+                type: 'list',
+                items: line.similar.map(joke => ({
+                    text: `${joke.line_text}${joke.risk_level ? ` (${joke.risk_level} risk)` : ''}`
+                }))
+            });
+        }
+    }
+
+    blocks.push({ type: 'rule' });
+    blocks.push({ type: 'paragraph', text: `Generated by How It Lands on ${report.generated_at.slice(0, 10)}.`, muted: true });
+
+    return blocks;
+}
+
+/**
+ * Escape Markdown emphasis, link and HTML characters, and block markers when the
+ * text starts a line
+ */
+function mdText(text, { lineStart = false } = {}) {
+    const escaped = String(text)
+        .replace(/\n+/g, ' ')
+        .replace(/[\\`*_[\]<]/g, '\\$&');
+    return lineStart ? escaped.replace(/^([#>+-]|\d+\.)/, '\\$1') : escaped;
+}
+
+/**
+ * Render report data as Markdown
+ * @param {Object} report - From buildReport()
+ * @returns {string}
+ */
+export function renderMarkdown(report) {
+    return reportBlocks(report).map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `${'#'.repeat(block.level)} ${mdText(block.text)}`;
+            case 'quote':
+                return String(block.text).split('\n').map(line => `> ${mdText(line, { lineStart: true })}`).join('\n');
+            case 'paragraph':
+                return block.muted ? `_${mdText(block.text)}_` : mdText(block.text, { lineStart: true });
+            case 'list':
+                return block.items
+                    .map(item => `- ${item.label ? `**${mdText(item.label)}**${item.text ? ': ' : ''}` : ''}${mdText(item.text)}`)
+                    .join('\n');
+            case 'rule':
+                return '---';
+            default:
+                return '';
+        }
+    }).join('\n\n') + '\n';
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #1f2933; line-height: 1.5; }
+h1 { font-size: 1.6rem; } h2 { font-size: 1.25rem; margin-top: 2rem; } h3 { font-size: 1.05rem; } h4 { font-size: 0.95rem; margin-bottom: 0.25rem; }
+blockquote { margin: 1rem 0; padding: 0.75rem 1rem; border-left: 4px solid #3b82f6; background: #f1f5f9; font-size: 1.1rem; white-space: pre-wrap; }
+.muted { color: #64748b; font-size: 0.875rem; }
+hr { border: none; border-top: 1px solid #e2e8f0; margin: 2rem 0; }
+`;
+
+/**
+ * Render report data as a standalone HTML page
+ * @param {Object} report - From buildReport()
+ * @returns {string}
+ */
+export function renderHtml(report) {
+    const blocks = reportBlocks(report);
+    const body = blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+            case 'quote':
+                return `<blockquote>${escapeHtml(block.text)}</blockquote>`;
+            case 'paragraph':
+                return `<p${block.muted ? ' class="muted"' : ''}>${escapeHtml(block.text)}</p>`;
+            case 'list':
+                return `<ul>${block.items.map(item =>
+                    `<li>${item.label ? `<strong>${escapeHtml(item.label)}</strong>${item.text ? ': ' : ''}` : ''}${escapeHtml(item.text)}</li>`
+                ).join('')}</ul>`;
+            case 'rule':
+                return '<hr>';
+            default:
+                return '';
+        }
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(blocks[0].text)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+const PDF_HEADING_SIZES = { 1: 18, 2: 14, 3: 12, 4: 10.5 };
+
+/**
+ * Render report data as a PDF
+ * @param {Object} report - From buildReport()
+ * @returns {Buffer}
+ */
+export function renderPdf(report) {
+    const blocks = reportBlocks(report);
+    const pdf = createPdf({ title: blocks[0].text, footer: 'How It Lands' });
+
+    for (const block of blocks) {
+        switch (block.type) {
+            case 'heading':
+                pdf.space(block.level <= 2 ? 10 : 4);
+                pdf.text(block.text, { style: 'bold', size: PDF_HEADING_SIZES[block.level] || 10, after: 2 });
+                break;
+            case 'quote':
+                pdf.space(4);
+                pdf.text(block.text, { style: 'italic', size: 12, indent: 12, after: 8 });
+                break;
+            case 'paragraph':
+                pdf.text(block.text, block.muted ? { size: 9, gray: 0.4 } : {});
+                break;
+            case 'list':
+                for (const item of block.items) {
+                    pdf.text(`•  ${item.label ? `${item.label}${item.text ? ': ' : ''}` : ''}${item.text}`, { indent: 10, after: 2 });
+                }
+                pdf.space(4);
+                break;
+            case 'rule':
+                pdf.rule();
+                break;
+        }
+    }
+
+    return pdf.toBuffer();
+}
+
+/**
+ * File name for a downloaded report
+ * @param {Object} report - From buildReport()
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string}
+ */
+export function reportFilename(report, format) {
+    const source = report.set_title || report.lines[0]?.line_text || report.set_id;
+    const slug = source.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'analysis';
+    return `how-it-lands-${slug}.${EXPORT_FORMATS[format].extension}`;
+}
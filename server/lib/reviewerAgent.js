@@ -1,14 +1,15 @@
 /**
  * Reviewer Agent helper functions
- * Handles communication with the Reviewer Agent in Kibana Agent Builder
+ * Handles communication with the Reviewer Agent through the configured LLM provider
  * 
- * The Reviewer Agent synthesizes the 4 listening agent reactions and
+ * The Reviewer Agent synthesizes the listening agent reactions and
  * calculates divergence, risk level, and provides recommendations.
  */
 
-const KIBANA_URL = process.env.KIBANA_URL;
-const KIBANA_API_KEY = process.env.KIBANA_API_KEY;
-const REVIEWER_AGENT_ID = process.env.REVIEWER_AGENT_ID || 'how-it-lands-reviewer';
+import { isAgentAvailable } from './llm.js';
+import { converseWithSchema } from './agentOutput.js';
+import { REVIEWER_SCHEMA } from './schemas.js';
+import { buildAudiencePrompt } from './audiences.js';
 
 /**
  * Reviewer Agent System Prompt (for reference when creating in Agent Builder)
@@ -40,31 +41,34 @@ const REVIEWER_AGENT_ID = process.env.REVIEWER_AGENT_ID || 'how-it-lands-reviewe
  */
 
 /**
- * Validates Reviewer Agent environment variables
+ * Validates that the configured LLM provider can run the reviewer
  */
 export function validateReviewerConfig() {
-    if (!KIBANA_URL) {
-        console.warn('[Reviewer] KIBANA_URL not set - reviewer agent will be unavailable');
-        return false;
-    }
-    if (!KIBANA_API_KEY) {
-        console.warn('[Reviewer] KIBANA_API_KEY not set - reviewer agent will be unavailable');
-        return false;
-    }
-    return true;
+    return isAgentAvailable('reviewer');
 }
 
 /**
- * Call the Reviewer Agent to analyze Stage 1 reactions
+ * Default assessment fields, used when the reviewer never returns a valid payload
+ */
+const FALLBACK_REVIEW = {
+    reasoning: 'Analysis pending...',
+    divergence_score: 0,
+    risk_level: 'unknown',
+    primary_conflict: 'None detected',
+    conflict_summary: 'Insufficient data for analysis',
+    recommendation: 'No recommendation available'
+};
+
+/**
+ * Build the Reviewer Agent input from Stage 1 reactions
  * @param {Object} params
  * @param {string} params.set_id - Set identifier
  * @param {string} params.line_text - The original joke text
  * @param {Array} params.stage1 - Array of Stage 1 reactions
- * @returns {Promise<Object>} - Reviewer response
+ * @param {Object|null} [params.audience] - Audience context (see audiences.js)
+ * @returns {string}
  */
-export async function callReviewerAgent({ set_id, line_text, stage1 }) {
-    const url = `https://${KIBANA_URL}/api/agent_builder/converse`;
-
+export function buildReviewerInput({ set_id, line_text, stage1, audience = null }) {
     // Format reactions for the agent
     const reactionsText = stage1.map(r =>
         `${r.agent_mode.toUpperCase()}:\n` +
@@ -73,42 +77,15 @@ export async function callReviewerAgent({ set_id, line_text, stage1 }) {
         `  Reason Codes: ${(r.reason_codes || []).join(', ')}`
     ).join('\n\n');
 
-    const input = `set_id=${set_id}
-line_text=${line_text}
+    const room = buildAudiencePrompt(audience);
 
+    return `set_id=${set_id}
+line_text=${line_text}
+${room ? `\n${room}\n` : ''}
 REACTIONS:
 ${reactionsText}
 
-Analyze these 4 reactions and provide your assessment.`;
-
-    const body = {
-        agent_id: REVIEWER_AGENT_ID,
-        input
-    };
-
-    console.log(`[Reviewer] Calling Reviewer Agent at ${url}`);
-    console.log(`[Reviewer] Agent ID: ${REVIEWER_AGENT_ID}`);
-
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Authorization': `ApiKey ${KIBANA_API_KEY}`,
-            'kbn-xsrf': 'true',
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(body)
-    });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`[Reviewer] Error response: ${response.status}`, errorText);
-        throw new Error(`Reviewer Agent error: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    console.log(`[Reviewer] Response received successfully`);
-
-    return data;
+Analyze these ${stage1.length} reactions and provide your assessment.`;
 }
 
 /**
@@ -132,88 +109,6 @@ function normalizeConflict(conflict) {
     return normalized;
 }
 
-/**
- * Parse the Reviewer Agent response into structured data
- * @param {Object} agentResponse - Raw response from Agent Builder
- * @returns {Object} - Parsed reviewer assessment
- */
-export function parseReviewerResponse(agentResponse) {
-    console.log('[Reviewer] Raw Agent Response Structure:', Object.keys(agentResponse));
-    console.log('[Reviewer] Raw Agent Response Payload:', JSON.stringify(agentResponse, null, 2));
-
-    let result = {
-        reasoning: 'Analysis pending...',
-        divergence_score: 0,
-        risk_level: 'unknown',
-        primary_conflict: 'None detected',
-        conflict_summary: 'Insufficient data for analysis',
-        recommendation: 'No recommendation available'
-    };
-
-    try {
-        // Agent Builder response has steps array, look for tool_call with params.data
-        if (agentResponse.steps && Array.isArray(agentResponse.steps)) {
-            for (const step of agentResponse.steps) {
-                if (step.type === 'tool_call' && step.params?.data) {
-                    const data = step.params.data;
-                    if (data.divergence_score !== undefined) {
-                        result = { ...result, ...data };
-                    }
-                }
-            }
-        }
-
-        // Fallback: try other response formats
-        if (result.risk_level === 'unknown') {
-            // Agent Builder sometimes wraps output in a 'response' object
-            let jsonContent = agentResponse.output ||
-                agentResponse.message ||
-                agentResponse.response?.message ||
-                (typeof agentResponse === 'string' ? agentResponse : JSON.stringify(agentResponse));
-
-            if (typeof jsonContent === 'string') {
-                // Aggressively strip markdown code blocks
-                jsonContent = jsonContent
-                    .replace(/^```json\s*/, '')
-                    .replace(/^```\s*/, '')
-                    .replace(/\s*```$/, '')
-                    .trim();
-
-                try {
-                    const parsed = JSON.parse(jsonContent);
-                    result = { ...result, ...parsed };
-                } catch (e) {
-                    console.warn('[Reviewer] JSON parse failed, trying regex extraction');
-                    // Try to find JSON object with regex if standard parse fails
-                    const match = jsonContent.match(/\{[\s\S]*\}/);
-                    if (match) {
-                        try {
-                            const parsed = JSON.parse(match[0]);
-                            result = { ...result, ...parsed };
-                        } catch (e2) {
-                            console.error('[Reviewer] Regex JSON parse failed');
-                        }
-                    }
-                }
-            } else if (typeof jsonContent === 'object' && jsonContent.divergence_score !== undefined) {
-                result = { ...result, ...jsonContent };
-            }
-        }
-
-        // Normalize the primary conflict string
-        if (result.primary_conflict) {
-            result.primary_conflict = normalizeConflict(result.primary_conflict) || result.primary_conflict;
-        }
-
-        console.log(`[Reviewer] Parsed response: divergence=${result.divergence_score}, risk=${result.risk_level}, conflict=${result.primary_conflict}`);
-    } catch (parseError) {
-        console.error('[Reviewer] Failed to parse response:', parseError.message);
-        console.error('[Reviewer] Raw response:', JSON.stringify(agentResponse).substring(0, 500));
-    }
-
-    return result;
-}
-
 /**
  * Get review for Stage 1 reactions (convenience function)
  * Combines calling the agent and parsing the response
@@ -221,9 +116,11 @@ export function parseReviewerResponse(agentResponse) {
  * @param {string} params.set_id - Set identifier
  * @param {string} params.line_text - The original joke text
  * @param {Array} params.stage1 - Array of Stage 1 reactions
+ * @param {Object|null} [params.audience] - Audience context (see audiences.js)
+ * @param {AbortSignal} [params.signal] - Cancels the reviewer call
  * @returns {Promise<Object>} - Parsed reviewer assessment
  */
-export async function getReview({ set_id, line_text, stage1 }) {
+export async function getReview({ set_id, line_text, stage1, audience = null, signal }) {
     // Validate we have enough data to review
     if (!stage1 || stage1.length < 2) {
         console.log('[Reviewer] Insufficient Stage 1 data for review');
@@ -236,6 +133,23 @@ export async function getReview({ set_id, line_text, stage1 }) {
         };
     }
 
-    const response = await callReviewerAgent({ set_id, line_text, stage1 });
-    return parseReviewerResponse(response);
+    console.log(`[Reviewer] Calling Reviewer Agent`);
+
+    const { value, validation_status, validation_errors } = await converseWithSchema({
+        agent: 'reviewer',
+        input: buildReviewerInput({ set_id, line_text, stage1, audience }),
+        schema: REVIEWER_SCHEMA,
+        label: 'Reviewer',
+        signal
+    });
+
+    // On fallback keep whichever fields did validate
+    const result = { ...FALLBACK_REVIEW, ...(value || {}), validation_status, validation_errors };
+
+    // Normalize the primary conflict string
+    result.primary_conflict = normalizeConflict(result.primary_conflict) || result.primary_conflict;
+
+    console.log(`[Reviewer] Parsed response (${validation_status}): divergence=${result.divergence_score}, risk=${result.risk_level}, conflict=${result.primary_conflict}`);
+
+    return result;
 }
@@ -0,0 +1,248 @@
+/**
+ * Agent output schemas
+ * Formal schemas for the persona (Stage 1 and 2), reviewer (Stage 3), punch-up,
+ * sensitivity and callback payloads,
+ * plus a small validator for the JSON-Schema subset they use.
+ *
+ * Supported keywords: type, required, properties, enum, items, minItems,
+ * maxItems, minLength, minimum, maximum. Two extensions normalize instead of
+ * rejecting: enums match case-insensitively and are stored lowercased, and
+ * numbers with `clamp: true` are clamped into [minimum, maximum].
+ */
+
+export const LEVELS = ['low', 'medium', 'high'];
+export const ENERGIES = ['cold', 'warm', 'hot'];
+export const RISK_LEVELS = ['low', 'medium', 'high'];
+export const PUNCHUP_TECHNIQUES = ['tighten', 'new_punchline', 'tag', 'reframe', 'callback'];
+export const SENSITIVITY_CATEGORIES = [
+    'religion', 'politics', 'body_image', 'profanity', 'sexual_content', 'race_ethnicity',
+    'gender_sexuality', 'disability', 'violence', 'drugs_alcohol', 'death_tragedy'
+];
+export const SENSITIVITY_SEVERITIES = ['low', 'medium', 'high'];
+
+/**
+ * Stage 2 angle, as a persona replies with it (see angles.js for the stored shape)
+ */
+export const ANGLE_SCHEMA = {
+    type: 'object',
+    required: ['angle_name', 'explanation', 'direction'],
+    properties: {
+        angle_name: { type: 'string', minLength: 1 },
+        explanation: { type: 'string', minLength: 1 },
+        direction: { type: 'string', minLength: 1 }
+    }
+};
+
+/**
+ * Stage 1 persona reaction, with the Stage 2 angles it spotted
+ */
+export const PERSONA_SCHEMA = {
+    type: 'object',
+    required: ['feedback_text', 'relatability', 'laugh_potential', 'crowd_energy', 'reason_codes', 'angles'],
+    properties: {
+        agent_mode: { type: 'string' },
+        feedback_text: { type: 'string', minLength: 1 },
+        relatability: { type: 'string', enum: LEVELS },
+        laugh_potential: { type: 'string', enum: LEVELS },
+        crowd_energy: { type: 'string', enum: ENERGIES },
+        reason_codes: {
+            type: 'array',
+            maxItems: 5,
+            items: { type: 'string', minLength: 1 }
+        },
+        angles: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 5,
+            items: ANGLE_SCHEMA
+        }
+    }
+};
+
+/**
+ * Stage 3 reviewer assessment
+ */
+export const REVIEWER_SCHEMA = {
+    type: 'object',
+    required: ['divergence_score', 'risk_level', 'primary_conflict', 'conflict_summary', 'recommendation'],
+    properties: {
+        reasoning: { type: 'string' },
+        divergence_score: { type: 'integer', minimum: 0, maximum: 100, clamp: true },
+        risk_level: { type: 'string', enum: RISK_LEVELS },
+        primary_conflict: { type: 'string', minLength: 1 },
+        conflict_summary: { type: 'string', minLength: 1 },
+        recommendation: { type: 'string', minLength: 1 }
+    }
+};
+
+/**
+ * Punch-up rewrites
+ */
+export const PUNCHUP_SCHEMA = {
+    type: 'object',
+    required: ['variants'],
+    properties: {
+        variants: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 5,
+            items: {
+                type: 'object',
+                required: ['variant_text', 'technique'],
+                properties: {
+                    variant_text: { type: 'string', minLength: 1 },
+                    technique: { type: 'string', enum: PUNCHUP_TECHNIQUES },
+                    rationale: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Sensitivity classification
+ */
+export const SENSITIVITY_SCHEMA = {
+    type: 'object',
+    required: ['tags'],
+    properties: {
+        tags: {
+            type: 'array',
+            maxItems: SENSITIVITY_CATEGORIES.length,
+            items: {
+                type: 'object',
+                required: ['category', 'severity'],
+                properties: {
+                    category: { type: 'string', enum: SENSITIVITY_CATEGORIES },
+                    severity: { type: 'string', enum: SENSITIVITY_SEVERITIES },
+                    rationale: { type: 'string' }
+                }
+            }
+        },
+        summary: { type: 'string' }
+    }
+};
+
+/**
+ * Callback phrasings for a set
+ * Line numbers are 1-based positions in the set.
+ */
+export const CALLBACK_SCHEMA = {
+    type: 'object',
+    required: ['callbacks'],
+    properties: {
+        callbacks: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['reference_line', 'target_line', 'phrasing'],
+                properties: {
+                    reference_line: { type: 'integer', minimum: 1 },
+                    target_line: { type: 'integer', minimum: 1 },
+                    phrasing: { type: 'string', minLength: 1 },
+                    rationale: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Validate (and normalize) a value against a schema
+ * @param {Object} schema - Schema definition
+ * @param {*} value - Value to validate
+ * @param {string} path - Path used in error messages
+ * @returns {{value: *, errors: string[]}} - Normalized value (invalid parts dropped) and errors
+ */
+export function validateSchema(schema, value, path = '$') {
+    const errors = [];
+
+    switch (schema.type) {
+        case 'object': {
+            if (typeOf(value) !== 'object') {
+                return { value: undefined, errors: [`${path} must be an object`] };
+            }
+
+            const result = {};
+            for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+                if (value[key] === undefined || value[key] === null) continue;
+                const child = validateSchema(propSchema, value[key], `${path}.${key}`);
+                errors.push(...child.errors);
+                if (child.value !== undefined) result[key] = child.value;
+            }
+            for (const key of schema.required || []) {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push(`${path}.${key} is required`);
+                }
+            }
+            return { value: result, errors };
+        }
+
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return { value: undefined, errors: [`${path} must be an array`] };
+            }
+
+            const items = [];
+            value.forEach((item, idx) => {
+                const child = validateSchema(schema.items, item, `${path}[${idx}]`);
+                errors.push(...child.errors);
+                if (child.value !== undefined && child.errors.length === 0) items.push(child.value);
+            });
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path} must have at most ${schema.maxItems} items`);
+            }
+            return { value: items.slice(0, schema.maxItems ?? items.length), errors };
+        }
+
+        case 'string': {
+            if (typeof value !== 'string') {
+                return { value: undefined, errors: [`${path} must be a string`] };
+            }
+
+            const trimmed = value.trim();
+            if (schema.enum) {
+                const normalized = trimmed.toLowerCase();
+                if (!schema.enum.includes(normalized)) {
+                    return { value: undefined, errors: [`${path} must be one of: ${schema.enum.join(', ')} (got "${value}")`] };
+                }
+                return { value: normalized, errors };
+            }
+            if (schema.minLength !== undefined && trimmed.length < schema.minLength) {
+                return { value: undefined, errors: [`${path} must not be empty`] };
+            }
+            return { value: trimmed, errors };
+        }
+
+        case 'number':
+        case 'integer': {
+            const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof num !== 'number' || !Number.isFinite(num)) {
+                return { value: undefined, errors: [`${path} must be a number`] };
+            }
+
+            let result = schema.type === 'integer' ? Math.round(num) : num;
+            const outOfRange = (schema.minimum !== undefined && result < schema.minimum) ||
+                (schema.maximum !== undefined && result > schema.maximum);
+
+            if (outOfRange && schema.clamp) {
+                result = Math.min(schema.maximum ?? result, Math.max(schema.minimum ?? result, result));
+            } else if (outOfRange) {
+                return { value: undefined, errors: [`${path} must be between ${schema.minimum} and ${schema.maximum}`] };
+            }
+            return { value: result, errors };
+        }
+
+        default:
+            return { value, errors };
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * Reaction scoring
+ * Maps the ordinal Stage 1 metrics (relatability, laugh_potential,
+ * crowd_energy) to numbers and computes a reproducible divergence score from
+ * them, independent of the reviewer agent.
+ *
+ * Divergence is the spread of the panel on each metric (population standard
+ * deviation, normalized so a room split evenly between the two extremes is
+ * 100), averaged across metrics. The most-disagreeing pair is the two
+ * personas with the largest mean distance over the metrics both reported.
+ */
+
+/**
+ * Numeric value (0-1) of each ordinal level, per metric
+ */
+export const METRIC_VALUES = {
+    relatability: { low: 0, medium: 0.5, high: 1 },
+    laugh_potential: { low: 0, medium: 0.5, high: 1 },
+    crowd_energy: { cold: 0, warm: 0.5, hot: 1 }
+};
+
+export const METRICS = Object.keys(METRIC_VALUES);
+
+/**
+ * Highest possible standard deviation for values in [0, 1]
+ */
+const MAX_STDDEV = 0.5;
+
+/**
+ * Convert one reaction metric to a number
+ * @param {string} metric - 'relatability' | 'laugh_potential' | 'crowd_energy'
+ * @param {string} level - Ordinal level from the reaction
+ * @returns {number|undefined} - 0-1, or undefined if missing/unknown
+ */
+export function scoreMetric(metric, level) {
+    return METRIC_VALUES[metric]?.[String(level || '').toLowerCase()];
+}
+
+/**
+ * Numeric scores of a reaction, keyed by metric (unknown metrics omitted)
+ * @param {Object} reaction - Stage 1 reaction
+ * @returns {Object}
+ */
+export function scoreReaction(reaction) {
+    const scores = {};
+    for (const metric of METRICS) {
+        const value = scoreMetric(metric, reaction[metric]);
+        if (value !== undefined) scores[metric] = value;
+    }
+    return scores;
+}
+
+function toPercent(value) {
+    return Math.round(value * 100);
+}
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function stddev(values) {
+    const avg = mean(values);
+    return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+}
+
+/**
+ * Compute the divergence of a line's reactions
+ * Failed reactions (no metrics) are skipped.
+ * @param {Array} stage1 - Stage 1 reactions
+ * @returns {Object} - { score, persona_count, metrics, drivers, most_disagreeing_pair }
+ *   score is 0-100, or null when fewer than two personas could be scored.
+ */
+export function computeDivergence(stage1 = []) {
+    const scored = stage1
+        .map(reaction => ({
+            agent_mode: reaction.agent_mode,
+            persona_name: reaction.persona_name || reaction.agent_mode,
+            scores: scoreReaction(reaction)
+        }))
+        .filter(r => Object.keys(r.scores).length > 0);
+
+    const result = {
+        score: null,
+        persona_count: scored.length,
+        metrics: {},
+        drivers: [],
+        most_disagreeing_pair: null
+    };
+
+    if (scored.length < 2) return result;
+
+    // Spread per metric
+    for (const metric of METRICS) {
+        const values = scored.map(r => r.scores[metric]).filter(v => v !== undefined);
+        if (values.length < 2) continue;
+
+        result.metrics[metric] = {
+            spread: toPercent(Math.min(1, stddev(values) / MAX_STDDEV)),
+            min: toPercent(Math.min(...values)),
+            max: toPercent(Math.max(...values)),
+            mean: toPercent(mean(values))
+        };
+    }
+
+    const spreads = Object.values(result.metrics).map(m => m.spread);
+    if (spreads.length === 0) return result;
+
+    result.score = Math.round(mean(spreads));
+
+    // Metrics that drove the disagreement, biggest spread first
+    result.drivers = Object.entries(result.metrics)
+        .filter(([, m]) => m.spread > 0)
+        .sort(([, a], [, b]) => b.spread - a.spread)
+        .map(([metric]) => metric);
+
+    // Most-disagreeing pair
+    let best = null;
+    for (let i = 0; i < scored.length; i++) {
+        for (let j = i + 1; j < scored.length; j++) {
+            const a = scored[i];
+            const b = scored[j];
+            const shared = METRICS.filter(m => a.scores[m] !== undefined && b.scores[m] !== undefined);
+            if (shared.length === 0) continue;
+
+            const diffs = Object.fromEntries(shared.map(m => [m, toPercent(Math.abs(a.scores[m] - b.scores[m]))]));
+            const distance = Math.round(mean(Object.values(diffs)));
+
+            if (!best || distance > best.distance) {
+                best = {
+                    personas: [
+                        { agent_mode: a.agent_mode, persona_name: a.persona_name },
+                        { agent_mode: b.agent_mode, persona_name: b.persona_name }
+                    ],
+                    distance,
+                    metric_differences: diffs
+                };
+            }
+        }
+    }
+    result.most_disagreeing_pair = best && best.distance > 0 ? best : null;
+
+    return result;
+}
+
+/**
+ * Divergence of a reviewed line: the computed score, or the reviewer agent's
+ * own estimate when there is none (reviews stored before it was computed,
+ * or fewer than two personas scored). History and Insights both read this.
+ * @param {Object|null} review - Stage 3 review (a doc's `reviewer`)
+ * @returns {number|null} - 0-100
+ */
+export function reviewDivergence(review) {
+    return review?.computed_divergence_score ?? review?.divergence_score ?? null;
+}
@@ -0,0 +1,100 @@
+/**
+ * Sensitivity classification
+ * Tags a line with the sensitive topics it touches (religion, politics,
+ * body image, profanity, ...), each with a severity for the room it plays to.
+ * Runs alongside the persona panel and is kept apart from the reviewer's
+ * risk_level, which is about the room splitting, not about offense.
+ */
+
+import { isAgentAvailable } from './llm.js';
+import { converseWithSchema } from './agentOutput.js';
+import { SENSITIVITY_SCHEMA, SENSITIVITY_SEVERITIES } from './schemas.js';
+import { buildAudiencePrompt } from './audiences.js';
+
+/**
+ * Whether the configured LLM provider can run the sensitivity classifier
+ */
+export function isSensitivityAvailable() {
+    return isAgentAvailable('sensitivity');
+}
+
+/**
+ * Format input for the sensitivity classifier
+ */
+function buildSensitivityInput({ set_id, line_text, audience }) {
+    const room = buildAudiencePrompt(audience);
+    return `set_id=${set_id}
+line_text=${line_text}
+${room ? `\n${room}\n` : ''}`;
+}
+
+/**
+ * Highest severity among the tags, or 'none' for an untagged line
+ * @param {Array} tags - [{ category, severity }]
+ * @returns {string}
+ */
+export function maxSeverity(tags) {
+    return tags.reduce((max, tag) => (
+        SENSITIVITY_SEVERITIES.indexOf(tag.severity) > SENSITIVITY_SEVERITIES.indexOf(max) ? tag.severity : max
+    ), 'none');
+}
+
+/**
+ * Classify a line
+ * Never throws (except on cancellation): a failed call comes back with
+ * status 'failed' and a failure_reason.
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier
+ * @param {string} params.line_text - The standup line
+ * @param {Object|null} [params.audience] - Audience context severities are judged for
+ * @param {AbortSignal} [params.signal] - Cancels the call
+ * @returns {Promise<Object>} - { status, tags, categories, max_severity, summary, validation_status }
+ */
+export async function classifyLine({ set_id, line_text, audience = null, signal }) {
+    console.log(`[Sensitivity] Classifying set_id=${set_id}`);
+
+    try {
+        const { value, validation_status, validation_errors } = await converseWithSchema({
+            agent: 'sensitivity',
+            input: buildSensitivityInput({ set_id, line_text, audience }),
+            schema: SENSITIVITY_SCHEMA,
+            label: 'Sensitivity',
+            signal
+        });
+
+        if (!Array.isArray(value?.tags)) {
+            throw new Error(`No usable reply: ${validation_errors.join('; ')}`);
+        }
+
+        // One tag per category; keep the most severe if the agent repeats one
+        const byCategory = new Map();
+        for (const tag of value.tags) {
+            const seen = byCategory.get(tag.category);
+            if (!seen || maxSeverity([seen, tag]) !== seen.severity) {
+                byCategory.set(tag.category, tag);
+            }
+        }
+        const tags = [...byCategory.values()];
+
+        return {
+            status: 'ok',
+            tags,
+            categories: tags.map(t => t.category),
+            max_severity: maxSeverity(tags),
+            summary: value.summary || null,
+            validation_status,
+            validation_errors
+        };
+    } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        console.error('[Sensitivity] Classification failed:', err.message);
+        return {
+            status: 'failed',
+            failure_reason: err.message,
+            tags: [],
+            categories: [],
+            max_severity: null,
+            summary: null
+        };
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * Set summary helpers
+ * Builds the energy curve, weakest line and biggest dips for a multi-line set
+ * from the Stage 1 reactions of each line.
+ */
+
+import { scoreMetric } from './scoring.js';
+
+/**
+ * Number of dips reported in a set summary
+ */
+const MAX_DIPS = 3;
+
+/**
+ * Score a single line's room energy from its Stage 1 reactions
+ * Averages crowd_energy and laugh_potential across personas.
+ * @param {Array} stage1 - Stage 1 reactions for the line
+ * @returns {number|null} - 0-100, or null if nothing could be scored
+ */
+export function scoreLineEnergy(stage1 = []) {
+    const scores = stage1
+        .map(r => {
+            const energy = scoreMetric('crowd_energy', r.crowd_energy);
+            const laugh = scoreMetric('laugh_potential', r.laugh_potential);
+            if (energy === undefined && laugh === undefined) return null;
+            if (energy === undefined) return laugh;
+            if (laugh === undefined) return energy;
+            return (energy + laugh) / 2;
+        })
+        .filter(s => s !== null);
+
+    if (scores.length === 0) return null;
+
+    const avg = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+    return Math.round(avg * 100);
+}
+
+/**
+ * Build the summary for an ordered set of analyzed lines
+ * @param {Array} lines - [{ line_id, line_index, line_text, stage1 }] in running order
+ * @returns {Object} - { line_count, avg_energy, energy_curve, weakest_line, dips }
+ */
+export function buildSetSummary(lines = []) {
+    const ordered = [...lines].sort((a, b) => (a.line_index ?? 0) - (b.line_index ?? 0));
+
+    const energyCurve = ordered.map(line => ({
+        line_id: line.line_id,
+        line_index: line.line_index,
+        line_text: line.line_text,
+        energy: scoreLineEnergy(line.stage1)
+    }));
+
+    const scored = energyCurve.filter(p => p.energy !== null);
+
+    const weakestLine = scored.reduce(
+        (weakest, point) => (!weakest || point.energy < weakest.energy ? point : weakest),
+        null
+    );
+
+    // Dips are drops in energy between consecutive scored lines
+    const dips = [];
+    for (let i = 1; i < scored.length; i++) {
+        const drop = scored[i - 1].energy - scored[i].energy;
+        if (drop > 0) {
+            dips.push({
+                from_line_id: scored[i - 1].line_id,
+                to_line_id: scored[i].line_id,
+                from_energy: scored[i - 1].energy,
+                to_energy: scored[i].energy,
+                drop
+            });
+        }
+    }
+    dips.sort((a, b) => b.drop - a.drop);
+
+    const avgEnergy = scored.length > 0
+        ? Math.round(scored.reduce((sum, p) => sum + p.energy, 0) / scored.length)
+        : null;
+
+    return {
+        line_count: ordered.length,
+        avg_energy: avgEnergy,
+        energy_curve: energyCurve,
+        weakest_line: weakestLine,
+        dips: dips.slice(0, MAX_DIPS)
+    };
+}
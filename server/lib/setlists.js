@@ -0,0 +1,376 @@
+/**
+ * Setlists
+ * A setlist is a named running order of analyzed jokes ({ set_id, line_id }),
+ * stored per workspace. Planning a setlist predicts how the room's energy
+ * moves through it, flags problems, and suggests a better order.
+ *
+ * Each joke's strength is its line energy (the Stage 1 crowd_energy and
+ * laugh_potential averaged across personas, 0-100). The predicted room
+ * energy after a joke blends that strength with the energy the room
+ * already had, minus a penalty for the joke's Stage 3 risk. Risk costs
+ * more in a cold room, and a high-risk bit right after another one costs
+ * extra. The room starts neutral (50).
+ *
+ * The suggested order follows the classic rules: open strong, close with
+ * the strongest joke (that isn't high-risk, when there is one), and keep
+ * risky material in the middle, spread out.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { scoreLineEnergy } from './setSummary.js';
+import {
+    fetchStoredSetlists, fetchStoredSetlist, storeSetlist, deleteStoredSetlist, fetchSetlistLines
+} from './storage.js';
+
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * Most jokes in one setlist
+ */
+export const MAX_SETLIST_ITEMS = 50;
+
+// Energy below this reads as a cold room
+const COLD_ENERGY = 40;
+// A predicted drop this large between two jokes is flagged
+const DIP_THRESHOLD = 20;
+// A closer this far below the strongest safe joke is flagged
+const CLOSER_MARGIN = 10;
+
+const STARTING_ENERGY = 50;
+const MOMENTUM = 0.3;
+const RISK_PENALTY = { low: 0, medium: 5, high: 15 };
+const BACK_TO_BACK_PENALTY = 10;
+
+/**
+ * Validate setlist input from a request body
+ * @param {Object} input - { name, items: [{ set_id, line_id? }] }
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow missing fields (for updates)
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateSetlistInput(input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object') {
+        return 'Setlist must be an object';
+    }
+
+    if (input.name !== undefined || !partial) {
+        if (typeof input.name !== 'string' || input.name.trim().length === 0) {
+            return 'name is required and must be a non-empty string';
+        }
+        if (input.name.length > MAX_NAME_LENGTH) {
+            return `name must be at most ${MAX_NAME_LENGTH} characters`;
+        }
+    }
+
+    if (input.items !== undefined || !partial) {
+        return validateSetlistItems(input.items);
+    }
+
+    return null;
+}
+
+/**
+ * Validate a running order
+ * @param {*} items - [{ set_id, line_id? }]
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateSetlistItems(items) {
+    if (!Array.isArray(items)) {
+        return 'items must be an array of { set_id, line_id }';
+    }
+    if (items.length > MAX_SETLIST_ITEMS) {
+        return `items must contain at most ${MAX_SETLIST_ITEMS} jokes`;
+    }
+
+    const seen = new Set();
+    for (const item of items) {
+        if (typeof item?.set_id !== 'string' || !item.set_id) {
+            return 'Every item needs a set_id';
+        }
+        if (item.line_id !== undefined && (typeof item.line_id !== 'string' || !item.line_id)) {
+            return 'line_id must be a non-empty string';
+        }
+        const key = `${item.set_id}/${item.line_id || 'l1'}`;
+        if (seen.has(key)) {
+            return `The joke ${key} is in the setlist twice`;
+        }
+        seen.add(key);
+    }
+
+    return null;
+}
+
+/**
+ * Stored form of a running order
+ */
+function normalizeItems(items) {
+    return items.map(item => ({ set_id: item.set_id, line_id: item.line_id || 'l1' }));
+}
+
+/**
+ * List a workspace's setlists
+ * @param {string} workspace_id
+ * @returns {Promise<Array>} - [{ setlist_id, name, joke_count, created_at, updated_at }]
+ */
+export async function listSetlists(workspace_id) {
+    const setlists = await fetchStoredSetlists(workspace_id);
+    return setlists.map(({ items, ...setlist }) => ({ ...setlist, joke_count: items.length }));
+}
+
+/**
+ * Look up a setlist
+ * @param {string} setlist_id
+ * @param {string} workspace_id
+ * @returns {Promise<Object|null>}
+ */
+export async function getSetlist(setlist_id, workspace_id) {
+    return await fetchStoredSetlist(setlist_id, workspace_id);
+}
+
+/**
+ * Create a setlist
+ * @param {Object} input - Validated { name, items }
+ * @param {Object} owner - { workspace_id, user_id } the setlist is created in and by
+ * @returns {Promise<Object>} - The stored setlist
+ */
+export async function createSetlist({ name, items }, { workspace_id, user_id }) {
+    const now = new Date().toISOString();
+    const setlist = {
+        workspace_id,
+        user_id,
+        setlist_id: uuidv4(),
+        name: name.trim(),
+        items: normalizeItems(items),
+        created_at: now,
+        updated_at: now
+    };
+
+    await storeSetlist(setlist);
+    return setlist;
+}
+
+/**
+ * Rename a setlist or change its running order
+ * @param {Object} existing - The current setlist
+ * @param {Object} changes - Validated partial { name, items }
+ * @returns {Promise<Object>} - The updated setlist
+ */
+export async function updateSetlist(existing, changes) {
+    const setlist = { ...existing, updated_at: new Date().toISOString() };
+    if (changes.name !== undefined) setlist.name = changes.name.trim();
+    if (changes.items !== undefined) setlist.items = normalizeItems(changes.items);
+
+    await storeSetlist(setlist);
+    return setlist;
+}
+
+/**
+ * Delete a setlist
+ * @param {string} setlist_id
+ * @param {string} workspace_id
+ */
+export async function deleteSetlist(setlist_id, workspace_id) {
+    return await deleteStoredSetlist(setlist_id, workspace_id);
+}
+
+/**
+ * Load the analyses of a running order and plan it
+ * @param {Array} items - [{ set_id, line_id? }]
+ * @param {string} workspace_id
+ * @returns {Promise<Object>} - See planSetlist()
+ */
+export async function analyzeSetlist(items, workspace_id) {
+    const normalized = normalizeItems(items);
+    const lines = await fetchSetlistLines(normalized, workspace_id);
+
+    const jokes = normalized.map(item => {
+        const line = lines.get(`${item.set_id}/${item.line_id}`);
+        const energy = line ? scoreLineEnergy(line.stage1.filter(r => r.status !== 'failed')) : null;
+        const risk_level = line?.stage3?.risk_level;
+
+        return {
+            ...item,
+            line_text: line?.line_text ?? null,
+            found: Boolean(line),
+            analyzed: Boolean(line?.stage1.length),
+            energy,
+            risk_level: RISK_PENALTY[risk_level] !== undefined ? risk_level : null
+        };
+    });
+
+    return planSetlist(jokes);
+}
+
+/**
+ * Predicted room energy after each joke, in order
+ * @param {Array} jokes - [{ energy, risk_level }]
+ * @returns {number[]}
+ */
+function predictArc(jokes) {
+    const arc = [];
+    let room = STARTING_ENERGY;
+
+    jokes.forEach((joke, i) => {
+        const strength = joke.energy ?? STARTING_ENERGY;
+        let penalty = (RISK_PENALTY[joke.risk_level] || 0) * (1 - room / 100) * 2;
+        if (joke.risk_level === 'high' && jokes[i - 1]?.risk_level === 'high') penalty += BACK_TO_BACK_PENALTY;
+
+        room = Math.max(0, Math.min(100, Math.round((1 - MOMENTUM) * strength + MOMENTUM * room - penalty)));
+        arc.push(room);
+    });
+
+    return arc;
+}
+
+/**
+ * Short quote of a joke for messages
+ */
+function quote(joke) {
+    const text = joke.line_text || joke.set_id;
+    return `"${text.length > 40 ? `${text.slice(0, 40)}...` : text}"`;
+}
+
+/**
+ * Problems with a running order
+ * @param {Array} jokes - In running order
+ * @param {number[]} arc - From predictArc()
+ * @returns {Array} - [{ type, severity, positions, message }]; positions are 0-based
+ */
+function findProblems(jokes, arc) {
+    const flags = [];
+    const flag = (type, severity, positions, message) => flags.push({ type, severity, positions, message });
+
+    jokes.forEach((joke, i) => {
+        if (!joke.found) {
+            flag('missing', 'warning', [i], `#${i + 1} no longer exists in this workspace`);
+        } else if (!joke.analyzed) {
+            flag('not_analyzed', 'warning', [i], `#${i + 1} ${quote(joke)} hasn't been analyzed, so its energy is a guess`);
+        }
+    });
+
+    if (jokes.length === 0) return flags;
+
+    const opener = jokes[0];
+    if (opener.risk_level === 'high') {
+        flag('risky_opener', 'warning', [0], `Opening with a high-risk bit before the room trusts you: ${quote(opener)}`);
+    }
+    if (opener.energy !== null && opener.energy < COLD_ENERGY) {
+        flag('cold_opener', 'warning', [0], `The opener ${quote(opener)} is cold (${opener.energy}/100)`);
+    }
+
+    for (let i = 1; i < jokes.length; i++) {
+        if (jokes[i - 1].risk_level === 'high' && jokes[i].risk_level === 'high') {
+            flag('back_to_back_risk', 'warning', [i - 1, i], `#${i} and #${i + 1} are back-to-back high-risk bits`);
+        }
+        const drop = arc[i - 1] - arc[i];
+        if (drop >= DIP_THRESHOLD) {
+            flag('energy_dip', 'info', [i - 1, i], `Energy drops ${drop} points from #${i} to #${i + 1}`);
+        }
+    }
+
+    if (jokes.length >= 2) {
+        const last = jokes.length - 1;
+        const closer = jokes[last];
+        // Risky bits shouldn't close, so measure against the strongest safe joke
+        const safe = jokes.filter(j => j.risk_level !== 'high');
+        const strongest = Math.max(...(safe.length ? safe : jokes).map(j => j.energy ?? -1));
+
+        if (closer.energy !== null && closer.energy < COLD_ENERGY) {
+            flag('cold_closer', 'warning', [last], `The closer ${quote(closer)} is cold (${closer.energy}/100)`);
+        } else if (closer.energy !== null && strongest - closer.energy >= CLOSER_MARGIN) {
+            flag('weak_closer', 'info', [last], `The closer isn't your strongest ${safe.length ? 'safe ' : ''}joke (${closer.energy} vs ${strongest}/100)`);
+        }
+        if (closer.risk_level === 'high') {
+            flag('risky_closer', 'info', [last], `Closing on a high-risk bit: ${quote(closer)}`);
+        }
+    }
+
+    return flags;
+}
+
+/**
+ * Spread high-risk jokes through the middle, between safer ones
+ * @param {Array} middle - Jokes between the opener and the closer
+ * @returns {Array}
+ */
+function spreadRisk(middle) {
+    const risky = middle.filter(j => j.risk_level === 'high');
+    const safe = middle.filter(j => j.risk_level !== 'high');
+    if (risky.length === 0 || safe.length === 0) return middle;
+
+    // Gap g sits before safe[g]; gaps 1..safe.length-1 are between two safe jokes
+    const interior = safe.length - 1;
+    const gaps = risky.map((_, k) => (risky.length <= interior
+        ? Math.round((k + 1) * safe.length / (risky.length + 1))
+        : Math.floor(k * (safe.length + 1) / risky.length)));
+
+    const ordered = [];
+    for (let g = 0; g <= safe.length; g++) {
+        risky.forEach((joke, k) => { if (gaps[k] === g) ordered.push(joke); });
+        if (g < safe.length) ordered.push(safe[g]);
+    }
+    return ordered;
+}
+
+/**
+ * Suggest a running order by the classic rules
+ * @param {Array} jokes - In the current order, each with its `position`
+ * @returns {{order: Array, reasons: string[]}} - order is jokes in the suggested order
+ */
+function suggestOrder(jokes) {
+    if (jokes.length < 2) return { order: jokes, reasons: [] };
+
+    // Strongest first; unanalyzed jokes last; lower risk breaks ties
+    const riskRank = (joke) => Object.keys(RISK_PENALTY).indexOf(joke.risk_level);
+    const byStrength = [...jokes].sort((a, b) =>
+        (b.energy ?? -1) - (a.energy ?? -1) || riskRank(a) - riskRank(b) || a.position - b.position
+    );
+    const pick = (pool) => pool.find(j => j.energy !== null && j.risk_level !== 'high') || pool[0];
+
+    const closer = pick(byStrength);
+    const opener = pick(byStrength.filter(j => j !== closer));
+    const middle = spreadRisk(jokes.filter(j => j !== opener && j !== closer));
+
+    const reasons = [];
+    if (closer.energy !== null) {
+        reasons.push(`Close with ${quote(closer)}, the strongest${closer !== byStrength[0] ? ' safe' : ''} joke (${closer.energy}/100)`);
+    }
+    if (opener.energy !== null) {
+        reasons.push(`Open with ${quote(opener)} (${opener.energy}/100) to win the room early`);
+    }
+    if (middle.some(j => j.risk_level === 'high') && middle.some(j => j.risk_level !== 'high')) {
+        reasons.push('Keep high-risk bits in the middle, with safer jokes between them');
+    }
+
+    return { order: [opener, ...middle, closer], reasons };
+}
+
+/**
+ * Plan a running order: predicted energy arc, problems and a suggested order
+ * @param {Array} jokes - [{ set_id, line_id, line_text, found, analyzed, energy, risk_level }] in order
+ * @returns {Object} - { jokes, avg_energy, flags, suggestion }
+ *   jokes gain `position` and `predicted_energy`. suggestion is
+ *   { items, order (current positions in suggested order), predicted_arc, flags, reasons, changed }.
+ */
+export function planSetlist(jokes) {
+    const positioned = jokes.map((joke, position) => ({ ...joke, position }));
+    const arc = predictArc(positioned);
+
+    const { order, reasons } = suggestOrder(positioned);
+    const suggestedArc = predictArc(order);
+    const changed = order.some((joke, i) => joke.position !== i);
+
+    return {
+        jokes: positioned.map((joke, i) => ({ ...joke, predicted_energy: arc[i] })),
+        avg_energy: arc.length ? Math.round(arc.reduce((sum, e) => sum + e, 0) / arc.length) : null,
+        flags: findProblems(positioned, arc),
+        suggestion: {
+            items: order.map(({ set_id, line_id }) => ({ set_id, line_id })),
+            order: order.map(joke => joke.position),
+            predicted_arc: suggestedArc,
+            flags: findProblems(order, suggestedArc),
+            reasons: changed ? reasons : [],
+            changed
+        }
+    };
+}
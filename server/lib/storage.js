@@ -0,0 +1,95 @@
+/**
+ * Storage selection
+ * Routes reads and writes to the configured backend (STORAGE):
+ * - elasticsearch (default): the Elasticsearch cluster at ES_URL
+ * - local: JSON files under LOCAL_DATA_DIR, for running without a cluster
+ *
+ * Every store exposes the same interface: name, validateConfig(),
+ * ensureStorage() and the functions re-exported below. Analysis docs have
+ * the same shape in both (see stores/analysisDocs.js), so callers never need
+ * to know which store they talk to.
+ */
+
+import * as elasticsearch from './stores/elasticsearch.js';
+import * as local from './stores/local.js';
+
+const STORES = {
+    [elasticsearch.name]: elasticsearch,
+    [local.name]: local
+};
+
+const STORAGE = process.env.STORAGE || elasticsearch.name;
+
+/**
+ * Get the configured store module
+ */
+export function getStore() {
+    const store = STORES[STORAGE];
+    if (!store) {
+        throw new Error(`Unknown STORAGE "${STORAGE}" (expected one of: ${Object.keys(STORES).join(', ')})`);
+    }
+    return store;
+}
+
+/**
+ * Validates the configured store's environment variables
+ */
+export function validateStorageConfig() {
+    const store = getStore();
+    store.validateConfig();
+    console.log(`[Storage] Using store: ${store.name}`);
+}
+
+/**
+ * Prepare the store on startup (create or check the index, load the files)
+ */
+export async function ensureStorage() {
+    return await getStore().ensureStorage();
+}
+
+// Analyses
+export const storePanel = (...args) => getStore().storePanel(...args);
+export const storeReview = (...args) => getStore().storeReview(...args);
+export const storeSetConnections = (...args) => getStore().storeSetConnections(...args);
+export const storeImportedEntries = (...args) => getStore().storeImportedEntries(...args);
+export const embedTexts = (...args) => getStore().embedTexts(...args);
+export const fetchDocs = (...args) => getStore().fetchDocs(...args);
+export const fetchSet = (...args) => getStore().fetchSet(...args);
+export const fetchVariants = (...args) => getStore().fetchVariants(...args);
+export const countRunsByContentHash = (...args) => getStore().countRunsByContentHash(...args);
+export const fetchImportedEntries = (...args) => getStore().fetchImportedEntries(...args);
+export const findCachedAnalysis = (...args) => getStore().findCachedAnalysis(...args);
+export const fetchHistory = (...args) => getStore().fetchHistory(...args);
+export const fetchJokeRevisions = (...args) => getStore().fetchJokeRevisions(...args);
+export const deleteBySetId = (...args) => getStore().deleteBySetId(...args);
+export const deleteByJokeId = (...args) => getStore().deleteByJokeId(...args);
+export const findSimilarJokes = (...args) => getStore().findSimilarJokes(...args);
+export const getAllInsights = (...args) => getStore().getAllInsights(...args);
+
+// Custom personas
+export const fetchStoredPersonas = (...args) => getStore().fetchStoredPersonas(...args);
+export const fetchStoredPersona = (...args) => getStore().fetchStoredPersona(...args);
+export const storePersona = (...args) => getStore().storePersona(...args);
+export const deleteStoredPersona = (...args) => getStore().deleteStoredPersona(...args);
+
+// Setlists
+export const fetchStoredSetlists = (...args) => getStore().fetchStoredSetlists(...args);
+export const fetchStoredSetlist = (...args) => getStore().fetchStoredSetlist(...args);
+export const storeSetlist = (...args) => getStore().storeSetlist(...args);
+export const deleteStoredSetlist = (...args) => getStore().deleteStoredSetlist(...args);
+export const fetchSetlistLines = (...args) => getStore().fetchSetlistLines(...args);
+
+// Workspaces
+export const fetchStoredWorkspace = (...args) => getStore().fetchStoredWorkspace(...args);
+export const fetchUserWorkspaces = (...args) => getStore().fetchUserWorkspaces(...args);
+export const storeWorkspace = (...args) => getStore().storeWorkspace(...args);
+export const deleteStoredWorkspace = (...args) => getStore().deleteStoredWorkspace(...args);
+
+// Users and tokens
+export const fetchStoredUser = (...args) => getStore().fetchStoredUser(...args);
+export const createStoredUser = (...args) => getStore().createStoredUser(...args);
+export const storeToken = (...args) => getStore().storeToken(...args);
+export const fetchToken = (...args) => getStore().fetchToken(...args);
+export const touchToken = (...args) => getStore().touchToken(...args);
+export const fetchUserTokens = (...args) => getStore().fetchUserTokens(...args);
+export const deleteTokens = (...args) => getStore().deleteTokens(...args);
@@ -0,0 +1,675 @@
+/**
+ * Analysis docs
+ * The shape of the stored analysis docs, shared by every store: building them
+ * from pipeline results, and reading them back as the lines, sets, revisions
+ * and history entries the API returns. A store only finds and writes the docs.
+ *
+ * Each analyzed line is one doc (doc_type 'analysis', id set_id/line_id):
+ *   { set_id, line_id, line_text, ...line fields,
+ *     personas: [{ agent_mode, feedback_text, ..., run_id, angles: [...] }],
+ *     reviewer: { divergence_score, risk_level, ... } | null,
+ *     sensitivity: { status, categories, tags, ... } | null,
+ *     persona_count, crowd_energy_counts, high_laugh_modes, laugh_score, run_ids }
+ * It is written in parts as the stages complete: the panel (with its angles
+ * and the sensitivity tags) first, then the review. An imported joke is an
+ * analysis doc with no personas yet. The summary fields are derived from
+ * the personas on every write, so insights never need to open them up.
+ *
+ * The first line of a set (l1, the only line of a single joke) also carries
+ * the set's History entry: a `history` roll-up of every line (see
+ * buildHistory()), rewritten by the store after each write to the set, and
+ * `superseded: true` once a newer revision of the joke exists. History is a
+ * plain search over those docs.
+ *
+ * A set's callbacks and themes are one doc_type 'set_connections' doc per set.
+ */
+
+import { contentHash } from '../contentHash.js';
+import { ENERGIES, RISK_LEVELS } from '../schemas.js';
+import { METRICS, scoreMetric, computeDivergence, reviewDivergence } from '../scoring.js';
+import { ANGLE_SCHEMA_VERSION, toAngle } from '../angles.js';
+
+export const ANALYSIS_DOC_TYPE = 'analysis';
+export const CONNECTIONS_DOC_TYPE = 'set_connections';
+
+// Line whose doc carries its set's History entry
+export const HEAD_LINE_ID = 'l1';
+
+// Fields of a stored persona reaction (its angles are nested under it)
+const PERSONA_FIELDS = [
+    'feedback_id', 'agent_mode', 'persona_name', 'persona_definition', 'feedback_text', 'reason_codes',
+    'relatability', 'laugh_potential', 'crowd_energy', 'confidence',
+    'status', 'failure_reason', 'validation_status', 'validation_errors', 'run_id', 'created_at'
+];
+
+const ANGLE_FIELDS = ['angle_id', 'angle_name', 'explanation', 'direction', 'schema_version', 'validation_status', 'missing_fields'];
+
+const REVIEWER_FIELDS = [
+    'divergence_score', 'risk_level', 'primary_conflict', 'conflict_summary', 'recommendation',
+    'computed_divergence_score', 'divergence_breakdown', 'validation_status'
+];
+
+// Fields of an analysis doc that aren't line fields
+const ANALYSIS_FIELDS = [
+    'id', 'doc_type', 'personas', 'reviewer', 'sensitivity',
+    'persona_count', 'crowd_energy_counts', 'high_laugh_modes', 'laugh_score', 'run_ids',
+    'history', 'superseded', 'updated_at'
+];
+
+/**
+ * Doc id of a line's analysis
+ */
+export function analysisDocId(set_id, line_id) {
+    return `${set_id}/${line_id}`;
+}
+
+/**
+ * Doc ids of every line of a set, head first
+ * @param {string} set_id
+ * @param {number} line_count
+ * @returns {Array<string>}
+ */
+export function setLineDocIds(set_id, line_count) {
+    return Array.from({ length: line_count }, (_, idx) => analysisDocId(set_id, `l${idx + 1}`));
+}
+
+/**
+ * Doc id of a set's connections
+ */
+export function connectionsDocId(set_id) {
+    return `${set_id}/connections`;
+}
+
+function pick(source, fields) {
+    return Object.fromEntries(fields
+        .filter(field => source[field] !== undefined)
+        .map(field => [field, source[field]]));
+}
+
+/**
+ * Every field set to its value or null, so a partial update replaces the
+ * whole object instead of merging into the old one
+ */
+function complete(source, fields) {
+    return Object.fromEntries(fields.map(field => [field, source[field] ?? null]));
+}
+
+/**
+ * Fields identifying a line, shared by every write to its analysis doc
+ */
+function lineFields({ set_id, line_id, line_text, docFields = {} }) {
+    // run_id belongs to the personas of the run, not to the line
+    const { run_id, ...fields } = docFields;
+    return {
+        doc_type: ANALYSIS_DOC_TYPE,
+        set_id,
+        line_id,
+        line_text,
+        content_hash: contentHash(line_text),
+        ...fields
+    };
+}
+
+function average(values) {
+    return values.length > 0
+        ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+        : null;
+}
+
+/**
+ * Counts across a panel, kept next to it for queries and ES|QL
+ * persona_count includes failed personas (the panel ran); crowd_energy_counts
+ * has one count per energy level; high_laugh_modes lists the personas whose
+ * reaction had high laugh potential (each once per line); laugh_score is
+ * the average laugh potential (0-100, as scoreAnalysis() in punchup.js).
+ */
+function panelSummary(personas) {
+    const reactions = personas.filter(persona => persona.status !== 'failed');
+    const crowd_energy_counts = Object.fromEntries(ENERGIES.map(energy => [energy, 0]));
+    for (const { crowd_energy } of reactions) {
+        if (crowd_energy in crowd_energy_counts) crowd_energy_counts[crowd_energy]++;
+    }
+
+    return {
+        persona_count: personas.length,
+        crowd_energy_counts,
+        high_laugh_modes: [...new Set(reactions.filter(r => r.laugh_potential === 'high').map(r => r.agent_mode))],
+        laugh_score: average(reactions
+            .map(r => scoreMetric('laugh_potential', r.laugh_potential))
+            .filter(v => v !== undefined)
+            .map(v => v * 100)),
+        run_ids: [...new Set(personas.map(persona => persona.run_id).filter(Boolean))]
+    };
+}
+
+function storedReview(stage3, created_at) {
+    return { ...complete(stage3, REVIEWER_FIELDS), validation_errors: stage3.validation_errors || [], created_at };
+}
+
+/**
+ * Shape the pipeline's classifyLine() result for storage
+ * Tags are "category:severity" pairs so ES|QL can break them down; details
+ * keep the rationales.
+ */
+function storedSensitivity(sensitivity) {
+    return {
+        status: sensitivity.status,
+        failure_reason: sensitivity.failure_reason ?? null,
+        categories: sensitivity.categories || [],
+        tags: (sensitivity.tags || []).map(t => `${t.category}:${t.severity}`),
+        max_severity: sensitivity.max_severity ?? null,
+        summary: sensitivity.summary ?? null,
+        details: sensitivity.tags || [],
+        validation_status: sensitivity.validation_status ?? null,
+        validation_errors: sensitivity.validation_errors || []
+    };
+}
+
+/**
+ * Shape stored sensitivity like the pipeline's classifyLine() result
+ */
+export function toSensitivity(stored) {
+    if (!stored) return null;
+    return {
+        status: stored.status || 'ok',
+        failure_reason: stored.failure_reason ?? undefined,
+        tags: stored.details || [],
+        categories: stored.categories || [],
+        max_severity: stored.max_severity || null,
+        summary: stored.summary || null,
+        validation_status: stored.validation_status ?? undefined
+    };
+}
+
+/**
+ * Shape a stored set connections doc like findSetConnections()' result
+ */
+export function toSetConnections(doc) {
+    if (!doc) return null;
+    return {
+        status: doc.status || 'ok',
+        failure_reason: doc.failure_reason,
+        callbacks: doc.connection_details?.callbacks || [],
+        themes: doc.connection_details?.themes || [],
+        repeats: doc.connection_details?.repeats || [],
+        semantic: Boolean(doc.connection_details?.semantic),
+        writer: doc.connection_details?.writer || 'disabled',
+        validation_status: doc.validation_status,
+        created_at: doc.created_at
+    };
+}
+
+/**
+ * Build the update storing a line's persona panel, with its angles and
+ * (when given) its sensitivity tags
+ * `stage1` is the whole panel: a retry or merged re-run passes the reactions
+ * already stored along with the new ones. New reactions are stamped with the
+ * run_id in docFields; stored ones keep theirs.
+ * @param {Object} params - See storePanel()
+ * @returns {Object} - Partial analysis doc
+ */
+export function buildPanelUpdate({ set_id, line_id, line_text, stage1, stage2 = [], sensitivity = null, docFields = {} }) {
+    const now = new Date().toISOString();
+
+    const personas = stage1.map(feedback => ({
+        reason_codes: [],
+        status: 'ok',
+        validation_errors: [],
+        ...pick(feedback, PERSONA_FIELDS),
+        run_id: feedback.run_id || docFields.run_id,
+        created_at: feedback.created_at || now,
+        angles: stage2
+            .filter(angle => angle.parent_feedback_id === feedback.feedback_id)
+            .map(angle => ({ schema_version: ANGLE_SCHEMA_VERSION, ...pick(angle, ANGLE_FIELDS) }))
+    }));
+
+    return {
+        ...lineFields({ set_id, line_id, line_text, docFields }),
+        personas,
+        ...panelSummary(personas),
+        ...(sensitivity ? { sensitivity: storedSensitivity(sensitivity) } : {}),
+        updated_at: now
+    };
+}
+
+/**
+ * Build the update storing a line's review (replacing any earlier one)
+ * @param {Object} params - See storeReview()
+ * @returns {Object} - Partial analysis doc
+ */
+export function buildReviewUpdate({ set_id, line_id, line_text, stage3, docFields = {} }) {
+    const now = new Date().toISOString();
+
+    return {
+        ...lineFields({ set_id, line_id, line_text, docFields }),
+        reviewer: storedReview(stage3, now),
+        updated_at: now
+    };
+}
+
+/**
+ * Build a set's connections doc
+ * @param {Object} params - See storeSetConnections()
+ * @returns {Object}
+ */
+export function buildConnectionsDoc({ set_id, connections, docFields = {} }) {
+    const { callbacks, themes, repeats, semantic, writer } = connections;
+
+    return {
+        doc_type: CONNECTIONS_DOC_TYPE,
+        set_id,
+        ...docFields,
+        callback_count: callbacks.length,
+        repeat_count: repeats.length,
+        theme_labels: themes.map(t => t.label),
+        connection_details: { callbacks, themes, repeats, semantic, writer },
+        status: connections.status,
+        failure_reason: connections.failure_reason,
+        validation_status: connections.validation_status,
+        validation_errors: connections.validation_errors || [],
+        created_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Build the analysis docs of imported jokes, with no personas yet
+ * @param {Array} entries - [{ set_id, line_text, docFields }]
+ * @returns {Array<{id: string, source: Object}>}
+ */
+export function buildEntryDocs(entries) {
+    const now = new Date().toISOString();
+
+    return entries.map(({ set_id, line_text, docFields }) => {
+        const source = {
+            ...lineFields({ set_id, line_id: HEAD_LINE_ID, line_text, docFields: { line_index: 0, ...docFields } }),
+            personas: [],
+            ...panelSummary([]),
+            reviewer: null,
+            sensitivity: null,
+            created_at: now,
+            updated_at: now
+        };
+        return { id: analysisDocId(set_id, HEAD_LINE_ID), source: { ...source, history: buildHistory([source]) } };
+    });
+}
+
+/**
+ * The line fields of an analysis doc
+ */
+function lineOf(doc) {
+    const line = { ...doc };
+    for (const field of ANALYSIS_FIELDS) delete line[field];
+    return line;
+}
+
+/**
+ * A doc's persona reactions, as Stage 1 entries (with the line's fields,
+ * like the per-reaction docs they replace)
+ * @param {Object} doc - Analysis doc
+ * @returns {Array}
+ */
+export function toReactions(doc) {
+    const line = lineOf(doc);
+    return (doc.personas || []).map(({ angles, ...persona }) => ({ ...line, ...persona }));
+}
+
+/**
+ * A doc's angles, as Stage 2 entries
+ * @param {Object} doc - Analysis doc
+ * @returns {Array}
+ */
+export function toAngles(doc) {
+    return (doc.personas || []).flatMap(persona => (persona.angles || []).map(angle => toAngle({
+        set_id: doc.set_id,
+        line_id: doc.line_id,
+        parent_feedback_id: persona.feedback_id,
+        ...angle
+    })));
+}
+
+/**
+ * A doc's review, as the Stage 3 entry (null until the line is reviewed)
+ * @param {Object} doc - Analysis doc
+ * @returns {Object|null}
+ */
+export function toReview(doc) {
+    if (!doc.reviewer) return null;
+    const review = Object.fromEntries(Object.entries(doc.reviewer).filter(([, value]) => value !== null));
+    return { ...lineOf(doc), ...review };
+}
+
+/**
+ * Read an analysis doc as a line: { stage1, stage2, stage3, sensitivity }
+ * @param {Object|null} doc
+ */
+export function toLine(doc) {
+    if (!doc) return { stage1: [], stage2: [], stage3: null, sensitivity: null };
+    return {
+        stage1: toReactions(doc),
+        stage2: toAngles(doc),
+        stage3: toReview(doc),
+        sensitivity: toSensitivity(doc.sensitivity)
+    };
+}
+
+/**
+ * Most common crowd energy across a doc's panel (the hotter one on a tie)
+ * @returns {string|null}
+ */
+export function panelEnergy(doc) {
+    const counts = doc.crowd_energy_counts || {};
+    return [...ENERGIES].reverse().reduce((best, energy) =>
+        (counts[energy] || 0) > (counts[best] || 0) ? energy : best, null);
+}
+
+/**
+ * Read a set's docs (oldest first) as its lines in running order, with the
+ * connections found across it
+ * @param {Array} docs
+ * @returns {{set_title: string|null, lines: Array, connections: Object|null}}
+ */
+export function groupSetDocs(docs) {
+    const lines = docs
+        .filter(doc => doc.doc_type === ANALYSIS_DOC_TYPE)
+        .map(doc => ({
+            line_id: doc.line_id,
+            line_index: doc.line_index ?? 0,
+            line_text: doc.line_text,
+            ...toLine(doc)
+        }))
+        .sort((a, b) => a.line_index - b.line_index);
+
+    return {
+        set_title: docs.find(doc => doc.set_title)?.set_title || null,
+        lines,
+        connections: toSetConnections(docs.find(doc => doc.doc_type === CONNECTIONS_DOC_TYPE))
+    };
+}
+
+/**
+ * Read the analysis docs of a line's punch-up variants (oldest first)
+ * @param {Array} docs
+ * @returns {Array} - [{ set_id, line_text, technique, rationale, created_at, stage1, stage3 }]
+ */
+export function groupVariantDocs(docs) {
+    return docs.map(doc => ({
+        set_id: doc.set_id,
+        line_text: doc.line_text,
+        technique: doc.variant_technique,
+        rationale: doc.variant_rationale,
+        created_at: doc.created_at,
+        stage1: toReactions(doc),
+        stage3: toReview(doc)
+    }));
+}
+
+/**
+ * Group a joke's analysis docs (oldest first) by revision
+ * @param {Array} docs
+ * @returns {Array} - [{ set_id, revision, parent_set_id, line_text, line_ids, created_at, stage1, stage3 }]
+ */
+export function groupRevisionDocs(docs) {
+    const revisions = new Map();
+
+    for (const doc of docs) {
+        if (!revisions.has(doc.set_id)) {
+            revisions.set(doc.set_id, {
+                set_id: doc.set_id,
+                revision: doc.revision || 1,
+                parent_set_id: doc.parent_set_id || null,
+                line_text: doc.line_text,
+                line_ids: [],
+                created_at: doc.created_at,
+                stage1: [],
+                stage3: null
+            });
+        }
+        const revision = revisions.get(doc.set_id);
+        revision.line_ids.push(doc.line_id);
+        revision.stage1.push(...toReactions(doc));
+        revision.stage3 = revision.stage3 || toReview(doc);
+    }
+
+    return [...revisions.values()].sort((a, b) => a.revision - b.revision);
+}
+
+/**
+ * Read the analysis docs of setlist lines by line
+ * @param {Array} docs - Analysis docs of the setlist's sets
+ * @param {Array} items - [{ set_id, line_id }]
+ * @returns {Map} - "set_id/line_id" -> { line_text, set_title, stage1, stage3 }
+ */
+export function groupSetlistLineDocs(docs, items) {
+    const wanted = new Set(items.map(item => `${item.set_id}/${item.line_id}`));
+    const lines = new Map();
+
+    for (const doc of docs) {
+        const key = `${doc.set_id}/${doc.line_id}`;
+        if (!wanted.has(key)) continue;
+
+        lines.set(key, {
+            line_text: doc.line_text,
+            set_title: doc.set_title || null,
+            stage1: toReactions(doc),
+            stage3: toReview(doc)
+        });
+    }
+
+    return lines;
+}
+
+/**
+ * Pick the latest analysis whose persona panel matches, for reuse
+ * @param {Array} docs - Analysis docs of the same line, newest first
+ * @param {Array<string>} persona_ids - Panel of the new run
+ * @returns {Object|null} - { set_id, line_id, created_at }
+ */
+export function findMatchingPanel(docs, persona_ids) {
+    const wanted = new Set(persona_ids);
+    const match = docs.find(doc => {
+        const panel = new Set((doc.personas || []).map(persona => persona.agent_mode));
+        return panel.size === wanted.size && [...wanted].every(id => panel.has(id));
+    });
+
+    return match ? { set_id: match.set_id, line_id: match.line_id, created_at: match.created_at } : null;
+}
+
+/**
+ * The persona metric keywords of a line, for History filters: "metric:level"
+ * and "persona_id:metric:level" for every level a persona gave
+ */
+function personaMetrics(doc) {
+    return (doc.personas || [])
+        .filter(persona => persona.status !== 'failed')
+        .flatMap(persona => METRICS
+            .filter(metric => scoreMetric(metric, persona[metric]) !== undefined)
+            .flatMap(metric => {
+                const value = `${metric}:${String(persona[metric]).toLowerCase()}`;
+                return [value, `${persona.agent_mode}:${value}`];
+            }));
+}
+
+/**
+ * Divergence of a line: its review's (see reviewDivergence(), which Insights
+ * averages too), or the panel's computed score when it wasn't reviewed
+ */
+function lineDivergence(doc) {
+    return reviewDivergence(doc.reviewer) ?? computeDivergence(doc.personas || []).score;
+}
+
+/**
+ * Build a set's History roll-up, stored on its head line (HEAD_LINE_ID)
+ * Punch-up variants are listed under their original, so they get none.
+ * @param {Array} docs - The set's docs (its lines; a connections doc is skipped)
+ * @returns {Object|null} - { joke_id, revision, line_count, search_text, analyzed,
+ *   laugh_score, divergence_score, risk_level, persona_metrics }, or null for no History entry
+ */
+export function buildHistory(docs) {
+    const lines = docs
+        .filter(doc => doc.doc_type === ANALYSIS_DOC_TYPE)
+        .sort((a, b) => (a.line_index ?? 0) - (b.line_index ?? 0));
+    const head = lines.find(doc => doc.line_id === HEAD_LINE_ID);
+    if (!head || head.variant_of_set_id) return null;
+
+    const risks = lines
+        .map(doc => RISK_LEVELS.indexOf(doc.reviewer?.risk_level))
+        .filter(idx => idx >= 0);
+
+    return {
+        // The first draft may predate joke_id
+        joke_id: head.joke_id || head.set_id,
+        revision: head.revision || 1,
+        line_count: head.line_count || lines.length,
+        search_text: [head.set_title, ...lines.map(doc => doc.line_text)].filter(Boolean).join('\n'),
+        // Imported jokes have no personas until analyzed
+        analyzed: lines.some(doc => doc.persona_count > 0),
+        laugh_score: average(lines.map(doc => doc.laugh_score).filter(v => v !== null && v !== undefined)),
+        divergence_score: average(lines.map(lineDivergence).filter(v => v !== null && v !== undefined)),
+        risk_level: risks.length > 0 ? RISK_LEVELS[Math.max(...risks)] : null,
+        persona_metrics: [...new Set(lines.flatMap(personaMetrics))]
+    };
+}
+
+/**
+ * Read head docs as History entries
+ * Single lines carry how often they were re-run (sets are never reused).
+ * @param {Array} docs - Head docs with their `history`
+ * @param {Object} counts
+ * @param {Map} counts.revisions - joke_id -> number of revisions
+ * @param {Map} counts.runs - content_hash -> number of runs
+ * @returns {Array} - [{ set_id, joke_id, revision, line_text, line_count, tags, written_at, analyzed,
+ *   laugh_score, divergence_score, risk_level, created_at, revision_count, rerun_count }]
+ */
+export function toHistoryItems(docs, { revisions, runs }) {
+    return docs.map(doc => {
+        const { history } = doc;
+        return {
+            set_id: doc.set_id,
+            joke_id: history.joke_id,
+            revision: history.revision,
+            line_text: doc.set_title || doc.line_text || 'Unknown',
+            line_count: history.line_count,
+            tags: doc.tags || [],
+            written_at: doc.written_at || null,
+            analyzed: history.analyzed,
+            laugh_score: history.laugh_score,
+            divergence_score: history.divergence_score,
+            risk_level: history.risk_level,
+            created_at: doc.created_at || null,
+            revision_count: revisions.get(history.joke_id) || 1,
+            rerun_count: history.line_count === 1 ? Math.max(0, (runs.get(doc.content_hash) || 1) - 1) : 0
+        };
+    });
+}
+
+/**
+ * The revisions of a joke that are superseded by a newer one
+ * @param {Array} heads - Head docs of one joke's revisions
+ * @returns {Set} - Their ids (head docs need an `id`)
+ */
+export function findSupersededRevisions(heads) {
+    const latest = Math.max(...heads.map(doc => doc.history.revision));
+    return new Set(heads.filter(doc => doc.history.revision < latest).map(doc => doc.id));
+}
+
+// Line fields of a version 2 line, from the first of its per-stage docs that has each
+const STAGE_DOC_LINE_FIELDS = [
+    'workspace_id', 'user_id', 'set_id', 'line_id', 'line_index', 'set_title', 'line_text', 'content_hash',
+    'variant_of_set_id', 'variant_of_line_id', 'variant_technique', 'variant_rationale',
+    'joke_id', 'parent_set_id', 'revision', 'import_id', 'tags', 'written_at',
+    'audience_context', 'audience_description'
+];
+
+/**
+ * Combine a line's per-stage docs (index version 2) into its analysis doc
+ * Docs were numbered by stage there: 0 imported entry, 1 reaction, 2 angle,
+ * 3 review, 4 sensitivity and 5 set connections (one per set, no line_id).
+ * @param {Array<{id: string, source: Object}>} docs - Every doc of one line (or a set's stage 5 doc), oldest first
+ * @returns {{id: string, source: Object}}
+ */
+export function combineStageDocs(docs) {
+    const sources = docs.map(doc => doc.source);
+
+    const connections = sources.find(doc => doc.stage === 5);
+    if (connections) {
+        const { stage, ...fields } = connections;
+        return { id: connectionsDocId(fields.set_id), source: { doc_type: CONNECTIONS_DOC_TYPE, ...fields } };
+    }
+
+    const line = {};
+    for (const field of STAGE_DOC_LINE_FIELDS) {
+        const found = sources.find(doc => doc[field] !== undefined && doc[field] !== null);
+        if (found) line[field] = found[field];
+    }
+
+    const angles = sources.filter(doc => doc.stage === 2);
+    const personas = sources.filter(doc => doc.stage === 1).map(doc => ({
+        reason_codes: [],
+        status: 'ok',
+        validation_errors: [],
+        ...pick(doc, PERSONA_FIELDS),
+        angles: angles
+            .filter(angle => angle.parent_feedback_id === doc.feedback_id)
+            .map(angle => pick(angle, ANGLE_FIELDS))
+    }));
+
+    // A retry replaced the review, so the latest one wins
+    const review = sources.filter(doc => doc.stage === 3).pop();
+    const sensitivity = sources.find(doc => doc.stage === 4);
+    const dates = sources.map(doc => doc.created_at).filter(Boolean).sort();
+
+    return {
+        id: analysisDocId(line.set_id, line.line_id),
+        source: {
+            doc_type: ANALYSIS_DOC_TYPE,
+            ...line,
+            personas,
+            ...panelSummary(personas),
+            reviewer: review ? storedReview(review, review.created_at) : null,
+            sensitivity: sensitivity
+                ? storedSensitivity({
+                    ...sensitivity,
+                    status: sensitivity.status || 'ok',
+                    categories: sensitivity.sensitivity_categories,
+                    tags: sensitivity.sensitivity_details,
+                    max_severity: sensitivity.sensitivity_max_severity,
+                    summary: sensitivity.sensitivity_summary
+                })
+                : null,
+            created_at: dates[0] || null,
+            updated_at: dates[dates.length - 1] || null
+        }
+    };
+}
+
+/**
+ * Add the panel's laugh_score and the History roll-up to a set's docs
+ * (index version 4)
+ * Sets also get their line_count on every line, which the stores use to
+ * find a set's lines when they refresh its roll-up.
+ * @param {Array<{id: string, source: Object}>} docs - Every doc of one set
+ * @returns {Array<{id: string, source: Object}>}
+ */
+export function rollUpSetDocs(docs) {
+    const lineCount = docs.filter(doc => doc.source.doc_type === ANALYSIS_DOC_TYPE).length;
+
+    const updated = docs.map(({ id, source }) => {
+        if (source.doc_type !== ANALYSIS_DOC_TYPE) return { id, source };
+        return {
+            id,
+            source: {
+                ...source,
+                ...(lineCount > 1 ? { line_count: lineCount } : {}),
+                ...panelSummary(source.personas || [])
+            }
+        };
+    });
+
+    const history = buildHistory(updated.map(doc => doc.source));
+    return updated.map(({ id, source }) => ({
+        id,
+        source: history && source.doc_type === ANALYSIS_DOC_TYPE && source.line_id === HEAD_LINE_ID
+            ? { ...source, history }
+            : source
+    }));
+}
@@ -0,0 +1,1642 @@
+/**
+ * Elasticsearch store (STORAGE=elasticsearch, the default)
+ * Handles index management and document queries. Insights come from ES|QL
+ * (see analytics.js) and similar jokes from ELSER semantic search.
+ *
+ * Each analyzed line is one doc, updated in place as its stages complete
+ * (see analysisDocs.js for its shape); each write to a set also refreshes
+ * the History roll-up on its head line. Every stored analysis doc carries the
+ * workspace_id it belongs to and the user_id of its author. Every query and delete on the analysis index is
+ * scoped to one workspace (see inWorkspace()).
+ */
+
+import {
+  INDEX_VERSION, MIGRATION_SORT, versionedIndexName, indexVersionOf, migrateDocs, migrationSetKey, findMappingConflicts
+} from '../indexMigrations.js';
+import { historySearchWords } from '../history.js';
+import {
+  ANALYSIS_DOC_TYPE, HEAD_LINE_ID, analysisDocId, setLineDocIds, connectionsDocId, buildPanelUpdate, buildReviewUpdate,
+  buildConnectionsDoc, buildEntryDocs, buildHistory, toLine, panelEnergy, groupSetDocs, groupVariantDocs, groupRevisionDocs,
+  groupSetlistLineDocs, findMatchingPanel, toHistoryItems
+} from './analysisDocs.js';
+
+export { getAllInsights } from '../analytics.js';
+
+export const name = 'elasticsearch';
+
+const ES_URL = process.env.ES_URL;
+const ES_API_KEY = process.env.ES_API_KEY;
+// Alias over the versioned analysis index (see indexMigrations.js)
+const INDEX_NAME = 'how-it-lands';
+const PERSONA_INDEX_NAME = 'how-it-lands-personas';
+const USER_INDEX_NAME = 'how-it-lands-users';
+const TOKEN_INDEX_NAME = 'how-it-lands-tokens';
+const WORKSPACE_INDEX_NAME = 'how-it-lands-workspaces';
+const SETLIST_INDEX_NAME = 'how-it-lands-setlists';
+
+/**
+ * ES index mapping for the analysis docs, at INDEX_VERSION (one doc per
+ * analyzed line, see analysisDocs.js)
+ * Adding a field is fine; changing or removing one needs a new index version.
+ */
+const INDEX_MAPPING = {
+  mappings: {
+    properties: {
+      // 'analysis' (one per line) or 'set_connections' (one per set)
+      doc_type: { type: 'keyword' },
+      // Workspace the analysis belongs to (see workspaces.js) and its author
+      workspace_id: { type: 'keyword' },
+      user_id: { type: 'keyword' },
+      set_id: { type: 'keyword' },
+      line_id: { type: 'keyword' },
+      line_index: { type: 'integer' },
+      set_title: { type: 'text' },
+      line_text: { type: 'text' },
+      // Lines in the set (only on the lines of multi-line sets)
+      line_count: { type: 'integer' },
+      // Hash of the normalized line_text (see contentHash.js), for reusing analyses
+      content_hash: { type: 'keyword' },
+      // One id per pipeline run; a merged re-run adds a second run to an analysis
+      run_ids: { type: 'keyword' },
+      // The persona panel, each reaction with its Stage 2 angles (see angles.js);
+      // missing_fields flags angles the version 2 migration couldn't complete
+      personas: {
+        properties: {
+          feedback_id: { type: 'keyword' },
+          agent_mode: { type: 'keyword' },
+          persona_name: { type: 'keyword' },
+          // { name, voice, prompt_fragment } of an inline persona, for retries
+          persona_definition: { type: 'object', enabled: false },
+          feedback_text: { type: 'text' },
+          reason_codes: { type: 'keyword' },
+          relatability: { type: 'keyword' },
+          laugh_potential: { type: 'keyword' },
+          crowd_energy: { type: 'keyword' },
+          // Persona outcome: ok | failed (failed ones carry failure_reason)
+          status: { type: 'keyword' },
+          failure_reason: { type: 'text' },
+          validation_status: { type: 'keyword' },
+          validation_errors: { type: 'keyword', index: false },
+          run_id: { type: 'keyword' },
+          created_at: { type: 'date' },
+          angles: {
+            properties: {
+              angle_id: { type: 'keyword' },
+              angle_name: { type: 'keyword' },
+              explanation: { type: 'text' },
+              direction: { type: 'text' },
+              schema_version: { type: 'integer' },
+              validation_status: { type: 'keyword' },
+              missing_fields: { type: 'keyword' }
+            }
+          }
+        }
+      },
+      // Panel counts for queries and ES|QL (persona reactions are flattened
+      // into multi-valued fields, so per-persona counts are kept here)
+      persona_count: { type: 'integer' },
+      crowd_energy_counts: {
+        properties: {
+          cold: { type: 'integer' },
+          warm: { type: 'integer' },
+          hot: { type: 'integer' }
+        }
+      },
+      high_laugh_modes: { type: 'keyword' },
+      // Average laugh potential of the panel (0-100)
+      laugh_score: { type: 'integer' },
+      // Stage 3 review, with the computed divergence (see scoring.js); the breakdown is stored, not indexed
+      reviewer: {
+        properties: {
+          divergence_score: { type: 'integer' },
+          risk_level: { type: 'keyword' },
+          primary_conflict: { type: 'keyword' },
+          conflict_summary: { type: 'text' },
+          recommendation: { type: 'text' },
+          computed_divergence_score: { type: 'integer' },
+          divergence_breakdown: { type: 'object', enabled: false },
+          validation_status: { type: 'keyword' },
+          validation_errors: { type: 'keyword', index: false },
+          created_at: { type: 'date' }
+        }
+      },
+      // Sensitivity classification (runs alongside the panel): tags are
+      // "category:severity" pairs so ES|QL can break them down; details keep the rationales
+      sensitivity: {
+        properties: {
+          status: { type: 'keyword' },
+          failure_reason: { type: 'text' },
+          categories: { type: 'keyword' },
+          tags: { type: 'keyword' },
+          max_severity: { type: 'keyword' },
+          summary: { type: 'text' },
+          details: { type: 'object', enabled: false },
+          validation_status: { type: 'keyword' },
+          validation_errors: { type: 'keyword', index: false }
+        }
+      },
+      // Punch-up variants: each is its own analysis pointing at the original line
+      variant_of_set_id: { type: 'keyword' },
+      variant_of_line_id: { type: 'keyword' },
+      variant_technique: { type: 'keyword' },
+      variant_rationale: { type: 'text' },
+      // Revisions: each draft of a joke is its own analysis; joke_id is the
+      // set_id of the first draft (legacy docs without it are their own joke)
+      joke_id: { type: 'keyword' },
+      parent_set_id: { type: 'keyword' },
+      revision: { type: 'integer' },
+      // Bulk imports (see imports.js): an imported joke is an analysis with no
+      // personas until it is analyzed
+      import_id: { type: 'keyword' },
+      tags: { type: 'keyword' },
+      written_at: { type: 'date' },
+      // Set connections (see callbacks.js): counts and theme labels are
+      // searchable; details keep the callbacks, themes and repeats
+      callback_count: { type: 'integer' },
+      repeat_count: { type: 'integer' },
+      theme_labels: { type: 'keyword' },
+      connection_details: { type: 'object', enabled: false },
+      status: { type: 'keyword' },
+      failure_reason: { type: 'text' },
+      validation_status: { type: 'keyword' },
+      validation_errors: { type: 'keyword', index: false },
+      // Audience context: preset id or 'custom' (with the free-text venue)
+      audience_context: { type: 'keyword' },
+      audience_description: { type: 'text' },
+      // History entry of a set, on its head line (see buildHistory()):
+      // search_text is the title and every line; persona_metrics are
+      // "metric:level" and "persona_id:metric:level" keywords
+      history: {
+        properties: {
+          joke_id: { type: 'keyword' },
+          revision: { type: 'integer' },
+          line_count: { type: 'integer' },
+          search_text: { type: 'text' },
+          analyzed: { type: 'boolean' },
+          laugh_score: { type: 'integer' },
+          divergence_score: { type: 'integer' },
+          risk_level: { type: 'keyword' },
+          persona_metrics: { type: 'keyword' }
+        }
+      },
+      // Set on the head line of a revision once a newer one exists
+      superseded: { type: 'boolean' },
+      // Metadata
+      created_at: { type: 'date' },
+      updated_at: { type: 'date' }
+    }
+  }
+};
+
+/**
+ * ES index mapping for the custom persona registry
+ */
+const PERSONA_INDEX_MAPPING = {
+  mappings: {
+    properties: {
+      workspace_id: { type: 'keyword' },
+      user_id: { type: 'keyword' },
+      persona_id: { type: 'keyword' },
+      name: { type: 'keyword' },
+      voice: { type: 'text' },
+      prompt_fragment: { type: 'text' },
+      builtin: { type: 'boolean' },
+      created_at: { type: 'date' },
+      updated_at: { type: 'date' }
+    }
+  }
+};
+
+/**
+ * ES index mapping for user accounts (doc id = username)
+ */
+const USER_INDEX_MAPPING = {
+  mappings: {
+    properties: {
+      user_id: { type: 'keyword' },
+      username: { type: 'keyword' },
+      password_hash: { type: 'keyword', index: false },
+      created_at: { type: 'date' }
+    }
+  }
+};
+
+/**
+ * ES index mapping for workspaces (doc id = workspace_id)
+ * member_ids mirrors members[].user_id so a user's workspaces can be queried.
+ */
+const WORKSPACE_INDEX_MAPPING = {
+  mappings: {
+    properties: {
+      workspace_id: { type: 'keyword' },
+      name: { type: 'keyword' },
+      personal: { type: 'boolean' },
+      member_ids: { type: 'keyword' },
+      members: { type: 'object', enabled: false },
+      created_by: { type: 'keyword' },
+      created_at: { type: 'date' },
+      updated_at: { type: 'date' }
+    }
+  }
+};
+
+/**
+ * ES index mapping for setlists (doc id = setlist_id)
+ * items is the running order: [{ set_id, line_id }] pointing at analyses.
+ */
+const SETLIST_INDEX_MAPPING = {
+  mappings: {
+    properties: {
+      workspace_id: { type: 'keyword' },
+      user_id: { type: 'keyword' },
+      setlist_id: { type: 'keyword' },
+      name: { type: 'keyword' },
+      items: { type: 'object', enabled: false },
+      created_at: { type: 'date' },
+      updated_at: { type: 'date' }
+    }
+  }
+};
+
+/**
+ * ES index mapping for session and API tokens (doc id = token hash)
+ */
+const TOKEN_INDEX_MAPPING = {
+  mappings: {
+    properties: {
+      token_id: { type: 'keyword' },
+      user_id: { type: 'keyword' },
+      username: { type: 'keyword' },
+      kind: { type: 'keyword' },
+      name: { type: 'keyword' },
+      created_at: { type: 'date' },
+      expires_at: { type: 'date' },
+      last_used_at: { type: 'date' }
+    }
+  }
+};
+
+/**
+ * Validates ES environment variables
+ */
+export function validateConfig() {
+  if (!ES_URL) {
+    throw new Error('Missing required environment variable: ES_URL');
+  }
+  if (!ES_API_KEY) {
+    throw new Error('Missing required environment variable: ES_API_KEY');
+  }
+}
+
+/**
+ * Make an authenticated request to Elasticsearch
+ * @param {AbortSignal} [options.signal] - Aborts the request (e.g. when the client disconnects)
+ */
+async function esRequest(method, path, body = null, { signal } = {}) {
+  const url = `${ES_URL}${path}`;
+  const options = {
+    method,
+    headers: {
+      'Authorization': `ApiKey ${ES_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    signal
+  };
+
+  if (body) {
+    options.body = JSON.stringify(body);
+  }
+
+  const response = await fetch(url, options);
+
+  // HEAD requests return no body, handle gracefully
+  let data = null;
+  if (method !== 'HEAD') {
+    const text = await response.text();
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        // Non-JSON response
+        data = { raw: text };
+      }
+    }
+  }
+
+  if (!response.ok && response.status !== 404) {
+    console.error('[ES Error]', response.status, data);
+    throw new Error(`Elasticsearch error: ${response.status} - ${JSON.stringify(data)}`);
+  }
+
+  return { status: response.status, data };
+}
+
+/**
+ * Find the physical analysis index behind INDEX_NAME and its version
+ * Installs from before the alias have a plain index named INDEX_NAME instead.
+ * @returns {Promise<{index: string, version: number, aliased: boolean}|null>} - null when there is none yet
+ */
+async function describeAnalysisIndex() {
+  const { status, data } = await esRequest('GET', `/_alias/${INDEX_NAME}`);
+
+  if (status !== 404) {
+    const [index] = Object.keys(data || {}).sort((a, b) => indexVersionOf(b) - indexVersionOf(a));
+    return { index, version: indexVersionOf(index), aliased: true };
+  }
+
+  const { status: indexStatus } = await esRequest('HEAD', `/${INDEX_NAME}`);
+  if (indexStatus === 404) return null;
+  return { index: INDEX_NAME, version: 1, aliased: false };
+}
+
+/**
+ * Fields the analysis index maps differently from INDEX_MAPPING
+ * @param {string} index - Physical index
+ * @returns {Promise<Array<string>>}
+ */
+async function findIndexConflicts(index) {
+  const { data } = await esRequest('GET', `/${index}/_mapping`);
+  return findMappingConflicts(data?.[index]?.mappings?.properties, INDEX_MAPPING.mappings.properties);
+}
+
+/**
+ * Ensure the indices exist, creating any that are missing
+ * The analysis index must be at INDEX_VERSION with a compatible mapping; new
+ * fields are added in place. Anything else refuses to start and points at
+ * scripts/migrate-index.js, so an old index is never written with a new mapping.
+ */
+export async function ensureStorage() {
+  console.log(`[ES] Checking index '${INDEX_NAME}'...`);
+
+  const current = await describeAnalysisIndex();
+
+  if (!current) {
+    const index = versionedIndexName(INDEX_NAME, INDEX_VERSION);
+    console.log(`[ES] Index '${INDEX_NAME}' not found, creating '${index}'...`);
+    await esRequest('PUT', `/${index}`, { ...INDEX_MAPPING, aliases: { [INDEX_NAME]: { is_write_index: true } } });
+    console.log(`[ES] Index '${index}' created behind alias '${INDEX_NAME}'`);
+  } else if (current.version < INDEX_VERSION) {
+    throw new Error(`Index '${current.index}' is at version ${current.version}; this server needs version ${INDEX_VERSION}. Run \`node scripts/migrate-index.js\` (add --dry-run to preview).`);
+  } else if (current.version > INDEX_VERSION) {
+    throw new Error(`Index '${current.index}' is at version ${current.version}, newer than this server's ${INDEX_VERSION}. Upgrade the server.`);
+  } else {
+    const conflicts = await findIndexConflicts(current.index);
+    if (conflicts.length > 0) {
+      throw new Error(`Index '${current.index}' has an incompatible mapping: ${conflicts.join('; ')}. Changing a field needs a new index version (see lib/indexMigrations.js).`);
+    }
+
+    // New fields are added in place
+    await esRequest('PUT', `/${current.index}/_mapping`, INDEX_MAPPING.mappings);
+    console.log(`[ES] Index '${current.index}' (version ${INDEX_VERSION}) mapping updated`);
+  }
+
+  for (const [name, mapping] of [
+    [PERSONA_INDEX_NAME, PERSONA_INDEX_MAPPING],
+    [USER_INDEX_NAME, USER_INDEX_MAPPING],
+    [TOKEN_INDEX_NAME, TOKEN_INDEX_MAPPING],
+    [WORKSPACE_INDEX_NAME, WORKSPACE_INDEX_MAPPING],
+    [SETLIST_INDEX_NAME, SETLIST_INDEX_MAPPING]
+  ]) {
+    const { status: registryStatus } = await esRequest('HEAD', `/${name}`);
+
+    if (registryStatus === 404) {
+      console.log(`[ES] Index '${name}' not found, creating...`);
+      await esRequest('PUT', `/${name}`, mapping);
+    } else {
+      await esRequest('PUT', `/${name}/_mapping`, mapping.mappings);
+    }
+  }
+}
+
+/**
+ * Walk every doc of an index in batches, with a scroll
+ * @param {string} index - Physical index
+ * @param {Function} onBatch - async (hits) => void
+ * @param {Object} [options]
+ * @param {Array} [options.sort] - Order to walk in (index order by default, the fastest)
+ * @param {number} [options.batchSize]
+ */
+async function scrollIndex(index, onBatch, { sort = ['_doc'], batchSize = 500 } = {}) {
+  let { data } = await esRequest('POST', `/${index}/_search?scroll=2m`, { size: batchSize, sort });
+
+  try {
+    while (data?.hits?.hits?.length) {
+      await onBatch(data.hits.hits);
+      ({ data } = await esRequest('POST', '/_search/scroll', { scroll: '2m', scroll_id: data._scroll_id }));
+    }
+  } finally {
+    if (data?._scroll_id) {
+      await esRequest('DELETE', '/_search/scroll', { scroll_id: data._scroll_id }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Index docs under the given ids in one bulk request
+ * @param {string} index - Index or alias
+ * @param {Array<{id: string, source: Object}>} docs
+ * @param {AbortSignal} [signal]
+ */
+async function bulkWrite(index, docs, signal) {
+  const ndjson = docs.flatMap(({ id, source }) => [
+    JSON.stringify({ index: { _index: index, _id: id } }),
+    JSON.stringify(source)
+  ]).join('\n') + '\n';
+
+  const response = await fetch(`${ES_URL}/_bulk`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `ApiKey ${ES_API_KEY}`,
+      'Content-Type': 'application/x-ndjson'
+    },
+    body: ndjson,
+    signal
+  });
+
+  if (!response.ok) {
+    throw new Error(`ES bulk index error: ${response.status} - ${await response.text()}`);
+  }
+
+  const result = await response.json();
+  if (result.errors) {
+    const failed = result.items.filter(i => i.index?.error);
+    throw new Error(`ES bulk index error: ${failed.length} docs failed, first: ${JSON.stringify(failed[0].index.error)}`);
+  }
+}
+
+/**
+ * Walk a physical index a set at a time, migrating each set's docs to
+ * INDEX_VERSION (see MIGRATION_SORT)
+ * @param {string} index - Physical index
+ * @param {number} fromVersion - Its version
+ * @param {Function} onDocs - async (migrated docs) => void
+ * @returns {Promise<number>} - Number of docs read
+ */
+async function migrateSets(index, fromVersion, onDocs) {
+  let read = 0;
+  // Docs of the set a batch ended in, which may go on in the next batch
+  let pending = [];
+
+  await scrollIndex(index, async (hits) => {
+    read += hits.length;
+    const docs = [...pending, ...hits.map(hit => ({ id: hit._id, source: hit._source }))];
+    const lastSet = migrationSetKey(docs[docs.length - 1].source);
+    pending = docs.filter(doc => migrationSetKey(doc.source) === lastSet);
+
+    const ready = docs.filter(doc => migrationSetKey(doc.source) !== lastSet);
+    if (ready.length > 0) await onDocs(migrateDocs(ready, fromVersion));
+  }, { sort: MIGRATION_SORT });
+
+  if (pending.length > 0) await onDocs(migrateDocs(pending, fromVersion));
+  return read;
+}
+
+/**
+ * Migrate the analysis index to INDEX_VERSION
+ * Creates the new versioned index, copies every doc into it through the
+ * transforms in indexMigrations.js, checks the count and swaps the alias in
+ * one step. The old index is write-blocked while it is copied; stop the
+ * server first. A versioned old index is kept (read-only) for rollback. The
+ * unversioned index of older installs is removed in the swap, since the
+ * alias takes its name.
+ * @param {Object} [params]
+ * @param {boolean} [params.dryRun] - Only report what would change
+ * @returns {Promise<Object>} - { status: 'none'|'current'|'planned'|'migrated', ... }
+ */
+export async function migrateIndex({ dryRun = false } = {}) {
+  const current = await describeAnalysisIndex();
+
+  if (!current) {
+    console.log(`[Migrate] No index '${INDEX_NAME}' yet; the server creates version ${INDEX_VERSION} on startup.`);
+    return { status: 'none' };
+  }
+  if (current.version > INDEX_VERSION) {
+    throw new Error(`Index '${current.index}' is at version ${current.version}, newer than this server's ${INDEX_VERSION}`);
+  }
+  if (current.version === INDEX_VERSION) {
+    const conflicts = await findIndexConflicts(current.index);
+    if (conflicts.length > 0) {
+      throw new Error(`Index '${current.index}' is at version ${INDEX_VERSION} but maps fields differently: ${conflicts.join('; ')}. Bump INDEX_VERSION to migrate.`);
+    }
+    console.log(`[Migrate] Index '${current.index}' is already at version ${INDEX_VERSION}`);
+    return { status: 'current', index: current.index };
+  }
+
+  const source = current.index;
+  const target = versionedIndexName(INDEX_NAME, INDEX_VERSION);
+  const { data: countData } = await esRequest('POST', `/${source}/_count`, { query: { match_all: {} } });
+  const total = countData?.count || 0;
+
+  console.log(`[Migrate] '${source}' (version ${current.version}, ${total} docs) -> '${target}' (version ${INDEX_VERSION})`);
+
+  if (dryRun) {
+    let migrated = 0;
+    await migrateSets(source, current.version, async (docs) => {
+      migrated += docs.length;
+    });
+    console.log(`[Migrate] Dry run: ${total} docs would become ${migrated}; nothing changed`);
+    return { status: 'planned', source, target, total, migrated };
+  }
+
+  const { status: leftover } = await esRequest('HEAD', `/${target}`);
+  if (leftover !== 404) {
+    console.log(`[Migrate] Removing '${target}' left by an earlier attempt`);
+    await esRequest('DELETE', `/${target}`);
+  }
+  await esRequest('PUT', `/${target}`, INDEX_MAPPING);
+  await esRequest('PUT', `/${source}/_settings`, { index: { blocks: { write: true } } });
+
+  let written = 0;
+  // Latest revision of each joke with History entries, workspace/joke_id -> { workspace_id, joke_id, revision, count }
+  const jokes = new Map();
+  try {
+    await migrateSets(source, current.version, async (docs) => {
+      await bulkWrite(target, docs);
+      written += docs.length;
+      console.log(`[Migrate] Wrote ${written} docs`);
+
+      for (const { source: doc } of docs) {
+        if (!doc.history || !doc.workspace_id) continue;
+        const key = `${doc.workspace_id}/${doc.history.joke_id}`;
+        const joke = jokes.get(key) || { workspace_id: doc.workspace_id, joke_id: doc.history.joke_id, revision: 0, count: 0 };
+        jokes.set(key, { ...joke, revision: Math.max(joke.revision, doc.history.revision), count: joke.count + 1 });
+      }
+    });
+
+    await esRequest('POST', `/${target}/_refresh`);
+    const { data: targetCount } = await esRequest('POST', `/${target}/_count`, { query: { match_all: {} } });
+    if ((targetCount?.count || 0) !== written) {
+      throw new Error(`'${target}' holds ${targetCount?.count || 0} docs, expected ${written}`);
+    }
+
+    // Whether a revision is superseded depends on the joke's other sets, so
+    // it is marked once every set is copied
+    const revised = [...jokes.values()].filter(joke => joke.count > 1);
+    for (const joke of revised) {
+      await supersedeRevisions(target, joke);
+    }
+    if (revised.length > 0) {
+      console.log(`[Migrate] Marked the older revisions of ${revised.length} jokes as superseded`);
+    }
+
+    const actions = current.aliased
+      ? [{ remove: { index: source, alias: INDEX_NAME } }]
+      : [{ remove_index: { index: source } }];
+    await esRequest('POST', '/_aliases', {
+      actions: [...actions, { add: { index: target, alias: INDEX_NAME, is_write_index: true } }]
+    });
+  } catch (error) {
+    await esRequest('PUT', `/${source}/_settings`, { index: { blocks: { write: false } } }).catch(() => {});
+    throw error;
+  }
+
+  console.log(`[Migrate] Alias '${INDEX_NAME}' now points at '${target}' (${total} docs became ${written})`);
+  if (current.aliased) {
+    console.log(`[Migrate] '${source}' is kept read-only for rollback; delete it once you're happy`);
+  }
+  return { status: 'migrated', source, target, total, written };
+}
+
+/**
+ * Query clause restricting a search or delete to one workspace's docs
+ * @param {string} workspace_id
+ * @returns {Object}
+ */
+function inWorkspace(workspace_id) {
+  if (!workspace_id) {
+    throw new Error('A workspace_id is required to query analyses');
+  }
+  return { term: { workspace_id } };
+}
+
+/**
+ * Query clause restricting a search or delete to one user's docs
+ * @param {string} user_id
+ * @returns {Object}
+ */
+function ownedBy(user_id) {
+  if (!user_id) {
+    throw new Error('A user_id is required');
+  }
+  return { term: { user_id } };
+}
+
+/**
+ * The docs of a search response, with their ids
+ */
+function toDocs(data) {
+  return (data.hits?.hits || []).map(hit => ({ id: hit._id, ...hit._source }));
+}
+
+/**
+ * Apply a partial update to a line's analysis doc, creating it if needed
+ * Objects in the update are merged into the stored ones and arrays replace
+ * theirs, so the builders in analysisDocs.js write whole objects.
+ * @param {string} id - analysisDocId()
+ * @param {Object} update - Partial analysis doc
+ * @param {AbortSignal} [signal]
+ */
+async function updateAnalysis(id, update, signal) {
+  // A cancelled analysis must not leave partial results behind
+  signal?.throwIfAborted();
+
+  await esRequest('POST', `/${INDEX_NAME}/_update/${encodeURIComponent(id)}?retry_on_conflict=3`, {
+    doc: update,
+    upsert: { ...update, created_at: update.updated_at }
+  }, { signal });
+}
+
+/**
+ * Flag the revisions of a joke older than the given one as superseded, so
+ * History lists the joke once
+ * @param {string} index - Index or alias
+ * @param {Object} joke - { workspace_id, joke_id, revision }
+ */
+async function supersedeRevisions(index, { workspace_id, joke_id, revision }) {
+  await esRequest('POST', `/${index}/_update_by_query?conflicts=proceed`, {
+    query: analysesQuery(workspace_id, [
+      { term: { 'history.joke_id': joke_id } },
+      { range: { 'history.revision': { lt: revision } } }
+    ]),
+    script: { source: 'ctx._source.superseded = true', lang: 'painless' }
+  });
+}
+
+/**
+ * Rewrite the History roll-up on a set's head line from its lines
+ * The lines are read with _mget, which is real-time, so the roll-up sees
+ * writes that aren't searchable yet. A revision's first roll-up supersedes
+ * the joke's older revisions.
+ */
+async function writeHistory(set_id, line_count) {
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_mget`, { ids: setLineDocIds(set_id, line_count) });
+  const docs = (data?.docs || []).filter(doc => doc.found).map(doc => doc._source);
+
+  const history = buildHistory(docs);
+  if (!history) return;
+
+  await esRequest('POST', `/${INDEX_NAME}/_update/${encodeURIComponent(analysisDocId(set_id, HEAD_LINE_ID))}?retry_on_conflict=3`, {
+    doc: { history }
+  });
+
+  const head = docs.find(doc => doc.line_id === HEAD_LINE_ID);
+  if (!head.history && history.revision > 1) {
+    await supersedeRevisions(INDEX_NAME, { workspace_id: head.workspace_id, ...history });
+  }
+}
+
+// Set id -> its latest History refresh
+const historyRefreshes = new Map();
+
+/**
+ * Refresh a set's History roll-up after a write to one of its lines
+ * Refreshes of a set run one after another, so the last one reads every
+ * line after the last write and the roll-up never ends up stale.
+ * Never rejects: the roll-up is derived from lines that are already stored,
+ * so a failed refresh is logged and the next write to the set redoes it.
+ * @param {string} set_id
+ * @param {number} line_count - Lines in the set
+ * @returns {Promise<void>}
+ */
+function refreshHistory(set_id, line_count) {
+  const refresh = (historyRefreshes.get(set_id) || Promise.resolve())
+    .then(() => writeHistory(set_id, line_count))
+    .catch(error => {
+      console.error(`[ES] History refresh failed for set_id=${set_id}:`, error.message);
+    });
+  historyRefreshes.set(set_id, refresh);
+
+  refresh.finally(() => {
+    if (historyRefreshes.get(set_id) === refresh) historyRefreshes.delete(set_id);
+  });
+  return refresh;
+}
+
+/**
+ * Store a line's persona panel (Stage 1 reactions with their Stage 2 angles)
+ * and, when given, its sensitivity tags
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier
+ * @param {string} params.line_id - Line identifier
+ * @param {string} params.line_text - Original line text
+ * @param {Array} params.stage1 - The whole panel: reactions already stored and new ones
+ * @param {Array} params.stage2 - Their angles (see angles.js)
+ * @param {Object} [params.sensitivity] - Sensitivity classification; a stored one is kept when omitted
+ * @param {Object} params.docFields - Line fields (workspace, author, line_index, set_title, audience, ...) and the run_id of new reactions
+ * @param {AbortSignal} [params.signal] - Skips or aborts the write once the analysis is cancelled
+ */
+export async function storePanel({ signal, ...params }) {
+  const update = buildPanelUpdate(params);
+  console.log(`[ES] Storing ${update.personas.length} reactions for set_id=${params.set_id}, line_id=${params.line_id}`);
+  await updateAnalysis(analysisDocId(params.set_id, params.line_id), update, signal);
+  await refreshHistory(params.set_id, update.line_count || 1);
+}
+
+/**
+ * Store a line's Stage 3 review, replacing any earlier one
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier
+ * @param {string} params.line_id - Line identifier
+ * @param {string} params.line_text - Original line text
+ * @param {Object} params.stage3 - Reviewer assessment and computed divergence
+ * @param {Object} params.docFields - Line fields, as for storePanel()
+ * @param {AbortSignal} [params.signal] - Skips or aborts the write once the analysis is cancelled
+ */
+export async function storeReview({ signal, ...params }) {
+  const update = buildReviewUpdate(params);
+  await updateAnalysis(analysisDocId(params.set_id, params.line_id), update, signal);
+  await refreshHistory(params.set_id, update.line_count || 1);
+}
+
+/**
+ * Store the callbacks, running themes and repeated premises found across a
+ * set as its connections doc, replacing any earlier one
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier
+ * @param {Object} params.connections - findSetConnections() result
+ * @param {Object} params.docFields - Extra fields stamped on the doc (workspace, author, set_title, audience)
+ * @param {AbortSignal} [params.signal] - Skips or aborts the write once the analysis is cancelled
+ */
+export async function storeSetConnections({ set_id, connections, docFields = {}, signal }) {
+  signal?.throwIfAborted();
+
+  await esRequest('PUT', `/${INDEX_NAME}/_doc/${encodeURIComponent(connectionsDocId(set_id))}`,
+    buildConnectionsDoc({ set_id, connections, docFields }), { signal });
+}
+
+/**
+ * ELSER sparse embeddings of some texts, in order
+ * Used to compare the lines of a set with each other without waiting for
+ * them to be searchable.
+ * @param {Array<string>} texts
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Array<Object>|null>} - { token: weight } per text, or null if inference isn't available
+ */
+export async function embedTexts(texts, signal) {
+  try {
+    const { status, data } = await esRequest('POST', '/_inference/sparse_embedding/.elser-2-elastic', { input: texts }, { signal });
+    const embeddings = data?.sparse_embedding?.map(e => e.embedding);
+
+    if (status !== 200 || embeddings?.length !== texts.length) {
+      console.log(`[ES] ELSER inference unavailable (${status})`);
+      return null;
+    }
+    return embeddings;
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    console.error('[ES] ELSER inference error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store imported jokes as analysis docs with no personas yet, so they show
+ * up in History before (or without) being analyzed
+ * @param {Array} entries - [{ set_id, line_text, docFields }]
+ * @param {AbortSignal} [signal]
+ */
+export async function storeImportedEntries(entries, signal) {
+  console.log(`[ES] Storing ${entries.length} imported jokes`);
+  await bulkWrite(INDEX_NAME, buildEntryDocs(entries), signal);
+}
+
+/**
+ * Query clause for a workspace's analysis docs matching some filters
+ * @param {string} workspace_id
+ * @param {Array} [filters]
+ * @param {Object} [bool] - Other bool clauses (must, must_not, should)
+ * @returns {Object}
+ */
+function analysesQuery(workspace_id, filters = [], bool = {}) {
+  return {
+    bool: {
+      ...bool,
+      filter: [inWorkspace(workspace_id), { term: { doc_type: ANALYSIS_DOC_TYPE } }, ...filters]
+    }
+  };
+}
+
+/**
+ * Fetch a line's analysis, as stage1, stage2, stage3 and sensitivity
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier
+ * @param {string} params.line_id - Line identifier
+ * @param {string} params.workspace_id - Workspace; other workspaces' docs are never returned
+ */
+export async function fetchDocs({ set_id, line_id, workspace_id }) {
+  console.log(`[ES] Fetching analysis for set_id=${set_id}, line_id=${line_id}`);
+
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_search`, {
+    query: analysesQuery(workspace_id, [{ term: { set_id } }, { term: { line_id } }]),
+    size: 1
+  });
+
+  const line = toLine(toDocs(data)[0] || null);
+
+  console.log(`[ES] Found ${line.stage1.length} reactions, ${line.stage2.length} angles, ${line.stage3 ? 1 : 0} review`);
+
+  return line;
+}
+
+/**
+ * Fetch every line of a set in running order, and the connections found across it
+ * @param {string} set_id - The set ID to fetch
+ * @param {string} workspace_id - Workspace the set belongs to
+ * @returns {Promise<{set_title: string|null, lines: Array, connections: Object|null}>}
+ */
+export async function fetchSet(set_id, workspace_id) {
+  console.log(`[ES] Fetching set ${set_id}`);
+
+  const query = {
+    query: {
+      bool: { filter: [inWorkspace(workspace_id), { term: { set_id } }] }
+    },
+    size: 1000,
+    sort: [{ created_at: 'asc' }]
+  };
+
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_search`, query);
+  const set = groupSetDocs(toDocs(data));
+
+  console.log(`[ES] Found ${set.lines.length} lines for set ${set_id}`);
+
+  return set;
+}
+
+/**
+ * Fetch the punch-up variants stored for a line
+ * @param {Object} params
+ * @param {string} params.set_id - Set identifier of the original
+ * @param {string} params.line_id - Line identifier of the original
+ * @param {string} params.workspace_id - Workspace of the original
+ * @returns {Promise<Array>} - [{ set_id, line_text, technique, rationale, stage1, stage3 }]
+ */
+export async function fetchVariants({ set_id, line_id, workspace_id }) {
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_search`, {
+    query: analysesQuery(workspace_id, [
+      { term: { variant_of_set_id: set_id } },
+      { term: { variant_of_line_id: line_id } }
+    ]),
+    size: 1000,
+    sort: [{ created_at: 'asc' }]
+  });
+
+  return groupVariantDocs(toDocs(data));
+}
+
+/**
+ * Count the pipeline runs stored for each content hash
+ * @param {Array<string>} content_hashes
+ * @param {string} workspace_id - Only count runs in this workspace
+ * @returns {Promise<Map<string, number>>} - content_hash -> number of distinct runs
+ */
+export async function countRunsByContentHash(content_hashes, workspace_id) {
+  const hashes = [...new Set(content_hashes.filter(Boolean))];
+  if (hashes.length === 0) return new Map();
+
+  const query = {
+    size: 0,
+    query: analysesQuery(workspace_id, [{ terms: { content_hash: hashes } }]),
+    aggs: {
+      by_hash: {
+        terms: { field: 'content_hash', size: hashes.length },
+        aggs: { runs: { cardinality: { field: 'run_ids' } } }
+      }
+    }
+  };
+
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_search`, query);
+
+  return new Map((data.aggregations?.by_hash?.buckets || [])
+    .map(bucket => [bucket.key, bucket.runs?.value || 0]));
+}
+
+/**
+ * Fetch imported jokes, with whether each was analyzed yet
+ * @param {Array<string>} set_ids
+ * @param {string} workspace_id
+ * @returns {Promise<Array>} - Their line fields with `analyzed` (missing set_ids are left out)
+ */
+export async function fetchImportedEntries(set_ids, workspace_id) {
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_search`, {
+    query: analysesQuery(workspace_id, [{ terms: { set_id: set_ids } }, { exists: { field: 'import_id' } }]),
+    _source: { excludes: ['personas', 'reviewer', 'sensitivity'] },
+    size: set_ids.length
+  });
+
+  return toDocs(data).map(({ id, ...entry }) => ({ ...entry, analyzed: entry.persona_count > 0 }));
+}
+
+/**
+ * Find the latest stored analysis of a line, for reuse
+ * Only analyses of the same normalized text, for the same room and with the
+ * same persona panel count as a hit.
+ * @param {Object} params
+ * @param {string} params.content_hash - Hash of the line (see contentHash.js)
+ * @param {string|null} params.audience_context - Room of the new run (null for the generic club)
+ * @param {Array<string>} params.persona_ids - Panel of the new run
+ * @param {string} params.workspace_id - Only analyses in this workspace are reused
+ * @returns {Promise<Object|null>} - { set_id, line_id, created_at, run_count } or null
+ */
+export async function findCachedAnalysis({ content_hash, audience_context = null, persona_ids, workspace_id }) {
+  const query = {
+    query: analysesQuery(workspace_id, [
+      { term: { content_hash } },
+      { range: { persona_count: { gte: 1 } } },
+      ...(audience_context ? [{ term: { audience_context } }] : [])
+    ], {
+      must_not: audience_context ? [] : [{ exists: { field: 'audience_context' } }]
+    }),
+    _source: ['set_id', 'line_id', 'personas.agent_mode', 'created_at'],
+    size: 100,
+    sort: [{ created_at: 'desc' }]
+  };
+
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_search`, query);
+
+  // Newest first, so the first matching analysis is the latest
+  const match = findMatchingPanel(toDocs(data), persona_ids);
+  if (!match) return null;
+
+  const runs = await countRunsByContentHash([content_hash], workspace_id);
+  return { ...match, run_count: runs.get(content_hash) || 1 };
+}
+
+// Field each History sort orders by
+const HISTORY_SORT_FIELDS = {
+  date: 'created_at',
+  divergence: 'history.divergence_score',
+  laugh: 'history.laugh_score'
+};
+
+/**
+ * Query clauses for the History filters (see parseHistoryQuery())
+ */
+function historyFilters({ risk, divergence_min, divergence_max, from, to, metrics, tags }) {
+  const range = (field, bounds) => {
+    const set = Object.fromEntries(Object.entries(bounds).filter(([, value]) => value !== null));
+    return Object.keys(set).length > 0 ? [{ range: { [field]: set } }] : [];
+  };
+
+  return [
+    { exists: { field: 'history.joke_id' } },
+    ...(risk.length > 0 ? [{ terms: { 'history.risk_level': risk } }] : []),
+    ...range('history.divergence_score', { gte: divergence_min, lte: divergence_max }),
+    ...range('created_at', { gte: from, lte: to }),
+    ...metrics.map(metric => ({ term: { 'history.persona_metrics': metric } })),
+    ...tags.map(tag => ({ term: { tags: tag.toLowerCase() } }))
+  ];
+}
+
+/**
+ * Count the History entries (revisions) of some jokes
+ * @returns {Promise<Map<string, number>>} - joke_id -> revisions
+ */
+async function countRevisions(joke_ids, workspace_id) {
+  if (joke_ids.length === 0) return new Map();
+
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_search`, {
+    size: 0,
+    query: analysesQuery(workspace_id, [{ terms: { 'history.joke_id': joke_ids } }]),
+    aggs: { by_joke: { terms: { field: 'history.joke_id', size: joke_ids.length } } }
+  });
+
+  return new Map((data.aggregations?.by_joke?.buckets || []).map(bucket => [bucket.key, bucket.doc_count]));
+}
+
+/**
+ * Fetch a page of a workspace's joke history (one entry per joke, its latest
+ * revision), searched, filtered and sorted in the index
+ * Pages with search_after on the sort values (set_id breaks ties), so deep
+ * pages cost the same as the first.
+ * @param {Object} params - From parseHistoryQuery()
+ * @param {number} params.limit - Max number of entries to return
+ * @param {Array|null} params.after - Sort values of the previous page's last entry
+ * @param {string|null} params.q - Full-text search over the title and lines
+ * @param {string} params.sort - date | divergence | laugh
+ * @param {string} params.order - asc | desc (entries without a score come last either way)
+ * @param {string} workspace_id - Workspace whose jokes to list
+ * @returns {Promise<{items: Array, total: number, after: Array|null}>} - after is null on the last page
+ */
+export async function fetchHistory(params, workspace_id) {
+  const { limit, after, q, sort, order } = params;
+  console.log(`[ES] Fetching history (limit: ${limit}, sort: ${sort} ${order}${q ? `, q: "${q}"` : ''})`);
+
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_search`, {
+    query: analysesQuery(workspace_id, historyFilters(params), {
+      // Each word of q must start a word of the text, as in the local store
+      must: historySearchWords(q).map(word => ({ prefix: { 'history.search_text': word } })),
+      must_not: [{ term: { superseded: true } }]
+    }),
+    _source: {
+      includes: ['set_id', 'line_text', 'set_title', 'content_hash', 'tags', 'written_at', 'created_at', 'history'],
+      excludes: ['history.search_text', 'history.persona_metrics']
+    },
+    // One extra hit tells whether there is another page
+    size: limit + 1,
+    sort: [{ [HISTORY_SORT_FIELDS[sort]]: { order, missing: '_last' } }, { set_id: 'asc' }],
+    ...(after ? { search_after: after } : {}),
+    track_total_hits: true
+  });
+
+  const hits = data.hits?.hits || [];
+  const page = hits.slice(0, limit);
+  const docs = page.map(hit => ({ id: hit._id, ...hit._source }));
+
+  const [revisions, runs] = await Promise.all([
+    countRevisions([...new Set(docs.map(doc => doc.history.joke_id))], workspace_id),
+    countRunsByContentHash(docs.filter(doc => doc.history.line_count === 1).map(doc => doc.content_hash), workspace_id)
+  ]);
+  const items = toHistoryItems(docs, { revisions, runs });
+  const total = data.hits?.total?.value ?? items.length;
+
+  console.log(`[ES] Found ${total} history items, returning ${items.length}`);
+
+  return { items, total, after: hits.length > limit ? page[page.length - 1].sort : null };
+}
+
+/**
+ * Fetch every revision of a joke, oldest first
+ * @param {string} joke_id - set_id of the joke's first draft
+ * @param {string} workspace_id - Workspace of the joke
+ * @returns {Promise<Array>} - [{ set_id, revision, parent_set_id, line_text, line_ids, created_at, stage1, stage3 }]
+ */
+export async function fetchJokeRevisions(joke_id, workspace_id) {
+  console.log(`[ES] Fetching revisions of joke ${joke_id}`);
+
+  const query = {
+    // The first draft may predate joke_id
+    query: analysesQuery(workspace_id, [], {
+      should: [
+        { term: { joke_id } },
+        { term: { set_id: joke_id } }
+      ],
+      minimum_should_match: 1,
+      must_not: [{ exists: { field: 'variant_of_set_id' } }]
+    }),
+    _source: { excludes: ['personas.angles', 'sensitivity'] },
+    size: 1000,
+    sort: [{ created_at: 'asc' }]
+  };
+
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_search`, query);
+  const result = groupRevisionDocs(toDocs(data));
+
+  console.log(`[ES] Found ${result.length} revisions`);
+  return result;
+}
+
+/**
+ * Delete all documents for a given set_id
+ * @param {string} set_id - The set ID to delete
+ * @param {string} workspace_id - Workspace of the set; other workspaces' docs are left alone
+ * @returns {Promise<{deleted: number}>}
+ */
+export async function deleteBySetId(set_id, workspace_id) {
+  console.log(`[ES] Deleting all documents for set_id: ${set_id}`);
+
+  const { data: found } = await esRequest('POST', `/${INDEX_NAME}/_search`, {
+    query: analysesQuery(workspace_id, [{ term: { set_id } }, { exists: { field: 'history.joke_id' } }]),
+    _source: ['history.joke_id', 'superseded'],
+    size: 1
+  });
+  const head = toDocs(found)[0];
+
+  // The set's punch-up variants go with it
+  const query = {
+    query: {
+      bool: {
+        filter: [inWorkspace(workspace_id)],
+        should: [
+          { term: { set_id } },
+          { term: { variant_of_set_id: set_id } }
+        ],
+        minimum_should_match: 1
+      }
+    }
+  };
+
+  // Refreshed, so the revision it leaves latest can be found right away
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_delete_by_query?refresh=true`, query);
+
+  const deleted = data.deleted || 0;
+  console.log(`[ES] Deleted ${deleted} documents`);
+
+  // Deleting a joke's latest revision brings the one before it back to History
+  if (head && !head.superseded) {
+    await restoreLatestRevision(head.history.joke_id, workspace_id);
+  }
+
+  return { deleted };
+}
+
+/**
+ * Clear the superseded flag of a joke's latest remaining revision
+ */
+async function restoreLatestRevision(joke_id, workspace_id) {
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_search`, {
+    query: analysesQuery(workspace_id, [{ term: { 'history.joke_id': joke_id } }]),
+    _source: ['superseded'],
+    size: 1,
+    sort: [{ 'history.revision': 'desc' }]
+  });
+
+  const latest = toDocs(data)[0];
+  if (latest?.superseded) {
+    await esRequest('POST', `/${INDEX_NAME}/_update/${encodeURIComponent(latest.id)}?retry_on_conflict=3`, {
+      doc: { superseded: false }
+    });
+  }
+}
+
+/**
+ * Delete every revision of a joke
+ * @param {string} joke_id - set_id of the joke's first draft
+ * @param {string} workspace_id - Workspace of the joke
+ * @returns {Promise<{deleted: number}>}
+ */
+export async function deleteByJokeId(joke_id, workspace_id) {
+  console.log(`[ES] Deleting all revisions of joke: ${joke_id}`);
+
+  // Punch-up variants point at the revision they rewrite, not the joke
+  const revisionQuery = {
+    bool: {
+      filter: [inWorkspace(workspace_id)],
+      should: [
+        { term: { joke_id } },
+        { term: { set_id: joke_id } }
+      ],
+      minimum_should_match: 1
+    }
+  };
+  const { data: found } = await esRequest('POST', `/${INDEX_NAME}/_search`, {
+    query: revisionQuery,
+    size: 0,
+    aggs: { set_ids: { terms: { field: 'set_id', size: 1000 } } }
+  });
+  const setIds = (found.aggregations?.set_ids?.buckets || []).map(bucket => bucket.key);
+
+  const query = {
+    query: {
+      bool: {
+        ...revisionQuery.bool,
+        should: [
+          ...revisionQuery.bool.should,
+          { terms: { variant_of_set_id: setIds } }
+        ]
+      }
+    }
+  };
+
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_delete_by_query`, query);
+
+  const deleted = data.deleted || 0;
+  console.log(`[ES] Deleted ${deleted} documents`);
+
+  return { deleted };
+}
+
+/**
+ * Query for analyzed lines (not imported ones) of a workspace, optionally
+ * narrowed to an audience, leaving out a joke and its own punch-up variants
+ */
+function similarJokesQuery(match, excludeSetId, audienceContext, workspace_id) {
+  return analysesQuery(workspace_id, [
+    { range: { persona_count: { gte: 1 } } },
+    ...(audienceContext ? [{ term: { audience_context: audienceContext } }] : [])
+  ], {
+    must: [match],
+    must_not: excludeSetId
+      ? [{ term: { set_id: excludeSetId } }, { term: { variant_of_set_id: excludeSetId } }]
+      : []
+  });
+}
+
+/**
+ * Find jokes similar to the given text using semantic search
+ * Uses ELSER sparse embedding via the inference API
+ * @param {string} line_text - The joke text to find similar jokes for
+ * @param {number} limit - Maximum number of similar jokes to return
+ * @param {string} excludeSetId - Set ID to exclude from results (current joke)
+ * @param {string} audienceContext - Only jokes analyzed for this audience (optional)
+ * @param {string} workspace_id - Only search this workspace's jokes
+ * @returns {Promise<Array>} - Array of similar jokes with their metadata
+ */
+export async function findSimilarJokes(line_text, limit = 5, excludeSetId = null, audienceContext = null, workspace_id) {
+  console.log(`[ES] Finding similar jokes for: "${line_text.substring(0, 50)}..."`);
+
+  try {
+    // Use semantic search with ELSER inference endpoint
+    const query = {
+      size: 0,
+      query: similarJokesQuery({
+        semantic: {
+          field: 'line_text',
+          query: line_text,
+          inference_id: '.elser-2-elastic'
+        }
+      }, excludeSetId, audienceContext, workspace_id),
+      aggs: {
+        unique_jokes: {
+          terms: {
+            field: 'set_id',
+            size: limit
+          },
+          aggs: {
+            sample: {
+              top_hits: {
+                size: 1,
+                _source: [
+                  'set_id', 'line_text', 'reviewer.divergence_score', 'reviewer.risk_level',
+                  'crowd_energy_counts', 'audience_context', 'created_at'
+                ]
+              }
+            },
+            max_score: {
+              max: {
+                script: '_score'
+              }
+            }
+          }
+        }
+      }
+    };
+
+    const { data, status } = await esRequest('POST', `/${INDEX_NAME}/_search`, query);
+
+    // If semantic search fails, fall back to more_like_this
+    if (status !== 200 || !data.aggregations) {
+      console.log('[ES] Semantic search failed, falling back to more_like_this');
+      return await findSimilarJokesFallback(line_text, limit, excludeSetId, audienceContext, workspace_id);
+    }
+
+    const buckets = data.aggregations?.unique_jokes?.buckets || [];
+    const results = buckets.map(bucket => {
+      const source = bucket.sample?.hits?.hits?.[0]?._source || {};
+      return {
+        set_id: bucket.key,
+        line_text: source.line_text || 'Unknown',
+        score: bucket.max_score?.value || 0,
+        divergence_score: source.reviewer?.divergence_score,
+        risk_level: source.reviewer?.risk_level,
+        crowd_energy: panelEnergy(source),
+        audience_context: source.audience_context || null,
+        created_at: source.created_at
+      };
+    });
+
+    console.log(`[ES] Found ${results.length} similar jokes via semantic search`);
+    return results;
+
+  } catch (error) {
+    console.error('[ES] Semantic search error:', error.message);
+    return await findSimilarJokesFallback(line_text, limit, excludeSetId, audienceContext, workspace_id);
+  }
+}
+
+/**
+ * Fallback: Find similar jokes using more_like_this query
+ */
+async function findSimilarJokesFallback(line_text, limit = 5, excludeSetId = null, audienceContext = null, workspace_id) {
+  console.log('[ES] Using more_like_this fallback for similar jokes');
+
+  const query = {
+    size: 0,
+    query: similarJokesQuery({
+      more_like_this: {
+        fields: ['line_text', 'personas.feedback_text'],
+        like: line_text,
+        min_term_freq: 1,
+        min_doc_freq: 1
+      }
+    }, excludeSetId, audienceContext, workspace_id),
+    aggs: {
+      unique_jokes: {
+        terms: {
+          field: 'set_id',
+          size: limit
+        },
+        aggs: {
+          sample: {
+            top_hits: {
+              size: 1,
+              _source: ['set_id', 'line_text', 'crowd_energy_counts', 'audience_context', 'created_at']
+            }
+          }
+        }
+      }
+    }
+  };
+
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_search`, query);
+  const buckets = data.aggregations?.unique_jokes?.buckets || [];
+
+  const results = buckets.map(bucket => {
+    const source = bucket.sample?.hits?.hits?.[0]?._source || {};
+    return {
+      set_id: bucket.key,
+      line_text: source.line_text || 'Unknown',
+      score: bucket.doc_count,
+      crowd_energy: panelEnergy(source),
+      audience_context: source.audience_context || null,
+      created_at: source.created_at
+    };
+  });
+
+  console.log(`[ES] Found ${results.length} similar jokes via more_like_this`);
+  return results;
+}
+
+/**
+ * Registry doc id of a workspace's custom persona
+ * Persona ids only need to be unique per workspace, so the workspace is part of the key.
+ */
+function personaDocId(workspace_id, persona_id) {
+  return encodeURIComponent(`${workspace_id}:${persona_id}`);
+}
+
+/**
+ * Fetch a workspace's custom personas from the registry index
+ * @param {string} workspace_id
+ * @returns {Promise<Array>}
+ */
+export async function fetchStoredPersonas(workspace_id) {
+  const { data, status } = await esRequest('POST', `/${PERSONA_INDEX_NAME}/_search`, {
+    query: inWorkspace(workspace_id),
+    size: 200,
+    sort: [{ created_at: 'asc' }]
+  });
+
+  if (status === 404) return [];
+
+  return (data.hits?.hits || []).map(hit => hit._source);
+}
+
+/**
+ * Fetch a single custom persona by id
+ * @param {string} persona_id
+ * @param {string} workspace_id - Workspace of the persona
+ * @returns {Promise<Object|null>}
+ */
+export async function fetchStoredPersona(persona_id, workspace_id) {
+  const { data, status } = await esRequest('GET', `/${PERSONA_INDEX_NAME}/_doc/${personaDocId(workspace_id, persona_id)}`);
+
+  if (status === 404 || !data?.found) return null;
+
+  return data._source;
+}
+
+/**
+ * Create or replace a custom persona (keyed by workspace_id and persona_id)
+ * @param {Object} persona - Must carry its workspace_id
+ */
+export async function storePersona(persona) {
+  console.log(`[ES] Storing persona '${persona.persona_id}'`);
+  await esRequest('PUT', `/${PERSONA_INDEX_NAME}/_doc/${personaDocId(persona.workspace_id, persona.persona_id)}?refresh=wait_for`, persona);
+}
+
+/**
+ * Delete a custom persona
+ * @param {string} persona_id
+ * @param {string} workspace_id - Workspace of the persona
+ * @returns {Promise<{deleted: boolean}>}
+ */
+export async function deleteStoredPersona(persona_id, workspace_id) {
+  console.log(`[ES] Deleting persona '${persona_id}'`);
+  const { status } = await esRequest('DELETE', `/${PERSONA_INDEX_NAME}/_doc/${personaDocId(workspace_id, persona_id)}?refresh=wait_for`);
+  return { deleted: status !== 404 };
+}
+
+/**
+ * Fetch a workspace's setlists, most recently updated first
+ * @param {string} workspace_id
+ * @returns {Promise<Array>}
+ */
+export async function fetchStoredSetlists(workspace_id) {
+  const { data, status } = await esRequest('POST', `/${SETLIST_INDEX_NAME}/_search`, {
+    query: inWorkspace(workspace_id),
+    size: 200,
+    sort: [{ updated_at: 'desc' }]
+  });
+
+  if (status === 404) return [];
+
+  return (data.hits?.hits || []).map(hit => hit._source);
+}
+
+/**
+ * Fetch a single setlist
+ * @param {string} setlist_id
+ * @param {string} workspace_id - Setlists of other workspaces are never returned
+ * @returns {Promise<Object|null>}
+ */
+export async function fetchStoredSetlist(setlist_id, workspace_id) {
+  const { data, status } = await esRequest('GET', `/${SETLIST_INDEX_NAME}/_doc/${encodeURIComponent(setlist_id)}`);
+
+  if (status === 404 || !data?.found || data._source.workspace_id !== workspace_id) return null;
+
+  return data._source;
+}
+
+/**
+ * Create or replace a setlist (keyed by setlist_id)
+ * @param {Object} setlist - Must carry its workspace_id
+ */
+export async function storeSetlist(setlist) {
+  console.log(`[ES] Storing setlist '${setlist.setlist_id}'`);
+  await esRequest('PUT', `/${SETLIST_INDEX_NAME}/_doc/${encodeURIComponent(setlist.setlist_id)}?refresh=wait_for`, setlist);
+}
+
+/**
+ * Delete a setlist
+ * @param {string} setlist_id
+ * @param {string} workspace_id - Workspace of the setlist
+ * @returns {Promise<{deleted: boolean}>}
+ */
+export async function deleteStoredSetlist(setlist_id, workspace_id) {
+  console.log(`[ES] Deleting setlist '${setlist_id}'`);
+  const { data } = await esRequest('POST', `/${SETLIST_INDEX_NAME}/_delete_by_query?refresh=true`, {
+    query: { bool: { filter: [inWorkspace(workspace_id), { term: { setlist_id } }] } }
+  });
+  return { deleted: (data?.deleted || 0) > 0 };
+}
+
+/**
+ * Fetch the analysis docs of the lines in a setlist
+ * Imported jokes come back too, so lines that were never analyzed still
+ * have their text.
+ * @param {Array} items - [{ set_id, line_id }]
+ * @param {string} workspace_id
+ * @returns {Promise<Map>} - "set_id/line_id" -> { line_text, set_title, stage1, stage3 }
+ */
+export async function fetchSetlistLines(items, workspace_id) {
+  if (items.length === 0) return new Map();
+
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_search`, {
+    query: analysesQuery(workspace_id, [{ terms: { set_id: [...new Set(items.map(item => item.set_id))] } }]),
+    _source: [
+      'set_id', 'line_id', 'line_text', 'set_title', 'created_at',
+      'personas.agent_mode', 'personas.status', 'personas.relatability', 'personas.laugh_potential',
+      'personas.crowd_energy', 'reviewer.risk_level'
+    ],
+    size: 5000,
+    sort: [{ created_at: 'asc' }]
+  });
+
+  return groupSetlistLineDocs(toDocs(data), items);
+}
+
+/**
+ * Fetch a workspace by id
+ * @param {string} workspace_id
+ * @returns {Promise<Object|null>}
+ */
+export async function fetchStoredWorkspace(workspace_id) {
+  const { data, status } = await esRequest('GET', `/${WORKSPACE_INDEX_NAME}/_doc/${encodeURIComponent(workspace_id)}`);
+
+  if (status === 404 || !data?.found) return null;
+
+  return data._source;
+}
+
+/**
+ * Fetch every workspace a user is a member of, oldest first
+ * @param {string} user_id
+ * @returns {Promise<Array>}
+ */
+export async function fetchUserWorkspaces(user_id) {
+  const { data, status } = await esRequest('POST', `/${WORKSPACE_INDEX_NAME}/_search`, {
+    query: { term: { member_ids: user_id } },
+    size: 200,
+    sort: [{ created_at: 'asc' }]
+  });
+
+  if (status === 404) return [];
+
+  return (data.hits?.hits || []).map(hit => hit._source);
+}
+
+/**
+ * Create or replace a workspace (keyed by workspace_id)
+ * @param {Object} workspace
+ */
+export async function storeWorkspace(workspace) {
+  console.log(`[ES] Storing workspace '${workspace.workspace_id}'`);
+  await esRequest('PUT', `/${WORKSPACE_INDEX_NAME}/_doc/${encodeURIComponent(workspace.workspace_id)}?refresh=wait_for`, workspace);
+}
+
+/**
+ * Delete a workspace with all of its analyses, custom personas and setlists
+ * @param {string} workspace_id
+ * @returns {Promise<{deleted: number}>} - Number of analysis docs removed
+ */
+export async function deleteStoredWorkspace(workspace_id) {
+  console.log(`[ES] Deleting workspace '${workspace_id}'`);
+
+  const query = { query: inWorkspace(workspace_id) };
+  const { data } = await esRequest('POST', `/${INDEX_NAME}/_delete_by_query?refresh=true`, query);
+  await esRequest('POST', `/${PERSONA_INDEX_NAME}/_delete_by_query?refresh=true`, query);
+  await esRequest('POST', `/${SETLIST_INDEX_NAME}/_delete_by_query?refresh=true`, query);
+  await esRequest('DELETE', `/${WORKSPACE_INDEX_NAME}/_doc/${encodeURIComponent(workspace_id)}?refresh=wait_for`);
+
+  return { deleted: data?.deleted || 0 };
+}
+
+/**
+ * Fetch a user account by username
+ * @param {string} username
+ * @returns {Promise<Object|null>} - { user_id, username, password_hash, created_at }
+ */
+export async function fetchStoredUser(username) {
+  const { data, status } = await esRequest('GET', `/${USER_INDEX_NAME}/_doc/${encodeURIComponent(username)}`);
+
+  if (status === 404 || !data?.found) return null;
+
+  return data._source;
+}
+
+/**
+ * Create a user account, failing if the username is taken
+ * @param {Object} user - { user_id, username, password_hash, created_at }
+ * @returns {Promise<{created: boolean}>}
+ */
+export async function createStoredUser(user) {
+  console.log(`[ES] Creating user '${user.username}'`);
+  const { status } = await esRequest(
+    'PUT',
+    `/${USER_INDEX_NAME}/_create/${encodeURIComponent(user.username)}?refresh=wait_for`,
+    user
+  ).catch(err => {
+    if (/^Elasticsearch error: 409/.test(err.message)) return { status: 409 };
+    throw err;
+  });
+  return { created: status !== 409 };
+}
+
+/**
+ * Store a session or API token (keyed by the token's hash, never the token)
+ * @param {string} token_hash
+ * @param {Object} token - { token_id, user_id, username, kind, name, created_at, expires_at }
+ */
+export async function storeToken(token_hash, token) {
+  await esRequest('PUT', `/${TOKEN_INDEX_NAME}/_doc/${token_hash}?refresh=wait_for`, token);
+}
+
+/**
+ * Look up a token by its hash
+ * @param {string} token_hash
+ * @returns {Promise<Object|null>}
+ */
+export async function fetchToken(token_hash) {
+  const { data, status } = await esRequest('GET', `/${TOKEN_INDEX_NAME}/_doc/${token_hash}`);
+
+  if (status === 404 || !data?.found) return null;
+
+  return data._source;
+}
+
+/**
+ * Record that a token was just used
+ * @param {string} token_hash
+ * @param {string} last_used_at - ISO timestamp
+ */
+export async function touchToken(token_hash, last_used_at) {
+  await esRequest('POST', `/${TOKEN_INDEX_NAME}/_update/${token_hash}`, { doc: { last_used_at } });
+}
+
+/**
+ * List a user's tokens of one kind, newest first
+ * @param {string} user_id
+ * @param {string} kind - 'session' or 'api'
+ * @returns {Promise<Array>}
+ */
+export async function fetchUserTokens(user_id, kind) {
+  const { data, status } = await esRequest('POST', `/${TOKEN_INDEX_NAME}/_search`, {
+    query: { bool: { filter: [ownedBy(user_id), { term: { kind } }] } },
+    size: 200,
+    sort: [{ created_at: 'desc' }]
+  });
+
+  if (status === 404) return [];
+
+  return (data.hits?.hits || []).map(hit => hit._source);
+}
+
+/**
+ * Revoke tokens by hash or by token_id, only ever the given user's
+ * @param {Object} params
+ * @param {string} params.user_id - Owner of the tokens
+ * @param {string} [params.token_hash] - Revoke the token with this hash
+ * @param {string} [params.token_id] - Revoke the token with this public id
+ * @returns {Promise<{deleted: number}>}
+ */
+export async function deleteTokens({ user_id, token_hash, token_id }) {
+  const filter = [ownedBy(user_id)];
+  if (token_hash) filter.push({ ids: { values: [token_hash] } });
+  if (token_id) filter.push({ term: { token_id } });
+
+  const { data } = await esRequest('POST', `/${TOKEN_INDEX_NAME}/_delete_by_query?refresh=true`, {
+    query: { bool: { filter } }
+  });
+  return { deleted: data?.deleted || 0 };
+}
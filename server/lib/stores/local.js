@@ -0,0 +1,753 @@
+/**
+ * Local store (STORAGE=local)
+ * Keeps every collection in memory and writes it to a JSON file under
+ * LOCAL_DATA_DIR (data/ in the server directory by default) after each
+ * change, so the app runs without an Elasticsearch cluster. It is meant for
+ * one server process: two servers sharing a data directory would overwrite
+ * each other's writes.
+ *
+ * Analyses have the same shape and versions as the Elasticsearch index:
+ * meta.json records the version of analyses.json, and older files are
+ * migrated with the same transforms when they are loaded (see
+ * indexMigrations.js).
+ *
+ * Similar jokes are found by keyword overlap, insights are computed in JS
+ * (see localInsights.js) and History is searched, filtered and sorted in JS
+ * over the same roll-ups the Elasticsearch store queries. There is no ELSER, so set connections compare
+ * lines on their reason codes and angles alone.
+ */
+
+import { mkdir, readFile, writeFile, rename } from 'node:fs/promises';
+import path from 'node:path';
+import { INDEX_VERSION, migrateDocs } from '../indexMigrations.js';
+import { historySearchWords } from '../history.js';
+import {
+    ANALYSIS_DOC_TYPE, HEAD_LINE_ID, analysisDocId, connectionsDocId, buildPanelUpdate, buildReviewUpdate,
+    buildConnectionsDoc, buildEntryDocs, buildHistory, toLine, panelEnergy, groupSetDocs, groupVariantDocs,
+    groupRevisionDocs, groupSetlistLineDocs, findMatchingPanel, toHistoryItems, findSupersededRevisions
+} from './analysisDocs.js';
+import { computeInsights } from './localInsights.js';
+
+export const name = 'local';
+
+const DATA_DIR = path.resolve(process.env.LOCAL_DATA_DIR || 'data');
+const COLLECTIONS = ['analyses', 'personas', 'users', 'tokens', 'workspaces', 'setlists'];
+
+// Collection name -> Map of doc id -> doc
+const collections = new Map();
+// Collection name -> its latest write, so writes land in order
+const pendingWrites = new Map();
+
+/**
+ * Nothing is required; the data directory is created on startup
+ */
+export function validateConfig() {
+    console.log(`[Local] Data directory: ${DATA_DIR}`);
+}
+
+/**
+ * Read a JSON file of the data directory (null if it doesn't exist yet)
+ */
+async function readJson(file) {
+    const text = await readFile(path.join(DATA_DIR, file), 'utf8').catch(error => {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    });
+    return text === null ? null : JSON.parse(text);
+}
+
+async function writeJson(file, value) {
+    const target = path.join(DATA_DIR, file);
+    await writeFile(`${target}.tmp`, JSON.stringify(value));
+    await rename(`${target}.tmp`, target);
+}
+
+/**
+ * Bring the loaded analyses up to INDEX_VERSION
+ * Files written before meta.json existed are at version 2 (the local store
+ * started there).
+ */
+async function migrateAnalyses() {
+    const meta = await readJson('meta.json');
+    const analyses = collection('analyses');
+    const version = meta?.index_version ?? (analyses.size > 0 ? 2 : INDEX_VERSION);
+
+    if (version > INDEX_VERSION) {
+        throw new Error(`${DATA_DIR} holds analyses at version ${version}, newer than this server (${INDEX_VERSION})`);
+    }
+
+    if (version < INDEX_VERSION) {
+        const docs = [...analyses]
+            .map(([id, source]) => ({ id, source }))
+            .sort((a, b) => String(a.source.created_at ?? '').localeCompare(String(b.source.created_at ?? '')));
+        const migrated = migrateDocs(docs, version);
+
+        collections.set('analyses', new Map(migrated.map(({ id, source }) => [id, source])));
+
+        const jokes = new Map();
+        for (const [id, doc] of collection('analyses')) {
+            if (!doc.history) continue;
+            const key = `${doc.workspace_id}/${doc.history.joke_id}`;
+            if (!jokes.has(key)) jokes.set(key, []);
+            jokes.get(key).push([id, doc]);
+        }
+        for (const heads of jokes.values()) markSuperseded(heads);
+
+        await persist('analyses');
+        console.log(`[Local] Migrated analyses from version ${version} to ${INDEX_VERSION} (${docs.length} docs became ${migrated.length})`);
+    }
+
+    if (meta?.index_version !== INDEX_VERSION) {
+        await writeJson('meta.json', { ...meta, index_version: INDEX_VERSION });
+    }
+}
+
+/**
+ * Create the data directory, load every collection into memory and migrate
+ * analyses written by an older version
+ */
+export async function ensureStorage() {
+    await mkdir(DATA_DIR, { recursive: true });
+
+    for (const name of COLLECTIONS) {
+        const docs = await readJson(`${name}.json`);
+        collections.set(name, new Map(Object.entries(docs || {})));
+        console.log(`[Local] Loaded ${collections.get(name).size} ${name}`);
+    }
+
+    await migrateAnalyses();
+}
+
+function collection(name) {
+    const docs = collections.get(name);
+    if (!docs) {
+        throw new Error('The local store is not loaded yet (ensureStorage() runs on startup)');
+    }
+    return docs;
+}
+
+/**
+ * Write a collection to disk (to a temp file first, so a crash mid-write
+ * leaves the previous file intact)
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+function persist(name) {
+    const write = (pendingWrites.get(name) || Promise.resolve())
+        .catch(() => {})
+        .then(() => writeJson(`${name}.json`, Object.fromEntries(collection(name))));
+    pendingWrites.set(name, write);
+    return write;
+}
+
+/**
+ * Look up a doc by id (a copy, like a fetch from a remote store)
+ */
+function getDoc(name, id) {
+    const doc = collection(name).get(id);
+    return doc ? structuredClone(doc) : null;
+}
+
+async function putDoc(name, id, doc) {
+    collection(name).set(id, structuredClone(doc));
+    await persist(name);
+}
+
+/**
+ * Copies of the docs of a collection that match
+ * @param {string} name
+ * @param {Function} predicate - (doc, id) => boolean
+ * @returns {Array<{id: string, doc: Object}>}
+ */
+function findDocs(name, predicate) {
+    const found = [];
+    for (const [id, doc] of collection(name)) {
+        if (predicate(doc, id)) found.push({ id, doc: structuredClone(doc) });
+    }
+    return found;
+}
+
+/**
+ * Delete the docs of a collection that match
+ * @returns {Promise<number>} - How many were deleted
+ */
+async function deleteDocs(name, predicate) {
+    const docs = collection(name);
+    let deleted = 0;
+    for (const [id, doc] of docs) {
+        if (predicate(doc, id)) {
+            docs.delete(id);
+            deleted++;
+        }
+    }
+    if (deleted > 0) await persist(name);
+    return deleted;
+}
+
+function byField(field, order = 'asc') {
+    const direction = order === 'asc' ? 1 : -1;
+    return (a, b) => String(a[field] ?? '').localeCompare(String(b[field] ?? '')) * direction;
+}
+
+/**
+ * Predicate restricting analyses to one workspace
+ */
+function inWorkspace(workspace_id) {
+    if (!workspace_id) {
+        throw new Error('A workspace_id is required to query analyses');
+    }
+    return doc => doc.workspace_id === workspace_id;
+}
+
+/**
+ * A workspace's analysis docs that match, with their ids, oldest first
+ * @param {string} workspace_id
+ * @param {Function} [predicate]
+ * @returns {Array}
+ */
+function findAnalyses(workspace_id, predicate = () => true) {
+    const inScope = inWorkspace(workspace_id);
+    return findDocs('analyses', doc => inScope(doc) && predicate(doc))
+        .map(({ id, doc }) => ({ id, ...doc }))
+        .sort(byField('created_at'));
+}
+
+/**
+ * A workspace's analyzed lines (doc_type 'analysis') that match, oldest first
+ */
+function findLines(workspace_id, predicate = () => true) {
+    return findAnalyses(workspace_id, doc => doc.doc_type === ANALYSIS_DOC_TYPE && predicate(doc));
+}
+
+/**
+ * Merge a partial update into a line's analysis doc, creating it if needed
+ * (the same merge as the Elasticsearch store's _update)
+ */
+async function updateAnalysis(id, update, signal) {
+    // A cancelled analysis must not leave partial results behind
+    signal?.throwIfAborted();
+
+    const existing = getDoc('analyses', id);
+    await putDoc('analyses', id, existing ? { ...existing, ...update } : { ...update, created_at: update.updated_at });
+}
+
+/**
+ * Flag the revisions of a joke older than its latest as superseded (and the
+ * latest as not), in memory
+ * @param {Array} heads - [id, doc] of the head lines of one joke's revisions
+ */
+function markSuperseded(heads) {
+    const superseded = findSupersededRevisions(heads.map(([id, doc]) => ({ id, ...doc })));
+    for (const [id, doc] of heads) {
+        if (superseded.has(id)) doc.superseded = true;
+        else if (doc.superseded) doc.superseded = false;
+    }
+}
+
+/**
+ * [id, doc] of the head lines of a joke's revisions (the stored docs, not copies)
+ */
+function jokeHeads(workspace_id, joke_id) {
+    return [...collection('analyses')]
+        .filter(([, doc]) => doc.workspace_id === workspace_id && doc.history?.joke_id === joke_id);
+}
+
+/**
+ * Rewrite the History roll-up on a set's head line from its lines (see the
+ * Elasticsearch store's refreshHistory()); a revision's first roll-up
+ * supersedes the joke's older revisions. Never rejects: a failed refresh is
+ * logged and the next write to the set redoes it.
+ */
+async function refreshHistory(set_id) {
+    try {
+        await writeHistory(set_id);
+    } catch (error) {
+        console.error(`[Local] History refresh failed for set_id=${set_id}:`, error.message);
+    }
+}
+
+async function writeHistory(set_id) {
+    const analyses = collection('analyses');
+    const head = analyses.get(analysisDocId(set_id, HEAD_LINE_ID));
+    const history = buildHistory([...analyses.values()].filter(doc => doc.set_id === set_id));
+    if (!head || !history) return;
+
+    const first = !head.history;
+    head.history = history;
+    if (first && history.revision > 1) {
+        markSuperseded(jokeHeads(head.workspace_id, history.joke_id));
+    }
+    await persist('analyses');
+}
+
+/**
+ * Store a line's persona panel and, when given, its sensitivity tags
+ * @param {Object} params - See the Elasticsearch store's storePanel()
+ */
+export async function storePanel({ signal, ...params }) {
+    await updateAnalysis(analysisDocId(params.set_id, params.line_id), buildPanelUpdate(params), signal);
+    await refreshHistory(params.set_id);
+}
+
+/**
+ * Store a line's Stage 3 review, replacing any earlier one
+ * @param {Object} params - See the Elasticsearch store's storeReview()
+ */
+export async function storeReview({ signal, ...params }) {
+    await updateAnalysis(analysisDocId(params.set_id, params.line_id), buildReviewUpdate(params), signal);
+    await refreshHistory(params.set_id);
+}
+
+/**
+ * Store a set's connections doc, replacing any earlier one
+ * @param {Object} params - See the Elasticsearch store's storeSetConnections()
+ */
+export async function storeSetConnections({ set_id, connections, docFields = {}, signal }) {
+    signal?.throwIfAborted();
+
+    await putDoc('analyses', connectionsDocId(set_id), buildConnectionsDoc({ set_id, connections, docFields }));
+}
+
+/**
+ * Store imported jokes as analysis docs with no personas yet
+ * @param {Array} entries - [{ set_id, line_text, docFields }]
+ */
+export async function storeImportedEntries(entries) {
+    const analyses = collection('analyses');
+    const docs = buildEntryDocs(entries);
+    for (const { id, source } of docs) {
+        analyses.set(id, source);
+    }
+    await persist('analyses');
+    console.log(`[Local] Stored ${docs.length} imported jokes`);
+}
+
+/**
+ * No embeddings without ELSER
+ * @returns {Promise<null>}
+ */
+export async function embedTexts() {
+    return null;
+}
+
+/**
+ * Fetch a line's analysis, as stage1, stage2, stage3 and sensitivity
+ */
+export async function fetchDocs({ set_id, line_id, workspace_id }) {
+    const [doc] = findLines(workspace_id, doc => doc.set_id === set_id && doc.line_id === line_id);
+    return toLine(doc || null);
+}
+
+/**
+ * Fetch every line of a set in running order, and the connections found
+ * across it
+ */
+export async function fetchSet(set_id, workspace_id) {
+    return groupSetDocs(findAnalyses(workspace_id, doc => doc.set_id === set_id));
+}
+
+/**
+ * Fetch the punch-up variants stored for a line
+ */
+export async function fetchVariants({ set_id, line_id, workspace_id }) {
+    return groupVariantDocs(findLines(workspace_id, doc =>
+        doc.variant_of_set_id === set_id && doc.variant_of_line_id === line_id));
+}
+
+/**
+ * Count the pipeline runs stored for each content hash
+ * @returns {Promise<Map<string, number>>} - content_hash -> number of distinct runs
+ */
+export async function countRunsByContentHash(content_hashes, workspace_id) {
+    const hashes = new Set(content_hashes.filter(Boolean));
+    const runs = new Map();
+
+    for (const doc of findLines(workspace_id, doc => hashes.has(doc.content_hash))) {
+        if (!runs.has(doc.content_hash)) runs.set(doc.content_hash, new Set());
+        for (const run_id of doc.run_ids || []) runs.get(doc.content_hash).add(run_id);
+    }
+
+    return new Map([...runs].map(([hash, ids]) => [hash, ids.size]));
+}
+
+/**
+ * Fetch imported jokes, with whether each was analyzed yet
+ */
+export async function fetchImportedEntries(set_ids, workspace_id) {
+    const wanted = new Set(set_ids);
+
+    return findLines(workspace_id, doc => wanted.has(doc.set_id) && doc.import_id)
+        .map(({ id, personas, reviewer, sensitivity, ...entry }) => ({ ...entry, analyzed: entry.persona_count > 0 }));
+}
+
+/**
+ * Find the latest stored analysis of a line with the same text, room and
+ * persona panel, for reuse
+ * @returns {Promise<Object|null>} - { set_id, line_id, created_at, run_count } or null
+ */
+export async function findCachedAnalysis({ content_hash, audience_context = null, persona_ids, workspace_id }) {
+    const docs = findLines(workspace_id, doc =>
+        doc.content_hash === content_hash &&
+        doc.persona_count > 0 &&
+        (audience_context ? doc.audience_context === audience_context : !doc.audience_context)
+    ).reverse();
+
+    const match = findMatchingPanel(docs, persona_ids);
+    if (!match) return null;
+
+    const runs = await countRunsByContentHash([content_hash], workspace_id);
+    return { ...match, run_count: runs.get(content_hash) || 1 };
+}
+
+// Value each History sort orders by
+const HISTORY_SORT_VALUES = {
+    date: doc => doc.created_at,
+    divergence: doc => doc.history.divergence_score,
+    laugh: doc => doc.history.laugh_score
+};
+
+/**
+ * Whether a head doc matches the History search and filters (see parseHistoryQuery())
+ */
+function matchesHistory(doc, { q, risk, divergence_min, divergence_max, from, to, metrics, tags }) {
+    const { history } = doc;
+    const between = (value, min, max) => (min === null || (value !== null && value >= min)) &&
+        (max === null || (value !== null && value <= max));
+
+    if (q) {
+        const text = historySearchWords(history.search_text);
+        if (!historySearchWords(q).every(word => text.some(candidate => candidate.startsWith(word)))) return false;
+    }
+    if (risk.length > 0 && !risk.includes(history.risk_level)) return false;
+    if (!between(history.divergence_score ?? null, divergence_min, divergence_max)) return false;
+    if ((from || to) && !between(doc.created_at ?? null, from, to)) return false;
+    if (!metrics.every(metric => (history.persona_metrics || []).includes(metric))) return false;
+    if (!tags.every(tag => (doc.tags || []).includes(tag.toLowerCase()))) return false;
+    return true;
+}
+
+/**
+ * Compare History sort keys ([value, set_id]); missing values come last
+ * in either order, like the Elasticsearch store's `missing: '_last'`
+ */
+function compareHistoryKeys([a, aId], [b, bId], order) {
+    if (a !== b) {
+        if (a === null) return 1;
+        if (b === null) return -1;
+        return (a < b ? -1 : 1) * (order === 'asc' ? 1 : -1);
+    }
+    return aId < bId ? -1 : aId > bId ? 1 : 0;
+}
+
+/**
+ * Fetch a page of a workspace's joke history, searched, filtered and sorted
+ * @param {Object} params - See the Elasticsearch store's fetchHistory()
+ * @returns {Promise<{items: Array, total: number, after: Array|null}>}
+ */
+export async function fetchHistory(params, workspace_id) {
+    const { limit, after, sort, order } = params;
+    const sortKey = doc => [HISTORY_SORT_VALUES[sort](doc) ?? null, doc.set_id];
+
+    const matches = findLines(workspace_id, doc => doc.history && !doc.superseded && matchesHistory(doc, params))
+        .map(doc => ({ doc, key: sortKey(doc) }))
+        .sort((a, b) => compareHistoryKeys(a.key, b.key, order));
+
+    const rest = after ? matches.filter(({ key }) => compareHistoryKeys(key, after, order) > 0) : matches;
+    const page = rest.slice(0, limit);
+    const docs = page.map(({ doc }) => doc);
+
+    const jokeIds = new Set(docs.map(doc => doc.history.joke_id));
+    const revisions = new Map();
+    for (const doc of findLines(workspace_id, doc => jokeIds.has(doc.history?.joke_id))) {
+        revisions.set(doc.history.joke_id, (revisions.get(doc.history.joke_id) || 0) + 1);
+    }
+    const runs = await countRunsByContentHash(
+        docs.filter(doc => doc.history.line_count === 1).map(doc => doc.content_hash), workspace_id);
+
+    return {
+        items: toHistoryItems(docs, { revisions, runs }),
+        total: matches.length,
+        after: rest.length > limit ? page[page.length - 1].key : null
+    };
+}
+
+/**
+ * Fetch every revision of a joke, oldest first
+ */
+export async function fetchJokeRevisions(joke_id, workspace_id) {
+    return groupRevisionDocs(findLines(workspace_id, doc =>
+        (doc.joke_id === joke_id || doc.set_id === joke_id) && !doc.variant_of_set_id));
+}
+
+/**
+ * Delete all documents for a given set_id
+ * @returns {Promise<{deleted: number}>}
+ */
+export async function deleteBySetId(set_id, workspace_id) {
+    const inScope = inWorkspace(workspace_id);
+    const head = getDoc('analyses', analysisDocId(set_id, HEAD_LINE_ID));
+    // The set's punch-up variants go with it
+    const deleted = await deleteDocs('analyses', doc =>
+        inScope(doc) && (doc.set_id === set_id || doc.variant_of_set_id === set_id));
+    console.log(`[Local] Deleted ${deleted} documents`);
+
+    // Deleting a joke's latest revision brings the one before it back to History
+    if (deleted > 0 && head?.history && inScope(head)) {
+        const heads = jokeHeads(workspace_id, head.history.joke_id);
+        if (heads.length > 0) {
+            markSuperseded(heads);
+            await persist('analyses');
+        }
+    }
+    return { deleted };
+}
+
+/**
+ * Delete every revision of a joke
+ * @returns {Promise<{deleted: number}>}
+ */
+export async function deleteByJokeId(joke_id, workspace_id) {
+    const inScope = inWorkspace(workspace_id);
+    const isRevision = doc => inScope(doc) && (doc.joke_id === joke_id || doc.set_id === joke_id);
+
+    // Punch-up variants point at the revision they rewrite, not the joke
+    const setIds = new Set([...collection('analyses').values()].filter(isRevision).map(doc => doc.set_id));
+    const deleted = await deleteDocs('analyses', doc =>
+        isRevision(doc) || (inScope(doc) && setIds.has(doc.variant_of_set_id)));
+    console.log(`[Local] Deleted ${deleted} documents`);
+    return { deleted };
+}
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'that', 'this', 'with', 'you', 'your', 'are', 'was', 'but', 'not', 'have',
+    'has', 'had', 'its', 'just', 'like', 'what', 'when', 'they', 'them', 'then', 'than', 'from',
+    'out', 'all', 'get', 'got', 'about', 'into', 'one', 'can', 'our', 'who', 'his', 'her', 'she',
+    'him', 'there', 'their', 'were', 'been', 'would', 'could', 'some', 'because', 'how', 'why'
+]);
+
+/**
+ * Keyword counts of a text
+ * @returns {Map<string, number>}
+ */
+function keywords(text) {
+    const counts = new Map();
+    for (const word of (text || '').toLowerCase().match(/[a-z0-9']+/g) || []) {
+        if (word.length < 3 || STOPWORDS.has(word)) continue;
+        counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Cosine similarity of two keyword count maps, weighting rare words up
+ */
+function keywordSimilarity(a, b, idf) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (const [word, count] of a) {
+        const weight = count * idf(word);
+        normA += weight * weight;
+        if (b.has(word)) dot += weight * b.get(word) * idf(word);
+    }
+    for (const [word, count] of b) {
+        const weight = count * idf(word);
+        normB += weight * weight;
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Find jokes similar to the given text by keyword overlap
+ * Same arguments and result shape as the Elasticsearch store's findSimilarJokes().
+ */
+export async function findSimilarJokes(line_text, limit = 5, excludeSetId = null, audienceContext = null, workspace_id) {
+    // Analyzed lines only; skip the joke itself and its own punch-up variants
+    const lines = findLines(workspace_id, doc =>
+        doc.persona_count > 0 &&
+        (!audienceContext || doc.audience_context === audienceContext) &&
+        (!excludeSetId || (doc.set_id !== excludeSetId && doc.variant_of_set_id !== excludeSetId)))
+        .map(doc => ({ doc, keywords: keywords(doc.line_text) }));
+
+    const query = keywords(line_text);
+    const documentFrequency = new Map();
+    for (const { keywords: words } of lines) {
+        for (const word of words.keys()) documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+    }
+    const idf = word => Math.log(1 + (lines.length + 1) / ((documentFrequency.get(word) || 0) + 1));
+
+    // A set scores as its closest line
+    const bySet = new Map();
+    for (const { doc, keywords: words } of lines) {
+        const score = keywordSimilarity(query, words, idf);
+        if (score <= 0 || (bySet.get(doc.set_id)?.score ?? 0) >= score) continue;
+        bySet.set(doc.set_id, {
+            set_id: doc.set_id,
+            line_text: doc.line_text || 'Unknown',
+            score,
+            divergence_score: doc.reviewer?.divergence_score ?? undefined,
+            risk_level: doc.reviewer?.risk_level ?? undefined,
+            crowd_energy: panelEnergy(doc),
+            audience_context: doc.audience_context || null,
+            created_at: doc.created_at
+        });
+    }
+
+    const results = [...bySet.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+    console.log(`[Local] Found ${results.length} similar jokes by keyword overlap`);
+    return results;
+}
+
+/**
+ * Insights over a workspace's analyses, optionally for one audience context
+ * @param {Object} filters
+ * @param {string} filters.workspace_id
+ * @param {string|null} [filters.audience_context]
+ */
+export async function getAllInsights({ workspace_id, audience_context = null }) {
+    // Punch-up variants are left out, as in History
+    return computeInsights(findLines(workspace_id, doc =>
+        !doc.variant_of_set_id && (!audience_context || doc.audience_context === audience_context)));
+}
+
+/**
+ * Collection key of a workspace's custom persona
+ */
+function personaDocId(workspace_id, persona_id) {
+    return `${workspace_id}:${persona_id}`;
+}
+
+export async function fetchStoredPersonas(workspace_id) {
+    return findDocs('personas', doc => doc.workspace_id === workspace_id)
+        .map(({ doc }) => doc)
+        .sort(byField('created_at'));
+}
+
+export async function fetchStoredPersona(persona_id, workspace_id) {
+    return getDoc('personas', personaDocId(workspace_id, persona_id));
+}
+
+export async function storePersona(persona) {
+    console.log(`[Local] Storing persona '${persona.persona_id}'`);
+    await putDoc('personas', personaDocId(persona.workspace_id, persona.persona_id), persona);
+}
+
+export async function deleteStoredPersona(persona_id, workspace_id) {
+    const id = personaDocId(workspace_id, persona_id);
+    const deleted = await deleteDocs('personas', (doc, docId) => docId === id);
+    return { deleted: deleted > 0 };
+}
+
+export async function fetchStoredSetlists(workspace_id) {
+    return findDocs('setlists', doc => doc.workspace_id === workspace_id)
+        .map(({ doc }) => doc)
+        .sort(byField('updated_at', 'desc'));
+}
+
+export async function fetchStoredSetlist(setlist_id, workspace_id) {
+    const setlist = getDoc('setlists', setlist_id);
+    return setlist?.workspace_id === workspace_id ? setlist : null;
+}
+
+export async function storeSetlist(setlist) {
+    console.log(`[Local] Storing setlist '${setlist.setlist_id}'`);
+    await putDoc('setlists', setlist.setlist_id, setlist);
+}
+
+export async function deleteStoredSetlist(setlist_id, workspace_id) {
+    const deleted = await deleteDocs('setlists', doc =>
+        doc.setlist_id === setlist_id && doc.workspace_id === workspace_id);
+    return { deleted: deleted > 0 };
+}
+
+/**
+ * Fetch the analysis docs (imported jokes included) of the lines in a setlist
+ * @returns {Promise<Map>} - "set_id/line_id" -> { line_text, set_title, stage1, stage3 }
+ */
+export async function fetchSetlistLines(items, workspace_id) {
+    if (items.length === 0) return new Map();
+
+    const set_ids = new Set(items.map(item => item.set_id));
+    return groupSetlistLineDocs(findLines(workspace_id, doc => set_ids.has(doc.set_id)), items);
+}
+
+export async function fetchStoredWorkspace(workspace_id) {
+    return getDoc('workspaces', workspace_id);
+}
+
+export async function fetchUserWorkspaces(user_id) {
+    return findDocs('workspaces', doc => (doc.member_ids || []).includes(user_id))
+        .map(({ doc }) => doc)
+        .sort(byField('created_at'));
+}
+
+export async function storeWorkspace(workspace) {
+    console.log(`[Local] Storing workspace '${workspace.workspace_id}'`);
+    await putDoc('workspaces', workspace.workspace_id, workspace);
+}
+
+/**
+ * Delete a workspace with all of its analyses, custom personas and setlists
+ * @returns {Promise<{deleted: number}>} - Number of analysis docs removed
+ */
+export async function deleteStoredWorkspace(workspace_id) {
+    console.log(`[Local] Deleting workspace '${workspace_id}'`);
+
+    const inScope = inWorkspace(workspace_id);
+    const deleted = await deleteDocs('analyses', inScope);
+    await deleteDocs('personas', inScope);
+    await deleteDocs('setlists', inScope);
+    await deleteDocs('workspaces', (doc, id) => id === workspace_id);
+
+    return { deleted };
+}
+
+export async function fetchStoredUser(username) {
+    return getDoc('users', username);
+}
+
+/**
+ * Create a user account, failing if the username is taken
+ * @returns {Promise<{created: boolean}>}
+ */
+export async function createStoredUser(user) {
+    if (collection('users').has(user.username)) return { created: false };
+
+    console.log(`[Local] Creating user '${user.username}'`);
+    await putDoc('users', user.username, user);
+    return { created: true };
+}
+
+export async function storeToken(token_hash, token) {
+    await putDoc('tokens', token_hash, token);
+}
+
+export async function fetchToken(token_hash) {
+    return getDoc('tokens', token_hash);
+}
+
+export async function touchToken(token_hash, last_used_at) {
+    const token = getDoc('tokens', token_hash);
+    if (token) await putDoc('tokens', token_hash, { ...token, last_used_at });
+}
+
+export async function fetchUserTokens(user_id, kind) {
+    return findDocs('tokens', doc => doc.user_id === user_id && doc.kind === kind)
+        .map(({ doc }) => doc)
+        .sort(byField('created_at', 'desc'));
+}
+
+/**
+ * Revoke tokens by hash or by token_id, only ever the given user's
+ * @returns {Promise<{deleted: number}>}
+ */
+export async function deleteTokens({ user_id, token_hash, token_id }) {
+    if (!user_id) {
+        throw new Error('A user_id is required');
+    }
+    const deleted = await deleteDocs('tokens', (doc, id) =>
+        doc.user_id === user_id &&
+        (!token_hash || id === token_hash) &&
+        (!token_id || doc.token_id === token_id));
+    return { deleted };
+}
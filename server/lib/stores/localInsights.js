@@ -0,0 +1,114 @@
+/**
+ * Insights for the local store
+ * The same numbers analytics.js gets from ES|QL, computed over the docs in
+ * memory. Callers pass one workspace's analysis docs, already narrowed to
+ * an audience context when one is asked for.
+ */
+
+import { ENERGIES } from '../schemas.js';
+import { reviewDivergence } from '../scoring.js';
+
+/**
+ * Count items by a value, most common first
+ * @returns {Array<[string, number]>}
+ */
+function countBy(items, valueOf) {
+    const counts = new Map();
+    for (const item of items) {
+        const value = valueOf(item);
+        if (value === undefined || value === null) continue;
+        counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return [...counts].sort((a, b) => b[1] - a[1]);
+}
+
+function withPercentages(rows) {
+    const total = rows.reduce((sum, row) => sum + row.count, 0);
+    return rows.map(row => ({ ...row, percentage: total > 0 ? Math.round((row.count / total) * 100) : 0 }));
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+/**
+ * Average divergence per day, for the last 7 days with reviews, oldest first
+ * @param {Array} reviews - Reviewer objects with a divergence (see reviewDivergence())
+ */
+function divergenceTrend(reviews) {
+    const byDay = new Map();
+    for (const review of reviews) {
+        const day = new Date(review.created_at);
+        day.setUTCHours(0, 0, 0, 0);
+        const key = day.toISOString();
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push(reviewDivergence(review));
+    }
+
+    return [...byDay]
+        .sort((a, b) => b[0].localeCompare(a[0]))
+        .slice(0, 7)
+        .map(([date, scores]) => ({ date, avg_divergence: Math.round(average(scores)), joke_count: scores.length }))
+        .reverse();
+}
+
+/**
+ * How often each sensitivity category is tagged, split by severity
+ * Percentages are of classified lines, so a line can count toward several categories.
+ */
+function sensitivityBreakdown(classifications) {
+    const classified = classifications.filter(sensitivity => sensitivity.status === 'ok');
+
+    const byCategory = new Map();
+    for (const tag of classifications.flatMap(sensitivity => sensitivity.tags || [])) {
+        const [category, severity] = tag.split(':');
+        if (!byCategory.has(category)) {
+            byCategory.set(category, { category, count: 0, severities: { low: 0, medium: 0, high: 0 } });
+        }
+        const row = byCategory.get(category);
+        row.count++;
+        row.severities[severity] = (row.severities[severity] || 0) + 1;
+    }
+
+    return {
+        classified: classified.length,
+        flagged: classified.filter(sensitivity => sensitivity.tags?.length > 0).length,
+        categories: [...byCategory.values()]
+            .map(row => ({ ...row, percentage: classified.length > 0 ? Math.round((row.count / classified.length) * 100) : 0 }))
+            .sort((a, b) => b.count - a.count)
+    };
+}
+
+/**
+ * Compute every insight over a workspace's analysis docs
+ * @param {Array} docs
+ * @returns {Object} - Same shape as analytics.js getAllInsights()
+ */
+export function computeInsights(docs) {
+    const analyzed = docs.filter(doc => doc.persona_count > 0);
+    const reviews = docs.map(doc => doc.reviewer).filter(Boolean);
+    const scoredReviews = reviews.filter(review => typeof reviewDivergence(review) === 'number');
+
+    // Like the ES|QL query, sum the per-line energy counts
+    const energies = ENERGIES
+        .map(energy => ({ energy, count: analyzed.reduce((sum, doc) => sum + (doc.crowd_energy_counts?.[energy] || 0), 0) }))
+        .filter(row => row.count > 0)
+        .sort((a, b) => b.count - a.count);
+
+    return {
+        summary: {
+            total_jokes: new Set(analyzed.map(doc => doc.set_id)).size,
+            avg_divergence: Math.round(average(scoredReviews.map(reviewDivergence)))
+        },
+        riskDistribution: withPercentages(countBy(reviews, review => review.risk_level)
+            .map(([risk_level, count]) => ({ risk_level, count }))),
+        energyDistribution: withPercentages(energies),
+        divergenceTrend: divergenceTrend(scoredReviews),
+        topConflicts: countBy(reviews, review => review.primary_conflict?.toLowerCase())
+            .slice(0, 5)
+            .map(([primary_conflict, count]) => ({ count, primary_conflict })),
+        successfulModes: countBy(analyzed.flatMap(doc => doc.high_laugh_modes || []), mode => mode)
+            .map(([agent_mode, high_laugh_count]) => ({ high_laugh_count, agent_mode })),
+        sensitivityBreakdown: sensitivityBreakdown(docs.map(doc => doc.sensitivity).filter(Boolean))
+    };
+}
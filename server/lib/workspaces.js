@@ -0,0 +1,305 @@
+/**
+ * Workspaces
+ * Shared pools of jokes for a writers' room. Every analysis and custom persona
+ * belongs to one workspace, and its members work on all of it according to
+ * their role:
+ *   viewer - read analyses, history, similar jokes and insights
+ *   editor - also run analyses and manage jokes and custom personas
+ *   owner  - also rename or delete the workspace and manage its members
+ * Every user has a personal workspace whose id is their user_id. It can't be
+ * shared or deleted.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { fetchStoredWorkspace, fetchUserWorkspaces, storeWorkspace, deleteStoredWorkspace } from './storage.js';
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Roles, weakest first
+ */
+export const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * Request header selecting the active workspace (defaults to the personal one)
+ */
+export const WORKSPACE_HEADER = 'X-Workspace-Id';
+
+/**
+ * Whether a role grants at least the required one
+ * @param {string|null} role
+ * @param {string} required
+ * @returns {boolean}
+ */
+export function hasRole(role, required) {
+    return WORKSPACE_ROLES.includes(role) && WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(required);
+}
+
+/**
+ * Validate a workspace name from a request body
+ * @param {*} name
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateWorkspaceName(name) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        return 'name is required and must be a non-empty string';
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+        return `name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Validate a role from a request body
+ * @param {*} role
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateRole(role) {
+    return WORKSPACE_ROLES.includes(role) ? null : `role must be one of: ${WORKSPACE_ROLES.join(', ')}`;
+}
+
+/**
+ * A user's role in a workspace, or null if they aren't a member
+ * @param {Object} workspace
+ * @param {string} user_id
+ * @returns {string|null}
+ */
+export function memberRole(workspace, user_id) {
+    return workspace.members.find(m => m.user_id === user_id)?.role || null;
+}
+
+/**
+ * A workspace as listed for one of its members
+ * @param {Object} workspace
+ * @param {string} user_id - The member looking at it
+ * @returns {Object} - { workspace_id, name, personal, role, member_count, created_at }
+ */
+export function toWorkspaceSummary(workspace, user_id) {
+    return {
+        workspace_id: workspace.workspace_id,
+        name: workspace.name,
+        personal: workspace.personal,
+        role: memberRole(workspace, user_id),
+        member_count: workspace.members.length,
+        created_at: workspace.created_at
+    };
+}
+
+/**
+ * Copy of a workspace with a new member list
+ */
+function withMembers(workspace, members) {
+    return {
+        ...workspace,
+        members,
+        member_ids: members.map(m => m.user_id),
+        updated_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Create a workspace doc with one owner
+ */
+function newWorkspace({ workspace_id, name, personal, user }) {
+    const now = new Date().toISOString();
+    return withMembers({
+        workspace_id,
+        name,
+        personal,
+        created_by: user.user_id,
+        created_at: now
+    }, [{ user_id: user.user_id, username: user.username, role: 'owner', added_at: now }]);
+}
+
+/**
+ * Create a user's personal workspace if it doesn't exist yet
+ * (accounts made before workspaces existed get theirs on first use)
+ * @param {Object} user - { user_id, username }
+ * @returns {Promise<Object>}
+ */
+async function ensurePersonalWorkspace(user) {
+    const existing = await fetchStoredWorkspace(user.user_id);
+    if (existing) return existing;
+
+    const workspace = newWorkspace({ workspace_id: user.user_id, name: 'Personal', personal: true, user });
+    await storeWorkspace(workspace);
+    return workspace;
+}
+
+/**
+ * Look up a workspace the user is a member of
+ * @param {string} workspace_id
+ * @param {Object} user - { user_id, username }
+ * @returns {Promise<Object|null>} - null if it doesn't exist or the user isn't a member
+ */
+export async function getWorkspace(workspace_id, user) {
+    const workspace = workspace_id === user.user_id
+        ? await ensurePersonalWorkspace(user)
+        : await fetchStoredWorkspace(workspace_id);
+
+    return workspace && memberRole(workspace, user.user_id) ? workspace : null;
+}
+
+/**
+ * Every workspace a user belongs to, personal one first
+ * @param {Object} user - { user_id, username }
+ * @returns {Promise<Array>}
+ */
+export async function listWorkspaces(user) {
+    const personal = await ensurePersonalWorkspace(user);
+    const shared = (await fetchUserWorkspaces(user.user_id)).filter(w => !w.personal);
+    return [personal, ...shared];
+}
+
+/**
+ * Create a team workspace owned by the user
+ * @param {string} name - Validated name
+ * @param {Object} user - { user_id, username }
+ * @returns {Promise<Object>}
+ */
+export async function createWorkspace(name, user) {
+    const workspace = newWorkspace({ workspace_id: uuidv4(), name: name.trim(), personal: false, user });
+    await storeWorkspace(workspace);
+    return workspace;
+}
+
+/**
+ * Rename a workspace
+ * @param {Object} workspace
+ * @param {string} name - Validated name
+ * @returns {Promise<Object>}
+ */
+export async function renameWorkspace(workspace, name) {
+    const renamed = { ...workspace, name: name.trim(), updated_at: new Date().toISOString() };
+    await storeWorkspace(renamed);
+    return renamed;
+}
+
+/**
+ * Membership changes that would leave a workspace unusable
+ * @returns {string|null} - Error message, or null if the change is fine
+ */
+function checkMembers(workspace, members) {
+    if (workspace.personal) {
+        return 'Personal workspaces cannot be shared; create a team workspace instead';
+    }
+    if (!members.some(m => m.role === 'owner')) {
+        return 'A workspace needs at least one owner';
+    }
+    return null;
+}
+
+/**
+ * Add a user to a workspace
+ * @param {Object} workspace
+ * @param {Object} member - { user_id, username } of an existing account
+ * @param {string} role - Validated role
+ * @returns {Promise<{workspace: Object|null, error: string|null}>}
+ */
+export async function addMember(workspace, member, role) {
+    const members = [
+        ...workspace.members,
+        { user_id: member.user_id, username: member.username, role, added_at: new Date().toISOString() }
+    ];
+    const error = checkMembers(workspace, members);
+    if (error) return { workspace: null, error };
+
+    const updated = withMembers(workspace, members);
+    await storeWorkspace(updated);
+    return { workspace: updated, error: null };
+}
+
+/**
+ * Change a member's role
+ * @param {Object} workspace
+ * @param {string} user_id - An existing member
+ * @param {string} role - Validated role
+ * @returns {Promise<{workspace: Object|null, error: string|null}>}
+ */
+export async function setMemberRole(workspace, user_id, role) {
+    const members = workspace.members.map(m => (m.user_id === user_id ? { ...m, role } : m));
+    const error = checkMembers(workspace, members);
+    if (error) return { workspace: null, error };
+
+    const updated = withMembers(workspace, members);
+    await storeWorkspace(updated);
+    return { workspace: updated, error: null };
+}
+
+/**
+ * Remove a member (or let a member leave)
+ * Their analyses stay in the workspace.
+ * @param {Object} workspace
+ * @param {string} user_id - An existing member
+ * @returns {Promise<{workspace: Object|null, error: string|null}>}
+ */
+export async function removeMember(workspace, user_id) {
+    const members = workspace.members.filter(m => m.user_id !== user_id);
+    const error = checkMembers(workspace, members);
+    if (error) return { workspace: null, error };
+
+    const updated = withMembers(workspace, members);
+    await storeWorkspace(updated);
+    return { workspace: updated, error: null };
+}
+
+/**
+ * Delete a team workspace with everything analyzed in it
+ * @param {Object} workspace
+ * @returns {Promise<{deleted: number}>}
+ */
+export async function deleteWorkspace(workspace) {
+    return await deleteStoredWorkspace(workspace.workspace_id);
+}
+
+/**
+ * Express middleware: resolve the workspace named by the X-Workspace-Id
+ * header (the caller's personal workspace without one) and set
+ * req.workspace = { workspace_id, name, personal, role }
+ * Must run after requireAuth.
+ */
+export async function activeWorkspace(req, res, next) {
+    const workspace_id = req.get(WORKSPACE_HEADER) || req.user.user_id;
+
+    try {
+        const workspace = await getWorkspace(workspace_id, req.user);
+        if (!workspace) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `You are not a member of workspace ${workspace_id}`
+            });
+        }
+
+        req.workspace = {
+            workspace_id: workspace.workspace_id,
+            name: workspace.name,
+            personal: workspace.personal,
+            role: memberRole(workspace, req.user.user_id)
+        };
+        next();
+    } catch (error) {
+        console.error('[Workspaces] Error resolving workspace:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Express middleware factory: reject callers whose role in the active
+ * workspace is weaker than `role`
+ * @param {string} role - 'viewer' | 'editor' | 'owner'
+ */
+export function requireRole(role) {
+    return (req, res, next) => {
+        if (!hasRole(req.workspace?.role, role)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `This needs the ${role} role in workspace "${req.workspace?.name}"`
+            });
+        }
+        next();
+    };
+}
@@ -0,0 +1,112 @@
+import 'dotenv/config';
+
+/**
+ * Bring analyses and custom personas stored before accounts and workspaces
+ * existed up to date:
+ *   - docs with a user_id but no workspace_id move into that user's
+ *     personal workspace (whose id is their user_id)
+ *   - with a username, docs without a user_id (stored before accounts) are
+ *     assigned to that user's personal workspace too
+ *
+ * Usage: node scripts/claim-legacy-data.js [username]
+ */
+
+const ES_URL = process.env.ES_URL;
+const ES_API_KEY = process.env.ES_API_KEY;
+const INDEX_NAME = 'how-it-lands';
+const PERSONA_INDEX_NAME = 'how-it-lands-personas';
+const USER_INDEX_NAME = 'how-it-lands-users';
+
+if (!ES_URL || !ES_API_KEY) {
+    console.error('Missing ES_URL or ES_API_KEY');
+    process.exit(1);
+}
+
+const username = process.argv[2]?.trim().toLowerCase() || null;
+
+async function es(method, path, body = null) {
+    const response = await fetch(`${ES_URL}${path}`, {
+        method,
+        headers: {
+            'Authorization': `ApiKey ${ES_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok && response.status !== 404) {
+        throw new Error(`${method} ${path} failed: ${response.status} ${JSON.stringify(data)}`);
+    }
+    return { status: response.status, data };
+}
+
+const unowned = { bool: { must_not: [{ exists: { field: 'user_id' } }] } };
+const ownedOutsideWorkspaces = {
+    bool: {
+        filter: [{ exists: { field: 'user_id' } }],
+        must_not: [{ exists: { field: 'workspace_id' } }]
+    }
+};
+
+/**
+ * Move a persona doc to `${workspace_id}:${persona_id}`, the id it is
+ * looked up by
+ */
+async function rekeyPersona(hit, fields) {
+    const persona = { ...hit._source, ...fields };
+    await es('PUT', `/${PERSONA_INDEX_NAME}/_doc/${encodeURIComponent(`${persona.workspace_id}:${persona.persona_id}`)}`, persona);
+    await es('DELETE', `/${PERSONA_INDEX_NAME}/_doc/${encodeURIComponent(hit._id)}`);
+}
+
+async function claimUnownedData() {
+    const { data: account } = await es('GET', `/${USER_INDEX_NAME}/_doc/${encodeURIComponent(username)}`);
+    if (!account?.found) {
+        console.error(`[Claim] No user named '${username}'. Register in the app first.`);
+        process.exit(1);
+    }
+    const { user_id } = account._source;
+
+    console.log(`[Claim] Assigning unowned analyses to ${username} (${user_id})...`);
+    const { data: analyses } = await es('POST', `/${INDEX_NAME}/_update_by_query?refresh=true&conflicts=proceed`, {
+        query: unowned,
+        script: {
+            source: 'ctx._source.user_id = params.user_id; ctx._source.workspace_id = params.user_id',
+            params: { user_id }
+        }
+    });
+    console.log(`[Claim] Updated ${analyses?.updated || 0} analysis docs`);
+
+    const { data: personas } = await es('POST', `/${PERSONA_INDEX_NAME}/_search`, { query: unowned, size: 1000 });
+    const hits = personas?.hits?.hits || [];
+    for (const hit of hits) {
+        await rekeyPersona(hit, { user_id, workspace_id: user_id });
+    }
+    console.log(`[Claim] Moved ${hits.length} custom personas`);
+}
+
+async function moveIntoPersonalWorkspaces() {
+    console.log('[Claim] Moving analyses into their authors\' personal workspaces...');
+    const { data: analyses } = await es('POST', `/${INDEX_NAME}/_update_by_query?refresh=true&conflicts=proceed`, {
+        query: ownedOutsideWorkspaces,
+        script: { source: 'ctx._source.workspace_id = ctx._source.user_id' }
+    });
+    console.log(`[Claim] Updated ${analyses?.updated || 0} analysis docs`);
+
+    const { data: personas } = await es('POST', `/${PERSONA_INDEX_NAME}/_search`, { query: ownedOutsideWorkspaces, size: 1000 });
+    const hits = personas?.hits?.hits || [];
+    for (const hit of hits) {
+        await rekeyPersona(hit, { workspace_id: hit._source.user_id });
+    }
+    console.log(`[Claim] Moved ${hits.length} custom personas`);
+}
+
+async function claimLegacyData() {
+    await moveIntoPersonalWorkspaces();
+    if (username) await claimUnownedData();
+}
+
+claimLegacyData().catch(error => {
+    console.error('[Claim] Failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,25 @@
+import 'dotenv/config';
+import { validateConfig, migrateIndex } from '../lib/stores/elasticsearch.js';
+
+/**
+ * Move the analysis index to the version this server needs (see
+ * lib/indexMigrations.js): reindex into a new versioned index through the
+ * per-version transforms, then swap the how-it-lands alias over to it.
+ * Stop the server first; the old index is read-only while it is copied.
+ *
+ * Usage: node scripts/migrate-index.js [--dry-run]
+ */
+
+const dryRun = process.argv.includes('--dry-run');
+
+try {
+    validateConfig();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+migrateIndex({ dryRun }).catch(error => {
+    console.error('[Migrate] Failed:', error.message);
+    process.exit(1);
+});
@@ -10,24 +10,36 @@ if (!ES_URL || !ES_API_KEY) {
     process.exit(1);
 }
 
+const headers = { 'Authorization': `ApiKey ${ES_API_KEY}` };
+
+/**
+ * Physical indices to delete: whatever the alias points at, or the plain
+ * index of installs from before the alias
+ */
+async function findIndices() {
+    const response = await fetch(`${ES_URL}/_alias/${INDEX_NAME}`, { headers });
+    if (response.ok) return Object.keys(await response.json());
+    return [INDEX_NAME];
+}
+
 async function resetIndex() {
-    console.log(`[Reset] Deleting index '${INDEX_NAME}'...`);
+    for (const index of await findIndices()) {
+        console.log(`[Reset] Deleting index '${index}'...`);
+
+        const response = await fetch(`${ES_URL}/${index}`, {
+            method: 'DELETE',
+            headers
+        });
 
-    // Delete index
-    const response = await fetch(`${ES_URL}/${INDEX_NAME}`, {
-        method: 'DELETE',
-        headers: {
-            'Authorization': `ApiKey ${ES_API_KEY}`
+        if (response.ok || response.status === 404) {
+            console.log(`[Reset] Index '${index}' deleted successfully (or didn't exist).`);
+        } else {
+            const text = await response.text();
+            console.error(`[Reset] Failed to delete index: ${response.status} ${text}`);
+            return;
         }
-    });
-
-    if (response.ok || response.status === 404) {
-        console.log(`[Reset] Index '${INDEX_NAME}' deleted successfully (or didn't exist).`);
-        console.log('[Reset] Restart the server to recreate it with correct mapping.');
-    } else {
-        const text = await response.text();
-        console.error(`[Reset] Failed to delete index: ${response.status} ${text}`);
     }
+    console.log('[Reset] Restart the server to recreate it with correct mapping.');
 }
 
 resetIndex();
@@ -3,22 +3,67 @@
  * Demo UI for joke analysis via ES Agent Builder
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, Fragment } from 'react';
 import Stage1Card from './components/Stage1Card';
 import Stage2List from './components/Stage2List';
 import HistoryList from './components/HistoryList';
 import ReviewerCard from './components/ReviewerCard';
+import SensitivityPanel from './components/SensitivityPanel';
 import SimilarJokes from './components/SimilarJokes';
 import InsightsPanel from './components/InsightsPanel';
+import SetSummary from './components/SetSummary';
+import PersonaPicker from './components/PersonaPicker';
+import AudiencePicker, { audienceLabel } from './components/AudiencePicker';
+import PunchUpPanel from './components/PunchUpPanel';
+import CompareView from './components/CompareView';
+import SignIn from './components/SignIn';
+import AccountPanel from './components/AccountPanel';
+import WorkspaceSwitcher from './components/WorkspaceSwitcher';
+import WorkspacePanel from './components/WorkspacePanel';
+import ImportPanel from './components/ImportPanel';
+import ExportMenu from './components/ExportMenu';
+import SetlistBuilder from './components/SetlistBuilder';
+import { startJob, followJob } from './jobStream';
+import { apiFetch, getAuthToken, setAuthToken, getActiveWorkspaceId, setActiveWorkspaceId, AUTH_EXPIRED_EVENT } from './api';
+
+// The analysis job to resume after a reload
+const ACTIVE_JOB_KEY = 'how-it-lands:active-job';
+
+/**
+ * Split pasted set text into bits (one bit per blank-line-separated paragraph)
+ */
+function splitSetText(text) {
+    return text
+        .split(/\n\s*\n/)
+        .map(bit => bit.trim())
+        .filter(Boolean);
+}
 
 export default function App() {
-    const [view, setView] = useState('new'); // 'new' | 'history' | 'insights'
+    const [user, setUser] = useState(null); // { user_id, username } once signed in
+    const [authChecked, setAuthChecked] = useState(false);
+    const [authNotice, setAuthNotice] = useState(null);
+    const [workspaces, setWorkspaces] = useState([]);
+    const [workspace, setWorkspace] = useState(null); // the active one: { workspace_id, name, personal, role }
+    const [view, setView] = useState('new'); // 'new' | 'history' | 'compare' | 'setlists' | 'insights' | 'import' | 'account' | 'workspace'
+    const [inputMode, setInputMode] = useState('line'); // 'line' | 'set'
     const [lineText, setLineText] = useState('');
+    const [selectedPersonaIds, setSelectedPersonaIds] = useState(null);
+    const [audience, setAudience] = useState(null); // null | preset id | { description }
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [results, setResults] = useState(null);
+    const [setData, setSetData] = useState(null);
+    const [activeLineId, setActiveLineId] = useState(null);
     const [selectedFeedbackId, setSelectedFeedbackId] = useState(null);
     const [notification, setNotification] = useState(null);
+    const [retryingIds, setRetryingIds] = useState([]);
+    const [cancelling, setCancelling] = useState(false);
+    const [compareSeed, setCompareSeed] = useState({ key: 0, versions: [] });
+
+    // The running analysis job, so it can be cancelled
+    const analysisRef = useRef({ jobId: null, controller: null });
+    const resumedRef = useRef(false);
 
     // Auto-hide notification after 3 seconds
     useEffect(() => {
@@ -28,125 +73,471 @@ export default function App() {
         }
     }, [notification]);
 
+    // Restore the session from the stored token, and drop back to sign-in when it expires
+    useEffect(() => {
+        const handleExpired = () => {
+            setUser(null);
+            setAuthNotice('Your session has expired, sign in again');
+        };
+        window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+
+        if (getAuthToken()) {
+            apiFetch('/api/auth/me')
+                .then(response => (response.ok ? response.json() : null))
+                .then(me => setUser(me))
+                .catch(err => console.error('Failed to restore session:', err))
+                .finally(() => setAuthChecked(true));
+        } else {
+            setAuthChecked(true);
+        }
+
+        return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    }, []);
+
+    // Load the user's workspaces and reopen the one they last worked in
+    useEffect(() => {
+        if (user) loadWorkspaces();
+    }, [user]);
+
+    // Reattach to an analysis that was still running when the page was reloaded
+    useEffect(() => {
+        if (!user || !workspace || resumedRef.current) return;
+        resumedRef.current = true;
+
+        const saved = localStorage.getItem(ACTIVE_JOB_KEY);
+        if (!saved) return;
+
+        apiFetch(`/api/jobs/${saved}`)
+            .then(response => (response.ok ? response.json() : null))
+            .then(job => {
+                if (!job) {
+                    localStorage.removeItem(ACTIVE_JOB_KEY);
+                    return;
+                }
+                showNotification(job.status === 'running' ? 'Resuming analysis...' : 'Restoring last analysis...');
+                runAnalysisJob(job.job_id);
+            })
+            .catch(err => console.error('Failed to resume analysis:', err));
+    }, [user, workspace]);
+
     const showNotification = (message, type = 'success') => {
         setNotification({ message, type });
     };
 
-    const handleGenerate = async () => {
-        if (!lineText.trim()) return;
+    /**
+     * Make a workspace the one every request works in
+     */
+    const activateWorkspace = (next) => {
+        setActiveWorkspaceId(next.personal ? null : next.workspace_id);
+        setWorkspace(next);
+    };
 
-        setLoading(true);
+    /**
+     * Refresh the workspace list, staying in `preferredId` if it's still there
+     * (falls back to the personal workspace)
+     */
+    const loadWorkspaces = async (preferredId = getActiveWorkspaceId()) => {
+        try {
+            const response = await apiFetch('/api/workspaces');
+            if (!response.ok) throw new Error('Failed to fetch workspaces');
+
+            const data = await response.json();
+            const list = data.workspaces || [];
+            setWorkspaces(list);
+            activateWorkspace(list.find(w => w.workspace_id === preferredId) || list[0]);
+        } catch (err) {
+            console.error('Failed to load workspaces:', err);
+            activateWorkspace({ workspace_id: user.user_id, name: 'Personal', personal: true, role: 'owner' });
+        }
+    };
+
+    const handleSwitchWorkspace = (workspaceId) => {
+        const next = workspaces.find(w => w.workspace_id === workspaceId);
+        if (!next) return;
+
+        // Results and the persona panel belong to the workspace being left
+        resetResults();
+        setSelectedPersonaIds(null);
+        if (view === 'workspace' || view === 'account') setView('new');
+        activateWorkspace(next);
+    };
+
+    const handleWorkspaceCreated = (created) => {
+        setWorkspaces(prev => [...prev, created]);
+        resetResults();
+        setSelectedPersonaIds(null);
+        activateWorkspace(created);
+        setView('workspace');
+    };
+
+    const handleWorkspaceUpdated = (updated) => {
+        setWorkspaces(prev => prev.map(w => (w.workspace_id === updated.workspace_id ? updated : w)));
+        setWorkspace(updated);
+    };
+
+    const handleWorkspaceLeft = () => {
+        resetResults();
+        setSelectedPersonaIds(null);
+        setView('new');
+        loadWorkspaces(null);
+    };
+
+    const resetResults = () => {
         setError(null);
         setResults(null);
+        setSetData(null);
+        setActiveLineId(null);
         setSelectedFeedbackId(null);
+        setCancelling(false);
+    };
+
+    /**
+     * Analyze the input
+     * @param {string} [cacheMode] - 'force' or 'merge' when the line was analyzed before (defaults to reusing it)
+     */
+    const handleGenerate = async (cacheMode) => {
+        if (!lineText.trim()) return;
+
+        const isSet = inputMode === 'set';
+        const payload = isSet
+            ? { lines: splitSetText(lineText) }
+            : { line_text: lineText.trim() };
+        if (selectedPersonaIds) {
+            payload.personas = selectedPersonaIds;
+        }
+        if (audience) {
+            payload.audience = audience;
+        }
+        if (cacheMode) {
+            payload.cache = cacheMode;
+        }
+
+        setLoading(true);
+        resetResults();
 
         try {
             showNotification('Connecting to comedy cortex...');
+            const job = await startJob('/api/analyze', payload);
+            await runAnalysisJob(job.job_id);
+        } catch (err) {
+            console.error('Analysis error:', err);
+            setError(err.message);
+            setLoading(false);
+        }
+    };
 
-            // Use fetch with streaming response to consume SSE
-            // Connect directly to Cloud Run to bypass Firebase Hosting buffering
-            const response = await fetch('https://how-it-lands-server-532022675227.us-central1.run.app/api/analyze', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ line_text: lineText.trim() })
-            });
-
-            if (!response.ok) {
-                const errData = await response.json().catch(() => ({}));
-                throw new Error(errData.message || 'Connection failed');
-            }
+    /**
+     * Analyze the edited text as the next revision of the joke on screen
+     */
+    const handleRevise = async () => {
+        if (!results?.joke_id || !lineText.trim()) return;
 
-            // Set up stream reader
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let buffer = '';
+        const payload = { line_text: lineText.trim(), parent_set_id: results.set_id };
+        if (selectedPersonaIds) {
+            payload.personas = selectedPersonaIds;
+        }
+        // Without an explicit room the revision plays to the parent's
+        if (audience) {
+            payload.audience = audience;
+        }
 
-            // Initial accumulator for results
-            let currentResults = {};
+        const jokeId = results.joke_id;
+        setLoading(true);
+        resetResults();
 
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
+        try {
+            showNotification('Analyzing new revision...');
+            const job = await startJob(`/api/jokes/${jokeId}/revisions`, payload);
+            await runAnalysisJob(job.job_id);
+        } catch (err) {
+            console.error('Revision error:', err);
+            setError(err.message);
+            setLoading(false);
+        }
+    };
 
-                const chunk = decoder.decode(value, { stream: true });
-                buffer += chunk;
+    /**
+     * Follow an analysis job's events into the results / set views
+     * Used for new analyses and to reattach after a reload (the job's
+     * event log is replayed from the start).
+     */
+    const runAnalysisJob = async (jobId) => {
+        const controller = new AbortController();
+        analysisRef.current = { jobId, controller };
+        localStorage.setItem(ACTIVE_JOB_KEY, jobId);
 
-                // Parse events from buffer
-                // SSE format: event: name\ndata: json\n\n
-                const lines = buffer.split('\n\n');
+        setLoading(true);
+        resetResults();
 
-                // Keep the last incomplete part in buffer
-                buffer = lines.pop();
+        // Initial accumulator for results
+        let currentResults = {};
+        let currentSet = null;
 
-                for (const group of lines) {
-                    const eventMatch = group.match(/event: (.*)\n/);
-                    const dataMatch = group.match(/data: (.*)/);
+        // Apply a partial update to one line of the set being streamed
+        const updateSetLine = (lineId, patch) => {
+            currentSet = {
+                ...currentSet,
+                lines: currentSet.lines.map(l => l.line_id === lineId ? { ...l, ...patch } : l)
+            };
+            setSetData(currentSet);
+        };
 
-                    if (eventMatch && dataMatch) {
-                        const eventType = eventMatch[1].trim();
-                        // Handle potential multiple data lines or simple JSON
-                        const rawData = dataMatch[1];
+        try {
+            const end = await followJob(jobId, (eventType, eventData) => {
+                // Set mode: per-line events update the set accumulator
+                if (currentSet && eventData.line_id) {
+                    switch (eventType) {
+                        case 'line_start':
+                            updateSetLine(eventData.line_id, { status: 'running' });
+                            setActiveLineId(eventData.line_id);
+                            setSelectedFeedbackId(null);
+                            return;
+                        case 'line_done':
+                            updateSetLine(eventData.line_id, { status: 'done' });
+                            return;
+                        case 'result_stage1':
+                            updateSetLine(eventData.line_id, {
+                                stage1: eventData.stage1,
+                                stage2: eventData.stage2
+                            });
+                            if (eventData.stage1?.length > 0) {
+                                setSelectedFeedbackId(prev => prev || eventData.stage1[0].feedback_id);
+                            }
+                            return;
+                        case 'result_stage3':
+                            updateSetLine(eventData.line_id, { stage3: eventData.stage3 });
+                            return;
+                        case 'result_sensitivity':
+                            updateSetLine(eventData.line_id, { sensitivity: eventData.sensitivity });
+                            return;
+                        case 'perspective_failed':
+                            showNotification(`${eventData.persona.name} didn't respond - you can retry it`, 'error');
+                            return;
+                        case 'error':
+                            // A failed reviewer shouldn't abort the rest of the set
+                            showNotification(eventData.message, 'error');
+                            return;
+                    }
+                }
 
-                        let eventData;
-                        try {
-                            eventData = JSON.parse(rawData);
-                        } catch (e) {
-                            console.warn('Failed to parse SSE data', rawData);
-                            continue;
+                switch (eventType) {
+                    case 'start':
+                        console.log('Analysis started:', eventData.set_id);
+                        if (eventData.mode === 'set') {
+                            currentSet = {
+                                set_id: eventData.set_id,
+                                set_title: eventData.set_title,
+                                audience: eventData.audience || null,
+                                lines: eventData.lines.map(l => ({
+                                    ...l,
+                                    stage1: [],
+                                    stage2: [],
+                                    stage3: null,
+                                    sensitivity: null,
+                                    status: 'pending'
+                                })),
+                                summary: null,
+                                connections: null
+                            };
+                            setSetData(currentSet);
+                            setInputMode('set');
+                            setLineText(eventData.lines.map(l => l.line_text).join('\n\n'));
+                            break;
                         }
-
-                        switch (eventType) {
-                            case 'start':
-                                console.log('Analysis started:', eventData.set_id);
-                                currentResults = { ...currentResults, set_id: eventData.set_id, line_text: lineText };
-                                setResults(currentResults);
-                                break;
-                            case 'progress':
-                                showNotification(eventData.message);
-                                break;
-                            case 'result_stage1':
-                                currentResults = {
-                                    ...currentResults,
-                                    stage1: eventData.stage1,
-                                    stage2: eventData.stage2
-                                };
-                                setResults(currentResults);
-                                if (eventData.stage1?.length > 0) {
-                                    setSelectedFeedbackId(eventData.stage1[0].feedback_id);
-                                }
-                                break;
-                            case 'result_stage3':
-                                currentResults = { ...currentResults, stage3: eventData.stage3 };
-                                setResults(currentResults);
-                                break;
-                            case 'ping':
-                                // Heartbeat, ignore
-                                break;
-                            case 'error':
-                                throw new Error(eventData.message);
-                            case 'done':
-                                showNotification('Analysis complete!');
-                                break;
+                        currentResults = {
+                            ...currentResults,
+                            set_id: eventData.set_id,
+                            line_id: eventData.line_id,
+                            line_text: eventData.line_text,
+                            joke_id: eventData.joke_id,
+                            revision: eventData.revision,
+                            audience: eventData.audience || null,
+                            cache: eventData.cache || null
+                        };
+                        setResults(currentResults);
+                        setInputMode('line');
+                        setLineText(eventData.line_text);
+                        break;
+                    case 'progress':
+                        showNotification(eventData.message);
+                        break;
+                    case 'set_summary':
+                        currentSet = { ...currentSet, summary: eventData.summary };
+                        setSetData(currentSet);
+                        break;
+                    case 'set_connections':
+                        currentSet = { ...currentSet, connections: eventData.connections };
+                        setSetData(currentSet);
+                        break;
+                    case 'result_stage1':
+                        currentResults = {
+                            ...currentResults,
+                            stage1: eventData.stage1,
+                            stage2: eventData.stage2
+                        };
+                        setResults(currentResults);
+                        if (eventData.stage1?.length > 0) {
+                            setSelectedFeedbackId(eventData.stage1[0].feedback_id);
                         }
-                    }
+                        break;
+                    case 'result_stage3':
+                        currentResults = { ...currentResults, stage3: eventData.stage3 };
+                        setResults(currentResults);
+                        break;
+                    case 'result_sensitivity':
+                        currentResults = { ...currentResults, sensitivity: eventData.sensitivity };
+                        setResults(currentResults);
+                        break;
+                    case 'perspective_failed':
+                        showNotification(`${eventData.persona.name} didn't respond - you can retry it`, 'error');
+                        break;
+                    case 'error':
+                        showNotification(eventData.message, 'error');
+                        break;
+                    case 'cancelled':
+                        if (currentSet) {
+                            currentSet = {
+                                ...currentSet,
+                                lines: currentSet.lines.map(l => l.status === 'done' ? l : { ...l, status: 'cancelled' })
+                            };
+                            setSetData(currentSet);
+                        }
+                        showNotification('Analysis cancelled');
+                        break;
+                    case 'ping':
+                        // Heartbeat, ignore
+                        break;
+                    case 'done':
+                        showNotification('Analysis complete!');
+                        break;
                 }
+            }, { signal: controller.signal });
+
+            if (end.status === 'failed') {
+                throw new Error(end.error || 'Analysis failed');
             }
         } catch (err) {
-            console.error('Analysis error:', err);
-            setError(err.message);
+            if (err.name === 'AbortError') {
+                showNotification('Stopped following the analysis');
+            } else {
+                console.error('Analysis error:', err);
+                setError(err.message);
+            }
         } finally {
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+            analysisRef.current = { jobId: null, controller: null };
+            setCancelling(false);
             setLoading(false);
         }
     };
 
+    /**
+     * Cancel the running analysis
+     * The job ends with a `cancelled` event; if the server can't be reached,
+     * stop following it locally.
+     */
+    const handleCancel = async () => {
+        const { jobId, controller } = analysisRef.current;
+        setCancelling(true);
+
+        if (jobId) {
+            try {
+                const response = await apiFetch(`/api/jobs/${jobId}`, { method: 'DELETE' });
+                if (response.ok) return;
+            } catch (err) {
+                console.error('Cancel error:', err);
+            }
+        }
+
+        controller?.abort();
+    };
+
+    /**
+     * Re-run a single persona (usually one that failed) for the line on screen
+     */
+    const handleRetryPersona = async (feedback) => {
+        const target = shownResults;
+        if (!target?.set_id) return;
+
+        const lineId = target.line_id || 'l1';
+        const persona_id = feedback.agent_mode;
+
+        // Apply a partial update to whichever view holds the line
+        const updateLine = (patch) => {
+            if (setData) {
+                setSetData(prev => prev && {
+                    ...prev,
+                    lines: prev.lines.map(l => l.line_id === lineId ? { ...l, ...patch } : l)
+                });
+            } else {
+                setResults(prev => prev && { ...prev, ...patch });
+            }
+        };
+
+        setRetryingIds(prev => [...prev, feedback.feedback_id]);
+
+        try {
+            // Inline personas aren't in the registry, so send their definition along
+            const body = { line_id: lineId };
+            if (feedback.persona_definition) body.persona = feedback.persona_definition;
+
+            const job = await startJob(
+                `/api/analyze/${target.set_id}/personas/${encodeURIComponent(persona_id)}/retry`,
+                body
+            );
+
+            const end = await followJob(job.job_id, (eventType, eventData) => {
+                switch (eventType) {
+                    case 'result_stage1':
+                        updateLine({ stage1: eventData.stage1, stage2: eventData.stage2 });
+                        break;
+                    case 'result_stage3':
+                        updateLine({ stage3: eventData.stage3 });
+                        break;
+                    case 'perspective_failed':
+                        showNotification(`${eventData.persona.name} still didn't respond: ${eventData.reason}`, 'error');
+                        break;
+                    case 'error':
+                        showNotification(eventData.message, 'error');
+                        break;
+                    case 'done':
+                        showNotification('Perspective updated');
+                        break;
+                }
+            });
+
+            if (end.status === 'failed') {
+                throw new Error(end.error || 'Retry failed');
+            }
+        } catch (err) {
+            console.error('Retry error:', err);
+            showNotification(err.message, 'error');
+        } finally {
+            setRetryingIds(prev => prev.filter(id => id !== feedback.feedback_id));
+        }
+    };
+
     const handleCardClick = (feedbackId) => {
         setSelectedFeedbackId(
             selectedFeedbackId === feedbackId ? null : feedbackId
         );
     };
 
+    const handleSelectLine = (lineId) => {
+        setActiveLineId(lineId);
+        const line = setData?.lines.find(l => l.line_id === lineId);
+        setSelectedFeedbackId(line?.stage1?.[0]?.feedback_id || null);
+    };
+
+    const handleConnectionsChange = (setId, connections) => {
+        setSetData(prev => (prev?.set_id === setId ? { ...prev, connections } : prev));
+    };
+
     const handleSelectFromHistory = (data) => {
         setResults(data);
+        setSetData(null);
+        setActiveLineId(null);
+        setInputMode('line');
         setLineText(data.line_text || '');
         setView('new');
 
@@ -158,14 +549,101 @@ export default function App() {
         showNotification('Joke loaded from history');
     };
 
+    const handleOpenVariant = async (variant) => {
+        try {
+            const response = await apiFetch(`/api/results?set_id=${variant.set_id}`);
+            if (!response.ok) {
+                throw new Error('Failed to load variant');
+            }
+
+            const data = await response.json();
+            handleSelectFromHistory({
+                set_id: variant.set_id,
+                line_id: 'l1',
+                line_text: variant.line_text,
+                stage1: data.stage1 || [],
+                stage2: data.stage2 || [],
+                stage3: data.stage3 || null,
+                sensitivity: data.sensitivity || null
+            });
+            showNotification('Variant loaded');
+        } catch (err) {
+            showNotification(err.message, 'error');
+        }
+    };
+
+    /**
+     * Open the comparison view with the line on screen as version A
+     */
+    const handleCompareLine = (line) => {
+        setCompareSeed(prev => ({
+            key: prev.key + 1,
+            versions: line ? [{ set_id: line.set_id, line_id: line.line_id || 'l1', line_text: line.line_text }] : []
+        }));
+        setView('compare');
+    };
+
+    const handleSelectSetFromHistory = (set, lineId) => {
+        const activeId = lineId || set.lines[0]?.line_id || null;
+        const activeLine = set.lines.find(l => l.line_id === activeId);
+
+        setSetData(set);
+        setResults(null);
+        setActiveLineId(activeId);
+        setSelectedFeedbackId(activeLine?.stage1?.[0]?.feedback_id || null);
+        setInputMode('set');
+        setLineText(set.lines.map(l => l.line_text).join('\n\n'));
+        setView('new');
+
+        showNotification('Set loaded from history');
+    };
+
     const handleNewJoke = () => {
         setLineText('');
         setResults(null);
+        setSetData(null);
+        setActiveLineId(null);
         setError(null);
         setSelectedFeedbackId(null);
         setView('new');
     };
 
+    const handleSignOut = async () => {
+        analysisRef.current.controller?.abort();
+        try {
+            await apiFetch('/api/auth/logout', { method: 'POST' });
+        } catch (err) {
+            console.error('Sign-out error:', err);
+        }
+
+        setAuthToken(null);
+        setActiveWorkspaceId(null);
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+        resumedRef.current = false;
+        handleNewJoke();
+        setSelectedPersonaIds(null);
+        setWorkspaces([]);
+        setWorkspace(null);
+        setUser(null);
+    };
+
+    if (!user) {
+        return authChecked ? <SignIn notice={authNotice} onSignedIn={setUser} /> : null;
+    }
+    if (!workspace) return null;
+
+    // In set mode the detailed results show the active line of the set
+    const activeLine = setData?.lines.find(l => l.line_id === activeLineId);
+    const shownResults = setData
+        ? (activeLine ? { set_id: setData.set_id, audience: setData.audience, ...activeLine } : null)
+        : results;
+    const failedCount = shownResults?.stage1?.filter(f => f.status === 'failed').length || 0;
+    const audienceReady = typeof audience !== 'object' || audience === null || audience.description.trim().length > 0;
+    const shownAudience = audienceLabel(shownResults);
+    const canEdit = workspace.role !== 'viewer';
+    const canRevise = canEdit && inputMode === 'line' && !setData && results?.joke_id &&
+        lineText.trim() && lineText.trim() !== results.line_text;
+
     return (
         <div className="app">
             {/* Butter Bar Notification */}
@@ -191,12 +669,57 @@ export default function App() {
                         >
                             History
                         </button>
+                        <button
+                            className={`toggle-btn ${view === 'compare' ? 'active' : ''}`}
+                            onClick={() => setView('compare')}
+                        >
+                            Compare
+                        </button>
+                        <button
+                            className={`toggle-btn ${view === 'setlists' ? 'active' : ''}`}
+                            onClick={() => setView('setlists')}
+                        >
+                            Setlists
+                        </button>
                         <button
                             className={`toggle-btn ${view === 'insights' ? 'active' : ''}`}
                             onClick={() => setView('insights')}
                         >
                             Insights
                         </button>
+                        <button
+                            className={`toggle-btn ${view === 'import' ? 'active' : ''}`}
+                            onClick={() => setView('import')}
+                        >
+                            Import
+                        </button>
+                    </div>
+                    <div className="user-menu">
+                        <WorkspaceSwitcher
+                            workspaces={workspaces}
+                            activeId={workspace.workspace_id}
+                            onSwitch={handleSwitchWorkspace}
+                            onCreated={handleWorkspaceCreated}
+                            onNotification={showNotification}
+                            disabled={loading}
+                        />
+                        <button
+                            className={`toggle-btn ${view === 'workspace' ? 'active' : ''}`}
+                            onClick={() => setView('workspace')}
+                            title="Workspace members"
+                        >
+                            {workspace.personal ? '🔒' : '👥'}
+                        </button>
+                        <button
+                            className={`toggle-btn ${view === 'account' ? 'active' : ''}`}
+                            onClick={() => setView('account')}
+                            title="Account and API tokens"
+                        >
+                            👤 {user.username}
+                        </button>
+                        <button className="toggle-btn" onClick={handleSignOut}>
+                            Sign Out
+                        </button>
                     </div>
                 </div>
                 <p className="app-subtitle">
@@ -204,115 +727,323 @@ export default function App() {
                 </p>
             </header>
 
-            {/* New Joke View */}
-            {view === 'new' && (
-                <>
-                    <section className="input-section">
-                        <label className="input-label" htmlFor="line-input">
-                            Enter a joke or bit
-                        </label>
-                        <textarea
-                            id="line-input"
-                            className="input-textarea"
-                            placeholder="e.g., I told my wife she was drawing her eyebrows too high. She looked surprised."
-                            value={lineText}
-                            onChange={(e) => setLineText(e.target.value)}
-                            disabled={loading}
-                        />
-                        <button
-                            className="generate-btn"
-                            onClick={handleGenerate}
-                            disabled={loading || !lineText.trim()}
-                        >
-                            {loading ? 'Analyzing...' : 'Generate Feedback'}
-                        </button>
-                    </section>
+            {/* Everything below is loaded from the active workspace */}
+            <Fragment key={workspace.workspace_id}>
+                {/* New Joke View */}
+                {view === 'new' && (
+                    <>
+                        <section className="input-section">
+                            <div className="input-mode-toggle view-toggle">
+                                <button
+                                    className={`toggle-btn ${inputMode === 'line' ? 'active' : ''}`}
+                                    onClick={() => setInputMode('line')}
+                                    disabled={loading}
+                                >
+                                    Single Line
+                                </button>
+                                <button
+                                    className={`toggle-btn ${inputMode === 'set' ? 'active' : ''}`}
+                                    onClick={() => setInputMode('set')}
+                                    disabled={loading}
+                                >
+                                    Full Set
+                                </button>
+                            </div>
+                            <label className="input-label" htmlFor="line-input">
+                                {inputMode === 'set'
+                                    ? 'Paste your set, in running order (blank line between bits)'
+                                    : 'Enter a joke or bit'}
+                            </label>
+                            <textarea
+                                id="line-input"
+                                className={`input-textarea ${inputMode === 'set' ? 'set-mode' : ''}`}
+                                placeholder={inputMode === 'set'
+                                    ? 'First bit...\n\nSecond bit...\n\nCloser...'
+                                    : 'e.g., I told my wife she was drawing her eyebrows too high. She looked surprised.'}
+                                value={lineText}
+                                onChange={(e) => setLineText(e.target.value)}
+                                disabled={loading}
+                            />
+                            <PersonaPicker
+                                selectedIds={selectedPersonaIds}
+                                onChange={setSelectedPersonaIds}
+                                onNotification={showNotification}
+                                disabled={loading}
+                            />
+                            <AudiencePicker
+                                value={audience}
+                                onChange={setAudience}
+                                disabled={loading}
+                            />
+                            <button
+                                className="generate-btn"
+                                onClick={() => handleGenerate()}
+                                disabled={loading || !canEdit || !lineText.trim() || selectedPersonaIds?.length === 0 || !audienceReady}
+                            >
+                                {loading
+                                    ? 'Analyzing...'
+                                    : inputMode === 'set'
+                                        ? `Analyze Set (${splitSetText(lineText).length} bits)`
+                                        : 'Generate Feedback'}
+                            </button>
+                            {canRevise && (
+                                <button
+                                    className="revise-btn"
+                                    onClick={handleRevise}
+                                    disabled={loading || selectedPersonaIds?.length === 0 || !audienceReady}
+                                    title="Keep this draft with the earlier ones so you can track how it changed"
+                                >
+                                    Save as Revision of v{results.revision || 1}
+                                </button>
+                            )}
+                            {!canEdit && (
+                                <p className="workspace-readonly">
+                                    You're a viewer in {workspace.name}. Ask an owner for the editor role to analyze jokes here.
+                                </p>
+                            )}
+                        </section>
+
+                        {loading && (
+                            <div className="loading-container">
+                                <div className="spinner"></div>
+                                <p>Analyzing your joke...</p>
+                                <p className="loading-subtext">Consulting the council of comedy...</p>
+                                <button
+                                    className="cancel-btn"
+                                    onClick={handleCancel}
+                                    disabled={cancelling}
+                                >
+                                    {cancelling ? 'Cancelling...' : 'Cancel'}
+                                </button>
+                            </div>
+                        )}
 
-                    {loading && (
-                        <div className="loading-container">
-                            <div className="spinner"></div>
-                            <p>Analyzing your joke...</p>
-                            <p className="loading-subtext">Consulting the council of comedy...</p>
-                        </div>
-                    )}
-
-                    {error && (
-                        <div className="error">
-                            <div className="error-title">Analysis Failed</div>
-                            <div>{error}</div>
-                        </div>
-                    )}
-
-                    {results && (
-                        <div className="results-section">
-                            {/* Stage 1: Audience Reactions */}
-                            <section className="stage-section">
-                                <div className="stage-header">
-                                    <span className="stage-badge">1</span>
-                                    <h2 className="stage-title">The Room (Audience Reactions)</h2>
-                                    <span className="stage-subtitle">
-                                        {results.stage1?.length || 0} perspectives
-                                    </span>
+                        {error && (
+                            <div className="error">
+                                <div className="error-title">Analysis Failed</div>
+                                <div>{error}</div>
+                            </div>
+                        )}
+
+                        {/* The line was analyzed before and the stored analysis was reused */}
+                        {!loading && !setData && results?.cache?.status === 'hit' && results.cache.mode === 'reuse' && (
+                            <div className="cache-banner">
+                                <span>
+                                    ♻️ Reused the analysis from {new Date(results.cache.created_at).toLocaleString()}
+                                    {results.cache.run_count > 1 && ` (run ${results.cache.run_count} times)`}
+                                </span>
+                                <div className="cache-actions">
+                                    <button className="cache-btn" onClick={() => handleGenerate('force')}>
+                                        Run Fresh
+                                    </button>
+                                    <button
+                                        className="cache-btn"
+                                        onClick={() => handleGenerate('merge')}
+                                        title="Run the panel again and add the new reactions to this analysis"
+                                    >
+                                        Re-run &amp; Merge
+                                    </button>
                                 </div>
+                            </div>
+                        )}
 
-                                {results.stage1?.length > 0 ? (
-                                    <div className="stage1-grid">
-                                        {results.stage1.map((feedback, idx) => (
-                                            <Stage1Card
-                                                key={feedback.feedback_id || idx}
-                                                feedback={feedback}
-                                                isSelected={selectedFeedbackId === feedback.feedback_id}
-                                                onClick={() => handleCardClick(feedback.feedback_id)}
-                                                angles={results.stage2?.filter(
-                                                    a => a.parent_feedback_id === feedback.feedback_id
-                                                )}
-                                            />
-                                        ))}
-                                    </div>
-                                ) : (
-                                    <div className="empty-state">
-                                        <div className="empty-icon">📭</div>
-                                        <p>No feedback generated</p>
+                        {setData && (
+                            <section className="stage-section set-section">
+                                <SetSummary
+                                    set={setData}
+                                    activeLineId={activeLineId}
+                                    onSelectLine={handleSelectLine}
+                                    canEdit={canEdit && !loading}
+                                    onConnectionsChange={handleConnectionsChange}
+                                    onNotification={showNotification}
+                                />
+                            </section>
+                        )}
+
+                        {shownResults && (
+                            <div className="results-section">
+                                {setData && (
+                                    <div className="set-active-line">
+                                        <span className="set-active-number">#{shownResults.line_index + 1}</span>
+                                        {shownResults.line_text}
                                     </div>
                                 )}
-                            </section>
 
-                            {/* Stage 2: Critical Analysis (formerly Reviewer) */}
-                            {results.stage3 && (
-                                <section className="stage-section reviewer-section">
-                                    <ReviewerCard stage3={results.stage3} />
-                                </section>
-                            )}
+                                {/* Stage 1: Audience Reactions */}
+                                <section className="stage-section">
+                                    <div className="stage-header">
+                                        <span className="stage-badge">1</span>
+                                        <h2 className="stage-title">The Room (Audience Reactions)</h2>
+                                        <span className="stage-subtitle">
+                                            {shownResults.stage1?.length || 0} perspectives
+                                            {failedCount > 0 && ` (${failedCount} failed)`}
+                                        </span>
+                                        {shownAudience && (
+                                            <span className="set-badge audience-badge">🏟️ {shownAudience}</span>
+                                        )}
+                                        {!setData && shownResults.revision > 1 && (
+                                            <span className="set-badge revision-badge">✏️ Revision {shownResults.revision}</span>
+                                        )}
+                                        {shownResults.set_id && !loading && (
+                                            <button
+                                                className="compare-open-btn"
+                                                onClick={() => handleCompareLine(shownResults)}
+                                            >
+                                                Compare versions
+                                            </button>
+                                        )}
+                                        {shownResults.set_id && !loading && (
+                                            <ExportMenu setId={shownResults.set_id} onNotification={showNotification} />
+                                        )}
+                                    </div>
 
-                            {/* Stage 3: The Archive (Similar Jokes) */}
-                            {results.line_text && (
-                                <section className="stage-section similar-section">
-                                    <SimilarJokes
-                                        lineText={results.line_text || lineText}
-                                        setId={results.set_id}
-                                    />
+                                    {shownResults.stage1?.length > 0 ? (
+                                        <div className="stage1-grid">
+                                            {shownResults.stage1.map((feedback, idx) => (
+                                                <Stage1Card
+                                                    key={feedback.feedback_id || idx}
+                                                    feedback={feedback}
+                                                    isSelected={selectedFeedbackId === feedback.feedback_id}
+                                                    onClick={() => handleCardClick(feedback.feedback_id)}
+                                                    onRetry={() => handleRetryPersona(feedback)}
+                                                    isRetrying={retryingIds.includes(feedback.feedback_id)}
+                                                    retryDisabled={loading}
+                                                    angles={shownResults.stage2?.filter(
+                                                        a => a.parent_feedback_id === feedback.feedback_id
+                                                    )}
+                                                />
+                                            ))}
+                                        </div>
+                                    ) : (
+                                        <div className="empty-state">
+                                            <div className="empty-icon">📭</div>
+                                            <p>No feedback generated</p>
+                                        </div>
+                                    )}
                                 </section>
-                            )}
-                        </div>
-                    )}
-                </>
-            )}
 
-            {view === 'history' && (
-                <section className="history-section">
-                    <HistoryList
-                        onSelectJoke={handleSelectFromHistory}
+                                {/* Stage 2: Critical Analysis (formerly Reviewer) and sensitive topics */}
+                                {(shownResults.stage3 || shownResults.sensitivity) && (
+                                    <section className="stage-section reviewer-section">
+                                        <div className={shownResults.stage3 && shownResults.sensitivity ? 'reviewer-row' : ''}>
+                                            <ReviewerCard stage3={shownResults.stage3} />
+                                            <SensitivityPanel sensitivity={shownResults.sensitivity} />
+                                        </div>
+                                    </section>
+                                )}
+
+                                {/* Punch-Up: rewrites re-tested with the same panel */}
+                                {shownResults.set_id && shownResults.stage1?.length > 0 && (
+                                    <section className="stage-section punchup-stage">
+                                        <PunchUpPanel
+                                            key={`${shownResults.set_id}-${shownResults.line_id || 'l1'}`}
+                                            setId={shownResults.set_id}
+                                            lineId={shownResults.line_id || 'l1'}
+                                            disabled={loading}
+                                            onOpenVariant={handleOpenVariant}
+                                            onNotification={showNotification}
+                                        />
+                                    </section>
+                                )}
+
+                                {/* Stage 3: The Archive (Similar Jokes) */}
+                                {shownResults.line_text && (
+                                    <section className="stage-section similar-section">
+                                        <SimilarJokes
+                                            key={`${shownResults.set_id}-${shownResults.line_id || ''}`}
+                                            lineText={shownResults.line_text || lineText}
+                                            setId={shownResults.set_id}
+                                            audienceContext={shownResults.stage1?.find(f => f.audience_context)?.audience_context
+                                                || shownResults.audience?.audience_context}
+                                        />
+                                    </section>
+                                )}
+                            </div>
+                        )}
+                    </>
+                )}
+
+                {view === 'history' && (
+                    <section className="history-section">
+                        <HistoryList
+                            onSelectJoke={handleSelectFromHistory}
+                            onSelectSet={handleSelectSetFromHistory}
+                            onNotification={showNotification}
+                        />
+                    </section>
+                )}
+
+                {/* Compare View */}
+                {view === 'compare' && (
+                    <CompareView
+                        key={compareSeed.key}
+                        seed={compareSeed.versions}
+                        selectedPersonaIds={selectedPersonaIds}
+                        onPersonasChange={setSelectedPersonaIds}
+                        audience={audience}
+                        onAudienceChange={setAudience}
                         onNotification={showNotification}
                     />
-                </section>
-            )}
+                )}
 
-            {/* Insights View */}
-            {view === 'insights' && (
-                <section className="insights-section">
-                    <InsightsPanel />
-                </section>
-            )}
+                {/* Setlists View */}
+                {view === 'setlists' && (
+                    <section className="account-view">
+                        <SetlistBuilder canEdit={canEdit} onNotification={showNotification} />
+                        {!canEdit && (
+                            <p className="workspace-readonly">
+                                You're a viewer in {workspace.name}. Ask an owner for the editor role to build setlists here.
+                            </p>
+                        )}
+                    </section>
+                )}
+
+                {/* Insights View */}
+                {view === 'insights' && (
+                    <section className="insights-section">
+                        <InsightsPanel />
+                    </section>
+                )}
+
+                {/* Import View */}
+                {view === 'import' && (
+                    <section className="account-view">
+                        <ImportPanel
+                            selectedPersonaIds={selectedPersonaIds}
+                            onPersonasChange={setSelectedPersonaIds}
+                            audience={audience}
+                            onAudienceChange={setAudience}
+                            canEdit={canEdit}
+                            onNotification={showNotification}
+                        />
+                        {!canEdit && (
+                            <p className="workspace-readonly">
+                                You're a viewer in {workspace.name}. Ask an owner for the editor role to import jokes here.
+                            </p>
+                        )}
+                    </section>
+                )}
+
+                {/* Account View */}
+                {view === 'account' && (
+                    <section className="account-view">
+                        <AccountPanel user={user} onNotification={showNotification} />
+                    </section>
+                )}
+
+                {/* Workspace View */}
+                {view === 'workspace' && (
+                    <section className="account-view">
+                        <WorkspacePanel
+                            workspace={workspace}
+                            user={user}
+                            onUpdated={handleWorkspaceUpdated}
+                            onLeft={handleWorkspaceLeft}
+                            onNotification={showNotification}
+                        />
+                    </section>
+                )}
+            </Fragment>
         </div>
     );
 }
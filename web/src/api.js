@@ -0,0 +1,79 @@
+/**
+ * API client
+ * Every /api call carries the signed-in user's token as a bearer token
+ * (Firebase Hosting drops cookies on the way to Cloud Run), plus the active
+ * workspace as X-Workspace-Id so every read and write lands in the workspace
+ * picked in the header.
+ *
+ * Calls go to VITE_API_BASE, or to the same origin (the Vite proxy in dev,
+ * the Firebase rewrite in production) when it isn't set. Every call, job
+ * streams included, uses the same base: a job lives in the server process
+ * that started it.
+ */
+
+const API_BASE = import.meta.env.VITE_API_BASE || '';
+
+const AUTH_TOKEN_KEY = 'how-it-lands:auth-token';
+const WORKSPACE_KEY = 'how-it-lands:active-workspace';
+
+// Dispatched on window when the server rejects the stored token
+export const AUTH_EXPIRED_EVENT = 'how-it-lands:auth-expired';
+
+/**
+ * The stored session token, or null when signed out
+ */
+export function getAuthToken() {
+    return localStorage.getItem(AUTH_TOKEN_KEY);
+}
+
+/**
+ * Store the session token (null signs out locally)
+ */
+export function setAuthToken(token) {
+    if (token) {
+        localStorage.setItem(AUTH_TOKEN_KEY, token);
+    } else {
+        localStorage.removeItem(AUTH_TOKEN_KEY);
+    }
+}
+
+/**
+ * The id of the workspace picked in the header, or null for the personal one
+ */
+export function getActiveWorkspaceId() {
+    return localStorage.getItem(WORKSPACE_KEY);
+}
+
+/**
+ * Remember the active workspace (null goes back to the personal one)
+ */
+export function setActiveWorkspaceId(workspaceId) {
+    if (workspaceId) {
+        localStorage.setItem(WORKSPACE_KEY, workspaceId);
+    } else {
+        localStorage.removeItem(WORKSPACE_KEY);
+    }
+}
+
+/**
+ * fetch() of an /api path at API_BASE, with the Authorization and
+ * X-Workspace-Id headers set
+ * A 401 for a request that sent a token means the session is over: the token
+ * is dropped and AUTH_EXPIRED_EVENT lets the app return to sign-in.
+ */
+export async function apiFetch(url, options = {}) {
+    const token = getAuthToken();
+    const headers = new Headers(options.headers);
+    const workspaceId = getActiveWorkspaceId();
+    if (token) headers.set('Authorization', `Bearer ${token}`);
+    if (workspaceId && !headers.has('X-Workspace-Id')) headers.set('X-Workspace-Id', workspaceId);
+
+    const response = await fetch(`${API_BASE}${url}`, { ...options, headers });
+
+    if (response.status === 401 && token) {
+        setAuthToken(null);
+        window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+    }
+
+    return response;
+}
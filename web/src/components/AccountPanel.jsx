@@ -0,0 +1,137 @@
+/**
+ * AccountPanel Component
+ * The signed-in user's API tokens for scripts: create one (shown once) and
+ * revoke the ones no longer needed.
+ */
+
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+export default function AccountPanel({ user, onNotification }) {
+    const [tokens, setTokens] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [name, setName] = useState('');
+    const [creating, setCreating] = useState(false);
+    const [newToken, setNewToken] = useState(null);
+
+    useEffect(() => {
+        fetchTokens();
+    }, []);
+
+    const fetchTokens = async () => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            const response = await apiFetch('/api/auth/tokens');
+            if (!response.ok) throw new Error('Failed to fetch API tokens');
+
+            const data = await response.json();
+            setTokens(data.tokens || []);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setCreating(true);
+
+        try {
+            const response = await apiFetch('/api/auth/tokens', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: name.trim() })
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Failed to create token');
+
+            const { token, ...stored } = data;
+            setTokens(prev => [stored, ...prev]);
+            setNewToken(token);
+            setName('');
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const handleRevoke = async (token) => {
+        try {
+            const response = await apiFetch(`/api/auth/tokens/${token.token_id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Failed to revoke token');
+
+            setTokens(prev => prev.filter(t => t.token_id !== token.token_id));
+            onNotification?.(`Revoked "${token.name}"`);
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        }
+    };
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'never');
+
+    return (
+        <div className="account-panel">
+            <h2 className="account-title">Signed in as {user.username}</h2>
+
+            <div className="account-section">
+                <h3>API tokens</h3>
+                <p className="account-hint">
+                    Send a token as <code>Authorization: Bearer &lt;token&gt;</code> to call the API from scripts.
+                    It sees the same jokes as this account.
+                </p>
+
+                <form className="persona-form" onSubmit={handleCreate}>
+                    <input
+                        placeholder="Token name (e.g. Set list importer)"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                    />
+                    <button type="submit" disabled={creating || !name.trim()}>
+                        {creating ? 'Creating...' : 'Create Token'}
+                    </button>
+                </form>
+
+                {newToken && (
+                    <div className="account-new-token">
+                        <div>Copy this token now, it won't be shown again:</div>
+                        <code>{newToken}</code>
+                    </div>
+                )}
+
+                {loading ? (
+                    <div className="history-loading">Loading tokens...</div>
+                ) : error ? (
+                    <div className="history-error">{error}</div>
+                ) : tokens.length === 0 ? (
+                    <div className="history-empty">No API tokens yet</div>
+                ) : (
+                    <ul className="account-token-list">
+                        {tokens.map(token => (
+                            <li key={token.token_id} className="account-token">
+                                <div>
+                                    <div className="account-token-name">{token.name}</div>
+                                    <div className="history-date">
+                                        Created {formatDate(token.created_at)} · Last used {formatDate(token.last_used_at)}
+                                    </div>
+                                </div>
+                                <button
+                                    className="delete-btn"
+                                    onClick={() => handleRevoke(token)}
+                                    title="Revoke token"
+                                >
+                                    🗑️
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+}
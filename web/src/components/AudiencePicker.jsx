@@ -0,0 +1,84 @@
+/**
+ * AudiencePicker Component
+ * Lets the user choose the room a run plays to: a named preset
+ * (corporate, college, ...) or a free-text venue description.
+ * The value is null (generic comedy club), a preset id, or { description }.
+ */
+
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+export default function AudiencePicker({ value, onChange, disabled }) {
+    const [presets, setPresets] = useState([]);
+
+    useEffect(() => {
+        apiFetch('/api/audiences')
+            .then(response => (response.ok ? response.json() : { audiences: [] }))
+            .then(data => setPresets(data.audiences || []))
+            .catch(err => console.error('Error fetching audiences:', err));
+    }, []);
+
+    const isCustom = value !== null && typeof value === 'object';
+    const selected = presets.find(p => p.audience_context === value);
+
+    return (
+        <div className="persona-picker audience-picker">
+            <div className="persona-picker-label">Room</div>
+            <div className="persona-chips">
+                <button
+                    className={`persona-chip ${value === null ? 'selected' : ''}`}
+                    onClick={() => onChange(null)}
+                    title="A generic comedy club crowd"
+                    disabled={disabled}
+                >
+                    Comedy Club
+                </button>
+                {presets.map(preset => (
+                    <button
+                        key={preset.audience_context}
+                        className={`persona-chip ${value === preset.audience_context ? 'selected' : ''}`}
+                        onClick={() => onChange(preset.audience_context)}
+                        title={preset.description}
+                        disabled={disabled}
+                    >
+                        {preset.name}
+                    </button>
+                ))}
+                <button
+                    className={`persona-chip add ${isCustom ? 'selected' : ''}`}
+                    onClick={() => onChange(isCustom ? value : { description: '' })}
+                    disabled={disabled}
+                >
+                    + Custom Venue
+                </button>
+            </div>
+
+            {selected && <p className="audience-description">{selected.description}</p>}
+
+            {isCustom && (
+                <input
+                    className="audience-custom-input"
+                    placeholder="Describe the room (e.g. a retirement home bingo night)"
+                    value={value.description}
+                    onChange={(e) => onChange({ description: e.target.value })}
+                    maxLength={500}
+                    disabled={disabled}
+                />
+            )}
+        </div>
+    );
+}
+
+/**
+ * Display name of the room an analysis played to
+ * @param {Object} analysis - { audience?, stage1? } as held by the results view
+ * @returns {string|null}
+ */
+export function audienceLabel(analysis) {
+    if (analysis?.audience?.name) return analysis.audience.name;
+
+    const context = analysis?.stage1?.find(f => f.audience_context)?.audience_context;
+    if (!context) return null;
+    if (context === 'custom') return 'Custom Venue';
+    return context.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
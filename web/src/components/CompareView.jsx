@@ -0,0 +1,320 @@
+/**
+ * CompareView.jsx
+ * Head-to-head comparison of two or more versions of a bit: each version's
+ * reactions side by side per persona, with the winning metrics highlighted
+ * and the reviewer verdicts next to each other
+ */
+
+import { useState, useRef } from 'react';
+import Stage1Card from './Stage1Card';
+import PersonaPicker from './PersonaPicker';
+import AudiencePicker from './AudiencePicker';
+import { startJob, followJob } from '../jobStream';
+import { apiFetch } from '../api';
+
+const MAX_VERSIONS = 4;
+const VERSION_LABELS = ['A', 'B', 'C', 'D'];
+
+const METRIC_LABELS = {
+    relatability: '🎯 Relatability',
+    laugh_potential: '😂 Laugh',
+    crowd_energy: '🔥 Energy',
+    divergence: '⚖️ Divergence'
+};
+
+const EMPTY_VERSION = { line_text: '' };
+
+/**
+ * Pill classes for one version's reaction: winners and losers per metric
+ */
+function reactionHighlights(persona, idx) {
+    const highlights = {};
+    for (const [metric, entry] of Object.entries(persona.metrics)) {
+        if (entry.delta === 0 || entry.values[idx] === null) continue;
+        highlights[metric] = entry.winner === idx ? 'compare-winner' : 'compare-loser';
+    }
+    return highlights;
+}
+
+/**
+ * Reviewer verdict for one version
+ */
+function VerdictCard({ item }) {
+    const { reviewer } = item;
+
+    return (
+        <div className="compare-verdict">
+            <div className="compare-verdict-scores">
+                <span>Computed divergence: <strong>{item.divergence ?? '–'}</strong></span>
+                {reviewer && <span>Reviewer: <strong>{reviewer.divergence_score ?? '–'}</strong></span>}
+            </div>
+            {reviewer ? (
+                <>
+                    <span className={`compare-risk ${reviewer.risk_level}`}>
+                        {reviewer.risk_level?.toUpperCase()} RISK
+                    </span>
+                    {reviewer.primary_conflict && (
+                        <p className="compare-verdict-text">{reviewer.primary_conflict}</p>
+                    )}
+                    {reviewer.recommendation && (
+                        <p className="compare-verdict-text">💡 {reviewer.recommendation}</p>
+                    )}
+                </>
+            ) : (
+                <p className="compare-verdict-text muted">No reviewer verdict</p>
+            )}
+        </div>
+    );
+}
+
+/**
+ * CompareView component
+ * @param {Array} seed - Versions to start with ({ line_text } or { set_id, line_id, line_text })
+ */
+export default function CompareView({ seed = [], selectedPersonaIds, onPersonasChange, audience, onAudienceChange, onNotification }) {
+    const [versions, setVersions] = useState(() => {
+        const initial = seed.slice(0, MAX_VERSIONS);
+        while (initial.length < 2) initial.push(EMPTY_VERSION);
+        return initial;
+    });
+    const [running, setRunning] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+    const [comparison, setComparison] = useState(null);
+    const jobRef = useRef(null);
+
+    const updateVersion = (idx, line_text) => {
+        // Editing a loaded analysis turns it back into new text
+        setVersions(prev => prev.map((v, i) => (i === idx ? { line_text } : v)));
+    };
+
+    const removeVersion = (idx) => {
+        setVersions(prev => prev.filter((_, i) => i !== idx));
+    };
+
+    const handleCompare = async () => {
+        setRunning(true);
+        setError(null);
+        setComparison(null);
+        setProgress('Starting comparison...');
+
+        try {
+            const items = versions.map(v => (v.set_id
+                ? { set_id: v.set_id, line_id: v.line_id }
+                : { line_text: v.line_text }));
+
+            const payload = { items, personas: selectedPersonaIds };
+            if (audience) {
+                payload.audience = audience;
+            }
+
+            const job = await startJob('/api/compare', payload);
+            jobRef.current = job.job_id;
+
+            const end = await followJob(job.job_id, (eventType, eventData) => {
+                switch (eventType) {
+                    case 'progress':
+                        setProgress(eventData.message);
+                        break;
+                    case 'compare_item':
+                        // Re-running the comparison reuses the analysis
+                        setVersions(prev => prev.map((v, i) => (i === eventData.item_index
+                            ? { ...v, set_id: eventData.set_id, line_id: eventData.line_id }
+                            : v)));
+                        break;
+                    case 'comparison':
+                        setComparison(eventData);
+                        break;
+                    case 'done':
+                        onNotification?.('Comparison complete!');
+                        break;
+                }
+            });
+
+            if (end.status === 'failed') {
+                throw new Error(end.error || 'Comparison failed');
+            }
+            if (end.status === 'cancelled') {
+                onNotification?.('Comparison cancelled');
+            }
+        } catch (err) {
+            console.error('Compare error:', err);
+            setError(err.message);
+        } finally {
+            jobRef.current = null;
+            setRunning(false);
+            setProgress(null);
+        }
+    };
+
+    const handleCancel = async () => {
+        if (!jobRef.current) return;
+        try {
+            await apiFetch(`/api/jobs/${jobRef.current}`, { method: 'DELETE' });
+        } catch (err) {
+            console.error('Cancel error:', err);
+        }
+    };
+
+    const canCompare = versions.length >= 2 &&
+        versions.every(v => v.set_id || v.line_text.trim()) &&
+        selectedPersonaIds?.length !== 0 &&
+        (typeof audience !== 'object' || audience === null || audience.description.trim().length > 0);
+
+    const columns = { gridTemplateColumns: `repeat(${comparison?.items.length || versions.length}, minmax(0, 1fr))` };
+
+    return (
+        <div className="compare-view">
+            <section className="input-section">
+                <label className="input-label">Compare versions of a bit</label>
+                <div className="compare-inputs" style={columns}>
+                    {versions.map((version, idx) => (
+                        <div key={idx} className="compare-input">
+                            <div className="compare-input-header">
+                                <span className="compare-label">Version {VERSION_LABELS[idx]}</span>
+                                {version.set_id && <span className="compare-loaded">analyzed</span>}
+                                {versions.length > 2 && (
+                                    <button
+                                        className="compare-remove-btn"
+                                        onClick={() => removeVersion(idx)}
+                                        disabled={running}
+                                        title="Remove version"
+                                    >
+                                        ✕
+                                    </button>
+                                )}
+                            </div>
+                            <textarea
+                                className="input-textarea compare-textarea"
+                                placeholder="Enter a version of the joke..."
+                                value={version.line_text}
+                                onChange={(e) => updateVersion(idx, e.target.value)}
+                                disabled={running}
+                            />
+                        </div>
+                    ))}
+                </div>
+
+                {versions.length < MAX_VERSIONS && (
+                    <button
+                        className="compare-add-btn"
+                        onClick={() => setVersions(prev => [...prev, EMPTY_VERSION])}
+                        disabled={running}
+                    >
+                        + Add version
+                    </button>
+                )}
+
+                <PersonaPicker
+                    selectedIds={selectedPersonaIds}
+                    onChange={onPersonasChange}
+                    onNotification={onNotification}
+                    disabled={running}
+                />
+                <AudiencePicker
+                    value={audience}
+                    onChange={onAudienceChange}
+                    disabled={running}
+                />
+                <button
+                    className="generate-btn"
+                    onClick={handleCompare}
+                    disabled={running || !canCompare}
+                >
+                    {running ? 'Comparing...' : `Compare ${versions.length} Versions`}
+                </button>
+            </section>
+
+            {running && (
+                <div className="loading-container">
+                    <div className="spinner"></div>
+                    <p>{progress || 'Comparing...'}</p>
+                    <button className="cancel-btn" onClick={handleCancel}>Cancel</button>
+                </div>
+            )}
+
+            {error && (
+                <div className="error">
+                    <div className="error-title">Comparison Failed</div>
+                    <div>{error}</div>
+                </div>
+            )}
+
+            {comparison && (
+                <div className="results-section">
+                    {/* Versions, overall winner and per-metric winners */}
+                    <section className="stage-section">
+                        <div className="compare-grid" style={columns}>
+                            {comparison.items.map(item => (
+                                <div
+                                    key={item.index}
+                                    className={`compare-column-header ${comparison.overall.winner === item.index ? 'overall-winner' : ''}`}
+                                >
+                                    <div className="compare-input-header">
+                                        <span className="compare-label">Version {VERSION_LABELS[item.index]}</span>
+                                        {comparison.overall.winner === item.index && (
+                                            <span className="compare-trophy">🏆 Winner</span>
+                                        )}
+                                    </div>
+                                    <p className="compare-line-text">{item.line_text}</p>
+                                    <div className="compare-metrics">
+                                        {Object.entries(comparison.metrics).map(([metric, entry]) => (
+                                            <div
+                                                key={metric}
+                                                className={`compare-metric ${entry.winner === item.index ? 'compare-winner' : ''}`}
+                                            >
+                                                <span>{METRIC_LABELS[metric] || metric}</span>
+                                                <strong>{entry.values[item.index] ?? '–'}</strong>
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <span className="compare-wins">
+                                        {comparison.overall.wins[item.index]} metric win{comparison.overall.wins[item.index] === 1 ? '' : 's'}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    </section>
+
+                    {/* Reviewer verdicts */}
+                    <section className="stage-section">
+                        <div className="stage-header">
+                            <h2 className="stage-title">Reviewer Verdicts</h2>
+                        </div>
+                        <div className="compare-grid" style={columns}>
+                            {comparison.items.map(item => (
+                                <VerdictCard key={item.index} item={item} />
+                            ))}
+                        </div>
+                    </section>
+
+                    {/* Per-persona reactions side by side */}
+                    <section className="stage-section">
+                        <div className="stage-header">
+                            <h2 className="stage-title">Persona by Persona</h2>
+                            <span className="stage-subtitle">
+                                Green pills won that metric, red ones lost it
+                            </span>
+                        </div>
+                        {comparison.personas.map(persona => (
+                            <div key={persona.agent_mode} className="compare-persona">
+                                <div className="compare-persona-name">{persona.persona_name}</div>
+                                <div className="compare-grid" style={columns}>
+                                    {persona.reactions.map((reaction, idx) => (reaction ? (
+                                        <Stage1Card
+                                            key={idx}
+                                            feedback={reaction}
+                                            highlights={reactionHighlights(persona, idx)}
+                                        />
+                                    ) : (
+                                        <div key={idx} className="compare-missing">No reaction</div>
+                                    )))}
+                                </div>
+                            </div>
+                        ))}
+                    </section>
+                </div>
+            )}
+        </div>
+    );
+}
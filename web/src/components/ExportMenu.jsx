@@ -0,0 +1,62 @@
+/**
+ * ExportMenu Component
+ * Downloads a stored analysis as a Markdown, HTML, JSON or PDF report to
+ * share with a co-writer.
+ */
+
+import { useState } from 'react';
+import { apiFetch } from '../api';
+
+const FORMATS = [
+    { value: 'md', label: 'Markdown' },
+    { value: 'html', label: 'HTML' },
+    { value: 'pdf', label: 'PDF' },
+    { value: 'json', label: 'JSON' }
+];
+
+export default function ExportMenu({ setId, lineId = null, onNotification, disabled = false }) {
+    const [exporting, setExporting] = useState(false);
+
+    const handleExport = async (format) => {
+        setExporting(true);
+
+        try {
+            const params = new URLSearchParams({ format });
+            if (lineId) params.set('line_id', lineId);
+
+            const response = await apiFetch(`/api/results/${setId}/export?${params}`);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || 'Failed to export');
+            }
+
+            const filename = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1]
+                || `how-it-lands-report.${format}`;
+
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <select
+            className="insights-filter export-menu"
+            value=""
+            onClick={(e) => e.stopPropagation()}
+            onChange={(e) => handleExport(e.target.value)}
+            disabled={disabled || exporting}
+            title="Download a shareable report"
+        >
+            <option value="" disabled>{exporting ? 'Exporting...' : '⬇️ Export'}</option>
+            {FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+        </select>
+    );
+}
@@ -1,49 +1,267 @@
 /**
  * HistoryList Component
- * Displays list of past jokes with delete functionality
+ * Displays list of past jokes with delete functionality.
+ * Multi-line sets show as one expandable entry listing their lines, and
+ * jokes with several drafts as one entry listing their revisions. Imported
+ * jokes that haven't been analyzed yet can be queued from here.
+ * The list is searched, filtered and sorted on the server and loads the
+ * next page as you scroll to the bottom.
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import RevisionChart from './RevisionChart';
+import ExportMenu from './ExportMenu';
+import { apiFetch } from '../api';
 
-export default function HistoryList({ onSelectJoke, onNotification }) {
+const PAGE_SIZE = 20;
+const SEARCH_DELAY_MS = 300;
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+const METRIC_LEVELS = {
+    laugh_potential: ['low', 'medium', 'high'],
+    relatability: ['low', 'medium', 'high'],
+    crowd_energy: ['cold', 'warm', 'hot']
+};
+
+const SORTS = [
+    { value: 'date:desc', label: 'Newest first' },
+    { value: 'date:asc', label: 'Oldest first' },
+    { value: 'laugh:desc', label: 'Most laugh potential' },
+    { value: 'laugh:asc', label: 'Least laugh potential' },
+    { value: 'divergence:desc', label: 'Most divergent' },
+    { value: 'divergence:asc', label: 'Least divergent' }
+];
+
+const NO_FILTERS = {
+    q: '',
+    risk: [],
+    divergence_min: '',
+    divergence_max: '',
+    from: '',
+    to: '',
+    metrics: [],
+    tags: []
+};
+
+const formatMetric = (metric) => metric.replace(/_/g, ' ');
+
+/**
+ * Query string for a page of History
+ */
+function historyQuery(filters, sort, cursor) {
+    const [sortBy, order] = sort.split(':');
+    const params = new URLSearchParams({ limit: PAGE_SIZE, sort: sortBy, order });
+
+    if (filters.q.trim()) params.set('q', filters.q.trim());
+    if (filters.risk.length > 0) params.set('risk', filters.risk.join(','));
+    for (const field of ['divergence_min', 'divergence_max', 'from', 'to']) {
+        if (filters[field] !== '') params.set(field, filters[field]);
+    }
+    if (filters.metrics.length > 0) params.set('metric', filters.metrics.join(','));
+    if (filters.tags.length > 0) params.set('tag', filters.tags.join(','));
+    if (cursor) params.set('cursor', cursor);
+
+    return params.toString();
+}
+
+/**
+ * One removable chip per active filter
+ */
+function activeFilterChips(filters) {
+    const chips = filters.risk.map(level => ({
+        key: `risk:${level}`,
+        label: `${level} risk`,
+        remove: f => ({ ...f, risk: f.risk.filter(r => r !== level) })
+    }));
+
+    if (filters.divergence_min !== '' || filters.divergence_max !== '') {
+        chips.push({
+            key: 'divergence',
+            label: `Divergence ${filters.divergence_min || 0}–${filters.divergence_max || 100}`,
+            remove: f => ({ ...f, divergence_min: '', divergence_max: '' })
+        });
+    }
+    if (filters.from !== '' || filters.to !== '') {
+        chips.push({
+            key: 'dates',
+            label: filters.from && filters.to
+                ? `${filters.from} → ${filters.to}`
+                : filters.from ? `Since ${filters.from}` : `Until ${filters.to}`,
+            remove: f => ({ ...f, from: '', to: '' })
+        });
+    }
+    for (const metric of filters.metrics) {
+        const parts = metric.split(':');
+        const [name, level] = parts.slice(-2);
+        chips.push({
+            key: `metric:${metric}`,
+            label: `${parts.length === 3 ? `${parts[0]}: ` : ''}${level} ${formatMetric(name)}`,
+            remove: f => ({ ...f, metrics: f.metrics.filter(m => m !== metric) })
+        });
+    }
+    for (const tag of filters.tags) {
+        chips.push({
+            key: `tag:${tag}`,
+            label: `#${tag}`,
+            remove: f => ({ ...f, tags: f.tags.filter(t => t !== tag) })
+        });
+    }
+
+    return chips;
+}
+
+export default function HistoryList({ onSelectJoke, onSelectSet, onNotification }) {
     const [items, setItems] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
     const [error, setError] = useState(null);
     const [total, setTotal] = useState(0);
-    const [offset, setOffset] = useState(0);
-    const limit = 20;
+    const [cursor, setCursor] = useState(null);
+    const [searchText, setSearchText] = useState('');
+    const [filters, setFilters] = useState(NO_FILTERS);
+    const [sort, setSort] = useState(SORTS[0].value);
+    const [showFilters, setShowFilters] = useState(false);
+    const [metricDraft, setMetricDraft] = useState({ persona: '', metric: 'laugh_potential', level: 'high' });
+    const [tagDraft, setTagDraft] = useState('');
+    const [personas, setPersonas] = useState([]);
+    const [expandedSetId, setExpandedSetId] = useState(null);
+    const [expandedSet, setExpandedSet] = useState(null);
+    const [expandedJokeId, setExpandedJokeId] = useState(null);
+    const [expandedJoke, setExpandedJoke] = useState(null);
+    const [queuedIds, setQueuedIds] = useState([]);
+    const requestRef = useRef(0);
+    const sentinelRef = useRef(null);
 
-    const fetchJokes = async (newOffset = 0) => {
-        setLoading(true);
+    /**
+     * Load the first page (cursor null) or the page after it
+     */
+    const fetchJokes = async (nextCursor = null) => {
+        const request = ++requestRef.current;
+        if (nextCursor) setLoadingMore(true);
+        else setLoading(true);
         setError(null);
 
         try {
-            const response = await fetch(`/api/history?limit=${limit}&offset=${newOffset}`);
+            const response = await apiFetch(`/api/history?${historyQuery(filters, sort, nextCursor)}`);
+            const data = await response.json();
 
             if (!response.ok) {
-                throw new Error('Failed to fetch history');
+                throw new Error(data.message || 'Failed to fetch history');
             }
 
-            const data = await response.json();
-            setItems(data.items || []);
+            // A newer search may have started in the meantime
+            if (request !== requestRef.current) return;
+            setItems(prev => [...(nextCursor ? prev : []), ...(data.items || [])]);
             setTotal(data.total || 0);
-            setOffset(newOffset);
+            setCursor(data.next_cursor || null);
         } catch (err) {
-            setError(err.message);
+            if (request === requestRef.current) setError(err.message);
         } finally {
-            setLoading(false);
+            if (request === requestRef.current) {
+                setLoading(false);
+                setLoadingMore(false);
+            }
         }
     };
 
     useEffect(() => {
-        fetchJokes(0);
-    }, []);
+        fetchJokes(null);
+    }, [filters, sort]);
+
+    // Search once typing pauses
+    useEffect(() => {
+        if (searchText === filters.q) return;
+        const timer = setTimeout(() => setFilters(f => ({ ...f, q: searchText })), SEARCH_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [searchText]);
+
+    useEffect(() => {
+        if (!showFilters || personas.length > 0) return;
+        apiFetch('/api/personas')
+            .then(response => response.ok ? response.json() : { personas: [] })
+            .then(data => setPersonas(data.personas || []))
+            .catch(() => {});
+    }, [showFilters]);
+
+    // Load the next page when the bottom of the list scrolls into view
+    useEffect(() => {
+        const sentinel = sentinelRef.current;
+        if (!sentinel || !cursor || loading || loadingMore || error) return;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) fetchJokes(cursor);
+        }, { rootMargin: '200px' });
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [cursor, loading, loadingMore, error, items.length]);
+
+    const updateFilters = (update) => {
+        setFilters(f => ({ ...f, ...update }));
+    };
+
+    const toggleRisk = (level) => {
+        setFilters(f => ({
+            ...f,
+            risk: f.risk.includes(level) ? f.risk.filter(r => r !== level) : [...f.risk, level]
+        }));
+    };
+
+    const handleAddMetric = () => {
+        const { persona, metric, level } = metricDraft;
+        const value = [persona, metric, level].filter(Boolean).join(':');
+        if (!filters.metrics.includes(value)) {
+            updateFilters({ metrics: [...filters.metrics, value] });
+        }
+    };
+
+    const handleAddTag = (e) => {
+        e.preventDefault();
+        const tag = tagDraft.trim().replace(/^#/, '').toLowerCase();
+        if (tag && !filters.tags.includes(tag)) {
+            updateFilters({ tags: [...filters.tags, tag] });
+        }
+        setTagDraft('');
+    };
+
+    const handleClearFilters = () => {
+        setSearchText('');
+        setFilters(NO_FILTERS);
+    };
+
+    const chips = activeFilterChips(filters);
+    const filtered = chips.length > 0 || filters.q !== '';
 
-    const handleDelete = async (set_id, e) => {
+    const handleAnalyzeImported = async (item, e) => {
         e.stopPropagation();
 
         try {
-            const response = await fetch(`/api/history/${set_id}`, {
+            const response = await apiFetch('/api/import/analyze', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ set_ids: [item.set_id] })
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Failed to queue analysis');
+
+            setQueuedIds(prev => [...prev, item.set_id]);
+            onNotification?.('Queued for analysis. Refresh History in a moment to open it.');
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        }
+    };
+
+    const handleDelete = async (item, e) => {
+        e.stopPropagation();
+
+        // A joke with several drafts goes with all of them
+        const url = item.revision_count > 1
+            ? `/api/jokes/${item.joke_id}`
+            : `/api/history/${item.set_id}`;
+
+        try {
+            const response = await apiFetch(url, {
                 method: 'DELETE'
             });
 
@@ -52,7 +270,7 @@ export default function HistoryList({ onSelectJoke, onNotification }) {
             }
 
             // Remove from local state
-            setItems(prev => prev.filter(item => item.set_id !== set_id));
+            setItems(prev => prev.filter(i => i.set_id !== item.set_id));
             setTotal(prev => prev - 1);
 
             // Show notification
@@ -68,7 +286,7 @@ export default function HistoryList({ onSelectJoke, onNotification }) {
 
     const handleLoadJoke = async (item) => {
         try {
-            const response = await fetch(`/api/results?set_id=${item.set_id}`);
+            const response = await apiFetch(`/api/results?set_id=${item.set_id}`);
 
             if (!response.ok) {
                 throw new Error('Failed to load joke');
@@ -79,10 +297,13 @@ export default function HistoryList({ onSelectJoke, onNotification }) {
             if (onSelectJoke) {
                 onSelectJoke({
                     set_id: item.set_id,
+                    joke_id: item.joke_id,
+                    revision: item.revision,
                     line_text: item.line_text,
                     stage1: data.stage1 || [],
                     stage2: data.stage2 || [],
-                    stage3: data.stage3 || null
+                    stage3: data.stage3 || null,
+                    sensitivity: data.sensitivity || null
                 });
             }
         } catch (err) {
@@ -92,6 +313,67 @@ export default function HistoryList({ onSelectJoke, onNotification }) {
         }
     };
 
+    const handleToggleSet = async (item) => {
+        if (expandedSetId === item.set_id) {
+            setExpandedSetId(null);
+            setExpandedSet(null);
+            return;
+        }
+
+        setExpandedSetId(item.set_id);
+        setExpandedSet(null);
+
+        try {
+            const response = await apiFetch(`/api/sets/${item.set_id}`);
+
+            if (!response.ok) {
+                throw new Error('Failed to load set');
+            }
+
+            setExpandedSet(await response.json());
+        } catch (err) {
+            setExpandedSetId(null);
+            if (onNotification) {
+                onNotification('Failed to load set', 'error');
+            }
+        }
+    };
+
+    const handleToggleJoke = async (item) => {
+        if (expandedJokeId === item.joke_id) {
+            setExpandedJokeId(null);
+            setExpandedJoke(null);
+            return;
+        }
+
+        setExpandedJokeId(item.joke_id);
+        setExpandedJoke(null);
+
+        try {
+            const response = await apiFetch(`/api/jokes/${item.joke_id}`);
+
+            if (!response.ok) {
+                throw new Error('Failed to load revisions');
+            }
+
+            setExpandedJoke(await response.json());
+        } catch (err) {
+            setExpandedJokeId(null);
+            if (onNotification) {
+                onNotification('Failed to load revisions', 'error');
+            }
+        }
+    };
+
+    const handleLoadRevision = (revision) => {
+        handleLoadJoke({
+            set_id: revision.set_id,
+            joke_id: expandedJoke.joke_id,
+            revision: revision.revision,
+            line_text: revision.line_text
+        });
+    };
+
     const formatDate = (dateStr) => {
         if (!dateStr) return '';
         const date = new Date(dateStr);
@@ -108,76 +390,341 @@ export default function HistoryList({ onSelectJoke, onNotification }) {
         return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
     };
 
+    const toolbar = (
+        <div className="history-toolbar">
+            <div className="history-search-row">
+                <input
+                    type="search"
+                    className="history-search"
+                    placeholder="Search jokes and set titles..."
+                    value={searchText}
+                    onChange={(e) => setSearchText(e.target.value)}
+                />
+                <select
+                    className="insights-filter"
+                    value={sort}
+                    onChange={(e) => setSort(e.target.value)}
+                >
+                    {SORTS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+                <button
+                    className={`history-filter-toggle ${showFilters ? 'active' : ''}`}
+                    onClick={() => setShowFilters(v => !v)}
+                >
+                    Filters{chips.length > 0 ? ` (${chips.length})` : ''}
+                </button>
+            </div>
+
+            {showFilters && (
+                <div className="history-filters">
+                    <div className="history-filter">
+                        <span className="history-filter-label">Risk</span>
+                        {RISK_LEVELS.map(level => (
+                            <button
+                                key={level}
+                                className={`persona-chip ${filters.risk.includes(level) ? 'selected' : ''}`}
+                                onClick={() => toggleRisk(level)}
+                            >
+                                {level}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="history-filter">
+                        <span className="history-filter-label">Divergence</span>
+                        <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            placeholder="0"
+                            className="history-filter-input"
+                            value={filters.divergence_min}
+                            onChange={(e) => updateFilters({ divergence_min: e.target.value })}
+                        />
+                        <span className="history-filter-label">to</span>
+                        <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            placeholder="100"
+                            className="history-filter-input"
+                            value={filters.divergence_max}
+                            onChange={(e) => updateFilters({ divergence_max: e.target.value })}
+                        />
+                    </div>
+
+                    <div className="history-filter">
+                        <span className="history-filter-label">Analyzed</span>
+                        <input
+                            type="date"
+                            className="history-filter-input"
+                            value={filters.from}
+                            onChange={(e) => updateFilters({ from: e.target.value })}
+                        />
+                        <span className="history-filter-label">to</span>
+                        <input
+                            type="date"
+                            className="history-filter-input"
+                            value={filters.to}
+                            onChange={(e) => updateFilters({ to: e.target.value })}
+                        />
+                    </div>
+
+                    <div className="history-filter">
+                        <span className="history-filter-label">Persona</span>
+                        <select
+                            className="insights-filter"
+                            value={metricDraft.persona}
+                            onChange={(e) => setMetricDraft(d => ({ ...d, persona: e.target.value }))}
+                        >
+                            <option value="">Any persona</option>
+                            {personas.map(p => (
+                                <option key={p.persona_id} value={p.persona_id}>{p.name}</option>
+                            ))}
+                        </select>
+                        <select
+                            className="insights-filter"
+                            value={metricDraft.level}
+                            onChange={(e) => setMetricDraft(d => ({ ...d, level: e.target.value }))}
+                        >
+                            {METRIC_LEVELS[metricDraft.metric].map(level => (
+                                <option key={level} value={level}>{level}</option>
+                            ))}
+                        </select>
+                        <select
+                            className="insights-filter"
+                            value={metricDraft.metric}
+                            onChange={(e) => setMetricDraft(d => ({
+                                ...d,
+                                metric: e.target.value,
+                                level: METRIC_LEVELS[e.target.value].at(-1)
+                            }))}
+                        >
+                            {Object.keys(METRIC_LEVELS).map(metric => (
+                                <option key={metric} value={metric}>{formatMetric(metric)}</option>
+                            ))}
+                        </select>
+                        <button className="persona-chip add" onClick={handleAddMetric}>＋ Add</button>
+                    </div>
+
+                    <form className="history-filter" onSubmit={handleAddTag}>
+                        <span className="history-filter-label">Tag</span>
+                        <input
+                            type="text"
+                            placeholder="crowd-work"
+                            className="history-filter-input"
+                            value={tagDraft}
+                            onChange={(e) => setTagDraft(e.target.value)}
+                        />
+                        <button type="submit" className="persona-chip add" disabled={!tagDraft.trim()}>＋ Add</button>
+                    </form>
+                </div>
+            )}
+
+            {chips.length > 0 && (
+                <div className="persona-chips history-active-filters">
+                    {chips.map(chip => (
+                        <span key={chip.key} className="persona-chip selected">
+                            {chip.label}
+                            <span
+                                className="persona-chip-remove"
+                                title="Remove filter"
+                                onClick={() => setFilters(chip.remove)}
+                            >
+                                ✕
+                            </span>
+                        </span>
+                    ))}
+                    <button className="toggle-btn" onClick={handleClearFilters}>Clear all</button>
+                </div>
+            )}
+
+            {!loading && !error && (filtered || items.length > 0) && (
+                <p className="history-count">
+                    {total} {total === 1 ? 'joke' : 'jokes'}{filtered ? ' match' : ''}
+                </p>
+            )}
+        </div>
+    );
+
     if (loading && items.length === 0) {
         return (
-            <div className="history-loading">
-                <div className="spinner" />
-                <p>Loading history...</p>
-            </div>
+            <>
+                {toolbar}
+                <div className="history-loading">
+                    <div className="spinner" />
+                    <p>Loading history...</p>
+                </div>
+            </>
         );
     }
 
-    if (error) {
+    if (error && items.length === 0) {
         return (
-            <div className="history-error">
-                <p>Failed to load history: {error}</p>
-                <button onClick={() => fetchJokes(0)}>Retry</button>
-            </div>
+            <>
+                {toolbar}
+                <div className="history-error">
+                    <p>Failed to load history: {error}</p>
+                    <button onClick={() => fetchJokes(null)}>Retry</button>
+                </div>
+            </>
         );
     }
 
     if (items.length === 0) {
         return (
-            <div className="history-empty">
-                <div className="empty-icon">📝</div>
-                <p>No jokes analyzed yet</p>
-                <p className="hint">Switch to "New" to analyze your first joke!</p>
-            </div>
+            <>
+                {toolbar}
+                {filtered ? (
+                    <div className="history-empty">
+                        <p>No jokes match your search</p>
+                        <button className="toggle-btn" onClick={handleClearFilters}>Clear search and filters</button>
+                    </div>
+                ) : (
+                    <div className="history-empty">
+                        <div className="empty-icon">📝</div>
+                        <p>No jokes analyzed yet</p>
+                        <p className="hint">Switch to "New" to analyze your first joke!</p>
+                    </div>
+                )}
+            </>
         );
     }
 
     return (
-        <div className="history-list">
-            {items.map(item => (
-                <div
-                    key={item.set_id}
-                    className="history-item"
-                    onClick={() => handleLoadJoke(item)}
-                >
-                    <div className="history-content">
-                        <p className="history-text">{truncateText(item.line_text)}</p>
-                        <span className="history-date">{formatDate(item.created_at)}</span>
+        <>
+            {toolbar}
+            <div className={`history-list ${loading ? 'refreshing' : ''}`}>
+                {items.map(item => {
+                    const isSet = item.line_count > 1;
+                    const hasRevisions = !isSet && item.revision_count > 1;
+                    const isExpanded = isSet
+                        ? expandedSetId === item.set_id
+                        : hasRevisions && expandedJokeId === item.joke_id;
+                    const energyByLine = Object.fromEntries(
+                        (isExpanded && expandedSet?.summary?.energy_curve || []).map(p => [p.line_id, p.energy])
+                    );
+
+                    return (
+                        <div key={item.set_id} className={`history-entry ${isExpanded ? 'expanded' : ''}`}>
+                            <div
+                                className={`history-item ${item.analyzed ? '' : 'not-analyzed'}`}
+                                onClick={() => {
+                                    if (!item.analyzed) return;
+                                    if (isSet) handleToggleSet(item);
+                                    else if (hasRevisions) handleToggleJoke(item);
+                                    else handleLoadJoke(item);
+                                }}
+                            >
+                                <div className="history-content">
+                                    <p className="history-text">
+                                        {isSet && <span className="set-badge">🎤 Set · {item.line_count} lines</span>}
+                                        {hasRevisions && (
+                                            <span className="set-badge revision-badge">✏️ v{item.revision} · {item.revision_count} drafts</span>
+                                        )}
+                                        {item.rerun_count > 0 && (
+                                            <span className="set-badge rerun-badge" title="Times this line was run again">
+                                                ♻️ {item.rerun_count} re-run{item.rerun_count === 1 ? '' : 's'}
+                                            </span>
+                                        )}
+                                        {!item.analyzed && <span className="set-badge import-badge">📥 Not analyzed</span>}
+                                        {truncateText(item.line_text)}
+                                    </p>
+                                    {item.tags?.length > 0 && (
+                                        <div className="history-tags">
+                                            {item.tags.map(tag => <span key={tag} className="history-tag">#{tag}</span>)}
+                                        </div>
+                                    )}
+                                    <span className="history-date">
+                                        {formatDate(item.created_at)}
+                                        {item.written_at && ` · written ${new Date(item.written_at).toLocaleDateString()}`}
+                                        {item.laugh_score !== null && item.laugh_score !== undefined && ` · laugh ${item.laugh_score}`}
+                                        {item.divergence_score !== null && item.divergence_score !== undefined && ` · divergence ${item.divergence_score}`}
+                                        {item.risk_level && (
+                                            <span className={`risk-badge ${item.risk_level}`}>{item.risk_level} risk</span>
+                                        )}
+                                    </span>
+                                </div>
+                                {(isSet || hasRevisions) && <span className="expand-indicator">{isExpanded ? '▼' : '▶'}</span>}
+                                {item.analyzed && <ExportMenu setId={item.set_id} onNotification={onNotification} />}
+                                {!item.analyzed && (
+                                    <button
+                                        className="history-analyze-btn"
+                                        onClick={(e) => handleAnalyzeImported(item, e)}
+                                        disabled={queuedIds.includes(item.set_id)}
+                                    >
+                                        {queuedIds.includes(item.set_id) ? 'Queued' : 'Analyze'}
+                                    </button>
+                                )}
+                                <button
+                                    className="delete-btn"
+                                    onClick={(e) => handleDelete(item, e)}
+                                    title="Delete"
+                                >
+                                    🗑️
+                                </button>
+                            </div>
+
+                            {isExpanded && hasRevisions && (
+                                <div className="history-set-lines">
+                                    {!expandedJoke && <span className="spinner-small" />}
+                                    {expandedJoke && (
+                                        <RevisionChart
+                                            revisions={expandedJoke.revisions}
+                                            activeSetId={item.set_id}
+                                            onSelectRevision={handleLoadRevision}
+                                        />
+                                    )}
+                                    {expandedJoke?.revisions.map(revision => (
+                                        <div
+                                            key={revision.set_id}
+                                            className="history-set-line"
+                                            onClick={() => handleLoadRevision(revision)}
+                                        >
+                                            <span className="set-line-number">v{revision.revision}</span>
+                                            <span className="set-line-text">{truncateText(revision.line_text, 100)}</span>
+                                            <span className="set-line-energy" title="Laugh potential / divergence">
+                                                {revision.laugh_score ?? '–'} / {revision.divergence ?? '–'}
+                                            </span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {isExpanded && isSet && (
+                                <div className="history-set-lines">
+                                    {!expandedSet && <span className="spinner-small" />}
+                                    {expandedSet?.lines.map(line => (
+                                        <div
+                                            key={line.line_id}
+                                            className={`history-set-line ${expandedSet.summary?.weakest_line?.line_id === line.line_id ? 'weakest' : ''}`}
+                                            onClick={() => onSelectSet && onSelectSet(expandedSet, line.line_id)}
+                                        >
+                                            <span className="set-line-number">#{line.line_index + 1}</span>
+                                            <span className="set-line-text">{truncateText(line.line_text, 100)}</span>
+                                            <span className="set-line-energy">
+                                                {energyByLine[line.line_id] ?? '–'}
+                                            </span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+
+                {/* Infinite scroll: the next page loads when this comes into view */}
+                {cursor && <div ref={sentinelRef} className="history-sentinel" />}
+                {loadingMore && <div className="history-loading-more"><span className="spinner-small" /></div>}
+                {error && (
+                    <div className="history-error">
+                        <p>Failed to load more: {error}</p>
+                        <button onClick={() => fetchJokes(cursor)}>Retry</button>
                     </div>
-                    <button
-                        className="delete-btn"
-                        onClick={(e) => handleDelete(item.set_id, e)}
-                        title="Delete"
-                    >
-                        🗑️
-                    </button>
-                </div>
-            ))}
-
-            {/* Pagination */}
-            {total > limit && (
-                <div className="pagination">
-                    <button
-                        disabled={offset === 0}
-                        onClick={() => fetchJokes(Math.max(0, offset - limit))}
-                    >
-                        ← Previous
-                    </button>
-                    <span className="page-info">
-                        {offset + 1}-{Math.min(offset + limit, total)} of {total}
-                    </span>
-                    <button
-                        disabled={offset + limit >= total}
-                        onClick={() => fetchJokes(offset + limit)}
-                    >
-                        Next →
-                    </button>
-                </div>
-            )}
-        </div>
+                )}
+            </div>
+        </>
     );
 }
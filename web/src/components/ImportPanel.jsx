@@ -0,0 +1,300 @@
+/**
+ * ImportPanel Component
+ * Bulk import from a CSV, Markdown or plain-text file: preview the parsed
+ * rows, then import them (optionally queued for analysis) and follow each
+ * row's progress.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import PersonaPicker from './PersonaPicker';
+import AudiencePicker from './AudiencePicker';
+import { apiFetch } from '../api';
+
+const POLL_INTERVAL_MS = 1500;
+
+const FORMATS = [
+    { value: '', label: 'Detect format' },
+    { value: 'csv', label: 'CSV' },
+    { value: 'markdown', label: 'Markdown' },
+    { value: 'text', label: 'Plain text' }
+];
+
+const ROW_STATUS_LABELS = {
+    pending: '…',
+    imported: '📥 Imported',
+    skipped: '⏭️ Skipped',
+    queued: '⏳ Queued',
+    analyzing: '🔄 Analyzing',
+    analyzed: '✅ Analyzed',
+    failed: '❌ Failed'
+};
+
+export default function ImportPanel({ selectedPersonaIds, onPersonasChange, audience, onAudienceChange, canEdit, onNotification }) {
+    const [content, setContent] = useState('');
+    const [filename, setFilename] = useState(null);
+    const [format, setFormat] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [analyze, setAnalyze] = useState(true);
+    const [skipDuplicates, setSkipDuplicates] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [job, setJob] = useState(null);
+    const pollRef = useRef(null);
+
+    // Stop polling when leaving the screen (the import itself keeps going)
+    useEffect(() => () => clearTimeout(pollRef.current), []);
+
+    const running = job?.status === 'running';
+    const audienceReady = typeof audience !== 'object' || audience === null || audience.description.trim().length > 0;
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        setContent(await file.text());
+        setFilename(file.name);
+        setPreview(null);
+    };
+
+    const buildPayload = (extra) => ({
+        content,
+        ...(format && { format }),
+        ...(filename && { filename }),
+        ...extra
+    });
+
+    const handlePreview = async () => {
+        setBusy(true);
+
+        try {
+            const response = await apiFetch('/api/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(buildPayload({ dry_run: true }))
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Failed to read the file');
+
+            setPreview(data);
+            setJob(null);
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const pollJob = async (jobId) => {
+        try {
+            const response = await apiFetch(`/api/jobs/${jobId}`);
+            if (!response.ok) throw new Error('Lost track of the import');
+
+            const status = await response.json();
+            setJob(status);
+
+            if (status.status === 'running') {
+                pollRef.current = setTimeout(() => pollJob(jobId), POLL_INTERVAL_MS);
+            } else if (status.status === 'done') {
+                const { imported, analyzed, failed } = status.counts;
+                onNotification?.(`Imported ${imported} jokes${status.analyze ? `, analyzed ${analyzed}` : ''}${failed ? ` (${failed} failed)` : ''}`);
+            } else {
+                onNotification?.(status.error || `Import ${status.status}`, 'error');
+            }
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        }
+    };
+
+    const handleImport = async () => {
+        setBusy(true);
+
+        const payload = buildPayload({ analyze, skip_duplicates: skipDuplicates });
+        if (analyze && selectedPersonaIds) payload.personas = selectedPersonaIds;
+        if (analyze && audience) payload.audience = audience;
+
+        try {
+            const response = await apiFetch('/api/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Import failed');
+
+            setJob(data);
+            pollRef.current = setTimeout(() => pollJob(data.job_id), POLL_INTERVAL_MS);
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCancel = async () => {
+        try {
+            await apiFetch(`/api/jobs/${job.job_id}`, { method: 'DELETE' });
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        }
+    };
+
+    const handleReset = () => {
+        setContent('');
+        setFilename(null);
+        setPreview(null);
+        setJob(null);
+    };
+
+    const importable = preview
+        ? preview.rows.filter(row => !(skipDuplicates && row.duplicate)).length
+        : 0;
+
+    return (
+        <div className="import-panel">
+            <h2 className="account-title">Import jokes</h2>
+            <p className="account-hint">
+                CSV needs a header row with a <code>text</code> column (optional <code>title</code>, <code>tags</code>,{' '}
+                <code>date</code>). In Markdown every top-level bullet is a joke, filed under the heading above it, with
+                trailing <code>#tags</code>. Plain text takes one joke per paragraph.
+            </p>
+
+            {!job && (
+                <>
+                    <div className="import-source">
+                        <input type="file" accept=".csv,.md,.markdown,.txt,text/*" onChange={handleFile} />
+                        <select
+                            className="insights-filter"
+                            value={format}
+                            onChange={(e) => { setFormat(e.target.value); setPreview(null); }}
+                        >
+                            {FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                        </select>
+                    </div>
+                    <textarea
+                        className="input-textarea set-mode"
+                        placeholder="...or paste your notes here"
+                        value={content}
+                        onChange={(e) => { setContent(e.target.value); setFilename(null); setPreview(null); }}
+                    />
+                    <button
+                        className="generate-btn"
+                        onClick={handlePreview}
+                        disabled={busy || !canEdit || !content.trim()}
+                    >
+                        {busy && !preview ? 'Reading...' : 'Preview'}
+                    </button>
+                </>
+            )}
+
+            {preview && !job && (
+                <div className="import-preview">
+                    <h3>
+                        {preview.rows.length} joke{preview.rows.length === 1 ? '' : 's'} found ({preview.format})
+                    </h3>
+
+                    {preview.errors.length > 0 && (
+                        <ul className="import-errors">
+                            {preview.errors.map(err => (
+                                <li key={err.row}>Row {err.row}: {err.message}</li>
+                            ))}
+                        </ul>
+                    )}
+
+                    <table className="import-table">
+                        <thead>
+                            <tr>
+                                <th>Row</th>
+                                <th>Joke</th>
+                                <th>Title</th>
+                                <th>Tags</th>
+                                <th>Date</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {preview.rows.map(row => (
+                                <tr key={row.row} className={row.duplicate && skipDuplicates ? 'import-row-skipped' : ''}>
+                                    <td>{row.row}</td>
+                                    <td className="import-text">
+                                        {row.line_text}
+                                        {row.duplicate && <span className="set-badge rerun-badge">Already here</span>}
+                                    </td>
+                                    <td>{row.set_title}</td>
+                                    <td>{row.tags.map(tag => `#${tag}`).join(' ')}</td>
+                                    <td>{row.written_at && new Date(row.written_at).toLocaleDateString()}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <label className="import-option">
+                        <input
+                            type="checkbox"
+                            checked={skipDuplicates}
+                            onChange={(e) => setSkipDuplicates(e.target.checked)}
+                        />
+                        Skip jokes already in this workspace or repeated in the file
+                    </label>
+                    <label className="import-option">
+                        <input
+                            type="checkbox"
+                            checked={analyze}
+                            onChange={(e) => setAnalyze(e.target.checked)}
+                        />
+                        Queue them for analysis (one at a time, so this can take a while)
+                    </label>
+
+                    {analyze && (
+                        <>
+                            <PersonaPicker
+                                selectedIds={selectedPersonaIds}
+                                onChange={onPersonasChange}
+                                onNotification={onNotification}
+                            />
+                            <AudiencePicker value={audience} onChange={onAudienceChange} />
+                        </>
+                    )}
+
+                    <button
+                        className="generate-btn"
+                        onClick={handleImport}
+                        disabled={busy || importable === 0 || (analyze && (selectedPersonaIds?.length === 0 || !audienceReady))}
+                    >
+                        Import {importable} joke{importable === 1 ? '' : 's'}
+                    </button>
+                </div>
+            )}
+
+            {job && (
+                <div className="import-preview">
+                    <h3>
+                        {running
+                            ? job.state === 'queued' ? 'Waiting for another import to finish...' : 'Importing...'
+                            : `Import ${job.status}`}
+                    </h3>
+                    <p className="account-hint">
+                        {job.counts.imported} imported · {job.counts.skipped} skipped
+                        {job.analyze && ` · ${job.counts.analyzed} analyzed · ${job.counts.failed} failed`}
+                        {running && ' · the import keeps going if you leave this page'}
+                    </p>
+
+                    <ul className="import-progress">
+                        {job.rows.map(row => (
+                            <li key={row.row} className={`import-progress-row ${row.status}`}>
+                                <span className="import-status">{ROW_STATUS_LABELS[row.status]}</span>
+                                <span className="import-text">{row.line_text}</span>
+                                {row.error && <span className="import-row-error">{row.error}</span>}
+                            </li>
+                        ))}
+                    </ul>
+
+                    {running ? (
+                        <button className="cancel-btn" onClick={handleCancel}>Cancel</button>
+                    ) : (
+                        <button className="generate-btn" onClick={handleReset}>Import More</button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
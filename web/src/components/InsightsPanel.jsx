@@ -4,6 +4,8 @@
  */
 
 import { useState, useEffect } from 'react';
+import { sensitivityLabel, SEVERITY_COLORS } from './SensitivityPanel';
+import { apiFetch } from '../api';
 
 function StatCard({ label, value, subtext }) {
     return (
@@ -33,18 +35,58 @@ function ProgressBar({ label, value, max, color }) {
     );
 }
 
+/**
+ * One category's share of classified lines, stacked by severity
+ */
+function SensitivityBar({ row }) {
+    return (
+        <div className="progress-item">
+            <div className="progress-header">
+                <span className="progress-label">{sensitivityLabel(row.category)}</span>
+                <span className="progress-value">{row.count} ({row.percentage}%)</span>
+            </div>
+            <div className="progress-track sensitivity-track">
+                {['high', 'medium', 'low'].map(severity => row.severities[severity] > 0 && (
+                    <div
+                        key={severity}
+                        className="sensitivity-fill"
+                        title={`${row.severities[severity]} ${severity}`}
+                        style={{
+                            width: `${(row.severities[severity] / row.count) * row.percentage}%`,
+                            backgroundColor: SEVERITY_COLORS[severity]
+                        }}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+}
+
 export default function InsightsPanel() {
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [data, setData] = useState(null);
+    const [audiences, setAudiences] = useState([]);
+    const [audienceContext, setAudienceContext] = useState('');
 
     useEffect(() => {
-        fetchInsights();
+        apiFetch('/api/audiences')
+            .then(response => (response.ok ? response.json() : { audiences: [] }))
+            .then(result => setAudiences([
+                ...(result.audiences || []),
+                { audience_context: result.custom || 'custom', name: 'Custom Venues' }
+            ]))
+            .catch(err => console.error('Error fetching audiences:', err));
     }, []);
 
+    useEffect(() => {
+        fetchInsights();
+    }, [audienceContext]);
+
     const fetchInsights = async () => {
         try {
-            const response = await fetch('/api/insights');
+            const query = audienceContext ? `?audience_context=${encodeURIComponent(audienceContext)}` : '';
+            const response = await apiFetch(`/api/insights${query}`);
             if (!response.ok) throw new Error('Failed to fetch insights');
             const result = await response.json();
             setData(result);
@@ -60,12 +102,24 @@ export default function InsightsPanel() {
     if (error) return <div className="insights-error">Error: {error}</div>;
     if (!data) return null;
 
-    const { summary, riskDistribution, energyDistribution, topConflicts } = data;
+    const { summary, riskDistribution, energyDistribution, topConflicts, sensitivityBreakdown } = data;
     const totalJokes = summary?.total_jokes || 0;
 
     return (
         <div className="insights-panel">
-            <h2 className="insights-title">Comedy Analytics (ES|QL)</h2>
+            <div className="insights-header">
+                <h2 className="insights-title">Comedy Analytics (ES|QL)</h2>
+                <select
+                    className="insights-filter"
+                    value={audienceContext}
+                    onChange={(e) => setAudienceContext(e.target.value)}
+                >
+                    <option value="">All rooms</option>
+                    {audiences.map(a => (
+                        <option key={a.audience_context} value={a.audience_context}>{a.name}</option>
+                    ))}
+                </select>
+            </div>
 
             <div className="stats-grid">
                 <StatCard
@@ -130,6 +184,29 @@ export default function InsightsPanel() {
                         ))}
                     </div>
                 </div>
+
+                {/* Sensitive Topics */}
+                <div className="chart-card full-width">
+                    <h3 className="chart-title">Sensitive Topics</h3>
+                    {sensitivityBreakdown?.classified > 0 ? (
+                        <div className="chart-content">
+                            <div className="sensitivity-legend">
+                                {sensitivityBreakdown.flagged} of {sensitivityBreakdown.classified} classified lines touch a sensitive topic
+                                {['low', 'medium', 'high'].map(severity => (
+                                    <span key={severity} className="sensitivity-legend-item">
+                                        <span className="sensitivity-swatch" style={{ backgroundColor: SEVERITY_COLORS[severity] }} />
+                                        {severity}
+                                    </span>
+                                ))}
+                            </div>
+                            {sensitivityBreakdown.categories.map(row => (
+                                <SensitivityBar key={row.category} row={row} />
+                            ))}
+                        </div>
+                    ) : (
+                        <p className="sensitivity-empty">No lines have been classified yet.</p>
+                    )}
+                </div>
             </div>
         </div>
     );
@@ -0,0 +1,147 @@
+/**
+ * PersonaPicker Component
+ * Lets the user choose which audience personas react to a run,
+ * and add or remove custom personas in the registry.
+ */
+
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const EMPTY_FORM = { name: '', voice: '', prompt_fragment: '' };
+
+export default function PersonaPicker({ selectedIds, onChange, onNotification, disabled }) {
+    const [personas, setPersonas] = useState([]);
+    const [showForm, setShowForm] = useState(false);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        fetchPersonas();
+    }, []);
+
+    const fetchPersonas = async () => {
+        try {
+            const response = await apiFetch('/api/personas');
+            if (!response.ok) throw new Error('Failed to fetch personas');
+
+            const data = await response.json();
+            setPersonas(data.personas || []);
+
+            // Default to the built-in panel on first load
+            if (selectedIds === null) {
+                onChange(data.personas.filter(p => p.builtin).map(p => p.persona_id));
+            }
+        } catch (err) {
+            console.error('Error fetching personas:', err);
+        }
+    };
+
+    const togglePersona = (personaId) => {
+        const current = selectedIds || [];
+        onChange(current.includes(personaId)
+            ? current.filter(id => id !== personaId)
+            : [...current, personaId]);
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+
+        try {
+            const response = await apiFetch('/api/personas', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(form)
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Failed to create persona');
+
+            setPersonas(prev => [...prev, data]);
+            onChange([...(selectedIds || []), data.persona_id]);
+            setForm(EMPTY_FORM);
+            setShowForm(false);
+            onNotification?.(`Added persona "${data.name}"`);
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (persona, e) => {
+        e.stopPropagation();
+
+        try {
+            const response = await apiFetch(`/api/personas/${persona.persona_id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Failed to delete persona');
+
+            setPersonas(prev => prev.filter(p => p.persona_id !== persona.persona_id));
+            onChange((selectedIds || []).filter(id => id !== persona.persona_id));
+            onNotification?.(`Removed persona "${persona.name}"`);
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        }
+    };
+
+    return (
+        <div className="persona-picker">
+            <div className="persona-picker-label">Audience panel</div>
+            <div className="persona-chips">
+                {personas.map(persona => (
+                    <button
+                        key={persona.persona_id}
+                        className={`persona-chip ${selectedIds?.includes(persona.persona_id) ? 'selected' : ''}`}
+                        onClick={() => togglePersona(persona.persona_id)}
+                        title={persona.voice}
+                        disabled={disabled}
+                    >
+                        {persona.name}
+                        {!persona.builtin && (
+                            <span
+                                className="persona-chip-remove"
+                                onClick={(e) => handleDelete(persona, e)}
+                                title="Delete persona"
+                            >
+                                ×
+                            </span>
+                        )}
+                    </button>
+                ))}
+                <button
+                    className="persona-chip add"
+                    onClick={() => setShowForm(!showForm)}
+                    disabled={disabled}
+                >
+                    + Custom
+                </button>
+            </div>
+
+            {showForm && (
+                <form className="persona-form" onSubmit={handleCreate}>
+                    <input
+                        placeholder="Name (e.g. Jaded Comedy Club Regular)"
+                        value={form.name}
+                        onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    />
+                    <input
+                        placeholder="Voice (who they are)"
+                        value={form.voice}
+                        onChange={(e) => setForm({ ...form, voice: e.target.value })}
+                    />
+                    <textarea
+                        placeholder="Prompt fragment (how they react)"
+                        value={form.prompt_fragment}
+                        onChange={(e) => setForm({ ...form, prompt_fragment: e.target.value })}
+                    />
+                    <button
+                        type="submit"
+                        disabled={saving || !form.name.trim() || !form.voice.trim() || !form.prompt_fragment.trim()}
+                    >
+                        {saving ? 'Saving...' : 'Add Persona'}
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,219 @@
+/**
+ * PunchUpPanel.jsx
+ * Punch-up stage: asks for concrete rewrites of the line, re-tests each one
+ * with the persona panel and ranks them against the original
+ */
+
+import { useState, useEffect } from 'react';
+import { startJob, followJob } from '../jobStream';
+import { apiFetch } from '../api';
+
+const TECHNIQUE_LABELS = {
+    tighten: 'Tightened',
+    new_punchline: 'New Punchline',
+    tag: 'Added Tag',
+    reframe: 'Reframed',
+    callback: 'Callback'
+};
+
+/**
+ * Signed delta with a class saying whether it's an improvement
+ */
+function Delta({ value, higherIsBetter = true }) {
+    if (value === null || value === undefined || value === 0) return null;
+
+    const better = higherIsBetter ? value > 0 : value < 0;
+    return (
+        <span className={`punchup-delta ${better ? 'better' : 'worse'}`}>
+            {value > 0 ? '+' : ''}{value}
+        </span>
+    );
+}
+
+/**
+ * PunchUpPanel component - runs and displays punch-up variants for one line
+ */
+export default function PunchUpPanel({ setId, lineId = 'l1', disabled, onOpenVariant, onNotification }) {
+    const [isExpanded, setIsExpanded] = useState(false);
+    const [running, setRunning] = useState(false);
+    const [error, setError] = useState(null);
+    const [rewrites, setRewrites] = useState([]);
+    const [tested, setTested] = useState([]);
+    const [result, setResult] = useState(null);
+
+    // Load variants from an earlier punch-up of this line
+    useEffect(() => {
+        let cancelled = false;
+
+        apiFetch(`/api/analyze/${setId}/punchup?line_id=${lineId}`)
+            .then(response => (response.ok ? response.json() : null))
+            .then(data => {
+                if (!cancelled && data?.variants?.length > 0) {
+                    setResult(data);
+                    setIsExpanded(true);
+                }
+            })
+            .catch(err => console.error('Error fetching punch-up variants:', err));
+
+        return () => { cancelled = true; };
+    }, [setId, lineId]);
+
+    const handlePunchUp = async (e) => {
+        e.stopPropagation();
+        setIsExpanded(true);
+        setRunning(true);
+        setError(null);
+        setRewrites([]);
+        setTested([]);
+        setResult(null);
+
+        try {
+            const job = await startJob(`/api/analyze/${setId}/punchup`, { line_id: lineId });
+
+            const end = await followJob(job.job_id, (eventType, eventData) => {
+                switch (eventType) {
+                    case 'progress':
+                        onNotification?.(eventData.message);
+                        break;
+                    case 'punchup_variants':
+                        setRewrites(eventData.variants);
+                        break;
+                    case 'punchup_variant':
+                        setTested(prev => [...prev, eventData.variant]);
+                        break;
+                    case 'punchup_result':
+                        setResult(eventData);
+                        break;
+                    case 'done':
+                        onNotification?.('Punch-up complete!');
+                        break;
+                }
+            });
+
+            if (end.status === 'failed') {
+                throw new Error(end.error || 'Punch-up failed');
+            }
+        } catch (err) {
+            console.error('Punch-up error:', err);
+            setError(err.message);
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    const testedIndexes = new Set(tested.map(v => v.variant_index));
+
+    return (
+        <div className="punchup-section">
+            <div
+                className="punchup-header"
+                onClick={() => setIsExpanded(!isExpanded)}
+            >
+                <div className="punchup-title">
+                    <span className="punchup-icon">✍️</span>
+                    <span>Punch-Up</span>
+                </div>
+                <div className="punchup-actions">
+                    <button
+                        className="punchup-btn"
+                        onClick={handlePunchUp}
+                        disabled={disabled || running}
+                    >
+                        {running ? 'Punching up...' : result ? 'Punch It Up Again' : 'Punch It Up'}
+                    </button>
+                    <span className="expand-indicator">{isExpanded ? '▼' : '▶'}</span>
+                </div>
+            </div>
+
+            {isExpanded && (
+                <div className="punchup-content">
+                    {error && <div className="similar-error">Punch-up failed: {error}</div>}
+
+                    {!result && !running && !error && (
+                        <div className="similar-empty">
+                            Get 3-5 rewrites of this line, each re-tested with the same audience.
+                        </div>
+                    )}
+
+                    {/* While running: the rewrites and which have been re-tested */}
+                    {running && !result && (
+                        <div className="punchup-list">
+                            {rewrites.length === 0 && (
+                                <div className="similar-loading">
+                                    <span className="spinner-small" />
+                                    <span>Writing variants...</span>
+                                </div>
+                            )}
+                            {rewrites.map(rewrite => (
+                                <div key={rewrite.variant_index} className="punchup-row pending">
+                                    <span className="punchup-technique">
+                                        {TECHNIQUE_LABELS[rewrite.technique] || rewrite.technique}
+                                    </span>
+                                    <span className="punchup-text">{rewrite.variant_text}</span>
+                                    <span className="punchup-status">
+                                        {testedIndexes.has(rewrite.variant_index) ? '✓ tested' : 'testing...'}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {result && (
+                        <div className="punchup-list">
+                            <div className="punchup-row punchup-columns">
+                                <span>#</span>
+                                <span>Version</span>
+                                <span>Laugh</span>
+                                <span>Divergence</span>
+                                <span />
+                            </div>
+
+                            <div className="punchup-row original">
+                                <span className="punchup-rank">—</span>
+                                <span className="punchup-text">
+                                    <span className="punchup-technique">Original</span>
+                                    {result.original.line_text}
+                                </span>
+                                <span className="punchup-score">{result.original.laugh_score ?? '–'}</span>
+                                <span className="punchup-score">{result.original.divergence ?? '–'}</span>
+                                <span />
+                            </div>
+
+                            {result.variants.map(variant => (
+                                <div
+                                    key={variant.set_id}
+                                    className={`punchup-row ${variant.beats_original ? 'beats' : ''}`}
+                                >
+                                    <span className="punchup-rank">{variant.rank}</span>
+                                    <span className="punchup-text">
+                                        <span className="punchup-technique">
+                                            {TECHNIQUE_LABELS[variant.technique] || variant.technique}
+                                        </span>
+                                        {variant.line_text}
+                                        {variant.rationale && (
+                                            <span className="punchup-rationale">{variant.rationale}</span>
+                                        )}
+                                    </span>
+                                    <span className="punchup-score">
+                                        {variant.laugh_score ?? '–'}
+                                        <Delta value={variant.laugh_delta} />
+                                    </span>
+                                    <span className="punchup-score">
+                                        {variant.divergence ?? '–'}
+                                        <Delta value={variant.divergence_delta} higherIsBetter={false} />
+                                    </span>
+                                    <button
+                                        className="punchup-open-btn"
+                                        onClick={() => onOpenVariant?.(variant)}
+                                    >
+                                        Open
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,7 +1,7 @@
 /**
  * ReviewerCard.jsx
  * Displays the Stage 2 Critical Analysis (formerly Stage 3 Reviewer)
- * Shows reasoning, divergence score, risk level, and recommendations
+ * Shows reasoning, divergence scores (reviewer and computed), risk level, and recommendations
  */
 
 import { useState } from 'react';
@@ -34,19 +34,26 @@ function getRiskEmoji(riskLevel) {
     }
 }
 
+const METRIC_LABELS = {
+    relatability: 'Relatability',
+    laugh_potential: 'Laugh Potential',
+    crowd_energy: 'Crowd Energy'
+};
+
 /**
  * Divergence gauge component
  */
-function DivergenceGauge({ score }) {
+function DivergenceGauge({ score, title = 'Divergence Score', caption }) {
     const normalizedScore = Math.min(100, Math.max(0, score || 0));
     const gaugeColor = normalizedScore > 70 ? '#ef4444' : normalizedScore > 40 ? '#f59e0b' : '#22c55e';
 
     return (
         <div className="divergence-gauge">
             <div className="gauge-header">
-                <span className="gauge-title">Divergence Score</span>
+                <span className="gauge-title">{title}</span>
                 <span className="gauge-value" style={{ color: gaugeColor }}>{normalizedScore}/100</span>
             </div>
+            {caption && <div className="gauge-caption">{caption}</div>}
             <div className="gauge-track">
                 <div
                     className="gauge-fill"
@@ -64,6 +71,52 @@ function DivergenceGauge({ score }) {
     );
 }
 
+/**
+ * Which metrics drove the computed divergence, and the most split pair
+ */
+function DivergenceBreakdown({ breakdown }) {
+    const metrics = Object.entries(breakdown.metrics || {});
+    const pair = breakdown.most_disagreeing_pair;
+    const pairMetrics = pair
+        ? Object.entries(pair.metric_differences)
+            .filter(([, diff]) => diff > 0)
+            .map(([metric]) => METRIC_LABELS[metric]?.toLowerCase() || metric)
+        : [];
+
+    if (metrics.length === 0) return null;
+
+    return (
+        <div className="divergence-breakdown">
+            <div className="section-label">
+                <span className="section-icon">📊</span>
+                What Split the Room
+            </div>
+
+            <div className="breakdown-metrics">
+                {metrics
+                    .sort(([, a], [, b]) => b.spread - a.spread)
+                    .map(([metric, m]) => (
+                        <div key={metric} className="breakdown-row">
+                            <span className="breakdown-label">{METRIC_LABELS[metric] || metric}</span>
+                            <div className="breakdown-track">
+                                <div className="breakdown-fill" style={{ width: `${m.spread}%` }} />
+                            </div>
+                            <span className="breakdown-value">{m.spread}</span>
+                        </div>
+                    ))}
+            </div>
+
+            {pair && (
+                <div className="breakdown-pair">
+                    Most split: <strong>{pair.personas[0].persona_name}</strong> vs{' '}
+                    <strong>{pair.personas[1].persona_name}</strong>
+                    {' '}({pair.distance} apart on {pairMetrics.join(', ')})
+                </div>
+            )}
+        </div>
+    );
+}
+
 /**
  * Main ReviewerCard component
  */
@@ -80,9 +133,15 @@ export default function ReviewerCard({ stage3 }) {
         risk_level,
         primary_conflict,
         conflict_summary,
-        recommendation
+        recommendation,
+        computed_divergence_score,
+        divergence_breakdown
     } = stage3;
 
+    // Without the reviewer agent only the computed score is available
+    const hasReview = divergence_score !== undefined && divergence_score !== null;
+    const hasComputed = computed_divergence_score !== undefined && computed_divergence_score !== null;
+
     // Filter out "unknown" or empty values
     const hasConflict = primary_conflict && primary_conflict.toLowerCase() !== 'unknown';
     const hasReasoning = reasoning && reasoning !== 'Analysis pending...';
@@ -101,10 +160,12 @@ export default function ReviewerCard({ stage3 }) {
                     </div>
                 </div>
                 <div className="reviewer-meta">
-                    <div className="reviewer-risk-badge" style={{ backgroundColor: getRiskColor(risk_level) }}>
-                        <span>{getRiskEmoji(risk_level)}</span>
-                        <span>{risk_level?.toUpperCase() || 'UNKNOWN'} RISK</span>
-                    </div>
+                    {risk_level && (
+                        <div className="reviewer-risk-badge" style={{ backgroundColor: getRiskColor(risk_level) }}>
+                            <span>{getRiskEmoji(risk_level)}</span>
+                            <span>{risk_level.toUpperCase()} RISK</span>
+                        </div>
+                    )}
                     <span className="expand-indicator">{isExpanded ? '▼' : '▶'}</span>
                 </div>
             </div>
@@ -123,7 +184,22 @@ export default function ReviewerCard({ stage3 }) {
                     )}
 
                     <div className="metrics-grid">
-                        <DivergenceGauge score={divergence_score} />
+                        <div className="gauge-stack">
+                            {hasReview && (
+                                <DivergenceGauge
+                                    score={divergence_score}
+                                    title="Reviewer Divergence"
+                                    caption="Judged by the reviewer agent"
+                                />
+                            )}
+                            {hasComputed && (
+                                <DivergenceGauge
+                                    score={computed_divergence_score}
+                                    title="Computed Divergence"
+                                    caption="Spread of the persona scores"
+                                />
+                            )}
+                        </div>
 
                         {hasConflict && (
                             <div className="conflict-box">
@@ -139,6 +215,8 @@ export default function ReviewerCard({ stage3 }) {
                         )}
                     </div>
 
+                    {divergence_breakdown && <DivergenceBreakdown breakdown={divergence_breakdown} />}
+
                     {recommendation && recommendation !== 'No recommendation available' && (
                         <div className="recommendation-section">
                             <div className="section-label">
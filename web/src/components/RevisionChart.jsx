@@ -0,0 +1,98 @@
+/**
+ * RevisionChart Component
+ * Line chart of laugh potential and divergence across a joke's revisions.
+ * Clicking a point selects that revision.
+ */
+
+const WIDTH = 480;
+const HEIGHT = 160;
+const PAD = { top: 12, right: 16, bottom: 24, left: 32 };
+
+const SERIES = [
+    { key: 'laugh_score', label: 'Laugh potential', color: '#22c55e' },
+    { key: 'divergence', label: 'Divergence', color: '#8b5cf6' }
+];
+
+export default function RevisionChart({ revisions = [], activeSetId, onSelectRevision }) {
+    if (revisions.length === 0) return null;
+
+    const plotWidth = WIDTH - PAD.left - PAD.right;
+    const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+    const x = (idx) => PAD.left + (revisions.length === 1 ? plotWidth / 2 : (idx / (revisions.length - 1)) * plotWidth);
+    const y = (value) => PAD.top + plotHeight - (value / 100) * plotHeight;
+
+    return (
+        <div className="revision-chart">
+            <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Scores across revisions">
+                {/* Grid */}
+                {[0, 50, 100].map(tick => (
+                    <g key={tick}>
+                        <line
+                            className="revision-chart-grid"
+                            x1={PAD.left}
+                            x2={WIDTH - PAD.right}
+                            y1={y(tick)}
+                            y2={y(tick)}
+                        />
+                        <text className="revision-chart-axis" x={PAD.left - 6} y={y(tick) + 4} textAnchor="end">
+                            {tick}
+                        </text>
+                    </g>
+                ))}
+                {revisions.map((r, idx) => (
+                    <text
+                        key={r.set_id}
+                        className={`revision-chart-axis ${r.set_id === activeSetId ? 'active' : ''}`}
+                        x={x(idx)}
+                        y={HEIGHT - 6}
+                        textAnchor="middle"
+                    >
+                        v{r.revision}
+                    </text>
+                ))}
+
+                {/* Series; revisions without a score leave a gap */}
+                {SERIES.map(series => {
+                    const points = revisions
+                        .map((r, idx) => (r[series.key] === null || r[series.key] === undefined
+                            ? null
+                            : { idx, value: r[series.key], set_id: r.set_id }))
+                        .filter(Boolean);
+
+                    return (
+                        <g key={series.key}>
+                            <polyline
+                                fill="none"
+                                stroke={series.color}
+                                strokeWidth="2"
+                                points={points.map(p => `${x(p.idx)},${y(p.value)}`).join(' ')}
+                            />
+                            {points.map(p => (
+                                <circle
+                                    key={p.set_id}
+                                    className="revision-chart-point"
+                                    cx={x(p.idx)}
+                                    cy={y(p.value)}
+                                    r={p.set_id === activeSetId ? 5 : 3.5}
+                                    fill={series.color}
+                                    onClick={() => onSelectRevision?.(revisions[p.idx])}
+                                >
+                                    <title>{`v${revisions[p.idx].revision} ${series.label}: ${p.value}`}</title>
+                                </circle>
+                            ))}
+                        </g>
+                    );
+                })}
+            </svg>
+
+            <div className="revision-chart-legend">
+                {SERIES.map(series => (
+                    <span key={series.key}>
+                        <span className="legend-swatch" style={{ backgroundColor: series.color }} />
+                        {series.label}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+}
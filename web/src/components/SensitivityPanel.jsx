@@ -0,0 +1,107 @@
+/**
+ * SensitivityPanel.jsx
+ * Shows the sensitive topics a line touches (religion, politics, ...) with a
+ * severity for the room, next to the reviewer's Critical Analysis
+ */
+
+import { useState } from 'react';
+
+export const SEVERITY_COLORS = {
+    low: '#22c55e',
+    medium: '#f59e0b',
+    high: '#ef4444'
+};
+
+const CATEGORY_ICONS = {
+    religion: '🙏',
+    politics: '🗳️',
+    body_image: '🪞',
+    profanity: '🤬',
+    sexual_content: '🔞',
+    race_ethnicity: '🌍',
+    gender_sexuality: '⚧️',
+    disability: '♿',
+    violence: '🥊',
+    drugs_alcohol: '🍺',
+    death_tragedy: '🪦'
+};
+
+/**
+ * Display name of a sensitivity category (e.g. body_image -> Body Image)
+ * @param {string} category
+ * @returns {string}
+ */
+export function sensitivityLabel(category) {
+    return category.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * SensitivityPanel component
+ * @param {Object} sensitivity - { status, tags, max_severity, summary, failure_reason }
+ */
+export default function SensitivityPanel({ sensitivity }) {
+    const [isExpanded, setIsExpanded] = useState(true);
+
+    if (!sensitivity) return null;
+
+    const { status, tags = [], max_severity, summary } = sensitivity;
+    const failed = status === 'failed';
+
+    return (
+        <div className="reviewer-card sensitivity-card">
+            <div
+                className="reviewer-header"
+                onClick={() => setIsExpanded(!isExpanded)}
+            >
+                <div className="reviewer-title-group">
+                    <div className="reviewer-title">
+                        <span className="reviewer-icon">🧭</span>
+                        <span>Sensitive Topics</span>
+                    </div>
+                </div>
+                <div className="reviewer-meta">
+                    {!failed && (
+                        <div
+                            className="reviewer-risk-badge"
+                            style={{ backgroundColor: SEVERITY_COLORS[max_severity] || 'var(--text-muted, #9ca3af)' }}
+                        >
+                            {tags.length === 0 ? 'NOTHING FLAGGED' : `${max_severity.toUpperCase()} SENSITIVITY`}
+                        </div>
+                    )}
+                    <span className="expand-indicator">{isExpanded ? '▼' : '▶'}</span>
+                </div>
+            </div>
+
+            {isExpanded && (
+                <div className="reviewer-content">
+                    {failed ? (
+                        <p className="sensitivity-empty">Classification failed: {sensitivity.failure_reason}</p>
+                    ) : tags.length === 0 ? (
+                        <p className="sensitivity-empty">No sensitive topics detected for this room.</p>
+                    ) : (
+                        <div className="sensitivity-tags">
+                            {tags.map(tag => (
+                                <div key={tag.category} className="sensitivity-tag">
+                                    <div className="sensitivity-tag-header">
+                                        <span className="sensitivity-category">
+                                            {CATEGORY_ICONS[tag.category] || '•'} {sensitivityLabel(tag.category)}
+                                        </span>
+                                        <span
+                                            className="sensitivity-severity"
+                                            style={{ backgroundColor: SEVERITY_COLORS[tag.severity] }}
+                                        >
+                                            {tag.severity}
+                                        </span>
+                                    </div>
+                                    {tag.rationale && <div className="sensitivity-rationale">{tag.rationale}</div>}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {summary && !failed && <div className="sensitivity-summary">{summary}</div>}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,137 @@
+/**
+ * SetConnections Component
+ * Callbacks a later line could make to an earlier one, themes running
+ * through the set and premises it repeats. Sets analyzed before the lookup
+ * existed can be checked from here.
+ */
+
+import { useState } from 'react';
+import { startJob, followJob } from '../jobStream';
+
+export default function SetConnections({ set, canEdit, onSelectLine, onConnectionsChange, onNotification }) {
+    const [running, setRunning] = useState(false);
+
+    const { connections } = set;
+    const lineNumber = (lineId) => (set.lines.find(l => l.line_id === lineId)?.line_index ?? 0) + 1;
+
+    const lineLink = (lineId) => (
+        <button key={lineId} className="set-line-link" onClick={() => onSelectLine(lineId)}>
+            #{lineNumber(lineId)}
+        </button>
+    );
+
+    const handleFind = async () => {
+        setRunning(true);
+
+        try {
+            const job = await startJob(`/api/sets/${set.set_id}/connections`, {});
+
+            const end = await followJob(job.job_id, (eventType, eventData) => {
+                switch (eventType) {
+                    case 'progress':
+                        onNotification?.(eventData.message);
+                        break;
+                    case 'set_connections':
+                        onConnectionsChange(set.set_id, eventData.connections);
+                        break;
+                }
+            });
+
+            if (end.status === 'failed') {
+                throw new Error(end.error || 'Failed to look across the set');
+            }
+        } catch (err) {
+            console.error('Callback lookup error:', err);
+            onNotification?.(err.message, 'error');
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    const findButton = canEdit && (
+        <button className="cache-btn" onClick={handleFind} disabled={running}>
+            {running ? 'Looking...' : connections ? 'Look Again' : 'Find Callbacks'}
+        </button>
+    );
+
+    if (!connections) {
+        return (
+            <div className="set-connections">
+                <div className="section-label">
+                    <span className="section-icon">🔁</span>
+                    Callbacks &amp; Themes
+                </div>
+                <p className="set-connections-empty">This set hasn't been checked for callbacks and running themes yet.</p>
+                {findButton}
+            </div>
+        );
+    }
+
+    const { status, callbacks = [], themes = [], repeats = [], writer } = connections;
+    const nothingFound = callbacks.length === 0 && themes.length === 0 && repeats.length === 0;
+
+    return (
+        <div className="set-connections">
+            <div className="section-label">
+                <span className="section-icon">🔁</span>
+                Callbacks &amp; Themes
+            </div>
+
+            {status === 'failed' && (
+                <p className="set-connections-empty">Couldn't look across the set: {connections.failure_reason}</p>
+            )}
+            {status !== 'failed' && nothingFound && (
+                <p className="set-connections-empty">No callbacks, running themes or repeated premises found.</p>
+            )}
+
+            {callbacks.length > 0 && (
+                <ul className="set-connection-list">
+                    {callbacks.map(callback => (
+                        <li key={`${callback.reference_line_id}-${callback.target_line_id}`} className="set-connection">
+                            <div className="set-connection-lines">
+                                {lineLink(callback.target_line_id)} calls back to {lineLink(callback.reference_line_id)}
+                                {callback.hook && <span className="set-badge">{callback.hook}</span>}
+                            </div>
+                            {callback.phrasing
+                                ? <p className="set-connection-phrasing">“{callback.phrasing}”</p>
+                                : <p className="set-connection-note">Tie #{lineNumber(callback.target_line_id)} back to #{lineNumber(callback.reference_line_id)}{callback.hook ? ` through ${callback.hook}` : ''}.</p>}
+                            {callback.rationale && <p className="set-connection-note">{callback.rationale}</p>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {writer === 'failed' && callbacks.length > 0 && (
+                <p className="set-connection-note">The callback writer didn't respond, so these have no suggested phrasing.</p>
+            )}
+
+            {themes.length > 0 && (
+                <ul className="set-connection-list">
+                    {themes.map(theme => (
+                        <li key={theme.line_ids.join('-')} className="set-connection">
+                            <div className="set-connection-lines">
+                                <span className="set-badge">{theme.label}</span>
+                                runs through {theme.line_ids.map(lineLink)}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {repeats.length > 0 && (
+                <ul className="set-connection-list">
+                    {repeats.map(repeat => (
+                        <li key={repeat.line_ids.join('-')} className="set-connection repeat">
+                            <div className="set-connection-lines">
+                                ⚠️ {repeat.line_ids.map(lineLink)} tell the same premise
+                                {repeat.hook && <span className="set-badge">{repeat.hook}</span>}
+                            </div>
+                            <p className="set-connection-note">Cut one, or make them a deliberate run.</p>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {findButton}
+        </div>
+    );
+}
@@ -0,0 +1,110 @@
+/**
+ * SetSummary Component
+ * Energy curve across a multi-line set, with the weakest line, biggest dips,
+ * and the callbacks and themes found across it.
+ * Clicking a bar or a line selects it for the detailed results below.
+ */
+
+import SetConnections from './SetConnections';
+
+/**
+ * Pick a bar color for an energy score
+ */
+export function getEnergyColor(energy) {
+    if (energy === null || energy === undefined) return 'var(--border-hover)';
+    if (energy >= 67) return '#ef4444';
+    if (energy >= 34) return '#f59e0b';
+    return '#94a3b8';
+}
+
+export default function SetSummary({ set, activeLineId, onSelectLine, canEdit, onConnectionsChange, onNotification }) {
+    if (!set) return null;
+
+    const { lines = [], summary } = set;
+    const curve = summary?.energy_curve || [];
+    const energyByLine = Object.fromEntries(curve.map(p => [p.line_id, p.energy]));
+    const lineNumber = (lineId) => (lines.find(l => l.line_id === lineId)?.line_index ?? 0) + 1;
+
+    return (
+        <div className="set-summary">
+            <div className="stage-header">
+                <span className="stage-badge">🎤</span>
+                <h2 className="stage-title">{set.set_title || 'Set Overview'}</h2>
+                <span className="stage-subtitle">
+                    {lines.length} lines
+                    {summary?.avg_energy !== null && summary?.avg_energy !== undefined && ` · avg energy ${summary.avg_energy}`}
+                </span>
+            </div>
+
+            {/* Energy Curve */}
+            <div className="energy-curve">
+                {lines.map(line => {
+                    const energy = energyByLine[line.line_id];
+                    const isWeakest = summary?.weakest_line?.line_id === line.line_id;
+                    return (
+                        <button
+                            key={line.line_id}
+                            className={`energy-bar ${activeLineId === line.line_id ? 'active' : ''} ${isWeakest ? 'weakest' : ''} ${line.status || ''}`}
+                            onClick={() => onSelectLine(line.line_id)}
+                            title={line.line_text}
+                        >
+                            <span
+                                className="energy-bar-fill"
+                                style={{
+                                    height: `${energy ?? 4}%`,
+                                    backgroundColor: getEnergyColor(energy)
+                                }}
+                            />
+                            <span className="energy-bar-label">{line.line_index + 1}</span>
+                        </button>
+                    );
+                })}
+            </div>
+
+            {summary && (
+                <div className="set-callouts">
+                    {summary.weakest_line && (
+                        <div className="set-callout weakest">
+                            <div className="section-label">
+                                <span className="section-icon">🥶</span>
+                                Weakest Line
+                            </div>
+                            <button className="set-line-link" onClick={() => onSelectLine(summary.weakest_line.line_id)}>
+                                #{lineNumber(summary.weakest_line.line_id)} ({summary.weakest_line.energy}) — {summary.weakest_line.line_text}
+                            </button>
+                        </div>
+                    )}
+
+                    {summary.dips?.length > 0 && (
+                        <div className="set-callout dips">
+                            <div className="section-label">
+                                <span className="section-icon">📉</span>
+                                Biggest Dips
+                            </div>
+                            {summary.dips.map(dip => (
+                                <button
+                                    key={`${dip.from_line_id}-${dip.to_line_id}`}
+                                    className="set-line-link"
+                                    onClick={() => onSelectLine(dip.to_line_id)}
+                                >
+                                    #{lineNumber(dip.from_line_id)} → #{lineNumber(dip.to_line_id)}: −{dip.drop} ({dip.from_energy} → {dip.to_energy})
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Callbacks & themes, once every line is analyzed */}
+            {summary && lines.length > 1 && (
+                <SetConnections
+                    set={set}
+                    canEdit={canEdit}
+                    onSelectLine={onSelectLine}
+                    onConnectionsChange={onConnectionsChange}
+                    onNotification={onNotification}
+                />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,382 @@
+/**
+ * SetlistBuilder Component
+ * Pick analyzed jokes from History, drag them into a running order and save
+ * it as a setlist. The server predicts the room's energy through the order,
+ * flags problems (cold closer, back-to-back risky bits, ...) and suggests a
+ * better one.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getEnergyColor } from './SetSummary';
+import { apiFetch } from '../api';
+
+const PLAN_DELAY_MS = 300;
+const PICKER_PAGE_SIZE = 50;
+const MAX_SETLIST_JOKES = 50;
+
+export default function SetlistBuilder({ canEdit, onNotification }) {
+    const [setlists, setSetlists] = useState([]);
+    const [activeId, setActiveId] = useState(null);
+    const [name, setName] = useState('');
+    const [savedName, setSavedName] = useState('');
+    const [items, setItems] = useState([]);
+    const [plan, setPlan] = useState(null);
+    const [dirty, setDirty] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [jokes, setJokes] = useState([]);
+    const [jokesCursor, setJokesCursor] = useState(null);
+    const [dragIndex, setDragIndex] = useState(null);
+    const planRequestRef = useRef(0);
+
+    useEffect(() => {
+        fetchSetlists();
+        fetchJokes(null);
+    }, []);
+
+    // Re-plan shortly after the running order changes
+    useEffect(() => {
+        if (!dirty) return;
+        if (items.length === 0) {
+            setPlan(null);
+            return;
+        }
+
+        const timer = setTimeout(() => fetchPlan(items), PLAN_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [items, dirty]);
+
+    const fetchSetlists = async () => {
+        try {
+            const response = await apiFetch('/api/setlists');
+            if (!response.ok) throw new Error('Failed to fetch setlists');
+
+            setSetlists((await response.json()).setlists);
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        }
+    };
+
+    const fetchJokes = async (cursor) => {
+        try {
+            const params = new URLSearchParams({ limit: PICKER_PAGE_SIZE });
+            if (cursor) params.set('cursor', cursor);
+            const response = await apiFetch(`/api/history?${params}`);
+            if (!response.ok) throw new Error('Failed to fetch history');
+
+            const data = await response.json();
+            setJokes(prev => [...(cursor ? prev : []), ...data.items]);
+            setJokesCursor(data.next_cursor);
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        }
+    };
+
+    const fetchPlan = async (order) => {
+        const request = ++planRequestRef.current;
+
+        try {
+            const response = await apiFetch('/api/setlists/plan', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ items: order.map(({ set_id, line_id }) => ({ set_id, line_id })) })
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Failed to plan setlist');
+
+            // A newer order may have been planned in the meantime
+            if (request === planRequestRef.current) setPlan(data);
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        }
+    };
+
+    /**
+     * Show a setlist returned by the server (with its plan)
+     */
+    const showSetlist = (setlist) => {
+        planRequestRef.current++;
+        setActiveId(setlist.setlist_id);
+        setName(setlist.name);
+        setSavedName(setlist.name);
+        setItems(setlist.plan.jokes.map(({ set_id, line_id, line_text }) => ({ set_id, line_id, line_text })));
+        setPlan(setlist.plan);
+        setDirty(false);
+    };
+
+    const handleOpen = async (setlistId) => {
+        if (!setlistId) {
+            handleNew();
+            return;
+        }
+
+        try {
+            const response = await apiFetch(`/api/setlists/${setlistId}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Failed to open setlist');
+
+            showSetlist(data);
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        }
+    };
+
+    const handleNew = () => {
+        planRequestRef.current++;
+        setActiveId(null);
+        setName('');
+        setSavedName('');
+        setItems([]);
+        setPlan(null);
+        setDirty(false);
+    };
+
+    const changeOrder = (next) => {
+        setItems(next);
+        setDirty(true);
+    };
+
+    const handleAdd = (joke) => {
+        changeOrder([...items, { set_id: joke.set_id, line_id: 'l1', line_text: joke.line_text }]);
+    };
+
+    const handleRemove = (index) => {
+        changeOrder(items.filter((_, i) => i !== index));
+    };
+
+    const handleMove = (from, to) => {
+        if (to < 0 || to >= items.length || from === to) return;
+        const next = [...items];
+        const [moved] = next.splice(from, 1);
+        next.splice(to, 0, moved);
+        changeOrder(next);
+    };
+
+    const handleUseSuggestion = () => {
+        changeOrder(plan.suggestion.order.map(position => items[position]));
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+
+        try {
+            const response = await apiFetch(activeId ? `/api/setlists/${activeId}` : '/api/setlists', {
+                method: activeId ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: name.trim(),
+                    items: items.map(({ set_id, line_id }) => ({ set_id, line_id }))
+                })
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Failed to save setlist');
+
+            showSetlist(data);
+            fetchSetlists();
+            onNotification?.(`Saved "${data.name}"`);
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        try {
+            const response = await apiFetch(`/api/setlists/${activeId}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Failed to delete setlist');
+
+            setSetlists(prev => prev.filter(s => s.setlist_id !== activeId));
+            handleNew();
+            onNotification?.('Setlist deleted');
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        }
+    };
+
+    // The plan only describes the order it was computed for
+    const planFits = plan && plan.jokes.length === items.length &&
+        plan.jokes.every((joke, i) => joke.set_id === items[i].set_id && joke.line_id === items[i].line_id);
+    const flagsAt = (index) => (planFits ? plan.flags.filter(f => f.positions.includes(index)) : []);
+
+    const inSetlist = new Set(items.map(item => item.set_id));
+    const pickable = jokes.filter(joke => joke.analyzed && joke.line_count <= 1 && !inSetlist.has(joke.set_id));
+
+    return (
+        <div className="setlist-builder">
+            <div className="setlist-toolbar">
+                <select
+                    className="insights-filter"
+                    value={activeId || ''}
+                    onChange={(e) => handleOpen(e.target.value)}
+                >
+                    <option value="">{canEdit ? '＋ New setlist' : 'Pick a setlist'}</option>
+                    {setlists.map(s => (
+                        <option key={s.setlist_id} value={s.setlist_id}>
+                            {s.name} ({s.joke_count} jokes)
+                        </option>
+                    ))}
+                </select>
+                {canEdit && (
+                    <>
+                        <input
+                            className="setlist-name"
+                            placeholder="Setlist name"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                        />
+                        <button
+                            className="toggle-btn active"
+                            onClick={handleSave}
+                            disabled={saving || !name.trim() || (activeId && !dirty && name === savedName)}
+                        >
+                            {saving ? 'Saving...' : 'Save'}
+                        </button>
+                        {activeId && (
+                            <button className="delete-btn" onClick={handleDelete} title="Delete setlist">
+                                🗑️
+                            </button>
+                        )}
+                    </>
+                )}
+            </div>
+
+            <div className="setlist-columns">
+                <div className="setlist-order">
+                    {planFits && (
+                        <div className="energy-curve setlist-arc" title="Predicted room energy after each joke">
+                            {plan.jokes.map(joke => (
+                                <div key={`${joke.set_id}/${joke.line_id}`} className="energy-bar" title={joke.line_text || ''}>
+                                    <span
+                                        className="energy-bar-fill"
+                                        style={{
+                                            height: `${Math.max(joke.predicted_energy, 4)}%`,
+                                            backgroundColor: getEnergyColor(joke.predicted_energy)
+                                        }}
+                                    />
+                                    <span className="energy-bar-label">{joke.position + 1}</span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                    {planFits && plan.avg_energy !== null && (
+                        <p className="account-hint">Predicted average energy: {plan.avg_energy}/100</p>
+                    )}
+
+                    {items.length === 0 ? (
+                        <div className="history-empty">
+                            <p>No jokes in this setlist yet</p>
+                            {canEdit && <p className="hint">Add analyzed jokes from the list on the right</p>}
+                        </div>
+                    ) : (
+                        <ol className="setlist-items">
+                            {items.map((item, index) => {
+                                const joke = planFits ? plan.jokes[index] : null;
+                                const flags = flagsAt(index);
+                                return (
+                                    <li
+                                        key={`${item.set_id}/${item.line_id}`}
+                                        className={`setlist-item ${dragIndex === index ? 'dragging' : ''} ${flags.some(f => f.severity === 'warning') ? 'flagged' : ''}`}
+                                        draggable={canEdit}
+                                        onDragStart={() => setDragIndex(index)}
+                                        onDragOver={(e) => e.preventDefault()}
+                                        onDrop={() => { handleMove(dragIndex, index); setDragIndex(null); }}
+                                        onDragEnd={() => setDragIndex(null)}
+                                    >
+                                        <span className="setlist-position">{index + 1}</span>
+                                        <div className="history-content">
+                                            <p className="history-text">{item.line_text || joke?.line_text || item.set_id}</p>
+                                            <span className="history-date">
+                                                {joke?.energy !== null && joke?.energy !== undefined && `energy ${joke.energy}/100`}
+                                                {joke?.risk_level && (
+                                                    <span className={`risk-badge ${joke.risk_level}`}>{joke.risk_level} risk</span>
+                                                )}
+                                                {flags.length > 0 && (
+                                                    <span className="setlist-item-flags">
+                                                        {flags.map(f => f.type.replace(/_/g, ' ')).join(' · ')}
+                                                    </span>
+                                                )}
+                                            </span>
+                                        </div>
+                                        {canEdit && (
+                                            <div className="setlist-item-actions">
+                                                <button onClick={() => handleMove(index, index - 1)} disabled={index === 0} title="Move up">↑</button>
+                                                <button onClick={() => handleMove(index, index + 1)} disabled={index === items.length - 1} title="Move down">↓</button>
+                                                <button onClick={() => handleRemove(index)} title="Remove from setlist">✕</button>
+                                            </div>
+                                        )}
+                                    </li>
+                                );
+                            })}
+                        </ol>
+                    )}
+
+                    {planFits && plan.flags.length > 0 && (
+                        <ul className="setlist-flags">
+                            {plan.flags.map((flag, i) => (
+                                <li key={i} className={flag.severity}>
+                                    {flag.severity === 'warning' ? '⚠️' : 'ℹ️'} {flag.message}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {planFits && plan.suggestion.changed && (
+                        <div className="setlist-suggestion">
+                            <h3>Suggested running order</h3>
+                            <ol>
+                                {plan.suggestion.order.map(position => (
+                                    <li key={position}>{plan.jokes[position].line_text || plan.jokes[position].set_id}</li>
+                                ))}
+                            </ol>
+                            <ul className="setlist-reasons">
+                                {plan.suggestion.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                            </ul>
+                            <p className="account-hint">
+                                {plan.suggestion.flags.length} problem{plan.suggestion.flags.length === 1 ? '' : 's'} instead of {plan.flags.length}
+                                {' · '}predicted average energy{' '}
+                                {Math.round(plan.suggestion.predicted_arc.reduce((sum, e) => sum + e, 0) / plan.suggestion.predicted_arc.length)}/100
+                            </p>
+                            {canEdit && (
+                                <button className="cache-btn" onClick={handleUseSuggestion}>
+                                    Use This Order
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
+
+                {canEdit && (
+                    <div className="setlist-picker">
+                        <h3>Analyzed jokes</h3>
+                        {pickable.length === 0 ? (
+                            <p className="account-hint">Nothing left to add. Analyze more jokes to grow the pool.</p>
+                        ) : (
+                            <ul>
+                                {pickable.map(joke => (
+                                    <li key={joke.set_id}>
+                                        <button
+                                            onClick={() => handleAdd(joke)}
+                                            disabled={items.length >= MAX_SETLIST_JOKES}
+                                            title="Add to the end of the setlist"
+                                        >
+                                            ＋
+                                        </button>
+                                        <span>{joke.line_text}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        {jokesCursor && (
+                            <button className="toggle-btn" onClick={() => fetchJokes(jokesCursor)}>
+                                Load More
+                            </button>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,96 @@
+/**
+ * SignIn Component
+ * Username / password sign-in, with a switch to create an account.
+ * Unperformed material stays private to the account that analyzed it.
+ */
+
+import { useState } from 'react';
+import { apiFetch, setAuthToken } from '../api';
+
+export default function SignIn({ notice, onSignedIn }) {
+    const [mode, setMode] = useState('login'); // 'login' | 'register'
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const isRegister = mode === 'register';
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError(null);
+
+        try {
+            const response = await apiFetch(`/api/auth/${mode}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: username.trim(), password })
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Sign-in failed');
+
+            setAuthToken(data.token);
+            onSignedIn(data.user);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="app">
+            <header className="app-header">
+                <h1 className="app-title signin-title">How It Lands</h1>
+                <p className="app-subtitle">
+                    See how your jokes might land with different audiences
+                </p>
+            </header>
+
+            <form className="signin-card" onSubmit={handleSubmit}>
+                <div className="view-toggle signin-toggle">
+                    <button
+                        type="button"
+                        className={`toggle-btn ${!isRegister ? 'active' : ''}`}
+                        onClick={() => setMode('login')}
+                    >
+                        Sign In
+                    </button>
+                    <button
+                        type="button"
+                        className={`toggle-btn ${isRegister ? 'active' : ''}`}
+                        onClick={() => setMode('register')}
+                    >
+                        Create Account
+                    </button>
+                </div>
+
+                <input
+                    placeholder="Username"
+                    autoComplete="username"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                />
+                <input
+                    type="password"
+                    placeholder={isRegister ? 'Password (8+ characters)' : 'Password'}
+                    autoComplete={isRegister ? 'new-password' : 'current-password'}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                />
+
+                {(error || notice) && <div className="signin-error">{error || notice}</div>}
+
+                <button
+                    type="submit"
+                    className="generate-btn"
+                    disabled={submitting || !username.trim() || !password}
+                >
+                    {submitting ? 'Please wait...' : isRegister ? 'Create Account' : 'Sign In'}
+                </button>
+            </form>
+        </div>
+    );
+}
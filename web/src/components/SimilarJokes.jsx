@@ -5,16 +5,19 @@
  */
 
 import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
 
 /**
  * SimilarJokes component - fetches and displays jokes similar to the current one
+ * When the joke was played to a specific room, results can be limited to that room.
  */
-export default function SimilarJokes({ lineText, setId }) {
+export default function SimilarJokes({ lineText, setId, audienceContext }) {
     const [isExpanded, setIsExpanded] = useState(false);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [similarJokes, setSimilarJokes] = useState([]);
     const [hasFetched, setHasFetched] = useState(false);
+    const [sameRoomOnly, setSameRoomOnly] = useState(false);
 
     // Fetch similar jokes when expanded for the first time
     useEffect(() => {
@@ -23,6 +26,11 @@ export default function SimilarJokes({ lineText, setId }) {
         }
     }, [isExpanded, hasFetched, lineText]);
 
+    // Re-run the search when the room filter changes
+    useEffect(() => {
+        setHasFetched(false);
+    }, [sameRoomOnly]);
+
     const fetchSimilarJokes = async () => {
         setLoading(true);
         setError(null);
@@ -35,8 +43,11 @@ export default function SimilarJokes({ lineText, setId }) {
             if (setId) {
                 params.append('exclude_set_id', setId);
             }
+            if (sameRoomOnly && audienceContext) {
+                params.append('audience_context', audienceContext);
+            }
 
-            const response = await fetch(`/api/similar?${params}`);
+            const response = await apiFetch(`/api/similar?${params}`);
             if (!response.ok) {
                 throw new Error('Failed to fetch similar jokes');
             }
@@ -79,6 +90,18 @@ export default function SimilarJokes({ lineText, setId }) {
 
             {isExpanded && (
                 <div className="similar-content">
+                    {audienceContext && (
+                        <label className="similar-filter">
+                            <input
+                                type="checkbox"
+                                checked={sameRoomOnly}
+                                onChange={(e) => setSameRoomOnly(e.target.checked)}
+                                disabled={loading}
+                            />
+                            Only jokes played to the same room
+                        </label>
+                    )}
+
                     {loading && (
                         <div className="similar-loading">
                             <span className="spinner-small" />
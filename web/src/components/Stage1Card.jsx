@@ -1,52 +1,109 @@
 /**
  * Stage1Card Component
- * Displays a single Stage 1 audience reaction as a clickable card
+ * Displays a single Stage 1 audience reaction as a clickable card,
+ * or a failed persona with a retry button
  */
 
+/**
+ * Extra pill class for a metric highlighted in a comparison
+ */
+function highlightClass(highlights, metric) {
+    return highlights?.[metric] ? ` ${highlights[metric]}` : '';
+}
+
 export default function Stage1Card({
     feedback,
     isSelected,
     onClick,
-    angles = []
+    onRetry,
+    isRetrying = false,
+    retryDisabled = false,
+    angles = [],
+    highlights = null
 }) {
     const {
         agent_mode,
+        persona_name,
         feedback_text,
         relatability,
         laugh_potential,
         crowd_energy,
-        reason_codes = []
+        reason_codes = [],
+        validation_status,
+        status,
+        failure_reason
     } = feedback;
 
+    if (status === 'failed') {
+        return (
+            <div className="stage1-card failed">
+                <div className="card-header">
+                    <span className={`mode-badge ${agent_mode || ''}`}>
+                        {persona_name || agent_mode?.replace('_', ' ') || 'Unknown'}
+                    </span>
+                    <span className="confidence-badge validation-fallback">✖ failed</span>
+                </div>
+
+                <p className="feedback-text">Couldn't get a reaction from this persona.</p>
+                {failure_reason && (
+                    <p className="failure-reason">{failure_reason}</p>
+                )}
+
+                {onRetry && (
+                    <button
+                        className="retry-btn"
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            onRetry();
+                        }}
+                        disabled={isRetrying || retryDisabled}
+                    >
+                        {isRetrying ? 'Retrying...' : '↻ Retry'}
+                    </button>
+                )}
+            </div>
+        );
+    }
+
     return (
         <div
             className={`stage1-card ${isSelected ? 'selected' : ''}`}
             onClick={onClick}
             role="button"
             tabIndex={0}
-            onKeyDown={(e) => e.key === 'Enter' && onClick()}
+            onKeyDown={(e) => e.key === 'Enter' && onClick?.()}
         >
             <div className="card-header">
                 <span className={`mode-badge ${agent_mode || ''}`}>
-                    {agent_mode?.replace('_', ' ') || 'Unknown'}
+                    {persona_name || agent_mode?.replace('_', ' ') || 'Unknown'}
                 </span>
+                {validation_status && validation_status !== 'valid' && (
+                    <span
+                        className={`confidence-badge validation-${validation_status}`}
+                        title={validation_status === 'repaired'
+                            ? 'The agent needed a repair turn to return valid output'
+                            : 'The agent never returned fully valid output; some fields may be missing'}
+                    >
+                        {validation_status === 'repaired' ? '🔧 repaired' : '⚠️ partial'}
+                    </span>
+                )}
             </div>
 
             <p className="feedback-text">{feedback_text}</p>
 
             <div className="card-meta">
                 {relatability && (
-                    <span className={`level-pill relatability ${relatability}`}>
+                    <span className={`level-pill relatability ${relatability}${highlightClass(highlights, 'relatability')}`}>
                         🎯 Relatable: {relatability}
                     </span>
                 )}
                 {laugh_potential && (
-                    <span className={`level-pill laugh ${laugh_potential}`}>
+                    <span className={`level-pill laugh ${laugh_potential}${highlightClass(highlights, 'laugh_potential')}`}>
                         😂 Laugh: {laugh_potential}
                     </span>
                 )}
                 {crowd_energy && (
-                    <span className={`level-pill energy ${crowd_energy}`}>
+                    <span className={`level-pill energy ${crowd_energy}${highlightClass(highlights, 'crowd_energy')}`}>
                         🔥 Energy: {crowd_energy}
                     </span>
                 )}
@@ -70,7 +127,10 @@ export default function Stage1Card({
                         {angles.map((angle, idx) => (
                             <div key={angle.angle_id || idx} className="angle-item-embedded">
                                 <div className="angle-name">{angle.angle_name}</div>
-                                <div className="angle-desc">{angle.direction}</div>
+                                {angle.direction
+                                    ? <div className="angle-desc">{angle.direction}</div>
+                                    : <div className="angle-desc missing">No direction was saved for this angle.</div>}
+                                {angle.explanation && <div className="angle-why">{angle.explanation}</div>}
                             </div>
                         ))}
                     </div>
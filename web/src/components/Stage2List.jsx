@@ -22,13 +22,14 @@ export default function Stage2List({ paths, selectedFeedbackId }) {
     return (
         <div className="stage2-list">
             {displayPaths.map((angle, idx) => (
-                <div key={angle.angle_id || angle.path_id || idx} className="stage2-item">
+                <div key={angle.angle_id || idx} className="stage2-item">
                     <span className="angle-name">
-                        {angle.angle_name || angle.exploration_type || 'Angle'}
+                        {angle.angle_name || 'Angle'}
                     </span>
                     <span className="direction-text">
-                        {angle.direction || angle.direction_summary}
+                        {angle.direction || 'No direction was saved for this angle.'}
                     </span>
+                    {angle.explanation && <span className="angle-why">{angle.explanation}</span>}
                 </div>
             ))}
         </div>
@@ -0,0 +1,231 @@
+/**
+ * WorkspacePanel Component
+ * Members of the active workspace. Owners rename it, invite accounts by
+ * username, change roles and remove members; everyone else can leave.
+ */
+
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const ROLES = ['viewer', 'editor', 'owner'];
+
+const ROLE_HINTS = {
+    viewer: 'reads analyses, history and insights',
+    editor: 'also runs analyses and manages jokes and personas',
+    owner: 'also manages members and the workspace'
+};
+
+export default function WorkspacePanel({ workspace, user, onUpdated, onLeft, onNotification }) {
+    const [detail, setDetail] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [name, setName] = useState(workspace.name);
+    const [inviteName, setInviteName] = useState('');
+    const [inviteRole, setInviteRole] = useState('editor');
+    const [saving, setSaving] = useState(false);
+
+    const isOwner = workspace.role === 'owner';
+    const base = `/api/workspaces/${workspace.workspace_id}`;
+
+    useEffect(() => {
+        fetchDetail();
+    }, []);
+
+    const fetchDetail = async () => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            const response = await apiFetch(base);
+            if (!response.ok) throw new Error('Failed to fetch workspace');
+
+            setDetail(await response.json());
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * Send a change and show the workspace it returns
+     */
+    const update = async (url, options, successMessage) => {
+        setSaving(true);
+
+        try {
+            const response = await apiFetch(url, {
+                ...options,
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Failed to update workspace');
+
+            setDetail(data);
+            const { members, ...summary } = data;
+            onUpdated(summary);
+            onNotification?.(successMessage);
+            return true;
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        update(base, { method: 'PUT', body: JSON.stringify({ name: name.trim() }) }, 'Workspace renamed');
+    };
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        const added = await update(
+            `${base}/members`,
+            { method: 'POST', body: JSON.stringify({ username: inviteName.trim(), role: inviteRole }) },
+            `Added ${inviteName.trim()} as ${inviteRole}`
+        );
+        if (added) setInviteName('');
+    };
+
+    const handleRoleChange = (member, role) => {
+        update(
+            `${base}/members/${member.user_id}`,
+            { method: 'PUT', body: JSON.stringify({ role }) },
+            `${member.username} is now ${role}`
+        );
+    };
+
+    const handleRemove = (member) => {
+        update(`${base}/members/${member.user_id}`, { method: 'DELETE' }, `Removed ${member.username}`);
+    };
+
+    /**
+     * Leave the workspace, or delete it when `remove` is set (owners only)
+     */
+    const handleLeave = async (remove) => {
+        const question = remove
+            ? `Delete "${workspace.name}" and every joke analyzed in it? This can't be undone.`
+            : `Leave "${workspace.name}"? You'll lose access to its jokes.`;
+        if (!confirm(question)) return;
+
+        try {
+            const response = await apiFetch(remove ? base : `${base}/members/${user.user_id}`, { method: 'DELETE' });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Failed to leave workspace');
+
+            onNotification?.(remove ? `Deleted "${workspace.name}"` : `Left "${workspace.name}"`);
+            onLeft(workspace.workspace_id);
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        }
+    };
+
+    if (workspace.personal) {
+        return (
+            <div className="account-panel">
+                <h2 className="account-title">{workspace.name}</h2>
+                <p className="account-hint">
+                    Your personal workspace is private to you. Create a team workspace with ＋ in the header to share
+                    jokes, personas and insights with a writers' room.
+                </p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="account-panel">
+            <h2 className="account-title">{workspace.name}</h2>
+
+            {isOwner && (
+                <form className="persona-form workspace-form" onSubmit={handleRename}>
+                    <input value={name} onChange={(e) => setName(e.target.value)} />
+                    <button type="submit" disabled={saving || !name.trim() || name.trim() === workspace.name}>
+                        Rename
+                    </button>
+                </form>
+            )}
+
+            <div className="account-section">
+                <h3>Members</h3>
+                <p className="account-hint">
+                    {ROLES.map(role => `${role}: ${ROLE_HINTS[role]}`).join(' · ')}
+                </p>
+
+                {isOwner && (
+                    <form className="persona-form workspace-form" onSubmit={handleInvite}>
+                        <input
+                            placeholder="Username"
+                            value={inviteName}
+                            onChange={(e) => setInviteName(e.target.value)}
+                        />
+                        <select
+                            className="insights-filter"
+                            value={inviteRole}
+                            onChange={(e) => setInviteRole(e.target.value)}
+                        >
+                            {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                        </select>
+                        <button type="submit" disabled={saving || !inviteName.trim()}>
+                            Invite
+                        </button>
+                    </form>
+                )}
+
+                {loading ? (
+                    <div className="history-loading">Loading members...</div>
+                ) : error ? (
+                    <div className="history-error">{error}</div>
+                ) : (
+                    <ul className="account-token-list">
+                        {detail.members.map(member => (
+                            <li key={member.user_id} className="account-token">
+                                <div className="account-token-name">
+                                    {member.username}{member.user_id === user.user_id && ' (you)'}
+                                </div>
+                                {isOwner ? (
+                                    <div className="workspace-member-actions">
+                                        <select
+                                            className="insights-filter"
+                                            value={member.role}
+                                            onChange={(e) => handleRoleChange(member, e.target.value)}
+                                            disabled={saving}
+                                        >
+                                            {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                                        </select>
+                                        {member.user_id !== user.user_id && (
+                                            <button
+                                                className="delete-btn"
+                                                onClick={() => handleRemove(member)}
+                                                title="Remove member"
+                                                disabled={saving}
+                                            >
+                                                🗑️
+                                            </button>
+                                        )}
+                                    </div>
+                                ) : (
+                                    <span className="history-date">{member.role}</span>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <div className="workspace-danger">
+                <button className="toggle-btn" onClick={() => handleLeave(false)}>
+                    Leave Workspace
+                </button>
+                {isOwner && (
+                    <button className="toggle-btn" onClick={() => handleLeave(true)}>
+                        Delete Workspace
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
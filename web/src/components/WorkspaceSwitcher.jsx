@@ -0,0 +1,85 @@
+/**
+ * WorkspaceSwitcher Component
+ * Header control for the active workspace: pick one of the user's
+ * workspaces, or create a team workspace to share with a writers' room.
+ */
+
+import { useState } from 'react';
+import { apiFetch } from '../api';
+
+export default function WorkspaceSwitcher({ workspaces, activeId, onSwitch, onCreated, onNotification, disabled }) {
+    const [creating, setCreating] = useState(false);
+    const [name, setName] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+
+        try {
+            const response = await apiFetch('/api/workspaces', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: name.trim() })
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Failed to create workspace');
+
+            const { members, ...workspace } = data;
+            onCreated(workspace);
+            onNotification?.(`Created "${workspace.name}"`);
+            setName('');
+            setCreating(false);
+        } catch (err) {
+            onNotification?.(err.message, 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (creating) {
+        return (
+            <form className="workspace-create" onSubmit={handleCreate}>
+                <input
+                    autoFocus
+                    placeholder="Workspace name"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                />
+                <button type="submit" className="toggle-btn" disabled={saving || !name.trim()}>
+                    {saving ? 'Creating...' : 'Create'}
+                </button>
+                <button type="button" className="toggle-btn" onClick={() => setCreating(false)}>
+                    Cancel
+                </button>
+            </form>
+        );
+    }
+
+    return (
+        <div className="workspace-switcher">
+            <select
+                className="insights-filter"
+                value={activeId}
+                onChange={(e) => onSwitch(e.target.value)}
+                disabled={disabled}
+                title="Active workspace"
+            >
+                {workspaces.map(w => (
+                    <option key={w.workspace_id} value={w.workspace_id}>
+                        {w.personal ? '🔒' : '👥'} {w.name} ({w.role})
+                    </option>
+                ))}
+            </select>
+            <button
+                className="toggle-btn"
+                onClick={() => setCreating(true)}
+                disabled={disabled}
+                title="New team workspace"
+            >
+                ＋
+            </button>
+        </div>
+    );
+}
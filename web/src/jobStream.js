@@ -0,0 +1,121 @@
+/**
+ * Job streaming helpers
+ * Start server-side jobs and follow their Server-Sent Events, reconnecting
+ * with Last-Event-ID when the connection drops.
+ */
+
+import { apiFetch } from './api';
+
+// Reconnect attempts when a job's event stream drops
+const MAX_STREAM_RECONNECTS = 5;
+
+/**
+ * Read a Server-Sent Events response, calling onEvent(type, data, id) for each event
+ * SSE format: id: n\nevent: name\ndata: json\n\n
+ */
+export async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Keep the last incomplete part in buffer
+        const groups = buffer.split('\n\n');
+        buffer = groups.pop();
+
+        for (const group of groups) {
+            const idMatch = group.match(/^id: (\d+)/m);
+            const eventMatch = group.match(/event: (.*)\n/);
+            const dataMatch = group.match(/data: (.*)/);
+            if (!eventMatch || !dataMatch) continue;
+
+            let eventData;
+            try {
+                eventData = JSON.parse(dataMatch[1]);
+            } catch (e) {
+                console.warn('Failed to parse SSE data', dataMatch[1]);
+                continue;
+            }
+
+            onEvent(eventMatch[1].trim(), eventData, idMatch ? parseInt(idMatch[1], 10) : null);
+        }
+    }
+}
+
+/**
+ * Start a job on the server (POST that answers 202 with the job)
+ */
+export async function startJob(url, body) {
+    const response = await apiFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const errData = await response.json().catch(() => ({}));
+        throw new Error(errData.message || 'Connection failed');
+    }
+
+    return response.json();
+}
+
+/**
+ * Follow a job's event stream until the job ends
+ * Reconnects with Last-Event-ID when the connection drops, so no event is
+ * lost or repeated. Resolves with the `job_end` data ({ status, error }).
+ */
+export async function followJob(jobId, onEvent, { signal } = {}) {
+    let lastEventId = 0;
+    let attempts = 0;
+    let end = null;
+
+    while (!end) {
+        try {
+            const response = await apiFetch(`/api/jobs/${jobId}/events`, {
+                headers: lastEventId ? { 'Last-Event-ID': String(lastEventId) } : {},
+                signal
+            });
+
+            if (response.status === 404) {
+                throw Object.assign(new Error('This analysis is no longer available'), { fatal: true });
+            }
+            if (response.status === 401) {
+                throw Object.assign(new Error('Your session has expired, sign in again'), { fatal: true });
+            }
+            if (!response.ok) {
+                throw new Error(`Event stream failed (${response.status})`);
+            }
+
+            await readEventStream(response, (type, data, id) => {
+                if (id) {
+                    lastEventId = id;
+                    attempts = 0;
+                }
+                if (type === 'job_end') {
+                    end = data;
+                    return;
+                }
+                onEvent(type, data);
+            });
+        } catch (err) {
+            if (err.name === 'AbortError' || err.fatal) throw err;
+            console.warn('Event stream dropped:', err.message);
+        }
+
+        if (!end) {
+            attempts++;
+            if (attempts > MAX_STREAM_RECONNECTS) {
+                throw new Error('Lost connection to the analysis');
+            }
+            await new Promise(resolve => setTimeout(resolve, 1000 * attempts));
+        }
+    }
+
+    return end;
+}